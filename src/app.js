@@ -24,6 +24,8 @@ import processInstanceRoutes from './routes/processInstanceRoutes.js';
 import stepInstanceRoutes from './routes/stepInstanceRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
+import eventRoutes from './routes/eventRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
 
 // Import services
 let schedulerService = null;
@@ -135,6 +137,8 @@ app.use('/api/process-instances', processInstanceRoutes);
 app.use('/api/step-instances', stepInstanceRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendars', calendarRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -151,7 +155,9 @@ app.get('/', (req, res) => {
       processInstances: '/api/process-instances',
       stepInstances: '/api/step-instances',
       notifications: '/api/notifications',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      events: '/api/events',
+      calendars: '/api/calendars'
     }
   });
 });
@@ -8,6 +8,11 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+// Comma-separated host names; entries starting with a dot match subdomains
+const parseHostList = (value) => {
+  return value ? value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) : [];
+};
+
 // Default configuration with fallbacks
 const config = {
   app: {
@@ -29,7 +34,9 @@ const config = {
     maxPoolSize: parseInt(process.env.DATABASE_MAX_POOL_SIZE, 10) || 10,
     serverSelectionTimeoutMS: parseInt(process.env.DATABASE_SERVER_SELECTION_TIMEOUT, 10) || 5000,
     socketTimeoutMS: parseInt(process.env.DATABASE_SOCKET_TIMEOUT, 10) || 45000,
-    maxIdleTimeMS: parseInt(process.env.DATABASE_MAX_IDLE_TIME, 10) || 30000
+    maxIdleTimeMS: parseInt(process.env.DATABASE_MAX_IDLE_TIME, 10) || 30000,
+    // Workflow transitions use transactions when the deployment supports them
+    transactions: process.env.DATABASE_TRANSACTIONS !== 'false'
   },
 
   jwt: {
@@ -70,6 +77,29 @@ const config = {
     lockoutTime: parseInt(process.env.LOCKOUT_TIME, 10) || 15 * 60 * 1000
   },
 
+  serviceTasks: {
+    // Credentials HTTP service tasks refer to by name, from SERVICE_SECRET_<NAME>
+    secrets: Object.fromEntries(
+      Object.entries(process.env)
+        .filter(([key]) => key.startsWith('SERVICE_SECRET_') && !key.endsWith('_HOSTS'))
+        .map(([key, value]) => [key.slice('SERVICE_SECRET_'.length), value])
+    ),
+    // Hosts each secret may be sent to, from SERVICE_SECRET_<NAME>_HOSTS
+    secretHosts: Object.fromEntries(
+      Object.entries(process.env)
+        .filter(([key]) => key.startsWith('SERVICE_SECRET_') && key.endsWith('_HOSTS'))
+        .map(([key, value]) => [key.slice('SERVICE_SECRET_'.length, -'_HOSTS'.length), parseHostList(value)])
+    ),
+    allowedHosts: parseHostList(process.env.SERVICE_TASK_ALLOWED_HOSTS),
+    httpTimeout: parseInt(process.env.SERVICE_TASK_HTTP_TIMEOUT, 10) || 10000
+  },
+
+  events: {
+    // How long a message no process is waiting for is kept for a later catch step
+    messageTtlSeconds: parseInt(process.env.MESSAGE_BUFFER_TTL_SECONDS, 10) || 24 * 60 * 60,
+    maxMessageTtlSeconds: parseInt(process.env.MESSAGE_BUFFER_MAX_TTL_SECONDS, 10) || 7 * 24 * 60 * 60
+  },
+
   features: {
     enableSwagger: process.env.ENABLE_SWAGGER !== 'false',
     enableEmailNotifications: process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false',
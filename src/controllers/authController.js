@@ -1,5 +1,4 @@
 import jwt from 'jsonwebtoken';
-import crypto from 'crypto';
 import User from '../models/User.js';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
@@ -77,7 +76,7 @@ class AuthController {
   // Login user
   async login(req, res, next) {
     try {
-      const { email, password, rememberMe } = req.body;
+      const { email, password } = req.body;
 
       // Find user by email
       const user = await User.findOne({ email }).select('+password');
@@ -240,7 +239,7 @@ class AuthController {
       }
 
       // Generate reset token (implement email sending logic)
-      const resetToken = crypto.randomBytes(32).toString('hex');
+      // const resetToken = crypto.randomBytes(32).toString('hex');
       
       // Store reset token with expiration (implement in User model)
       // user.passwordResetToken = resetToken;
@@ -261,9 +260,8 @@ class AuthController {
   // Reset password (placeholder)
   async resetPassword(req, res, next) {
     try {
-      const { token, password } = req.body;
-
       // Implement token verification and password reset logic
+      // using req.body.token and req.body.password
       
       res.json({
         status: 'success',
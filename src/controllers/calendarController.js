@@ -0,0 +1,178 @@
+import BusinessCalendar from '../models/BusinessCalendar.js';
+import ProcessTemplate from '../models/ProcessTemplate.js';
+import calendarService from '../services/calendarService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/helpers.js';
+
+class CalendarController {
+  // Get business calendars
+  async getCalendars(req, res, next) {
+    try {
+      const { department, isActive } = req.query;
+
+      const query = {};
+      if (department) query.departments = department;
+      if (isActive !== undefined) query.isActive = isActive;
+
+      const calendars = await BusinessCalendar.find(query)
+        .populate('createdBy', 'username profile.firstName profile.lastName')
+        .sort({ isDefault: -1, name: 1 })
+        .lean();
+
+      res.json({
+        status: 'success',
+        data: { calendars }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get business calendar by ID
+  async getCalendarById(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.findById(req.params.id)
+        .populate('createdBy', 'username profile.firstName profile.lastName')
+        .populate('updatedBy', 'username profile.firstName profile.lastName');
+
+      if (!calendar) {
+        throw new AppError('Business calendar not found', 404);
+      }
+
+      const templateCount = await ProcessTemplate.countDocuments({ businessCalendarId: calendar._id });
+
+      res.json({
+        status: 'success',
+        data: { calendar, templateCount }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create business calendar
+  async createCalendar(req, res, next) {
+    try {
+      const calendar = new BusinessCalendar({
+        ...req.body,
+        createdBy: req.user._id
+      });
+
+      await calendarService.saveCalendar(calendar);
+
+      logger.info(`Business calendar created by ${req.user.email}: ${calendar.name}`);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Business calendar created successfully',
+        data: { calendar }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update business calendar. Due dates already set are not recounted.
+  async updateCalendar(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        throw new AppError('Business calendar not found', 404);
+      }
+
+      Object.assign(calendar, req.body, { updatedBy: req.user._id });
+      await calendarService.saveCalendar(calendar);
+
+      logger.info(`Business calendar updated by ${req.user.email}: ${calendar.name}`);
+
+      res.json({
+        status: 'success',
+        message: 'Business calendar updated successfully',
+        data: { calendar }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete business calendar that no template uses
+  async deleteCalendar(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        throw new AppError('Business calendar not found', 404);
+      }
+
+      const templateCount = await ProcessTemplate.countDocuments({ businessCalendarId: calendar._id });
+      if (templateCount > 0) {
+        throw new AppError(
+          `Cannot delete a calendar used by ${templateCount} process template(s)`,
+          400,
+          'CALENDAR_IN_USE'
+        );
+      }
+
+      await calendar.deleteOne();
+
+      logger.info(`Business calendar deleted by ${req.user.email}: ${calendar.name}`);
+
+      res.json({
+        status: 'success',
+        message: 'Business calendar deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Import holidays from an iCalendar file sent as the request body
+  async importHolidays(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw new AppError('Send the iCalendar file as a text/calendar request body', 400, 'INVALID_ICALENDAR');
+      }
+
+      const result = await calendarService.importHolidays(
+        req.params.id,
+        req.body,
+        { replace: req.query.replace },
+        req.user._id
+      );
+
+      logger.info(`Holidays imported by ${req.user.email} into calendar ${result.calendar.name}`);
+
+      res.json({
+        status: 'success',
+        message: `Imported ${result.imported} holiday(s)`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Work out the due date of a time limit counted in a calendar
+  async getDueDate(req, res, next) {
+    try {
+      const { hours, from = new Date() } = req.query;
+
+      const calendar = await BusinessCalendar.findById(req.params.id).lean();
+      if (!calendar) {
+        throw new AppError('Business calendar not found', 404);
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          from,
+          hours,
+          dueDate: calendarService.addHours(calendar, from, hours)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CalendarController();
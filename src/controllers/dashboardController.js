@@ -4,8 +4,6 @@ import ProcessHistory from '../models/ProcessHistory.js';
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
 import ProcessTemplate from '../models/ProcessTemplate.js';
-import logger from '../utils/logger.js';
-import { AppError } from '../utils/helpers.js';
 
 class DashboardController {
   // Get dashboard overview
@@ -93,7 +91,7 @@ class DashboardController {
     }
   }
 
-  // Get current user's tasks
+  // Get current user's tasks, with tasks forwarded to them by absent colleagues apart
   async getMyTasks(req, res, next) {
     try {
       const { status, limit = 10, overdue } = req.query;
@@ -111,15 +109,23 @@ class DashboardController {
         query.dueDate = { $lt: new Date() };
       }
 
-      const tasks = await StepInstance.find(query)
-        .populate('processInstanceId', 'name status priority')
-        .sort({ dueDate: 1, createdAt: -1 })
-        .limit(parseInt(limit))
-        .lean();
+      const [tasks, delegatedTasks] = await Promise.all([
+        StepInstance.find({ ...query, delegatedFrom: null })
+          .populate('processInstanceId', 'name status priority')
+          .sort({ dueDate: 1, createdAt: -1 })
+          .limit(parseInt(limit))
+          .lean(),
+        StepInstance.find({ ...query, delegatedFrom: { $ne: null } })
+          .populate('processInstanceId', 'name status priority')
+          .populate('delegatedFrom', 'username profile.firstName profile.lastName')
+          .sort({ dueDate: 1, createdAt: -1 })
+          .limit(parseInt(limit))
+          .lean()
+      ]);
 
       res.json({
         status: 'success',
-        data: { tasks }
+        data: { tasks, delegatedTasks }
       });
     } catch (error) {
       next(error);
@@ -194,7 +200,7 @@ class DashboardController {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - parseInt(days));
 
-      let query = { timestamp: { $gte: startDate } };
+      const query = { timestamp: { $gte: startDate } };
 
       // Filter based on user role
       if (userRole === 'user') {
@@ -325,7 +331,7 @@ class DashboardController {
       ]),
       User.aggregate([
         { 
-          $match: { 'profile.department': { $ne: null, $ne: '' } }
+          $match: { 'profile.department': { $nin: [null, ''] } }
         },
         { 
           $group: { _id: '$profile.department', count: { $sum: 1 } }
@@ -479,8 +485,7 @@ class DashboardController {
           $match: {
             status: 'completed',
             startDate: { $ne: null },
-            endDate: { $ne: null },
-            endDate: { $gte: thirtyDaysAgo }
+            endDate: { $ne: null, $gte: thirtyDaysAgo }
           }
         },
         {
@@ -524,8 +529,7 @@ class DashboardController {
           $match: {
             status: 'completed',
             startDate: { $ne: null },
-            endDate: { $ne: null },
-            endDate: { $gte: startDate }
+            endDate: { $ne: null, $gte: startDate }
           }
         },
         {
@@ -686,7 +690,7 @@ class DashboardController {
     return User.aggregate([
       {
         $match: {
-          'profile.department': { $ne: null, $ne: '' }
+          'profile.department': { $nin: [null, ''] }
         }
       },
       {
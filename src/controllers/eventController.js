@@ -0,0 +1,71 @@
+import eventService from '../services/eventService.js';
+import logger from '../utils/logger.js';
+
+const MESSAGE_RESULTS = {
+  delivered: 'Message delivered',
+  buffered: 'No process is waiting for this message yet; it has been buffered',
+  discarded: 'No process is waiting for this message; it was discarded'
+};
+
+class EventController {
+  // Deliver a message to the process waiting for it, or buffer it
+  async sendMessage(req, res, next) {
+    try {
+      const { name, correlationKey, payload, ttlSeconds } = req.body;
+
+      const result = await eventService.deliverMessage({
+        name,
+        correlationKey,
+        payload,
+        ttlSeconds
+      }, req.user._id);
+
+      logger.info(`Message "${name}" sent by ${req.user.email}: ${result.status}`);
+
+      res.status(result.status === 'buffered' ? 202 : 200).json({
+        status: 'success',
+        message: MESSAGE_RESULTS[result.status],
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Wake every process waiting for a signal
+  async broadcastSignal(req, res, next) {
+    try {
+      const { name, payload } = req.body;
+
+      const result = await eventService.broadcastSignal({ name, payload }, req.user._id);
+
+      logger.info(`Signal "${name}" broadcast by ${req.user.email}: ${result.delivered.length} process(es) woken`);
+
+      res.json({
+        status: 'success',
+        message: `Signal delivered to ${result.delivered.length} waiting step(s)`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List messages waiting for a catch step
+  async getBufferedMessages(req, res, next) {
+    try {
+      const { name, correlationKey } = req.query;
+
+      const messages = await eventService.getBufferedMessages({ name, correlationKey });
+
+      res.json({
+        status: 'success',
+        data: { messages }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new EventController();
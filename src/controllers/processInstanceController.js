@@ -5,8 +5,9 @@ import ProcessHistory from '../models/ProcessHistory.js';
 import Notification from '../models/Notification.js';
 import workflowEngine from '../services/workflowEngine.js';
 import logger from '../utils/logger.js';
-import { AppError } from '../utils/helpers.js';
-import { PAGINATION, PROCESS_STATUS } from '../utils/constants.js';
+import { AppError, bindMethods } from '../utils/helpers.js';
+import { PAGINATION } from '../utils/constants.js';
+import { applyVariableDefaults, assertValidVariables, diffVariables } from '../utils/processVariables.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -137,7 +138,8 @@ class ProcessInstanceController {
 
       const instance = await ProcessInstance.findById(id)
         .populate('processTemplateId')
-        .populate('initiatedBy', 'username profile.firstName profile.lastName');
+        .populate('initiatedBy', 'username profile.firstName profile.lastName')
+        .populate('parentProcessInstanceId', 'name status');
 
       if (!instance) {
         throw new AppError('Process instance not found', 404);
@@ -193,9 +195,14 @@ class ProcessInstanceController {
         throw new AppError('Cannot create instance from unpublished template', 403);
       }
 
+      // Fill in declared defaults and check the variables against the template
+      const variables = applyVariableDefaults(template.variables, instanceData.variables);
+      assertValidVariables(template.variables, variables);
+
       // Create process instance
       const instance = new ProcessInstance({
         ...instanceData,
+        variables,
         processTemplateId,
         initiatedBy: req.user._id
       });
@@ -418,33 +425,8 @@ class ProcessInstanceController {
         throw new AppError('Process is already completed or cancelled', 400);
       }
 
-      const oldStatus = instance.status;
-      instance.status = 'cancelled';
-      instance.endDate = new Date();
-      await instance.save();
-
-      // Cancel all pending/in-progress steps
-      await StepInstance.updateMany(
-        {
-          processInstanceId: id,
-          status: { $in: ['pending', 'in_progress'] }
-        },
-        {
-          status: 'cancelled',
-          endDate: new Date()
-        }
-      );
-
-      // Log cancellation
-      await ProcessHistory.create({
-        processInstanceId: instance._id,
-        action: 'process_cancelled',
-        performedBy: req.user._id,
-        fromStatus: oldStatus,
-        toStatus: 'cancelled',
-        comments: reason,
-        metadata: { reason }
-      });
+      // Cancel steps, timers and child processes, and resume a waiting parent
+      await workflowEngine.cancelProcess(instance, req.user._id, reason);
 
       // Notify relevant users
       await this.notifyProcessCancellation(instance, req.user._id, reason);
@@ -460,6 +442,55 @@ class ProcessInstanceController {
     }
   }
 
+  // Move a process token back to a step it has already passed
+  async rewindProcess(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { targetStepId, fromStepId, variables, reason } = req.body;
+
+      const instance = await workflowEngine.rewindProcess(id, {
+        targetStepId,
+        fromStepId,
+        variables,
+        reason
+      }, req.user._id);
+
+      logger.info(`Process rewound by ${req.user.email}: ${instance.name} to step ${targetStepId}`);
+
+      res.json({
+        status: 'success',
+        message: 'Process rewound successfully',
+        data: { instance }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Restart a cancelled process from a chosen step
+  async restartProcess(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { stepId, variables, reason } = req.body;
+
+      const instance = await workflowEngine.restartProcess(id, {
+        stepId,
+        variables,
+        reason
+      }, req.user._id);
+
+      logger.info(`Process restarted by ${req.user.email}: ${instance.name} from step ${stepId}`);
+
+      res.json({
+        status: 'success',
+        message: 'Process restarted successfully',
+        data: { instance }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get process history
   async getProcessHistory(req, res, next) {
     try {
@@ -487,7 +518,11 @@ class ProcessInstanceController {
       const [history, total] = await Promise.all([
         ProcessHistory.find({ processInstanceId: id })
           .populate('performedBy', 'username profile.firstName profile.lastName')
-          .populate('stepInstanceId', 'name stepId')
+          .populate({
+            path: 'stepInstanceId',
+            select: 'name stepId childProcessInstanceId',
+            populate: { path: 'childProcessInstanceId', select: 'name status completionPercentage' }
+          })
           .sort({ timestamp: -1 })
           .skip(skip)
           .limit(limit)
@@ -527,7 +562,9 @@ class ProcessInstanceController {
       const currentSteps = await StepInstance.find({
         processInstanceId: id,
         status: { $in: ['pending', 'in_progress'] }
-      }).populate('assignedTo', 'username profile.firstName profile.lastName');
+      })
+        .populate('assignedTo', 'username profile.firstName profile.lastName')
+        .populate('childProcessInstanceId', 'name status completionPercentage currentSteps');
 
       res.json({
         status: 'success',
@@ -558,11 +595,20 @@ class ProcessInstanceController {
         throw new AppError('Insufficient permissions to update variables', 403);
       }
 
+      // Merged variables are checked on their own, replacements as a whole
+      const template = await ProcessTemplate.findById(instance.processTemplateId);
+      const declarations = template?.variables || [];
+      const before = { ...instance.variables };
+
       if (merge) {
+        assertValidVariables(declarations, variables, { partial: true });
         instance.variables = { ...instance.variables, ...variables };
       } else {
-        instance.variables = variables;
+        const replacement = applyVariableDefaults(declarations, variables);
+        assertValidVariables(declarations, replacement);
+        instance.variables = replacement;
       }
+      instance.markModified('variables');
 
       await instance.save();
 
@@ -573,7 +619,8 @@ class ProcessInstanceController {
         performedBy: req.user._id,
         metadata: { 
           updatedVariables: Object.keys(variables),
-          merge 
+          merge,
+          changes: diffVariables(before, instance.variables)
         }
       });
 
@@ -739,4 +786,4 @@ class ProcessInstanceController {
   }
 }
 
-export default new ProcessInstanceController();
\ No newline at end of file
+export default bindMethods(new ProcessInstanceController());
\ No newline at end of file
@@ -1,8 +1,19 @@
 import ProcessTemplate from '../models/ProcessTemplate.js';
 import ProcessInstance from '../models/ProcessInstance.js';
-import User from '../models/User.js';
 import logger from '../utils/logger.js';
-import { AppError } from '../utils/helpers.js';
+import { AppError, bindMethods, compareVersions, isValidObjectId } from '../utils/helpers.js';
+import { validateExpression } from '../utils/expression.js';
+import { validateFormSchema } from '../utils/formSchema.js';
+import { validateVariableDeclarations } from '../utils/processVariables.js';
+import { analyzeGraph } from '../utils/processGraph.js';
+import { parseBpmn, toBpmn } from '../utils/bpmn.js';
+import { diffTemplates } from '../utils/templateDiff.js';
+import { createProcessTemplateSchema } from '../validators/processTemplateValidators.js';
+import serviceTaskRegistry from '../services/serviceTaskRegistry.js';
+import assignmentService from '../services/assignmentService.js';
+import migrationService from '../services/migrationService.js';
+import calendarService from '../services/calendarService.js';
+import templateBundleService from '../services/templateBundleService.js';
 import { PAGINATION } from '../utils/constants.js';
 
 class ProcessTemplateController {
@@ -143,8 +154,13 @@ class ProcessTemplateController {
         createdBy: req.user._id
       };
 
-      // Validate step references
+      // Validate step references, the process graph, transition conditions and form schemas
       this.validateStepReferences(templateData.steps, templateData.startStep, templateData.endSteps);
+      this.assertValidGraph(templateData);
+      this.assertValidConditions(templateData.steps, templateData.variables);
+      this.assertValidFormSchemas(templateData.steps, templateData.variables);
+      this.assertValidVariableDeclarations(templateData.variables);
+      await calendarService.assertCalendarExists(templateData.businessCalendarId);
 
       const template = new ProcessTemplate(templateData);
       await template.save();
@@ -194,8 +210,25 @@ class ProcessTemplateController {
         const endSteps = updateData.endSteps || template.endSteps;
         
         this.validateStepReferences(steps, startStep, endSteps);
+        this.assertValidGraph({ steps, startStep, endSteps });
       }
 
+      if (updateData.steps || updateData.variables) {
+        this.assertValidConditions(
+          updateData.steps || template.steps,
+          updateData.variables || template.variables
+        );
+        this.assertValidFormSchemas(
+          updateData.steps || template.steps,
+          updateData.variables || template.variables
+        );
+      }
+      if (updateData.variables) {
+        this.assertValidVariableDeclarations(updateData.variables);
+      }
+
+      await calendarService.assertCalendarExists(updateData.businessCalendarId);
+
       Object.assign(template, updateData);
       await template.save();
 
@@ -237,7 +270,14 @@ class ProcessTemplateController {
       }
 
       // Validate template before publishing
-      this.validateTemplateForPublishing(template);
+      const validationResult = this.validateTemplateForPublishing(template);
+      if (!validationResult.isValid) {
+        throw new AppError('Template validation failed', 400, 'TEMPLATE_INVALID', {
+          errors: validationResult.errors,
+          warnings: validationResult.warnings,
+          findings: validationResult.findings
+        });
+      }
 
       // Update version if provided
       if (version) {
@@ -277,7 +317,7 @@ class ProcessTemplateController {
   async createNewVersion(req, res, next) {
     try {
       const { id } = req.params;
-      const { version, changes } = req.body;
+      const { version } = req.body;
 
       const originalTemplate = await ProcessTemplate.findById(id);
       if (!originalTemplate) {
@@ -356,6 +396,70 @@ class ProcessTemplateController {
     }
   }
 
+  // Compare a template version with another version of the same template,
+  // by default the one before it
+  async getTemplateDiff(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { from, format } = req.query;
+
+      const template = await ProcessTemplate.findById(id).lean();
+      if (!template) {
+        throw new AppError('Process template not found', 404);
+      }
+
+      let base;
+      if (from) {
+        base = await ProcessTemplate.findOne(
+          isValidObjectId(from) ? { _id: from } : { name: template.name, version: from }
+        ).lean();
+        if (!base) {
+          throw new AppError('Version to compare with not found', 404);
+        }
+        if (base.name !== template.name) {
+          throw new AppError('Only versions of the same template can be compared', 400, 'TEMPLATE_MISMATCH');
+        }
+      } else {
+        const versions = await ProcessTemplate.find({ name: template.name, _id: { $ne: template._id } }).lean();
+        base = versions
+          .filter(version => compareVersions(version.version, template.version) < 0)
+          .sort((a, b) => compareVersions(b.version, a.version))[0];
+        if (!base) {
+          throw new AppError('This is the first version; there is nothing to compare it with', 400, 'NO_PREVIOUS_VERSION');
+        }
+      }
+
+      const canView = version => req.user.role !== 'user' || version.isPublished ||
+        String(version.createdBy) === String(req.user._id);
+      if (!canView(template) || !canView(base)) {
+        throw new AppError('Access denied to this template', 403);
+      }
+
+      const diff = diffTemplates(base, template);
+      const describe = version => ({ _id: version._id, name: version.name, version: version.version, isPublished: version.isPublished });
+
+      if (format === 'text') {
+        const lines = [
+          `${template.name}: v${base.version} → v${template.version}`,
+          ...(diff.hasChanges ? diff.summary.map(line => `- ${line}`) : ['No changes'])
+        ];
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.send(`${lines.join('\n')}\n`);
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          from: describe(base),
+          to: describe(template),
+          diff
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Validate template
   async validateTemplate(req, res, next) {
     try {
@@ -374,7 +478,8 @@ class ProcessTemplateController {
         data: { 
           isValid: validationResult.isValid,
           errors: validationResult.errors,
-          warnings: validationResult.warnings
+          warnings: validationResult.warnings,
+          findings: validationResult.findings
         }
       });
     } catch (error) {
@@ -382,6 +487,74 @@ class ProcessTemplateController {
     }
   }
 
+  // Import a process template from BPMN 2.0 XML sent as the request body
+  async importBpmn(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw new AppError('Send the BPMN file as an application/xml request body', 400, 'INVALID_BPMN');
+      }
+
+      const { name, category, version, dryRun } = req.query;
+      const { template: imported, report } = parseBpmn(req.body);
+
+      const templateData = this.checkImportedTemplate({
+        ...imported,
+        name: name || imported.name,
+        category,
+        version
+      }, report);
+
+      if (dryRun) {
+        return res.json({
+          status: 'success',
+          message: 'BPMN file checked; nothing was saved',
+          data: { template: templateData, report }
+        });
+      }
+
+      const template = new ProcessTemplate({
+        ...templateData,
+        createdBy: req.user._id
+      });
+      await template.save();
+
+      logger.info(`Process template imported from BPMN by ${req.user.email}: ${template.name}`);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Process template imported successfully',
+        data: { template, report }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Export a process template as BPMN 2.0 XML
+  async exportBpmn(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const template = await ProcessTemplate.findById(id);
+      if (!template) {
+        throw new AppError('Process template not found', 404);
+      }
+
+      if (req.user.role === 'user' && !template.isPublished &&
+          !template.createdBy.equals(req.user._id)) {
+        throw new AppError('Access denied to this template', 403);
+      }
+
+      const filename = `${template.name}-${template.version}`.replace(/[^\w.-]+/g, '_');
+
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.bpmn`);
+      res.send(toBpmn(template));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get template instances
   async getTemplateInstances(req, res, next) {
     try {
@@ -430,6 +603,89 @@ class ProcessTemplateController {
     }
   }
 
+  // Export all versions of a template with their dependencies as a bundle
+  async exportTemplateBundle(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const bundle = await templateBundleService.exportBundle(id);
+
+      logger.info(`Template bundle exported by ${req.user.email}: ${bundle.templates[0].name} ` +
+        `(${bundle.templates.length} versions)`);
+
+      const filename = `${bundle.templates[0].name}-bundle`.replace(/[^\w.-]+/g, '_');
+
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+      res.json(bundle);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Import a template bundle, or preview the import with dryRun
+  async importTemplateBundle(req, res, next) {
+    try {
+      const { bundle, mappings, skipExisting, dryRun } = req.body;
+
+      const result = await templateBundleService.importBundle({
+        bundle,
+        mappings,
+        skipExisting,
+        dryRun,
+        userId: req.user._id
+      });
+
+      if (dryRun) {
+        return res.json({
+          status: 'success',
+          message: 'Template bundle import preview completed',
+          data: result
+        });
+      }
+
+      logger.info(`Template bundle imported by ${req.user.email}: ${bundle.templates[0].name}`, {
+        templates: result.created.templates.length,
+        calendars: result.created.calendars.length
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Template bundle imported successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Migrate running instances of another version to this template version
+  async migrateInstances(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { sourceTemplateId, instanceIds, stepMapping, dryRun } = req.body;
+
+      const report = await migrationService.migrateInstances({
+        sourceTemplateId,
+        targetTemplateId: id,
+        instanceIds,
+        stepMapping,
+        dryRun,
+        userId: req.user._id
+      });
+
+      logger.info(`Instance migration ${dryRun ? 'dry run ' : ''}by ${req.user.email}: ` +
+        `${report.sourceTemplate.name} v${report.sourceTemplate.version} -> v${report.targetTemplate.version}`, report.summary);
+
+      res.json({
+        status: 'success',
+        message: dryRun ? 'Migration dry run completed' : 'Process instances migrated',
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Delete process template
   async deleteProcessTemplate(req, res, next) {
     try {
@@ -490,6 +746,30 @@ class ProcessTemplateController {
     }
   }
 
+  // Get the handlers service task steps can use
+  async getServiceHandlers(req, res, next) {
+    try {
+      res.json({
+        status: 'success',
+        data: { handlers: serviceTaskRegistry.list() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the strategies steps can use to pick their assignee
+  async getAssignmentStrategies(req, res, next) {
+    try {
+      res.json({
+        status: 'success',
+        data: { strategies: assignmentService.list() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Duplicate template
   async duplicateTemplate(req, res, next) {
     try {
@@ -550,22 +830,108 @@ class ProcessTemplateController {
     if (invalidEndSteps.length > 0) {
       throw new AppError(`End steps not found in steps array: ${invalidEndSteps.join(', ')}`, 400);
     }
-    
-    // Check next step references
+  }
+
+  // Helper method to reject templates whose process graph has errors, such
+  // as transitions to missing steps, dead ends or joins that deadlock
+  assertValidGraph(template) {
+    const findings = analyzeGraph(template).filter(finding => finding.severity === 'error');
+    if (findings.length > 0) {
+      throw new AppError(
+        `Invalid process graph: ${findings.map(finding => finding.message).join('; ')}`,
+        400,
+        'INVALID_PROCESS_GRAPH',
+        { findings }
+      );
+    }
+  }
+
+  // Helper method to run an imported template through the checks created
+  // templates pass. Failures carry the import report so the file can be fixed.
+  checkImportedTemplate(templateData, report) {
+    try {
+      const { error, value } = createProcessTemplateSchema.validate(templateData, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+      });
+      if (error) {
+        throw AppError.fromValidation({
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+            type: detail.type
+          }))
+        });
+      }
+
+      this.validateStepReferences(value.steps, value.startStep, value.endSteps);
+      this.assertValidGraph(value);
+      this.assertValidConditions(value.steps, value.variables);
+      return value;
+    } catch (error) {
+      if (error instanceof AppError) {
+        error.details = { ...error.details, report };
+      }
+      throw error;
+    }
+  }
+
+  // Helper method to parse and type-check every transition condition
+  validateConditions(steps = [], variables = []) {
+    const errors = [];
+
     for (const step of steps) {
-      if (step.nextSteps && step.nextSteps.length > 0) {
-        const invalidNextSteps = step.nextSteps
-          .map(ns => ns.stepId)
-          .filter(stepId => !stepIds.includes(stepId));
-        
-        if (invalidNextSteps.length > 0) {
-          throw new AppError(
-            `Step "${step.stepId}" references invalid next steps: ${invalidNextSteps.join(', ')}`, 
-            400
-          );
-        }
+      for (const nextStep of step.nextSteps || []) {
+        if (!nextStep.condition) continue;
+
+        const result = validateExpression(nextStep.condition, { variables });
+        result.errors.forEach(error => {
+          errors.push({
+            stepId: step.stepId,
+            nextStepId: nextStep.stepId,
+            condition: nextStep.condition,
+            message: `Step "${step.stepId}" -> "${nextStep.stepId}": ${error}`
+          });
+        });
       }
     }
+
+    return errors;
+  }
+
+  // Helper method to reject templates with invalid conditions on save
+  assertValidConditions(steps, variables) {
+    const conditionErrors = this.validateConditions(steps, variables);
+    if (conditionErrors.length > 0) {
+      throw new AppError('Invalid transition conditions', 400, 'INVALID_CONDITION', {
+        details: conditionErrors
+      });
+    }
+  }
+
+  // Helper method to check every step's form schema, returning
+  // { field, message, type } details like the validate middleware
+  validateFormSchemas(steps = [], variables = []) {
+    return steps.flatMap((step, index) =>
+      validateFormSchema(step.formSchema, { variables, prefix: `steps.${index}.formSchema` })
+    );
+  }
+
+  // Helper method to reject templates with invalid form schemas on save
+  assertValidFormSchemas(steps, variables) {
+    const details = this.validateFormSchemas(steps, variables);
+    if (details.length > 0) {
+      throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', { details });
+    }
+  }
+
+  // Helper method to reject inconsistent variable declarations on save
+  assertValidVariableDeclarations(variables) {
+    const details = validateVariableDeclarations(variables);
+    if (details.length > 0) {
+      throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', { details });
+    }
   }
 
   // Helper method to validate template for publishing
@@ -586,36 +952,215 @@ class ProcessTemplateController {
       errors.push('Template must have at least one step');
     }
     
+    // Check the process graph: duplicate IDs, references, reachability,
+    // dead ends, loops and joins
+    const findings = template.steps?.length ? analyzeGraph(template) : [];
+    findings.forEach(finding => {
+      (finding.severity === 'error' ? errors : warnings).push(finding.message);
+    });
+
     // Check step configuration
     if (template.steps) {
       const stepIds = template.steps.map(step => step.stepId);
       
-      // Check for duplicate step IDs
-      const duplicateStepIds = stepIds.filter((stepId, index) => 
-        stepIds.indexOf(stepId) !== index
-      );
-      
-      if (duplicateStepIds.length > 0) {
-        errors.push(`Duplicate step IDs found: ${duplicateStepIds.join(', ')}`);
-      }
-      
       // Check user task assignments
       template.steps.forEach(step => {
-        if (step.type === 'user_task') {
+        if (step.type === 'user_task' && !step.assignment?.strategy) {
           if (!step.assigneeType || 
               (step.assigneeType === 'user' && (!step.assignees || step.assignees.length === 0))) {
             warnings.push(`Step "${step.name}" has no assignees configured`);
           }
         }
+
+        // Check default transitions on branching steps
+        const defaultTransitions = (step.nextSteps || []).filter(nextStep => nextStep.isDefault);
+        if (defaultTransitions.length > 1) {
+          errors.push(`Step "${step.name}" has more than one default transition`);
+        }
+        if (defaultTransitions.some(nextStep => nextStep.condition)) {
+          warnings.push(`Step "${step.name}" has a condition on its default transition, which is ignored`);
+        }
+        if (['exclusive', 'inclusive'].includes(step.type) &&
+            (step.nextSteps || []).length > 1 &&
+            defaultTransitions.length === 0) {
+          warnings.push(`Gateway "${step.name}" has no default transition; the process errors when no condition matches`);
+        }
+
+        // Check timer configuration
+        const boundaryTimers = step.boundaryTimers || [];
+        if (step.type === 'timer' && !step.timer) {
+          errors.push(`Timer step "${step.name}" has no timer definition`);
+        }
+        if (boundaryTimers.length > 0 && !['user_task', 'message_catch', 'signal_catch'].includes(step.type)) {
+          errors.push(`Step "${step.name}" has boundary timers but only user tasks and catch steps support them`);
+        }
+        (step.nextSteps || [])
+          .filter(nextStep => nextStep.timerId &&
+            !boundaryTimers.some(boundaryTimer => boundaryTimer.timerId === nextStep.timerId))
+          .forEach(nextStep => {
+            errors.push(`Step "${step.name}" has a transition for unknown boundary timer "${nextStep.timerId}"`);
+          });
+        boundaryTimers
+          .filter(boundaryTimer => boundaryTimer.interrupting !== false &&
+            !(step.nextSteps || []).some(nextStep => nextStep.timerId === boundaryTimer.timerId))
+          .forEach(boundaryTimer => {
+            errors.push(`Interrupting timer "${boundaryTimer.timerId}" on step "${step.name}" has no transition`);
+          });
+        [step.timer, ...boundaryTimers]
+          .filter(timer => timer?.type === 'date' &&
+            !(template.variables || []).some(variable => variable.name === timer.dateVariable))
+          .forEach(timer => {
+            warnings.push(`Timer on step "${step.name}" waits on undeclared variable "${timer.dateVariable}"`);
+          });
+
+        // Check service task handlers and their configuration
+        if (step.type === 'service_task' && step.service?.handler) {
+          serviceTaskRegistry.validateConfig(step.service.handler, step.service.config).forEach(error => {
+            errors.push(`Service task "${step.name}" (${step.service.handler}): ${error}`);
+          });
+        }
+
+        // Check what catch steps wait for
+        if (step.type === 'message_catch') {
+          if (!step.message?.name) {
+            errors.push(`Message catch step "${step.name}" has no message name`);
+          }
+          if (!step.message?.correlationKey) {
+            errors.push(`Message catch step "${step.name}" has no correlation key expression`);
+          } else {
+            validateExpression(step.message.correlationKey, { variables: template.variables, expectedType: null }).errors.forEach(error => {
+              errors.push(`Message catch step "${step.name}" correlation key: ${error}`);
+            });
+          }
+        }
+        if (step.type === 'signal_catch' && !step.signal?.name) {
+          errors.push(`Signal catch step "${step.name}" has no signal name`);
+        }
+
+        // Check assignment strategies
+        if (step.assignment?.strategy) {
+          if (!['user_task', 'decision'].includes(step.type)) {
+            warnings.push(`Step "${step.name}" has an assignment strategy but only user tasks and decisions are assigned`);
+          }
+          assignmentService.validateConfig(step.assignment.strategy, step.assignment.config).forEach(error => {
+            errors.push(`Assignment of "${step.name}" (${step.assignment.strategy}): ${error}`);
+          });
+          if (['round_robin', 'least_loaded', 'skill_match'].includes(step.assignment.strategy) &&
+              (!['user', 'role', 'department'].includes(step.assigneeType) || !step.assignees?.length)) {
+            errors.push(`Assignment of "${step.name}" (${step.assignment.strategy}) needs users, roles or departments as assignees`);
+          }
+          if (step.assignment.strategy === 'previous_performer' &&
+              step.assignment.config?.stepId && !stepIds.includes(step.assignment.config.stepId)) {
+            errors.push(`Assignment of "${step.name}" refers to unknown step "${step.assignment.config.stepId}"`);
+          }
+        }
+
+        // Check escalation policies
+        if (step.escalation?.enabled) {
+          if (!['user_task', 'decision'].includes(step.type)) {
+            warnings.push(`Step "${step.name}" has an escalation policy but only user tasks and decisions are escalated`);
+          }
+          if (!step.escalation.levels?.length && !step.escalation.escalateTo?.length) {
+            errors.push(`Step "${step.name}" has escalation enabled but no levels or escalateTo targets`);
+          }
+          const levels = step.escalation.levels?.length ? step.escalation.levels : (step.escalation.escalateTo || []);
+          if (step.escalation.timeLimit === undefined && levels.some(level => level.delay === undefined)) {
+            warnings.push(`Escalation of "${step.name}" has no timeLimit; levels without a delay wait 8 hours`);
+          }
+        }
+
+        // Check compensation handlers
+        if (step.compensation?.handler) {
+          if (step.type !== 'service_task') {
+            errors.push(`Step "${step.name}" declares a compensation but only service tasks can be compensated`);
+          }
+          serviceTaskRegistry.validateConfig(step.compensation.handler, step.compensation.config).forEach(error => {
+            errors.push(`Compensation of "${step.name}" (${step.compensation.handler}): ${error}`);
+          });
+        }
+
+        // Check multi-instance configuration
+        if (step.multiInstance?.enabled) {
+          const { source, collection, completion = {} } = step.multiInstance;
+          if (step.type !== 'user_task') {
+            errors.push(`Step "${step.name}" is multi-instance but only user tasks can be`);
+          }
+          if (source === 'collection') {
+            if (!collection) {
+              errors.push(`Multi-instance step "${step.name}" has no collection expression`);
+            } else {
+              validateExpression(collection, { variables: template.variables, expectedType: null }).errors.forEach(error => {
+                errors.push(`Multi-instance step "${step.name}" collection: ${error}`);
+              });
+            }
+          } else if (!step.assignees?.length) {
+            errors.push(`Multi-instance step "${step.name}" has no assignees to create instances for`);
+          }
+          if (completion.type === 'count' && !completion.count) {
+            errors.push(`Multi-instance step "${step.name}" needs a completion count`);
+          }
+          if (completion.type === 'percentage' && !completion.percentage) {
+            errors.push(`Multi-instance step "${step.name}" needs a completion percentage`);
+          }
+        }
+
+        // Check sub-process configuration
+        if (step.type === 'subprocess') {
+          const subProcess = step.subProcess || {};
+          if (!subProcess.templateId) {
+            errors.push(`Sub-process step "${step.name}" has no template`);
+          } else if (template._id && subProcess.templateId.toString() === template._id.toString()) {
+            errors.push(`Sub-process step "${step.name}" cannot start its own template`);
+          }
+
+          // Inputs read this template's variables; outputs read the child's
+          [
+            ...(subProcess.inputs || []).map(mapping => ({ mapping, variables: template.variables })),
+            ...(subProcess.outputs || []).map(mapping => ({ mapping, variables: null }))
+          ].forEach(({ mapping, variables }) => {
+            validateExpression(mapping.source, { variables, expectedType: null }).errors.forEach(error => {
+              errors.push(`Sub-process step "${step.name}" mapping to "${mapping.target}": ${error}`);
+            });
+          });
+        }
+      });
+
+      // Check transition conditions parse and type-check
+      this.validateConditions(template.steps, template.variables)
+        .forEach(conditionError => errors.push(conditionError.message));
+
+      // Check form schemas
+      this.validateFormSchemas(template.steps, template.variables)
+        .forEach(detail => errors.push(`${detail.field}: ${detail.message}`));
+
+      // Check variable declarations
+      validateVariableDeclarations(template.variables)
+        .forEach(detail => errors.push(detail.message));
+
+      // Check separation-of-duties rules
+      (template.separationOfDuties || []).forEach(rule => {
+        [rule.stepId, ...(rule.notPerformerOf || [])]
+          .filter(stepId => !stepIds.includes(stepId))
+          .forEach(stepId => {
+            errors.push(`Separation-of-duties rule refers to unknown step "${stepId}"`);
+          });
+        if (!rule.notInitiator && !(rule.notPerformerOf || []).some(stepId => stepId !== rule.stepId)) {
+          errors.push(`Separation-of-duties rule on step "${rule.stepId}" has nothing to enforce`);
+        }
+        const step = template.steps.find(s => s.stepId === rule.stepId);
+        if (step && !['user_task', 'decision'].includes(step.type)) {
+          warnings.push(`Separation-of-duties rule on "${step.name}" has no effect; only user tasks and decisions are worked on by people`);
+        }
       });
     }
     
     return {
       isValid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      findings
     };
   }
 }
 
-export default new ProcessTemplateController();
\ No newline at end of file
+export default bindMethods(new ProcessTemplateController());
\ No newline at end of file
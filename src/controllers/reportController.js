@@ -1,11 +1,10 @@
 import ProcessInstance from '../models/ProcessInstance.js';
 import StepInstance from '../models/StepInstance.js';
 import User from '../models/User.js';
-import ProcessTemplate from '../models/ProcessTemplate.js';
-import ProcessHistory from '../models/ProcessHistory.js';
 import { AppError, formatDate, calculatePercentage } from '../utils/helpers.js';
 import { PROCESS_STATUS, STEP_STATUS } from '../utils/constants.js';
 import logger from '../utils/logger.js';
+import calendarService from '../services/calendarService.js';
 import dayjs from 'dayjs';
 
 class ReportController {
@@ -600,15 +599,57 @@ class ReportController {
         { $sort: { totalProcesses: -1 } }
       ]);
 
-      // Task SLA compliance
-      const taskSLA = await StepInstance.aggregate([
+      // Task SLA compliance, overall and per business calendar
+      const taskRates = {
+        $addFields: {
+          taskCompletionRate: {
+            $multiply: [
+              { $divide: ['$completedTasks', '$totalTasks'] },
+              100
+            ]
+          },
+          taskSlaCompliance: {
+            $cond: [
+              { $gt: ['$completedTasks', 0] },
+              {
+                $multiply: [
+                  { $divide: ['$onTimeCompletions', '$completedTasks'] },
+                  100
+                ]
+              },
+              0
+            ]
+          }
+        }
+      };
+      const taskCounts = {
+        totalTasks: { $sum: 1 },
+        completedTasks: {
+          $sum: {
+            $cond: [{ $eq: ['$status', STEP_STATUS.COMPLETED] }, 1, 0]
+          }
+        },
+        overdueTasks: {
+          $sum: {
+            $cond: ['$isOverdue', 1, 0]
+          }
+        },
+        onTimeCompletions: {
+          $sum: {
+            $cond: ['$isOnTime', 1, 0]
+          }
+        }
+      };
+
+      const [taskSLA] = await StepInstance.aggregate([
         { $match: query },
         {
           $project: {
             name: 1,
             status: 1,
             dueDate: 1,
-            completedAt: 1,
+            endDate: 1,
+            businessCalendarId: 1,
             isOverdue: {
               $cond: [
                 { $and: ['$dueDate', { $ne: ['$status', STEP_STATUS.COMPLETED] }] },
@@ -618,59 +659,44 @@ class ReportController {
             },
             isOnTime: {
               $cond: [
-                { $and: ['$dueDate', '$completedAt', { $eq: ['$status', STEP_STATUS.COMPLETED] }] },
-                { $lte: ['$completedAt', '$dueDate'] },
+                { $and: ['$dueDate', '$endDate', { $eq: ['$status', STEP_STATUS.COMPLETED] }] },
+                { $lte: ['$endDate', '$dueDate'] },
                 null
               ]
             }
           }
         },
         {
-          $group: {
-            _id: null,
-            totalTasks: { $sum: 1 },
-            completedTasks: {
-              $sum: {
-                $cond: [{ $eq: ['$status', STEP_STATUS.COMPLETED] }, 1, 0]
-              }
-            },
-            overdueTasks: {
-              $sum: {
-                $cond: ['$isOverdue', 1, 0]
-              }
-            },
-            onTimeCompletions: {
-              $sum: {
-                $cond: ['$isOnTime', 1, 0]
-              }
-            }
-          }
-        },
-        {
-          $addFields: {
-            taskCompletionRate: {
-              $multiply: [
-                { $divide: ['$completedTasks', '$totalTasks'] },
-                100
-              ]
-            },
-            taskSlaCompliance: {
-              $cond: [
-                { $gt: ['$completedTasks', 0] },
-                {
-                  $multiply: [
-                    { $divide: ['$onTimeCompletions', '$completedTasks'] },
-                    100
-                  ]
-                },
-                0
-              ]
-            }
+          $facet: {
+            overall: [
+              { $group: { _id: null, ...taskCounts } },
+              taskRates
+            ],
+            byCalendar: [
+              { $match: { dueDate: { $ne: null } } },
+              { $group: { _id: '$businessCalendarId', ...taskCounts } },
+              taskRates,
+              {
+                $lookup: {
+                  from: 'businesscalendars',
+                  localField: '_id',
+                  foreignField: '_id',
+                  as: 'calendar'
+                }
+              },
+              {
+                $addFields: {
+                  calendarName: { $ifNull: [{ $arrayElemAt: ['$calendar.name', 0] }, 'Wall clock'] }
+                }
+              },
+              { $project: { calendar: 0 } },
+              { $sort: { totalTasks: -1 } }
+            ]
           }
         }
       ]);
 
-      const overallSLA = taskSLA[0] || {
+      const overallSLA = taskSLA.overall[0] || {
         totalTasks: 0,
         completedTasks: 0,
         overdueTasks: 0,
@@ -679,6 +705,50 @@ class ReportController {
         taskSlaCompliance: 0
       };
 
+      // How far past due open tasks are and late tasks finished, counted in
+      // the working hours of the calendar each due date was set in
+      const now = new Date();
+      const lateTasks = await StepInstance.find({
+        ...query,
+        dueDate: { $ne: null },
+        $or: [
+          { status: { $in: [STEP_STATUS.PENDING, STEP_STATUS.IN_PROGRESS] }, dueDate: { $lt: now } },
+          { status: STEP_STATUS.COMPLETED, $expr: { $gt: ['$endDate', '$dueDate'] } }
+        ]
+      }).select('status dueDate endDate businessCalendarId').lean();
+
+      const calendars = await calendarService.getCalendarMap(lateTasks.map(task => task.businessCalendarId));
+      const workingHours = { overdue: [], late: [] };
+      const calendarHours = {};
+      for (const task of lateTasks) {
+        const completed = task.status === STEP_STATUS.COMPLETED;
+        const hours = calendarService.getHoursOverdue(task, calendars, completed ? task.endDate : now);
+        workingHours[completed ? 'late' : 'overdue'].push(hours);
+
+        const key = task.businessCalendarId?.toString() || null;
+        calendarHours[key] = calendarHours[key] || { overdue: [], late: [] };
+        calendarHours[key][completed ? 'late' : 'overdue'].push(hours);
+      }
+
+      const summarizeHours = (hours) => ({
+        count: hours.length,
+        averageWorkingHours: hours.length
+          ? Math.round(hours.reduce((sum, value) => sum + value, 0) / hours.length * 10) / 10
+          : 0,
+        maxWorkingHours: hours.length ? Math.round(Math.max(...hours) * 10) / 10 : 0
+      });
+
+      overallSLA.overdueWorkingHours = summarizeHours(workingHours.overdue);
+      overallSLA.lateCompletionWorkingHours = summarizeHours(workingHours.late);
+      const byCalendar = taskSLA.byCalendar.map(item => {
+        const hours = calendarHours[item._id?.toString() || null] || { overdue: [], late: [] };
+        return {
+          ...item,
+          overdueWorkingHours: summarizeHours(hours.overdue),
+          lateCompletionWorkingHours: summarizeHours(hours.late)
+        };
+      });
+
       res.json({
         status: 'success',
         data: {
@@ -692,6 +762,7 @@ class ReportController {
           },
           processSLA,
           taskSLA: overallSLA,
+          taskSLAByCalendar: byCalendar,
           filters: { dateFrom, dateTo },
           generatedAt: new Date()
         }
@@ -848,7 +919,7 @@ class ReportController {
       }
 
       // Generate the report data (you would implement actual export logic here)
-      const reportData = await this[reportMethods[reportType]](req, { json: () => {} });
+      await this[reportMethods[reportType]](req, { json: () => {} });
 
       if (format === 'csv') {
         res.setHeader('Content-Type', 'text/csv');
@@ -1,13 +1,14 @@
 import StepInstance from '../models/StepInstance.js';
 import ProcessInstance from '../models/ProcessInstance.js';
-import ProcessTemplate from '../models/ProcessTemplate.js';
 import ProcessHistory from '../models/ProcessHistory.js';
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
 import workflowEngine from '../services/workflowEngine.js';
+import separationOfDutiesService from '../services/separationOfDutiesService.js';
 import logger from '../utils/logger.js';
+import database from '../utils/database.js';
 import { AppError } from '../utils/helpers.js';
-import { PAGINATION, STEP_STATUS } from '../utils/constants.js';
+import { PAGINATION } from '../utils/constants.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -87,6 +88,7 @@ class StepInstanceController {
       if (req.user.role === 'user') {
         query.$or = [
           { assignedTo: req.user._id },
+          { delegatedFrom: req.user._id },
           { assignedRole: req.user.role },
           { assignedDepartment: req.user.profile.department }
         ];
@@ -158,6 +160,7 @@ class StepInstanceController {
       const canView = req.user.role === 'admin' || 
                      req.user.role === 'manager' ||
                      (step.assignedTo && step.assignedTo._id.equals(req.user._id)) ||
+                     (step.delegatedFrom && step.delegatedFrom.equals(req.user._id)) ||
                      step.processInstanceId.initiatedBy.equals(req.user._id);
 
       if (!canView) {
@@ -186,17 +189,22 @@ class StepInstanceController {
         throw new AppError('Step instance not found', 404);
       }
 
+      // A retried or double-submitted request finds the step already done
+      if (!['pending', 'in_progress'].includes(step.status)) {
+        throw new AppError(`Step has already been ${step.status}`, 409, 'STEP_NOT_OPEN');
+      }
+
       // Check if user can complete this step
       if (!step.canComplete(req.user._id)) {
         throw new AppError('You are not authorized to complete this step', 403);
       }
 
       // Use workflow engine to complete the step
-      await workflowEngine.completeStep(id, req.user._id, formData, decision);
+      const completedStep = await workflowEngine.completeStep(id, req.user._id, formData, decision, variables);
 
-      // Add comment if provided
+      // Add comment if provided, on the saved step so its version is current
       if (comment) {
-        await step.addComment(req.user._id, comment);
+        await completedStep.addComment(req.user._id, comment);
       }
 
       logger.info(`Step completed by ${req.user.email}: ${step.name} (${step._id})`);
@@ -210,6 +218,24 @@ class StepInstanceController {
     }
   }
 
+  // Save form data of a step as a draft
+  async saveDraft(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { formData } = req.body;
+
+      const step = await workflowEngine.saveDraft(id, req.user._id, formData);
+
+      res.json({
+        status: 'success',
+        message: 'Draft saved successfully',
+        data: { formData: step.formData }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Assign step to user
   async assignStep(req, res, next) {
     try {
@@ -231,6 +257,12 @@ class StepInstanceController {
         if (!user || !user.isActive) {
           throw new AppError('Invalid or inactive user', 400);
         }
+
+        const processInstance = await ProcessInstance.findById(step.processInstanceId);
+        await separationOfDutiesService.assertAllowed(processInstance, step, user._id, {
+          performedBy: req.user,
+          action: 'assign'
+        });
       }
 
       const oldAssignee = step.assignedTo;
@@ -239,6 +271,7 @@ class StepInstanceController {
       step.assignedTo = assignedTo || null;
       step.assignedRole = assignedRole || null;
       step.assignedDepartment = assignedDepartment || null;
+      step.delegatedFrom = null;
       
       if (dueDate) {
         step.dueDate = new Date(dueDate);
@@ -306,12 +339,19 @@ class StepInstanceController {
         throw new AppError('Invalid or inactive user', 400);
       }
 
+      const processInstance = await ProcessInstance.findById(step.processInstanceId);
+      await separationOfDutiesService.assertAllowed(processInstance, step, newAssignee._id, {
+        performedBy: req.user,
+        action: 'reassign'
+      });
+
       const oldAssignee = step.assignedTo;
       
       // Update assignment
       step.assignedTo = assignedTo;
       step.assignedRole = null;
       step.assignedDepartment = null;
+      step.delegatedFrom = null;
       
       // Reset to pending if it was in progress
       if (step.status === 'in_progress') {
@@ -415,7 +455,7 @@ class StepInstanceController {
         action: 'step_escalated',
         performedBy: req.user._id,
         metadata: {
-          escalatedTo,
+          escalatedTo: escalateTo,
           escalationLevel: step.escalationLevel,
           reason
         },
@@ -510,26 +550,29 @@ class StepInstanceController {
         throw new AppError('Only pending or in-progress steps can be skipped', 400);
       }
 
-      // Update step status
-      step.status = 'skipped';
-      step.endDate = new Date();
+      // The skip and the transition it triggers commit together
+      await database.runInTransaction(async () => {
+        // Update step status
+        step.status = 'skipped';
+        step.endDate = new Date();
 
-      await step.save();
+        await step.save();
 
-      // Log skip
-      await ProcessHistory.create({
-        processInstanceId: step.processInstanceId,
-        stepInstanceId: step._id,
-        action: 'step_skipped',
-        performedBy: req.user._id,
-        fromStatus: step.status,
-        toStatus: 'skipped',
-        comments: reason,
-        metadata: { reason }
-      });
+        // Log skip
+        await ProcessHistory.create({
+          processInstanceId: step.processInstanceId,
+          stepInstanceId: step._id,
+          action: 'step_skipped',
+          performedBy: req.user._id,
+          fromStatus: step.status,
+          toStatus: 'skipped',
+          comments: reason,
+          metadata: { reason }
+        });
 
-      // Continue workflow
-      await workflowEngine.processStepCompletion(step, req.user._id);
+        // Continue workflow
+        await workflowEngine.processStepCompletion(step, req.user._id);
+      }, 'step skip');
 
       logger.info(`Step skipped by ${req.user.email}: ${step.name}`);
 
@@ -542,6 +585,26 @@ class StepInstanceController {
     }
   }
 
+  // Re-open a completed or failed step, withdrawing the work that followed it
+  async reopenStep(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { variables, reason } = req.body;
+
+      const instance = await workflowEngine.reopenStep(id, { variables, reason }, req.user._id);
+
+      logger.info(`Step ${id} re-opened by ${req.user.email} in process ${instance.name}`);
+
+      res.json({
+        status: 'success',
+        message: 'Step re-opened successfully',
+        data: { instance }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Add comment to step instance
   async addComment(req, res, next) {
     try {
@@ -695,7 +758,8 @@ class StepInstanceController {
     }
   }
 
-  // Get current user's assigned tasks
+  // Get current user's assigned tasks; tasks forwarded to them by absent
+  // colleagues are listed separately
   async getMyTasks(req, res, next) {
     try {
       const { 
@@ -717,15 +781,25 @@ class StepInstanceController {
         query.dueDate = { $lt: new Date() };
       }
 
+      const ownQuery = { ...query, delegatedFrom: null };
+      const delegatedQuery = { ...query, delegatedFrom: { $ne: null } };
+
       const skip = (page - 1) * limit;
-      const [tasks, total] = await Promise.all([
-        StepInstance.find(query)
+      const [tasks, total, delegatedTasks, delegatedTotal] = await Promise.all([
+        StepInstance.find(ownQuery)
           .populate('processInstanceId', 'name status priority')
           .sort({ dueDate: 1, createdAt: -1 })
           .skip(skip)
           .limit(limit)
           .lean(),
-        StepInstance.countDocuments(query)
+        StepInstance.countDocuments(ownQuery),
+        StepInstance.find(delegatedQuery)
+          .populate('processInstanceId', 'name status priority')
+          .populate('delegatedFrom', 'username profile.firstName profile.lastName')
+          .sort({ dueDate: 1, createdAt: -1 })
+          .limit(limit)
+          .lean(),
+        StepInstance.countDocuments(delegatedQuery)
       ]);
 
       const pagination = {
@@ -739,6 +813,8 @@ class StepInstanceController {
         status: 'success',
         data: {
           tasks,
+          delegatedTasks,
+          delegatedTotal,
           pagination
         }
       });
@@ -820,6 +896,12 @@ class StepInstanceController {
         throw new AppError('You are not eligible to claim this task', 403);
       }
 
+      const processInstance = await ProcessInstance.findById(step.processInstanceId);
+      await separationOfDutiesService.assertAllowed(processInstance, step, req.user._id, {
+        performedBy: req.user,
+        action: 'claim'
+      });
+
       // Assign to current user
       step.assignedTo = req.user._id;
       step.assignedRole = null;
@@ -2,9 +2,10 @@ import User from '../models/User.js';
 import ProcessInstance from '../models/ProcessInstance.js';
 import StepInstance from '../models/StepInstance.js';
 import ProcessHistory from '../models/ProcessHistory.js';
+import workflowEngine from '../services/workflowEngine.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/helpers.js';
-import { DEFAULTS  } from '../utils/constants.js';
+import { PAGINATION } from '../utils/constants.js';
 
 class UserController {
   // Get all users with pagination and filtering
@@ -184,6 +185,16 @@ class UserController {
         throw new AppError('Only admins can assign admin role', 403);
       }
 
+      // Reporting lines decide who overdue tasks escalate to
+      if (req.user.role === 'user' &&
+          (updateData.profile?.manager !== undefined || updateData.profile?.isDepartmentHead !== undefined)) {
+        throw new AppError('Only admins and managers can change reporting lines', 403);
+      }
+
+      if (updateData.profile?.manager === id) {
+        throw new AppError('A user cannot be their own manager', 400);
+      }
+
       const user = await User.findById(id);
       if (!user) {
         throw new AppError('User not found', 404);
@@ -414,6 +425,133 @@ class UserController {
     }
   }
 
+  // Get a user's out-of-office delegations
+  async getDelegations(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Check permissions
+      const canView = req.user.role === 'admin' || 
+                     req.user.role === 'manager' ||
+                     req.user._id.toString() === id;
+
+      if (!canView) {
+        throw new AppError('Insufficient permissions', 403);
+      }
+
+      const user = await User.findById(id)
+        .select('delegations')
+        .populate('delegations.delegateTo', 'username email profile.firstName profile.lastName');
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      res.json({
+        status: 'success',
+        data: { delegations: user.delegations }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Add an out-of-office delegation; a delegation that has already started
+  // forwards the user's open tasks straight away
+  async createDelegation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { delegateTo, startDate, endDate, templateIds, categories, reason } = req.body;
+
+      // Check permissions
+      const canEdit = req.user.role === 'admin' || 
+                     req.user.role === 'manager' ||
+                     req.user._id.toString() === id;
+
+      if (!canEdit) {
+        throw new AppError('Insufficient permissions to manage delegations of this user', 403);
+      }
+
+      if (delegateTo === id) {
+        throw new AppError('A user cannot delegate to themselves', 400);
+      }
+
+      const [user, delegate] = await Promise.all([
+        User.findById(id),
+        User.findById(delegateTo)
+      ]);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+      if (!delegate || !delegate.isActive) {
+        throw new AppError('Invalid or inactive delegate', 400);
+      }
+
+      user.delegations.push({
+        delegateTo,
+        startDate,
+        endDate,
+        templateIds,
+        categories,
+        reason,
+        createdBy: req.user._id
+      });
+      await user.save();
+
+      const delegation = user.delegations[user.delegations.length - 1];
+      const forwardedTasks = new Date(startDate) <= new Date()
+        ? await workflowEngine.applyStartedDelegations({ userId: user._id })
+        : 0;
+
+      logger.info(`Delegation added for ${user.email} to ${delegate.email} by ${req.user.email}`);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Delegation created successfully',
+        data: { delegation, forwardedTasks }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove an out-of-office delegation. Tasks it already forwarded stay with the delegate.
+  async deleteDelegation(req, res, next) {
+    try {
+      const { id, delegationId } = req.params;
+
+      // Check permissions
+      const canEdit = req.user.role === 'admin' || 
+                     req.user.role === 'manager' ||
+                     req.user._id.toString() === id;
+
+      if (!canEdit) {
+        throw new AppError('Insufficient permissions to manage delegations of this user', 403);
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const delegation = user.delegations.id(delegationId);
+      if (!delegation) {
+        throw new AppError('Delegation not found', 404);
+      }
+
+      delegation.deleteOne();
+      await user.save();
+
+      logger.info(`Delegation removed for ${user.email} by ${req.user.email}`);
+
+      res.json({
+        status: 'success',
+        message: 'Delegation deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get user's tasks
   async getUserTasks(req, res, next) {
     try {
@@ -477,7 +615,7 @@ class UserController {
   async getDepartments(req, res, next) {
     try {
       const departments = await User.distinct('profile.department', {
-        'profile.department': { $ne: null, $ne: '' }
+        'profile.department': { $nin: [null, ''] }
       });
 
       res.json({
@@ -507,7 +645,7 @@ class UserController {
         User.aggregate([
           { 
             $match: { 
-              'profile.department': { $ne: null, $ne: '' } 
+              'profile.department': { $nin: [null, ''] } 
             } 
           },
           { 
@@ -21,6 +21,11 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400, 'VALIDATION_ERROR');
 };
 
+// A document changed between being read and written, or a transaction kept
+// conflicting with another one
+const handleVersionConflictDB = () =>
+  new AppError('The record was changed by another request. Reload it and try again.', 409, 'VERSION_CONFLICT');
+
 const handleJWTError = () =>
   new AppError('Invalid token. Please log in again!', 401, 'JWT_ERROR');
 
@@ -84,7 +89,7 @@ const sendErrorProd = (err, res) => {
 };
 
 // Main error handling middleware
-const errorHandler = (err, req, res, next) => {
+const errorHandler = (err, req, res, _next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -129,6 +134,7 @@ const errorHandler = (err, req, res, next) => {
   if (error.name === 'CastError') error = handleCastErrorDB(error);
   if (error.code === 11000) error = handleDuplicateFieldsDB(error);
   if (error.name === 'ValidationError') error = handleValidationErrorDB(error);
+  if (err.name === 'VersionError' || err.code === 112) error = handleVersionConflictDB();
   if (error.name === 'JsonWebTokenError') error = handleJWTError();
   if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
   if (error.name === 'MulterError') error = handleMulterError(error);
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { AppError } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+// How long a finished request's response is replayed
+const RESPONSE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long an unfinished request holds its key, e.g. after its server crashed
+const PROCESSING_TTL_MS = 5 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, url: req.originalUrl, body: req.body || {} }))
+    .digest('hex');
+};
+
+// Reserve the key for this request, or return the record of the request that holds it
+const reserveKey = async (req, key, requestHash) => {
+  try {
+    await IdempotencyKey.create({
+      key,
+      userId: req.user._id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt: new Date(Date.now() + PROCESSING_TTL_MS)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return IdempotencyKey.findOne({ userId: req.user._id, key });
+};
+
+// Store the response once it has been sent. Only successful responses are
+// replayed; any error, such as a version conflict, releases the key so the
+// request can be retried.
+const settleKey = async (req, res, key) => {
+  try {
+    const filter = { userId: req.user._id, key, status: 'processing' };
+
+    if (res.statusCode < 200 || res.statusCode >= 300 || res.locals.idempotentBody === undefined) {
+      await IdempotencyKey.deleteOne(filter);
+      return;
+    }
+
+    await IdempotencyKey.updateOne(filter, {
+      $set: {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: JSON.parse(JSON.stringify(res.locals.idempotentBody)),
+        expiresAt: new Date(Date.now() + RESPONSE_TTL_MS)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to store idempotent response:', error);
+  }
+};
+
+// Honor the Idempotency-Key header on mutation routes: the first request with
+// a key runs, later ones with the same key get its response back. Must run
+// after authentication, as keys are scoped to the user.
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new AppError(`Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`, 400, 'INVALID_IDEMPOTENCY_KEY');
+    }
+
+    const requestHash = hashRequest(req);
+    let existing = await reserveKey(req, key, requestHash);
+
+    // Take over a key whose request never finished
+    if (existing?.status === 'processing' && existing.expiresAt < new Date()) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' });
+      existing = await reserveKey(req, key, requestHash);
+    }
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        throw new AppError('Idempotency-Key was already used for a different request', 422, 'IDEMPOTENCY_KEY_REUSED');
+      }
+      if (existing.status === 'processing') {
+        throw new AppError('A request with this Idempotency-Key is still being processed', 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    const originalJson = res.json;
+    res.json = function(data) {
+      res.locals.idempotentBody = data;
+      return originalJson.call(this, data);
+    };
+    res.on('finish', () => settleKey(req, res, key));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  idempotency
+};
@@ -8,7 +8,7 @@ const devFormat = ':method :url :status :res[content-length] - :response-time ms
 const prodFormat = ':remote-addr - [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :response-time ms';
 
 // Skip logging for specific routes
-const skipRoutes = (req, res) => {
+const skipRoutes = (req) => {
   return req.url === '/health' || req.url === '/favicon.ico';
 };
 
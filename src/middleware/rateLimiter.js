@@ -45,7 +45,7 @@ const defaultOptions = {
   skip: (req) => {
     return req.path === '/health' || req.path === '/api/health';
   },
-  onLimitReached: (req, res, options) => {
+  onLimitReached: (req) => {
     logger.warn(`Rate limit reached for ${req.ip}`, {
       ip: req.ip,
       path: req.path,
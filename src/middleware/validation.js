@@ -1,4 +1,3 @@
-import Joi from 'joi';
 import mongoose from 'mongoose';
 import { AppError } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Working days, daily working hours and holidays used to count step time
+// limits and SLAs in working hours rather than wall-clock hours
+const businessCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // IANA time zone the working hours and holidays are in
+  timezone: {
+    type: String,
+    required: true,
+    default: 'UTC'
+  },
+  // Days of the week, 0 = Sunday
+  workingDays: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    default: [1, 2, 3, 4, 5]
+  },
+  workingHours: {
+    type: [{
+      _id: false,
+      start: {
+        type: String,
+        required: true
+      },
+      end: {
+        type: String,
+        required: true
+      }
+    }],
+    default: [{ start: '09:00', end: '17:00' }]
+  },
+  holidays: [{
+    _id: false,
+    // YYYY-MM-DD in the calendar's time zone
+    date: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    // Falls on the same month and day every year
+    recurring: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Departments whose steps use this calendar
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  // Used by templates and departments without a calendar of their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+businessCalendarSchema.index({ name: 1 }, { unique: true });
+businessCalendarSchema.index({ departments: 1, isActive: 1 });
+businessCalendarSchema.index({ isDefault: 1, isActive: 1 });
+
+export default mongoose.model('BusinessCalendar', businessCalendarSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Message delivered while no process was waiting for it, kept until a
+// matching message catch step is reached or it expires
+const eventMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  correlationKey: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['buffered', 'consumed'],
+    default: 'buffered'
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Catch step that took the message
+  consumedBy: {
+    processInstanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProcessInstance'
+    },
+    stepInstanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StepInstance'
+    }
+  },
+  consumedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+eventMessageSchema.index({ name: 1, correlationKey: 1, status: 1, createdAt: 1 });
+eventMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Atomically take the oldest unexpired message matching a filter, e.g. a
+// subscription's name and correlation key
+eventMessageSchema.statics.claim = function(filter, consumedBy) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { ...filter, status: 'buffered', expiresAt: { $gt: now } },
+    { $set: { status: 'consumed', consumedBy, consumedAt: now } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Put a claimed message back, e.g. when its catch step stopped waiting
+eventMessageSchema.statics.release = function(id) {
+  return this.updateOne(
+    { _id: id, status: 'consumed' },
+    { $set: { status: 'buffered' }, $unset: { consumedBy: 1, consumedAt: 1 } }
+  );
+};
+
+export default mongoose.model('EventMessage', eventMessageSchema);
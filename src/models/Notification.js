@@ -66,6 +66,19 @@ const notificationSchema = new mongoose.Schema({
   data: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  
+  // Email outbox for notifications raised by workflow transitions; the email
+  // goes out once the transition has committed
+  delivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed']
+    },
+    attempts: Number,
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date
   }
 }, {
   timestamps: true,
@@ -78,6 +91,7 @@ notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, priority: 1, createdAt: -1 });
 notificationSchema.index({ createdAt: -1 }); // For cleanup operations
+notificationSchema.index({ 'delivery.status': 1, createdAt: 1 }, { sparse: true });
 
 // Auto-delete notifications after 30 days
 notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
@@ -20,23 +20,38 @@ const processHistorySchema = new mongoose.Schema({
       'process_cancelled',
       'process_suspended',
       'process_resumed',
+      'process_error',
+      'process_migrated',
+      'process_rewound',
+      'process_restarted',
       'step_created',
       'step_started',
       'step_completed',
       'step_assigned',
       'step_reassigned',
+      'step_delegated',
       'step_escalated',
       'step_skipped',
       'step_failed',
+      'step_retried',
+      'step_reopened',
+      'step_compensated',
+      'step_compensation_failed',
+      'join_waiting',
+      'timer_fired',
+      'message_received',
+      'signal_received',
+      'subprocess_started',
+      'subprocess_completed',
       'comment_added',
       'attachment_added',
       'variable_updated'
     ]
   },
+  // Empty for actions the system takes on its own, such as timers and escalations
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   fromStatus: {
     type: String,
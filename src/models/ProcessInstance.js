@@ -19,7 +19,7 @@ const processInstanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'active', 'completed', 'cancelled', 'suspended'],
+    enum: ['draft', 'active', 'completed', 'cancelled', 'suspended', 'error'],
     default: 'draft'
   },
   priority: {
@@ -32,6 +32,15 @@ const processInstanceSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set on child processes started by a sub-process step
+  parentProcessInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessInstance'
+  },
+  parentStepInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StepInstance'
+  },
   currentSteps: [{
     type: String,
     trim: true
@@ -40,6 +49,11 @@ const processInstanceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Parallel join stepId -> incoming stepIds whose tokens have already arrived
+  joinArrivals: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   startDate: {
     type: Date
   },
@@ -96,6 +110,9 @@ const processInstanceSchema = new mongoose.Schema({
   }]
 }, {
   timestamps: true,
+  // Every save checks and bumps the version, so concurrent writers cannot
+  // silently overwrite each other
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -106,6 +123,7 @@ processInstanceSchema.index({ initiatedBy: 1, status: 1 });
 processInstanceSchema.index({ status: 1, priority: 1 });
 processInstanceSchema.index({ dueDate: 1, status: 1 });
 processInstanceSchema.index({ currentSteps: 1 });
+processInstanceSchema.index({ parentProcessInstanceId: 1, status: 1 });
 
 // Virtual for duration
 processInstanceSchema.virtual('duration').get(function() {
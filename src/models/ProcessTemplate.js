@@ -1,5 +1,58 @@
 import mongoose from 'mongoose';
 
+// When a timer fires: after a duration, at a date held in a process variable,
+// or at the next occurrence of a cron expression
+const timerDefinitionFields = {
+  type: {
+    type: String,
+    enum: ['duration', 'date', 'cron'],
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    min: 0
+  },
+  dateVariable: {
+    type: String,
+    trim: true
+  },
+  cron: {
+    type: String,
+    trim: true
+  }
+};
+
+const timerDefinitionSchema = new mongoose.Schema(timerDefinitionFields, { _id: false });
+
+const boundaryTimerSchema = new mongoose.Schema({
+  timerId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ...timerDefinitionFields,
+  // Interrupting timers cancel the task; others open their path alongside it
+  interrupting: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Maps a value into a variable: `source` is an expression evaluated against
+// the giving process, `target` names the variable set on the receiving one
+const variableMappingSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  target: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
 const stepSchema = new mongoose.Schema({
   stepId: {
     type: String,
@@ -16,7 +69,7 @@ const stepSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'start', 'end'],
+    enum: ['user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'inclusive', 'timer', 'subprocess', 'message_catch', 'signal_catch', 'start', 'end'],
     required: true
   },
   assigneeType: {
@@ -28,6 +81,18 @@ const stepSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // How a user task or decision picks its assignee among the users behind
+  // `assignees`, or elsewhere (initiator, previous performer, expression)
+  assignment: {
+    strategy: {
+      type: String,
+      enum: ['round_robin', 'least_loaded', 'skill_match', 'previous_performer', 'initiator', 'expression']
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
   formSchema: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -40,6 +105,9 @@ const stepSchema = new mongoose.Schema({
     type: Number, // in hours
     min: 0
   },
+  // Escalation of overdue tasks. Levels are applied one after the other,
+  // each `delay` hours (default: timeLimit) after the previous one; the first
+  // counts from the due date, or from when the task was created.
   escalation: {
     enabled: {
       type: Boolean,
@@ -49,11 +117,188 @@ const stepSchema = new mongoose.Schema({
       type: Number, // in hours
       min: 0
     },
+    // Shorthand for levels that notify: 'manager', 'department_head', a role or a user id
     escalateTo: [{
       type: String,
       trim: true
+    }],
+    levels: [{
+      _id: false,
+      // manager: the assignee's manager; department_head: the head of the
+      // task's department; role: everyone with a role; user: one user
+      target: {
+        type: String,
+        enum: ['manager', 'department_head', 'role', 'user'],
+        required: true
+      },
+      role: {
+        type: String,
+        trim: true
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      delay: {
+        type: Number, // in hours
+        min: 0
+      },
+      // notify the target, or hand the task over to it
+      action: {
+        type: String,
+        enum: ['notify', 'reassign'],
+        default: 'notify'
+      }
     }]
   },
+  // Wait condition for timer steps
+  timer: timerDefinitionSchema,
+  // Timers attached to user tasks
+  boundaryTimers: [boundaryTimerSchema],
+  // Run a user task once per item of a collection or per resolved assignee
+  multiInstance: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // collection: items from an expression; assignees: members of the step's users, roles or departments
+    source: {
+      type: String,
+      enum: ['collection', 'assignees'],
+      default: 'assignees'
+    },
+    collection: {
+      type: String,
+      trim: true
+    },
+    // Assign each instance to the user id held by its collection item
+    assignFromItem: {
+      type: Boolean,
+      default: false
+    },
+    sequential: {
+      type: Boolean,
+      default: false
+    },
+    completion: {
+      type: {
+        type: String,
+        enum: ['all', 'any', 'count', 'percentage'],
+        default: 'all'
+      },
+      count: {
+        type: Number,
+        min: 1
+      },
+      percentage: {
+        type: Number,
+        min: 1,
+        max: 100
+      },
+      // Only completions with this decision count towards the quorum
+      decision: {
+        type: String,
+        trim: true
+      }
+    },
+    // Variable receiving the tally once the activity finishes
+    outputVariable: {
+      type: String,
+      trim: true
+    }
+  },
+  // Handler run by service task steps; steps without one complete immediately
+  service: {
+    handler: {
+      type: String,
+      trim: true
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Variable receiving the handler's result; object results are merged when unset
+    outputVariable: {
+      type: String,
+      trim: true
+    },
+    retry: {
+      maxAttempts: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      backoff: {
+        type: String,
+        enum: ['fixed', 'exponential'],
+        default: 'exponential'
+      },
+      delaySeconds: {
+        type: Number,
+        min: 0,
+        default: 30
+      },
+      maxDelaySeconds: {
+        type: Number,
+        min: 0,
+        default: 3600
+      }
+    },
+    // Compensate the completed steps leading here once attempts run out
+    compensateOnFailure: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Handler that undoes a completed step's side effects when the process is
+  // cancelled or a later step fails for good
+  compensation: {
+    handler: {
+      type: String,
+      trim: true
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  // Message a message catch step waits for, matched on the correlation key
+  // expression evaluated when the step is reached
+  message: {
+    name: {
+      type: String,
+      trim: true
+    },
+    correlationKey: {
+      type: String,
+      trim: true
+    },
+    // Variable receiving the payload; object payloads are merged when unset
+    outputVariable: {
+      type: String,
+      trim: true
+    }
+  },
+  // Signal a signal catch step waits for; one signal wakes every waiting step
+  signal: {
+    name: {
+      type: String,
+      trim: true
+    },
+    outputVariable: {
+      type: String,
+      trim: true
+    }
+  },
+  // Published template run as a child process by sub-process steps
+  subProcess: {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProcessTemplate'
+    },
+    inputs: [variableMappingSchema],
+    outputs: [variableMappingSchema]
+  },
   nextSteps: [{
     condition: {
       type: String,
@@ -62,6 +307,16 @@ const stepSchema = new mongoose.Schema({
     stepId: {
       type: String,
       required: true
+    },
+    // Taken only when no other transition matches
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    // Taken only when the boundary timer with this id fires
+    timerId: {
+      type: String,
+      trim: true
     }
   }],
   position: {
@@ -121,8 +376,47 @@ const processTemplateSchema = new mongoose.Schema({
     required: {
       type: Boolean,
       default: false
+    },
+    // Constraints checked whenever the variable changes; min and max bound
+    // numbers and the length of strings
+    enum: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    min: Number,
+    max: Number,
+    pattern: String,
+    description: String
+  }],
+  // Separation of duties: whoever completed a `notPerformerOf` step may not
+  // work on `stepId`, and the other way round; `notInitiator` keeps the user
+  // who started the process off `stepId`
+  separationOfDuties: [{
+    _id: false,
+    stepId: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    notPerformerOf: [{
+      type: String,
+      trim: true
+    }],
+    notInitiator: {
+      type: Boolean,
+      default: false
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
     }
   }],
+  // Working calendar for step due dates, unless a department has its own
+  businessCalendarId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessCalendar'
+  },
   isActive: {
     type: Boolean,
     default: true
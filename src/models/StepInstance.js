@@ -44,7 +44,7 @@ const stepInstanceSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'start', 'end'],
+    enum: ['user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'inclusive', 'timer', 'subprocess', 'message_catch', 'signal_catch', 'start', 'end'],
     required: true
   },
   status: {
@@ -64,6 +64,12 @@ const stepInstanceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Assignee the task was forwarded from by an out-of-office delegation; they
+  // can still see it
+  delegatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   startDate: {
     type: Date
   },
@@ -73,6 +79,11 @@ const stepInstanceSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Working calendar the due date was counted in; none means wall-clock hours
+  businessCalendarId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessCalendar'
+  },
   formData: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -123,10 +134,23 @@ const stepInstanceSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // User escalated to; empty when a level escalated to a whole role
     escalatedTo: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
+    },
+    escalatedToRole: {
+      type: String,
+      trim: true
+    },
+    // Policy target of the level, and whether it notified or reassigned
+    target: {
+      type: String,
+      enum: ['manager', 'department_head', 'role', 'user']
+    },
+    action: {
+      type: String,
+      enum: ['notify', 'reassign']
     },
     escalatedAt: {
       type: Date,
@@ -137,16 +161,66 @@ const stepInstanceSchema = new mongoose.Schema({
       trim: true
     }
   }],
+  // Next level of the template's escalation policy and when it is due
+  nextEscalationLevel: {
+    type: Number,
+    min: 1
+  },
+  nextEscalationAt: {
+    type: Date
+  },
   completedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Multi-instance activity this instance belongs to, and its position in it
+  multiInstanceParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StepInstance'
+  },
+  loopIndex: {
+    type: Number,
+    min: 0
+  },
+  loopItem: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Tally kept on the activity instance of a multi-instance task
+  multiInstance: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Handler, attempts and last error of a service task
+  serviceExecution: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Undoing of a completed step: status (pending, completed or failed), what
+  // triggered it, attempts and the last error
+  compensation: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Message or signal a catch step is waiting for
+  eventSubscription: {
+    kind: {
+      type: String,
+      enum: ['message', 'signal']
+    },
+    name: String,
+    correlationKey: String
+  },
+  // Child process started by a sub-process step
+  childProcessInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessInstance'
+  },
   variables: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   }
 }, {
   timestamps: true,
+  // Every save checks and bumps the version, so concurrent writers cannot
+  // silently overwrite each other
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -154,9 +228,19 @@ const stepInstanceSchema = new mongoose.Schema({
 // Indexes
 stepInstanceSchema.index({ processInstanceId: 1, stepId: 1 });
 stepInstanceSchema.index({ assignedTo: 1, status: 1 });
+stepInstanceSchema.index({ delegatedFrom: 1, status: 1 }, { sparse: true });
 stepInstanceSchema.index({ status: 1, dueDate: 1 });
+stepInstanceSchema.index({ status: 1, nextEscalationAt: 1 });
 stepInstanceSchema.index({ assignedRole: 1, status: 1 });
 stepInstanceSchema.index({ assignedDepartment: 1, status: 1 });
+stepInstanceSchema.index({ multiInstanceParentId: 1, status: 1 });
+stepInstanceSchema.index({ processInstanceId: 1, 'compensation.status': 1 });
+stepInstanceSchema.index({
+  'eventSubscription.kind': 1,
+  'eventSubscription.name': 1,
+  'eventSubscription.correlationKey': 1,
+  status: 1
+}, { sparse: true });
 
 // Virtual for duration
 stepInstanceSchema.virtual('duration').get(function() {
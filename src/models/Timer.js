@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+
+const timerSchema = new mongoose.Schema({
+  processInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessInstance',
+    required: true
+  },
+  stepInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StepInstance',
+    required: true
+  },
+  stepId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Boundary timer id on the template step; empty for other kinds
+  timerId: {
+    type: String,
+    trim: true
+  },
+  // step: a timer step elapses; boundary: a timer on a task fires;
+  // service: a service task attempt is due; compensation: a completed step
+  // is due to be undone
+  kind: {
+    type: String,
+    enum: ['step', 'boundary', 'service', 'compensation'],
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'firing', 'fired', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  // Replica currently firing the timer and how long its claim holds
+  lockedBy: {
+    type: String,
+    trim: true
+  },
+  lockedUntil: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastError: {
+    type: String,
+    trim: true
+  },
+  firedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timerSchema.index({ status: 1, dueAt: 1 });
+timerSchema.index({ status: 1, lockedUntil: 1 });
+timerSchema.index({ processInstanceId: 1, status: 1 });
+timerSchema.index({ stepInstanceId: 1, status: 1 });
+
+// Atomically claim the next due timer so only one replica fires it. Claims
+// left behind by a crashed replica become claimable again once they expire.
+timerSchema.statics.claimNextDue = function(owner, lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', dueAt: { $lte: now } },
+        { status: 'firing', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'firing',
+        lockedBy: owner,
+        lockedUntil: new Date(now.getTime() + lockMs)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { dueAt: 1 } }
+  );
+};
+
+// Atomically claim a specific timer that is due, e.g. one scheduled to run now
+timerSchema.statics.claimById = function(id, owner, lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: id, status: 'scheduled', dueAt: { $lte: now } },
+    {
+      $set: {
+        status: 'firing',
+        lockedBy: owner,
+        lockedUntil: new Date(now.getTime() + lockMs)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Mark a claimed timer as fired, provided the claim is still ours
+timerSchema.methods.markFired = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'firing', lockedBy: this.lockedBy },
+    {
+      $set: { status: 'fired', firedAt: new Date() },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+};
+
+// Release a claimed timer after a failed attempt, retrying later or giving up
+timerSchema.methods.markFailed = function(error, retryAt, maxAttempts) {
+  const exhausted = this.attempts >= maxAttempts;
+
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'firing', lockedBy: this.lockedBy },
+    {
+      $set: {
+        status: exhausted ? 'failed' : 'scheduled',
+        dueAt: exhausted ? this.dueAt : retryAt,
+        lastError: error.message
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    }
+  );
+};
+
+export default mongoose.model('Timer', timerSchema);
@@ -127,6 +127,21 @@ const userSchema = new mongoose.Schema({
       trim: true,
       maxlength: [100, 'Position title too long']
     },
+    // Reporting line, used to escalate overdue tasks
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    isDepartmentHead: {
+      type: Boolean,
+      default: false
+    },
+    // Matched by skill-based task assignment
+    skills: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Skill name too long']
+    }],
     phone: {
       type: String,
       trim: true,
@@ -178,7 +193,51 @@ const userSchema = new mongoose.Schema({
     comments: { type: Boolean, default: true },
     escalations: { type: Boolean, default: true },
     systemNotifications: { type: Boolean, default: true }
-  }
+  },
+  
+  // Out-of-office rules: between the dates, tasks assigned to this user are
+  // forwarded to the delegate. Rules limited to templates or categories only
+  // forward tasks of processes matching one of them.
+  delegations: [{
+    delegateTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    templateIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProcessTemplate'
+    }],
+    categories: [{
+      type: String,
+      trim: true
+    }],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason too long']
+    },
+    // When the tasks already open at the start were forwarded
+    appliedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { 
@@ -250,36 +309,32 @@ userSchema.pre('save', async function(next) {
 
 // Fix: Enhanced password comparison
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  try {
-    // Check if account is locked
-    if (this.isLocked) {
-      throw new Error('Account is temporarily locked');
+  // Check if account is locked
+  if (this.isLocked) {
+    throw new Error('Account is temporarily locked');
+  }
+  
+  const isMatch = await bcrypt.compare(candidatePassword, this.password);
+  
+  if (isMatch) {
+    // Reset login attempts on successful login
+    if (this.loginAttempts > 0) {
+      this.loginAttempts = 0;
+      this.lockUntil = undefined;
+      await this.save();
     }
+    return true;
+  } else {
+    // Increment login attempts
+    this.loginAttempts += 1;
     
-    const isMatch = await bcrypt.compare(candidatePassword, this.password);
-    
-    if (isMatch) {
-      // Reset login attempts on successful login
-      if (this.loginAttempts > 0) {
-        this.loginAttempts = 0;
-        this.lockUntil = undefined;
-        await this.save();
-      }
-      return true;
-    } else {
-      // Increment login attempts
-      this.loginAttempts += 1;
-      
-      // Lock account after 5 failed attempts
-      if (this.loginAttempts >= 5) {
-        this.lockUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-      }
-      
-      await this.save();
-      return false;
+    // Lock account after 5 failed attempts
+    if (this.loginAttempts >= 5) {
+      this.lockUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
     }
-  } catch (error) {
-    throw error;
+    
+    await this.save();
+    return false;
   }
 };
 
@@ -337,6 +392,8 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'profile.department': 1, isActive: 1 });
+userSchema.index({ 'profile.department': 1, 'profile.isDepartmentHead': 1 });
+userSchema.index({ 'delegations.startDate': 1, 'delegations.appliedAt': 1 }, { sparse: true });
 userSchema.index({ lastLogin: -1 });
 userSchema.index({ passwordResetExpires: 1 }, { sparse: true });
 
@@ -0,0 +1,314 @@
+import express from 'express';
+import calendarController from '../controllers/calendarController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, validateObjectId, validateQuery } from '../middleware/validation.js';
+import {
+  createCalendarSchema,
+  updateCalendarSchema,
+  getCalendarsQuerySchema,
+  importHolidaysQuerySchema,
+  dueDateQuerySchema
+} from '../validators/calendarValidators.js';
+
+const router = express.Router();
+
+// iCalendar files are posted as they are rather than wrapped in JSON
+const icalendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BusinessCalendarInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone working hours and holidays are in
+ *           example: Europe/Berlin
+ *         workingDays:
+ *           type: array
+ *           description: Days of the week, 0 = Sunday
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           example: [1, 2, 3, 4, 5]
+ *         workingHours:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 example: '09:00'
+ *               end:
+ *                 type: string
+ *                 example: '17:00'
+ *         holidays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: '2026-12-25'
+ *               name:
+ *                 type: string
+ *               recurring:
+ *                 type: boolean
+ *                 description: Falls on the same month and day every year
+ *         departments:
+ *           type: array
+ *           description: Departments whose steps use this calendar instead of their template's
+ *           items:
+ *             type: string
+ *         isDefault:
+ *           type: boolean
+ *           description: Used by templates and departments without a calendar of their own
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   get:
+ *     summary: Get business calendars
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Business calendars retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateQuery(getCalendarsQuerySchema), 
+  calendarController.getCalendars
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   get:
+ *     summary: Get business calendar by ID
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Business calendar retrieved successfully
+ *       404:
+ *         description: Business calendar not found
+ */
+router.get('/:id', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateObjectId('id'), 
+  calendarController.getCalendarById
+);
+
+/**
+ * @swagger
+ * /api/calendars:
+ *   post:
+ *     summary: Create business calendar
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BusinessCalendarInput'
+ *               - required:
+ *                   - name
+ *     responses:
+ *       201:
+ *         description: Business calendar created successfully
+ *       400:
+ *         description: Validation error or invalid calendar
+ */
+router.post('/', 
+  authenticate, 
+  authorize('admin'), 
+  validate(createCalendarSchema), 
+  calendarController.createCalendar
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   put:
+ *     summary: Update business calendar
+ *     description: Due dates of steps already started are not recounted.
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BusinessCalendarInput'
+ *     responses:
+ *       200:
+ *         description: Business calendar updated successfully
+ *       400:
+ *         description: Validation error or invalid calendar
+ *       404:
+ *         description: Business calendar not found
+ */
+router.put('/:id', 
+  authenticate, 
+  authorize('admin'), 
+  validateObjectId('id'), 
+  validate(updateCalendarSchema), 
+  calendarController.updateCalendar
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}:
+ *   delete:
+ *     summary: Delete business calendar
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Business calendar deleted successfully
+ *       400:
+ *         description: Calendar is used by process templates
+ *       404:
+ *         description: Business calendar not found
+ */
+router.delete('/:id', 
+  authenticate, 
+  authorize('admin'), 
+  validateObjectId('id'), 
+  calendarController.deleteCalendar
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}/holidays/import:
+ *   post:
+ *     summary: Import holidays from an iCalendar file
+ *     description: Each event becomes a holiday for every day it covers; events repeating yearly become recurring holidays. Events with other recurrence rules are skipped and listed in the response.
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: replace
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Replace the calendar's holidays instead of adding to them
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Holidays imported; lists skipped events
+ *       400:
+ *         description: Not an iCalendar file
+ *       404:
+ *         description: Business calendar not found
+ */
+router.post('/:id/holidays/import', 
+  authenticate, 
+  authorize('admin'), 
+  validateObjectId('id'), 
+  validateQuery(importHolidaysQuerySchema), 
+  icalendarBody, 
+  calendarController.importHolidays
+);
+
+/**
+ * @swagger
+ * /api/calendars/{id}/due-date:
+ *   get:
+ *     summary: Work out when a time limit counted in the calendar runs out
+ *     tags: [Calendars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hours
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Working hours of the time limit
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: When the time limit starts; defaults to now
+ *     responses:
+ *       200:
+ *         description: Due date worked out successfully
+ *       404:
+ *         description: Business calendar not found
+ */
+router.get('/:id/due-date', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateObjectId('id'), 
+  validateQuery(dueDateQuerySchema), 
+  calendarController.getDueDate
+);
+
+export default router;
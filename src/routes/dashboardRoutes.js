@@ -63,6 +63,7 @@ router.get('/overview',
  * /api/dashboard/my-tasks:
  *   get:
  *     summary: Get current user's tasks
+ *     description: Tasks forwarded to the user by absent colleagues' delegations come back in `delegatedTasks`
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,140 @@
+import express from 'express';
+import eventController from '../controllers/eventController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate, validateQuery } from '../middleware/validation.js';
+import {
+  sendMessageSchema,
+  broadcastSignalSchema,
+  getBufferedMessagesQuerySchema
+} from '../validators/eventValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events/messages:
+ *   post:
+ *     summary: Deliver a message to the process waiting for it
+ *     description: The message completes the oldest message catch step of an active process with the same message name and correlation key. When no process is waiting, the message is buffered for a later catch step until it expires.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - correlationKey
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Message name catch steps wait for
+ *               correlationKey:
+ *                 type: string
+ *                 description: Value the catch step's correlation key expression must evaluate to
+ *               payload:
+ *                 description: Written to the output variable of the catch step, or merged into process variables when it is an object
+ *               ttlSeconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: How long to buffer the message when no process is waiting; 0 discards it
+ *     responses:
+ *       200:
+ *         description: Message delivered, or discarded when ttlSeconds is 0
+ *       202:
+ *         description: No process is waiting; the message has been buffered
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
+ */
+router.post('/messages', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  idempotency, 
+  validate(sendMessageSchema), 
+  eventController.sendMessage
+);
+
+/**
+ * @swagger
+ * /api/events/messages:
+ *   get:
+ *     summary: List buffered messages no process has caught yet
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: correlationKey
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Buffered messages retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/messages', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateQuery(getBufferedMessagesQuerySchema), 
+  eventController.getBufferedMessages
+);
+
+/**
+ * @swagger
+ * /api/events/signals:
+ *   post:
+ *     summary: Broadcast a signal to every process waiting for it
+ *     description: Signals are not buffered; only signal catch steps waiting at the time are woken.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Signal name catch steps wait for
+ *               payload:
+ *                 description: Written to the output variable of each catch step, or merged into process variables when it is an object
+ *     responses:
+ *       200:
+ *         description: Signal broadcast; lists the processes woken and any that failed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ */
+router.post('/signals', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  idempotency, 
+  validate(broadcastSignalSchema), 
+  eventController.broadcastSignal
+);
+
+export default router;
@@ -2,7 +2,7 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { generalLimiter } from '../middleware/rateLimiter.js';
 import { cache } from '../middleware/cache.js';
-import { validate, validateQuery, validateParams } from '../utils/validation.js';
+import { validateQuery, validateParams } from '../utils/validation.js';
 import { querySchemas, paramSchemas } from '../utils/validation.js';
 import notificationController from '../controllers/notificationController.js';
 import { catchAsync } from '../utils/helpers.js';
@@ -1,13 +1,15 @@
 import express from 'express';
 import processInstanceController from '../controllers/processInstanceController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { validate, validateObjectId, validateQuery } from '../middleware/validation.js';
 import {
   createProcessInstanceSchema,
   updateProcessInstanceSchema,
   getProcessInstancesQuerySchema,
   updateVariablesSchema,
-  addCommentSchema
+  rewindProcessSchema,
+  restartProcessSchema
 } from '../validators/processInstanceValidators.js';
 
 const router = express.Router();
@@ -29,12 +31,15 @@ const router = express.Router();
  *           type: string
  *         status:
  *           type: string
- *           enum: [draft, active, completed, cancelled, suspended]
+ *           enum: [draft, active, completed, cancelled, suspended, error]
  *         priority:
  *           type: string
  *           enum: [low, medium, high, critical]
  *         initiatedBy:
  *           type: string
+ *         parentProcessInstanceId:
+ *           type: string
+ *           description: Parent process when started by a sub-process step
  *         currentSteps:
  *           type: array
  *           items:
@@ -87,7 +92,7 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, active, completed, cancelled, suspended]
+ *           enum: [draft, active, completed, cancelled, suspended, error]
  *       - in: query
  *         name: priority
  *         schema:
@@ -161,6 +166,8 @@ router.get('/:id',
  *     tags: [Process Instances]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -188,6 +195,7 @@ router.get('/:id',
  *                 format: date-time
  *               variables:
  *                 type: object
+ *                 description: Initial variables. Defaults declared by the template are filled in, and values are checked against the declarations.
  *               tags:
  *                 type: array
  *                 items:
@@ -200,9 +208,12 @@ router.get('/:id',
  *         description: Process instance created successfully
  *       400:
  *         description: Validation error or template not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/', 
   authenticate, 
+  idempotency, 
   validate(createProcessInstanceSchema), 
   processInstanceController.createProcessInstance
 );
@@ -216,6 +227,7 @@ router.post('/',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -247,9 +259,12 @@ router.post('/',
  *         description: Process instance updated successfully
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.put('/:id', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   validate(updateProcessInstanceSchema), 
   processInstanceController.updateProcessInstance
@@ -264,6 +279,7 @@ router.put('/:id',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -276,9 +292,12 @@ router.put('/:id',
  *         description: Process cannot be started
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/start', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.startProcess
 );
@@ -292,6 +311,7 @@ router.post('/:id/start',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -313,10 +333,13 @@ router.post('/:id/start',
  *         description: Process cannot be suspended
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/suspend', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.suspendProcess
 );
@@ -330,6 +353,7 @@ router.post('/:id/suspend',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -342,10 +366,13 @@ router.post('/:id/suspend',
  *         description: Process cannot be resumed
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/resume', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.resumeProcess
 );
@@ -359,6 +386,7 @@ router.post('/:id/resume',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -380,13 +408,123 @@ router.post('/:id/resume',
  *         description: Process cannot be cancelled
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/cancel', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.cancelProcess
 );
 
+/**
+ * @swagger
+ * /api/process-instances/{id}/rewind:
+ *   post:
+ *     summary: Move a process token back to a step it has already passed
+ *     tags: [Process Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetStepId
+ *               - reason
+ *             properties:
+ *               targetStepId:
+ *                 type: string
+ *                 description: Step to move the token back to
+ *               fromStepId:
+ *                 type: string
+ *                 description: Step whose token moves; all tokens are withdrawn when omitted
+ *               variables:
+ *                 type: object
+ *                 description: Variables to correct while rewinding
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Process rewound; withdrawn tasks are cancelled and their assignees notified
+ *       400:
+ *         description: Process cannot be rewound to this step
+ *       404:
+ *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
+ */
+router.post('/:id/rewind', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  idempotency, 
+  validateObjectId('id'), 
+  validate(rewindProcessSchema), 
+  processInstanceController.rewindProcess
+);
+
+/**
+ * @swagger
+ * /api/process-instances/{id}/restart:
+ *   post:
+ *     summary: Restart a cancelled process from a chosen step
+ *     tags: [Process Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stepId
+ *               - reason
+ *             properties:
+ *               stepId:
+ *                 type: string
+ *                 description: Step to restart the process from
+ *               variables:
+ *                 type: object
+ *                 description: Variables to correct while restarting
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Process restarted successfully
+ *       400:
+ *         description: Process is not cancelled or the step cannot be restarted from
+ *       404:
+ *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
+ */
+router.post('/:id/restart', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  idempotency, 
+  validateObjectId('id'), 
+  validate(restartProcessSchema), 
+  processInstanceController.restartProcess
+);
+
 /**
  * @swagger
  * /api/process-instances/{id}/history:
@@ -413,7 +551,7 @@ router.post('/:id/cancel',
  *           default: 50
  *     responses:
  *       200:
- *         description: Process history retrieved successfully
+ *         description: Process history retrieved successfully; entries for sub-process steps link to the child process
  *       404:
  *         description: Process instance not found
  */
@@ -439,7 +577,7 @@ router.get('/:id/history',
  *           type: string
  *     responses:
  *       200:
- *         description: Current steps retrieved successfully
+ *         description: Current steps retrieved successfully; sub-process steps include their child process
  *       404:
  *         description: Process instance not found
  */
@@ -458,6 +596,7 @@ router.get('/:id/current-steps',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -474,6 +613,7 @@ router.get('/:id/current-steps',
  *             properties:
  *               variables:
  *                 type: object
+ *                 description: Values checked against the template's variable declarations
  *               merge:
  *                 type: boolean
  *                 default: true
@@ -481,11 +621,16 @@ router.get('/:id/current-steps',
  *     responses:
  *       200:
  *         description: Variables updated successfully
+ *       400:
+ *         description: Validation error, with a field, message and type for each invalid variable
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/variables', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   validate(updateVariablesSchema), 
   processInstanceController.updateVariables
@@ -500,6 +645,7 @@ router.post('/:id/variables',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -524,9 +670,12 @@ router.post('/:id/variables',
  *         description: Invalid file or validation error
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/attachments', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.addAttachment
 );
@@ -566,6 +715,7 @@ router.get('/:id/attachments',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -578,10 +728,13 @@ router.get('/:id/attachments',
  *         description: Cannot delete active process
  *       404:
  *         description: Process instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.delete('/:id', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   processInstanceController.deleteProcessInstance
 );
@@ -8,11 +8,16 @@ import {
   updateProcessTemplateSchema,
   getProcessTemplatesQuerySchema,
   publishTemplateSchema,
-  validateTemplateSchema
+  importBpmnQuerySchema,
+  templateDiffQuerySchema,
+  importTemplateBundleSchema,
+  migrateInstancesSchema
 } from '../validators/processTemplateValidators.js';
 
 const router = express.Router();
 
+const bpmnBody = express.text({ type: ['application/xml', 'text/xml', 'application/bpmn+xml'], limit: '5mb' });
+
 /**
  * @swagger
  * components:
@@ -41,16 +46,32 @@ const router = express.Router();
  *                 type: string
  *               type:
  *                 type: string
- *                 enum: [user_task, service_task, decision, parallel, exclusive, start, end]
+ *                 enum: [user_task, service_task, decision, parallel, exclusive, inclusive, timer, subprocess, message_catch, signal_catch, start, end]
  *               assigneeType:
  *                 type: string
  *                 enum: [user, role, department, auto]
+ *               assignment:
+ *                 type: object
+ *                 description: Strategy picking the assignee of user tasks and decisions
+ *                 properties:
+ *                   strategy:
+ *                     type: string
+ *                     enum: [round_robin, least_loaded, skill_match, previous_performer, initiator, expression]
+ *                   config:
+ *                     type: object
+ *               formSchema:
+ *                 type: object
+ *                 description: JSON Schema (draft-07) for the step's form data, enforced on completion and on saving drafts. Fields may carry a `label`, `options` (values or value/label pairs) and a `visibleWhen` expression; hidden fields are neither required nor kept.
  *         startStep:
  *           type: string
  *         endSteps:
  *           type: array
  *           items:
  *             type: string
+ *         variables:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProcessVariable'
  *         isActive:
  *           type: boolean
  *         isPublished:
@@ -60,6 +81,53 @@ const router = express.Router();
  *         createdAt:
  *           type: string
  *           format: date-time
+ *     GraphFinding:
+ *       type: object
+ *       properties:
+ *         rule:
+ *           type: string
+ *           example: UNREACHABLE_STEP
+ *         severity:
+ *           type: string
+ *           enum: [error, warning]
+ *         stepIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         message:
+ *           type: string
+ *     ProcessVariable:
+ *       type: object
+ *       description: Declaration of a process variable. Instances get the default when created, and every change to the variable is checked against its type and constraints.
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [string, number, boolean, date, object]
+ *           default: string
+ *         defaultValue:
+ *           description: Value set when an instance is created without one
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         enum:
+ *           type: array
+ *           description: Allowed values
+ *           items: {}
+ *         min:
+ *           type: number
+ *           description: Lowest number, or shortest string length
+ *         max:
+ *           type: number
+ *           description: Highest number, or longest string length
+ *         pattern:
+ *           type: string
+ *           description: Regular expression strings must match
+ *         description:
+ *           type: string
  */
 
 /**
@@ -125,6 +193,168 @@ router.get('/',
   processTemplateController.getProcessTemplates
 );
 
+/**
+ * @swagger
+ * /api/process-templates/service-handlers:
+ *   get:
+ *     summary: Get the handlers available to service task steps
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service task handlers retrieved successfully
+ */
+router.get('/service-handlers', 
+  authenticate, 
+  processTemplateController.getServiceHandlers
+);
+
+/**
+ * @swagger
+ * /api/process-templates/assignment-strategies:
+ *   get:
+ *     summary: Get the strategies steps can use to pick their assignee
+ *     description: A step's `assignment` names one of these with its `config`, e.g. `{ "strategy": "skill_match", "config": { "skills": ["sap"] } }`
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Assignment strategies retrieved successfully
+ */
+router.get('/assignment-strategies', 
+  authenticate, 
+  processTemplateController.getAssignmentStrategies
+);
+
+/**
+ * @swagger
+ * /api/process-templates/import/bpmn:
+ *   post:
+ *     summary: Import a process template from a BPMN 2.0 XML file
+ *     description: |
+ *       Start and end events, user and service tasks, exclusive, parallel and inclusive gateways,
+ *       sequence flows with conditions, default flows, timer intermediate events and timer boundary
+ *       events on user tasks are imported. Other tasks, sub-processes and intermediate events become
+ *       user tasks, complex and event-based gateways become inclusive and exclusive gateways, and
+ *       anything else is skipped. The report lists every element that was approximated or skipped.
+ *       The imported template goes through the same checks as a created one and is saved unpublished.
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Template name; defaults to the process name in the file
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           default: imported
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           default: 1.0.0
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return the converted template and report without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Dry run; the converted template and import report
+ *       201:
+ *         description: Process template imported; the template and import report
+ *       400:
+ *         description: INVALID_BPMN, or the converted template failed validation (the details include the import report)
+ */
+router.post('/import/bpmn', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateQuery(importBpmnQuerySchema), 
+  bpmnBody, 
+  processTemplateController.importBpmn
+);
+
+/**
+ * @swagger
+ * /api/process-templates/import:
+ *   post:
+ *     summary: Import a template bundle exported from another environment
+ *     description: |
+ *       The bundle's checksum must match its content. Users are matched by email unless
+ *       `mappings.users` maps their id in the exporting environment to a user here; roles and
+ *       departments can be renamed the same way. Calendars are reused by name or created, and
+ *       sub-process templates are matched by name and version. Conflicts (TEMPLATE_VERSION_EXISTS,
+ *       INVALID_TEMPLATE, UNKNOWN_USER, UNKNOWN_ROLE, UNKNOWN_SUBPROCESS) block the import; run with
+ *       `dryRun` to preview them. All versions and calendars are created in one transaction, and
+ *       imported versions are unpublished.
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bundle
+ *             properties:
+ *               bundle:
+ *                 type: object
+ *                 description: Bundle from GET /api/process-templates/{id}/export
+ *               mappings:
+ *                 type: object
+ *                 properties:
+ *                   users:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                     description: Exporting-environment user id to user id here
+ *                   roles:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                   departments:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *               skipExisting:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Leave versions that already exist alone instead of reporting them as conflicts
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Import preview with resolved dependencies, conflicts and warnings
+ *       201:
+ *         description: Template bundle imported; the created templates and calendars
+ *       400:
+ *         description: INVALID_BUNDLE, e.g. the checksum does not match
+ *       409:
+ *         description: IMPORT_CONFLICTS, with the preview in the error details
+ */
+router.post('/import', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validate(importTemplateBundleSchema), 
+  processTemplateController.importTemplateBundle
+);
+
 /**
  * @swagger
  * /api/process-templates/{id}:
@@ -192,6 +422,27 @@ router.get('/:id',
  *                   type: string
  *               variables:
  *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProcessVariable'
+ *               separationOfDuties:
+ *                 type: array
+ *                 description: Rules keeping the performers of some steps, or the initiator, off another step
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     stepId:
+ *                       type: string
+ *                     notPerformerOf:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     notInitiator:
+ *                       type: boolean
+ *                     description:
+ *                       type: string
+ *               businessCalendarId:
+ *                 type: string
+ *                 description: Business calendar step time limits are counted in, unless the step's department has its own
  *               tags:
  *                 type: array
  *                 items:
@@ -200,7 +451,7 @@ router.get('/:id',
  *       201:
  *         description: Process template created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or INVALID_PROCESS_GRAPH with the graph findings of error severity
  */
 router.post('/', 
   authenticate, 
@@ -244,11 +495,34 @@ router.post('/',
  *                 type: array
  *               variables:
  *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProcessVariable'
+ *               separationOfDuties:
+ *                 type: array
+ *                 description: Rules keeping the performers of some steps, or the initiator, off another step
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     stepId:
+ *                       type: string
+ *                     notPerformerOf:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     notInitiator:
+ *                       type: boolean
+ *                     description:
+ *                       type: string
+ *               businessCalendarId:
+ *                 type: string
+ *                 description: Business calendar step time limits are counted in, unless the step's department has its own
  *               tags:
  *                 type: array
  *     responses:
  *       200:
  *         description: Process template updated successfully
+ *       400:
+ *         description: Validation error, or INVALID_PROCESS_GRAPH with the graph findings of error severity
  *       404:
  *         description: Process template not found
  */
@@ -368,11 +642,117 @@ router.get('/:id/versions',
   processTemplateController.getTemplateVersions
 );
 
+/**
+ * @swagger
+ * /api/process-templates/{id}/diff:
+ *   get:
+ *     summary: Compare a template version with another version of the same template
+ *     description: |
+ *       Lists added, removed and modified steps, added, removed and changed transitions (conditions
+ *       and default flows), assignment changes, variable declaration changes and form schema field
+ *       changes, with a human-readable `summary` line per change. Layout positions are ignored.
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version to review
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Template ID or version number to compare with; defaults to the previous version
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text]
+ *           default: json
+ *         description: json for the structured diff, text for the summary as plain text
+ *     responses:
+ *       200:
+ *         description: Template diff
+ *       400:
+ *         description: NO_PREVIOUS_VERSION, or TEMPLATE_MISMATCH when `from` is another template
+ *       404:
+ *         description: Process template or version to compare with not found
+ */
+router.get('/:id/diff', 
+  authenticate, 
+  validateObjectId('id'), 
+  validateQuery(templateDiffQuerySchema), 
+  processTemplateController.getTemplateDiff
+);
+
+/**
+ * @swagger
+ * /api/process-templates/{id}/export/bpmn:
+ *   get:
+ *     summary: Export a process template as a BPMN 2.0 XML file
+ *     description: Steps are written as BPMN elements with diagram shapes at their positions, so the file opens in BPMN modelers. Settings BPMN has no place for, such as assignment rules and form schemas, are not exported.
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: BPMN file
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Process template not found
+ */
+router.get('/:id/export/bpmn', 
+  authenticate, 
+  validateObjectId('id'), 
+  processTemplateController.exportBpmn
+);
+
+/**
+ * @swagger
+ * /api/process-templates/{id}/export:
+ *   get:
+ *     summary: Export a template as a bundle for another environment
+ *     description: The bundle holds every version of the template and what their steps refer to (users, roles, departments, business calendars and sub-process templates), with a checksum over its content.
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template bundle
+ *       404:
+ *         description: Process template not found
+ */
+router.get('/:id/export', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateObjectId('id'), 
+  processTemplateController.exportTemplateBundle
+);
+
 /**
  * @swagger
  * /api/process-templates/{id}/validate:
  *   post:
  *     summary: Validate process template
+ *     description: Runs the publishing checks, including an analysis of the process graph. Graph findings carry a stable rule code - DUPLICATE_STEP_ID, MISSING_START_STEP, MISSING_END_STEP, NO_END_STEP, MISSING_STEP_REFERENCE, UNREACHABLE_STEP, DEAD_END, NO_PATH_TO_END, UNBOUNDED_LOOP, SINGLE_BRANCH_GATEWAY or JOIN_DEADLOCK.
  *     tags: [Process Templates]
  *     security:
  *       - bearerAuth: []
@@ -384,7 +764,29 @@ router.get('/:id/versions',
  *           type: string
  *     responses:
  *       200:
- *         description: Template is valid
+ *         description: Validation result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isValid:
+ *                       type: boolean
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     findings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GraphFinding'
  *       400:
  *         description: Template validation failed
  *       404:
@@ -438,6 +840,63 @@ router.get('/:id/instances',
   processTemplateController.getTemplateInstances
 );
 
+/**
+ * @swagger
+ * /api/process-templates/{id}/migrate-instances:
+ *   post:
+ *     summary: Migrate running instances of another version to this template version
+ *     tags: [Process Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Target template version
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceTemplateId
+ *             properties:
+ *               sourceTemplateId:
+ *                 type: string
+ *                 description: Template version the instances currently run on
+ *               instanceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Instances to migrate; defaults to all active and suspended ones
+ *               stepMapping:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Old stepId to new stepId; unmapped steps keep their stepId
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Report what would happen without changing anything
+ *     responses:
+ *       200:
+ *         description: Migration report with the instances migrated or blocked and why
+ *       400:
+ *         description: Templates are not versions of each other or the step mapping is invalid
+ *       404:
+ *         description: Process template not found
+ */
+router.post('/:id/migrate-instances', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  validateObjectId('id'), 
+  validate(migrateInstancesSchema), 
+  processTemplateController.migrateInstances
+);
+
 /**
  * @swagger
  * /api/process-templates/{id}:
@@ -2,7 +2,7 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { generalLimiter, reportLimiter } from '../middleware/rateLimiter.js';
 import { cacheReports } from '../middleware/cache.js';
-import { validate, validateQuery } from '../utils/validation.js';
+import { validateQuery } from '../utils/validation.js';
 import { querySchemas } from '../utils/validation.js';
 import reportController from '../controllers/reportController.js';
 import { catchAsync } from '../utils/helpers.js';
@@ -115,6 +115,7 @@ router.get('/user-workload',
  * /api/reports/sla-compliance:
  *   get:
  *     summary: Get SLA compliance report
+ *     description: Task figures are also broken down by the business calendar each due date was counted in, with how many working hours overdue and late tasks ran past their due date.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
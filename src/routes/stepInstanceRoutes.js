@@ -1,13 +1,16 @@
 import express from 'express';
 import stepInstanceController from '../controllers/stepInstanceController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { validate, validateObjectId, validateQuery } from '../middleware/validation.js';
 import {
   getStepInstancesQuerySchema,
   completeStepSchema,
+  saveDraftSchema,
   assignStepSchema,
   addCommentSchema,
-  escalateStepSchema
+  escalateStepSchema,
+  reopenStepSchema
 } from '../validators/stepInstanceValidators.js';
 
 const router = express.Router();
@@ -29,7 +32,7 @@ const router = express.Router();
  *           type: string
  *         type:
  *           type: string
- *           enum: [user_task, service_task, decision, parallel, exclusive, start, end]
+ *           enum: [user_task, service_task, decision, parallel, exclusive, inclusive, timer, subprocess, message_catch, signal_catch, start, end]
  *         status:
  *           type: string
  *           enum: [pending, in_progress, completed, skipped, failed, cancelled]
@@ -57,6 +60,20 @@ const router = express.Router();
  *           format: date-time
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       description: Client-chosen key; retrying a request with the same key returns the original response instead of running it again
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ */
+
 /**
  * @swagger
  * /api/step-instances:
@@ -112,7 +129,7 @@ const router = express.Router();
  *         name: type
  *         schema:
  *           type: string
- *           enum: [user_task, service_task, decision, parallel, exclusive]
+ *           enum: [user_task, service_task, decision, parallel, exclusive, inclusive, timer, subprocess]
  *       - in: query
  *         name: sortBy
  *         schema:
@@ -135,6 +152,72 @@ router.get('/',
   stepInstanceController.getStepInstances
 );
 
+/**
+ * @swagger
+ * /api/step-instances/my-tasks:
+ *   get:
+ *     summary: Get current user's assigned tasks
+ *     description: Tasks forwarded to the user by absent colleagues' delegations come back in `delegatedTasks` (first page only, with `delegatedTotal`)
+ *     tags: [Step Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, completed]
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: User tasks retrieved successfully
+ */
+router.get('/my-tasks', 
+  authenticate, 
+  stepInstanceController.getMyTasks
+);
+
+/**
+ * @swagger
+ * /api/step-instances/available:
+ *   get:
+ *     summary: Get available tasks for current user (by role/department)
+ *     tags: [Step Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Available tasks retrieved successfully
+ */
+router.get('/available', 
+  authenticate, 
+  stepInstanceController.getAvailableTasks
+);
+
 /**
  * @swagger
  * /api/step-instances/{id}:
@@ -170,6 +253,7 @@ router.get('/:id',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -190,23 +274,75 @@ router.get('/:id',
  *               decision:
  *                 type: string
  *                 description: Decision for decision type steps
+ *               variables:
+ *                 type: object
+ *                 description: Process variables the step sets, checked against the template's variable declarations
  *     responses:
  *       200:
  *         description: Step completed successfully
  *       400:
- *         description: Step cannot be completed or validation error
+ *         description: Step cannot be completed or validation error. Form data failing the step's form schema, or variables failing their declarations, are reported with a field, message and type for each invalid value.
  *       403:
- *         description: Not authorized to complete this step
+ *         description: Not authorized to complete this step, or SEPARATION_OF_DUTIES_VIOLATION when a separation-of-duties rule keeps the user off it
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/complete', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   validate(completeStepSchema), 
   stepInstanceController.completeStep
 );
 
+/**
+ * @swagger
+ * /api/step-instances/{id}/draft:
+ *   put:
+ *     summary: Save step form data as a draft
+ *     description: Stores form data on an open step without completing it. The data is checked against the step's form schema, except that required fields may still be missing.
+ *     tags: [Step Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - formData
+ *             properties:
+ *               formData:
+ *                 type: object
+ *                 description: Form data merged into the step's saved data
+ *     responses:
+ *       200:
+ *         description: Draft saved successfully
+ *       400:
+ *         description: Validation error, with a field, message and type for each invalid form field
+ *       403:
+ *         description: The step is assigned to another user
+ *       404:
+ *         description: Step instance not found
+ *       409:
+ *         description: Step is no longer open
+ */
+router.put('/:id/draft', 
+  authenticate, 
+  validateObjectId('id'), 
+  validate(saveDraftSchema), 
+  stepInstanceController.saveDraft
+);
+
 /**
  * @swagger
  * /api/step-instances/{id}/assign:
@@ -216,6 +352,7 @@ router.post('/:id/complete',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -249,12 +386,17 @@ router.post('/:id/complete',
  *         description: Step assigned successfully
  *       400:
  *         description: Invalid assignment or step cannot be assigned
+ *       403:
+ *         description: SEPARATION_OF_DUTIES_VIOLATION when a separation-of-duties rule keeps the user off the step
  *       404:
  *         description: Step instance or user not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/assign', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   validate(assignStepSchema), 
   stepInstanceController.assignStep
@@ -269,6 +411,7 @@ router.post('/:id/assign',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -291,12 +434,17 @@ router.post('/:id/assign',
  *         description: Step reassigned successfully
  *       400:
  *         description: Invalid reassignment
+ *       403:
+ *         description: SEPARATION_OF_DUTIES_VIOLATION when a separation-of-duties rule keeps the user off the step
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/reassign', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   stepInstanceController.reassignStep
 );
@@ -310,6 +458,7 @@ router.post('/:id/reassign',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -334,10 +483,13 @@ router.post('/:id/reassign',
  *         description: Step cannot be escalated
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/escalate', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   validate(escalateStepSchema), 
   stepInstanceController.escalateStep
@@ -352,6 +504,7 @@ router.post('/:id/escalate',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -366,9 +519,12 @@ router.post('/:id/escalate',
  *         description: Not authorized to start this step
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/start', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   stepInstanceController.startStep
 );
@@ -382,6 +538,7 @@ router.post('/:id/start',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -403,14 +560,67 @@ router.post('/:id/start',
  *         description: Step cannot be skipped
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/skip', 
   authenticate, 
   authorize('admin', 'manager'), 
+  idempotency, 
   validateObjectId('id'), 
   stepInstanceController.skipStep
 );
 
+/**
+ * @swagger
+ * /api/step-instances/{id}/reopen:
+ *   post:
+ *     summary: Re-open a completed or failed step
+ *     description: Withdraws the tokens that followed the step and activates it again; a failed service task is retried.
+ *     tags: [Step Instances]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 description: Variables to correct while re-opening
+ *               reason:
+ *                 type: string
+ *                 description: Reason for re-opening
+ *     responses:
+ *       200:
+ *         description: Step re-opened successfully
+ *       400:
+ *         description: Step cannot be re-opened
+ *       404:
+ *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
+ */
+router.post('/:id/reopen', 
+  authenticate, 
+  authorize('admin', 'manager'), 
+  idempotency, 
+  validateObjectId('id'), 
+  validate(reopenStepSchema), 
+  stepInstanceController.reopenStep
+);
+
 /**
  * @swagger
  * /api/step-instances/{id}/comments:
@@ -420,6 +630,7 @@ router.post('/:id/skip',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -448,9 +659,12 @@ router.post('/:id/skip',
  *         description: Validation error
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/comments', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   validate(addCommentSchema), 
   stepInstanceController.addComment
@@ -497,6 +711,7 @@ router.get('/:id/comments',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -521,9 +736,12 @@ router.get('/:id/comments',
  *         description: Invalid file or validation error
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/attachments', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   stepInstanceController.addAttachment
 );
@@ -554,71 +772,6 @@ router.get('/:id/attachments',
   stepInstanceController.getAttachments
 );
 
-/**
- * @swagger
- * /api/step-instances/my-tasks:
- *   get:
- *     summary: Get current user's assigned tasks
- *     tags: [Step Instances]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, in_progress, completed]
- *       - in: query
- *         name: overdue
- *         schema:
- *           type: boolean
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *     responses:
- *       200:
- *         description: User tasks retrieved successfully
- */
-router.get('/my-tasks', 
-  authenticate, 
-  stepInstanceController.getMyTasks
-);
-
-/**
- * @swagger
- * /api/step-instances/available:
- *   get:
- *     summary: Get available tasks for current user (by role/department)
- *     tags: [Step Instances]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *     responses:
- *       200:
- *         description: Available tasks retrieved successfully
- */
-router.get('/available', 
-  authenticate, 
-  stepInstanceController.getAvailableTasks
-);
-
 /**
  * @swagger
  * /api/step-instances/{id}/claim:
@@ -628,6 +781,7 @@ router.get('/available',
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -638,11 +792,16 @@ router.get('/available',
  *         description: Task claimed successfully
  *       400:
  *         description: Task cannot be claimed
+ *       403:
+ *         description: Not eligible to claim the task, or SEPARATION_OF_DUTIES_VIOLATION when a separation-of-duties rule keeps the user off it
  *       404:
  *         description: Step instance not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed, or the record changed concurrently
  */
 router.post('/:id/claim', 
   authenticate, 
+  idempotency, 
   validateObjectId('id'), 
   stepInstanceController.claimTask
 );
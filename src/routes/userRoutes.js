@@ -7,6 +7,7 @@ import {
   updateUserSchema,
   updateProfileSchema,
   changeUserStatusSchema,
+  createDelegationSchema,
   getUsersQuerySchema
 } from '../validators/userValidators.js';
 
@@ -144,6 +145,16 @@ router.get('/:id',
  *                     type: string
  *                   position:
  *                     type: string
+ *                   manager:
+ *                     type: string
+ *                     description: User overdue tasks of this user escalate to first
+ *                   isDepartmentHead:
+ *                     type: boolean
+ *                   skills:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Matched by skill-based task assignment
  *     responses:
  *       201:
  *         description: User created successfully
@@ -189,6 +200,7 @@ router.post('/',
  *                 enum: [admin, manager, user]
  *               profile:
  *                 type: object
+ *                 description: Only admins and managers can change manager and isDepartmentHead
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -414,6 +426,131 @@ router.get('/:id/tasks',
   userController.getUserTasks
 );
 
+/**
+ * @swagger
+ * /api/users/{id}/delegations:
+ *   get:
+ *     summary: Get a user's out-of-office delegations
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delegations retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/delegations', 
+  authenticate, 
+  validateObjectId('id'), 
+  userController.getDelegations
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/delegations:
+ *   post:
+ *     summary: Add an out-of-office delegation
+ *     description: Between the dates, tasks assigned to the user go to the delegate. Tasks already open when the delegation starts are forwarded too; the user can still see them.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegateTo
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               delegateTo:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               templateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only forward tasks of these templates (or of the categories)
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Delegation created successfully
+ *       400:
+ *         description: Invalid delegate or dates
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/delegations', 
+  authenticate, 
+  validateObjectId('id'), 
+  validate(createDelegationSchema), 
+  userController.createDelegation
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/delegations/{delegationId}:
+ *   delete:
+ *     summary: Remove an out-of-office delegation
+ *     description: Tasks the delegation already forwarded stay with the delegate
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: delegationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delegation deleted successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User or delegation not found
+ */
+router.delete('/:id/delegations/:delegationId', 
+  authenticate, 
+  validateObjectId('id'), 
+  validateObjectId('delegationId'), 
+  userController.deleteDelegation
+);
+
 /**
  * @swagger
  * /api/users/departments:
@@ -0,0 +1,158 @@
+import StepInstance from '../models/StepInstance.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/helpers.js';
+import { buildExpressionContext } from '../utils/expression.js';
+import roundRobin from './assignmentStrategies/roundRobin.js';
+import leastLoaded from './assignmentStrategies/leastLoaded.js';
+import skillMatch from './assignmentStrategies/skillMatch.js';
+import previousPerformer from './assignmentStrategies/previousPerformer.js';
+import initiator from './assignmentStrategies/initiator.js';
+import expression from './assignmentStrategies/expression.js';
+
+// Strategies a step's `assignment` can name to pick who works on it. Each
+// strategy is an object with a `name`, an optional `validate(config)`
+// returning error messages, and an async
+// `select(config, { processInstance, templateStep, context, getCandidates, countOpenTasks })`
+// resolving to `{ userId, reason }`, or null when it finds nobody.
+// `getCandidates()` lists the active users behind the step's assignees.
+class AssignmentService {
+  constructor() {
+    this.strategies = new Map();
+
+    [roundRobin, leastLoaded, skillMatch, previousPerformer, initiator, expression]
+      .forEach(strategy => this.register(strategy));
+  }
+
+  // Register a strategy, replacing any strategy with the same name
+  register(strategy) {
+    if (!strategy?.name || typeof strategy.select !== 'function') {
+      throw new Error('Assignment strategies need a name and a select function');
+    }
+    this.strategies.set(strategy.name, strategy);
+  }
+
+  // Check whether a strategy is registered
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  // Get a strategy by name
+  get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new AppError(`Unknown assignment strategy "${name}"`, 400, 'UNKNOWN_ASSIGNMENT_STRATEGY', { strategy: name });
+    }
+    return strategy;
+  }
+
+  // List registered strategies
+  list() {
+    return [...this.strategies.values()].map(strategy => ({
+      name: strategy.name,
+      description: strategy.description
+    }));
+  }
+
+  // Validate a strategy's configuration, returning error messages
+  validateConfig(name, config = {}) {
+    if (!this.has(name)) {
+      return [`Unknown assignment strategy "${name}"`];
+    }
+    const strategy = this.get(name);
+    return strategy.validate ? strategy.validate(config) : [];
+  }
+
+  // Active users a step can go to: the users, members of the roles or of the
+  // departments listed as its assignees, sorted by id
+  async getCandidates(templateStep) {
+    const assignees = templateStep.assignees || [];
+    if (assignees.length === 0) return [];
+
+    let query;
+    switch (templateStep.assigneeType) {
+      case 'role':
+        query = { role: { $in: assignees } };
+        break;
+      case 'department':
+        query = { 'profile.department': { $in: assignees } };
+        break;
+      case 'user':
+        query = { _id: { $in: assignees.filter(id => /^[0-9a-fA-F]{24}$/.test(id)) } };
+        break;
+      default:
+        return [];
+    }
+
+    return User.find({ ...query, isActive: true })
+      .select('_id role profile')
+      .sort({ _id: 1 });
+  }
+
+  // Count the pending and in-progress tasks of each user, keyed by user id
+  async countOpenTasks(userIds) {
+    const results = await StepInstance.aggregate([
+      { $match: { assignedTo: { $in: userIds }, status: { $in: ['pending', 'in_progress'] } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map(userIds.map(id => [id.toString(), 0]));
+    results.forEach(result => counts.set(result._id.toString(), result.count));
+    return counts;
+  }
+
+  // Pick the user a new step instance goes to with the step's strategy.
+  // Resolves to `{ userId, strategy, reason, candidates }`; `userId` is empty
+  // when the strategy found nobody active, so the step stays open to claim.
+  // Users in `exclusions` (kept off the step by separation of duties) are
+  // never picked.
+  async assign(processInstance, templateStep, { exclusions = new Map() } = {}) {
+    const { strategy: name, config = {} } = templateStep.assignment;
+    let candidates = null;
+
+    const getCandidates = async () => {
+      if (!candidates) {
+        candidates = (await this.getCandidates(templateStep))
+          .filter(user => !exclusions.has(user._id.toString()));
+      }
+      return candidates;
+    };
+
+    let selection;
+    try {
+      selection = await this.get(name).select(config, {
+        processInstance,
+        templateStep,
+        context: buildExpressionContext({ variables: processInstance.variables }),
+        getCandidates,
+        countOpenTasks: userIds => this.countOpenTasks(userIds)
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      logger.warn(`Assignment strategy "${name}" failed for step "${templateStep.stepId}": ${error.message}`);
+      return { userId: null, strategy: name, reason: error.message };
+    }
+
+    if (!selection?.userId) {
+      return { userId: null, strategy: name, reason: 'No matching user found' };
+    }
+
+    if (exclusions.has(selection.userId.toString())) {
+      return { userId: null, strategy: name, reason: `${selection.reason}, but separation of duties keeps the user off the step` };
+    }
+
+    const isActive = await User.exists({ _id: selection.userId, isActive: true });
+    if (!isActive) {
+      return { userId: null, strategy: name, reason: `${selection.reason}, but the user is not active` };
+    }
+
+    return {
+      userId: selection.userId,
+      strategy: name,
+      reason: selection.reason,
+      candidates: candidates?.length
+    };
+  }
+}
+
+export default new AssignmentService();
@@ -0,0 +1,29 @@
+import { evaluateExpression, validateExpression } from '../../utils/expression.js';
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Hand the step to the user id an expression over the process variables
+// yields, or to the `_id` of a user object held in a variable
+export default {
+  name: 'expression',
+  description: 'Pick the user id an expression returns',
+
+  validate(config = {}) {
+    if (typeof config.expression !== 'string' || !config.expression.trim()) {
+      return ['"expression" must be an expression returning a user id'];
+    }
+    return validateExpression(config.expression, { expectedType: null }).errors;
+  },
+
+  async select(config, { context }) {
+    const value = evaluateExpression(config.expression, context);
+    const userId = (value?._id ?? value?.id ?? value)?.toString();
+
+    if (!userId || !OBJECT_ID.test(userId)) return null;
+
+    return {
+      userId,
+      reason: `Expression "${config.expression}" returned ${userId}`
+    };
+  }
+};
@@ -0,0 +1,12 @@
+// Hand the step back to the user who started the process
+export default {
+  name: 'initiator',
+  description: 'Pick the user who started the process',
+
+  async select(config, { processInstance }) {
+    return {
+      userId: processInstance.initiatedBy,
+      reason: 'Started the process'
+    };
+  }
+};
@@ -0,0 +1,21 @@
+// Hand the step to the candidate with the fewest open tasks; ties go to the
+// first candidate
+export default {
+  name: 'least_loaded',
+  description: 'Pick the candidate with the fewest open tasks',
+
+  async select(config, { getCandidates, countOpenTasks }) {
+    const candidates = await getCandidates();
+    if (candidates.length === 0) return null;
+
+    const counts = await countOpenTasks(candidates.map(user => user._id));
+    const chosen = candidates.reduce((best, user) =>
+      (counts.get(user._id.toString()) < counts.get(best._id.toString()) ? user : best)
+    );
+
+    return {
+      userId: chosen._id,
+      reason: `Fewest open tasks (${counts.get(chosen._id.toString())}) among ${candidates.length} candidates`
+    };
+  }
+};
@@ -0,0 +1,29 @@
+import StepInstance from '../../models/StepInstance.js';
+
+// Hand the step to whoever completed an earlier step of the same process
+export default {
+  name: 'previous_performer',
+  description: 'Pick the user who completed an earlier step',
+
+  validate(config = {}) {
+    return typeof config.stepId === 'string' && config.stepId.trim()
+      ? []
+      : ['"stepId" must name the step whose performer gets the task'];
+  },
+
+  async select(config, { processInstance }) {
+    const previous = await StepInstance.findOne({
+      processInstanceId: processInstance._id,
+      stepId: config.stepId,
+      status: 'completed',
+      completedBy: { $ne: null }
+    }).sort({ endDate: -1 }).select('completedBy');
+
+    if (!previous) return null;
+
+    return {
+      userId: previous.completedBy,
+      reason: `Completed step "${config.stepId}"`
+    };
+  }
+};
@@ -0,0 +1,33 @@
+import ProcessHistory from '../../models/ProcessHistory.js';
+
+// Hand the step to each candidate in turn, continuing after whoever this
+// strategy gave the same step of the same template to last
+export default {
+  name: 'round_robin',
+  description: 'Rotate through the step\'s candidates',
+
+  async select(config, { processInstance, templateStep, getCandidates }) {
+    const candidates = await getCandidates();
+    if (candidates.length === 0) return null;
+
+    // The template is populated on instances that are just being started
+    const templateId = processInstance.processTemplateId?._id || processInstance.processTemplateId;
+    const last = await ProcessHistory.findOne({
+      action: 'step_assigned',
+      'metadata.strategy': 'round_robin',
+      'metadata.templateId': templateId,
+      'metadata.stepId': templateStep.stepId
+    }).sort({ timestamp: -1 }).select('metadata.newAssignee');
+
+    const lastId = last?.metadata?.newAssignee?.toString();
+    // Candidates are sorted by id, so the rotation survives users joining or leaving
+    const next = (lastId && candidates.find(user => user._id.toString() > lastId)) || candidates[0];
+
+    return {
+      userId: next._id,
+      reason: lastId
+        ? `Next in rotation of ${candidates.length} candidates after ${lastId}`
+        : `First in rotation of ${candidates.length} candidates`
+    };
+  }
+};
@@ -0,0 +1,54 @@
+const normalize = value => String(value ?? '').trim().toLowerCase();
+
+// Hand the step to a candidate whose profile has every listed skill and
+// matches every listed attribute (e.g. { position: 'Senior Accountant' }).
+// Among several matches the one with the fewest open tasks wins.
+export default {
+  name: 'skill_match',
+  description: 'Pick a candidate whose profile matches skills and attributes',
+
+  validate(config = {}) {
+    const errors = [];
+    const { skills, attributes } = config;
+
+    if (skills !== undefined &&
+        (!Array.isArray(skills) || skills.some(skill => typeof skill !== 'string'))) {
+      errors.push('"skills" must be a list of strings');
+    }
+    if (attributes !== undefined &&
+        (!attributes || typeof attributes !== 'object' || Array.isArray(attributes))) {
+      errors.push('"attributes" must be an object of profile fields to values');
+    }
+    if (!skills?.length && !Object.keys(attributes || {}).length) {
+      errors.push('Give at least one skill or attribute to match');
+    }
+    return errors;
+  },
+
+  async select(config, { getCandidates, countOpenTasks }) {
+    const skills = (config.skills || []).map(normalize);
+    const attributes = Object.entries(config.attributes || {});
+
+    const matches = (await getCandidates()).filter(user => {
+      const profile = user.profile || {};
+      const userSkills = (profile.skills || []).map(normalize);
+      return skills.every(skill => userSkills.includes(skill)) &&
+        attributes.every(([field, value]) => normalize(profile[field]) === normalize(value));
+    });
+    if (matches.length === 0) return null;
+
+    const counts = await countOpenTasks(matches.map(user => user._id));
+    const chosen = matches.reduce((best, user) =>
+      (counts.get(user._id.toString()) < counts.get(best._id.toString()) ? user : best)
+    );
+
+    const criteria = [
+      ...config.skills || [],
+      ...attributes.map(([field, value]) => `${field}=${value}`)
+    ].join(', ');
+    return {
+      userId: chosen._id,
+      reason: `Matches ${criteria}; fewest open tasks (${counts.get(chosen._id.toString())}) among ${matches.length} matching candidates`
+    };
+  }
+};
@@ -1,9 +1,7 @@
 import ProcessHistory from '../models/ProcessHistory.js';
 import User from '../models/User.js';
 import ProcessInstance from '../models/ProcessInstance.js';
-import StepInstance from '../models/StepInstance.js';
 import logger from '../utils/logger.js';
-import { HISTORY_ACTIONS } from '../utils/constants.js';
 
 class AuditService {
   // Log user action
@@ -80,6 +78,25 @@ class AuditService {
     }
   }
 
+  // Log security event, such as a blocked attempt to break a control
+  async logSecurityEvent(userId, event, details = {}) {
+    try {
+      const logEntry = {
+        type: 'security_event',
+        userId,
+        event,
+        timestamp: new Date(),
+        details
+      };
+
+      logger.warn('Security event logged:', logEntry);
+      return logEntry;
+    } catch (error) {
+      logger.error('Failed to log security event:', error);
+      throw error;
+    }
+  }
+
   // Generate audit report
   async generateAuditReport(filters = {}) {
     try {
@@ -335,7 +352,7 @@ class AuditService {
   }
 
   // Send security alert
-  async sendSecurityAlert(suspiciousActivities) {
+  async sendSecurityAlert(_suspiciousActivities) {
     try {
       const admins = await User.find({ role: 'admin', isActive: true });
       
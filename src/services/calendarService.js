@@ -0,0 +1,169 @@
+import BusinessCalendar from '../models/BusinessCalendar.js';
+import ProcessTemplate from '../models/ProcessTemplate.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import database from '../utils/database.js';
+import { AppError } from '../utils/helpers.js';
+import { addWorkingHours, getWorkingHoursBetween, validateCalendar } from '../utils/businessTime.js';
+import { parseHolidays } from '../utils/icalendar.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+class CalendarService {
+  // Calendar a step's time is counted in: its department's calendar, else the
+  // template's, else the default one. Null means wall-clock hours.
+  async resolveCalendar({ processTemplateId, department }) {
+    if (department) {
+      const calendar = await BusinessCalendar.findOne({ departments: department, isActive: true });
+      if (calendar) return calendar;
+    }
+
+    if (processTemplateId) {
+      const template = await ProcessTemplate.findById(processTemplateId).select('businessCalendarId');
+      if (template?.businessCalendarId) {
+        const calendar = await BusinessCalendar.findOne({ _id: template.businessCalendarId, isActive: true });
+        if (calendar) return calendar;
+      }
+    }
+
+    return BusinessCalendar.findOne({ isDefault: true, isActive: true });
+  }
+
+  // Calendar for a new step instance, using the assignee's department when
+  // the step is not assigned to a department directly
+  async resolveStepCalendar(processInstance, stepInstance) {
+    let department = stepInstance.assignedDepartment;
+    if (!department && stepInstance.assignedTo) {
+      const assignee = await User.findById(stepInstance.assignedTo).select('profile.department');
+      department = assignee?.profile?.department;
+    }
+
+    return this.resolveCalendar({
+      processTemplateId: processInstance.processTemplateId?._id || processInstance.processTemplateId,
+      department
+    });
+  }
+
+  // Instant `hours` working hours after `from`
+  addHours(calendar, from, hours) {
+    if (!calendar) {
+      return new Date(from.getTime() + hours * MS_PER_HOUR);
+    }
+    return addWorkingHours(calendar, from, hours);
+  }
+
+  // Working hours from `from` to `to`, negative when `to` comes first
+  hoursBetween(calendar, from, to) {
+    if (!calendar) {
+      return (to.getTime() - from.getTime()) / MS_PER_HOUR;
+    }
+    return getWorkingHoursBetween(calendar, from, to);
+  }
+
+  // Calendar by id, or null for wall-clock hours
+  async getCalendar(calendarId) {
+    return calendarId ? BusinessCalendar.findById(calendarId).lean() : null;
+  }
+
+  // Calendars by id, for working out many steps' hours at once
+  async getCalendarMap(ids) {
+    const unique = [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+    const calendars = await BusinessCalendar.find({ _id: { $in: unique } }).lean();
+    return new Map(calendars.map(calendar => [calendar._id.toString(), calendar]));
+  }
+
+  // Working hours a step has been past its due date, in the calendar its due
+  // date was counted in
+  getHoursOverdue(stepInstance, calendarMap, now = new Date()) {
+    const calendar = stepInstance.businessCalendarId
+      ? calendarMap.get(stepInstance.businessCalendarId.toString())
+      : null;
+    return Math.max(0, this.hoursBetween(calendar, stepInstance.dueDate, now));
+  }
+
+  // Reject calendar definitions no working time can be counted in
+  assertValidCalendar(calendar) {
+    const errors = validateCalendar(calendar);
+    if (errors.length > 0) {
+      throw new AppError('Invalid business calendar', 400, 'INVALID_CALENDAR', { errors });
+    }
+  }
+
+  // Make sure a calendar referenced by a template exists
+  async assertCalendarExists(calendarId) {
+    if (!calendarId) return;
+
+    const exists = await BusinessCalendar.exists({ _id: calendarId, isActive: true });
+    if (!exists) {
+      throw new AppError('Business calendar not found', 400, 'CALENDAR_NOT_FOUND');
+    }
+  }
+
+  // Validate and save a calendar, taking the default flag and its departments
+  // away from other calendars
+  async saveCalendar(calendar) {
+    this.assertValidCalendar(calendar);
+
+    return database.runInTransaction(async () => {
+      await calendar.save();
+      await this.releaseClaims(calendar);
+      return calendar;
+    }, 'business calendar save');
+  }
+
+  // Only one calendar is the default, and a department belongs to one calendar
+  async releaseClaims(calendar) {
+    if (calendar.isDefault) {
+      await BusinessCalendar.updateMany(
+        { _id: { $ne: calendar._id }, isDefault: true },
+        { $set: { isDefault: false } }
+      );
+    }
+
+    if (calendar.departments?.length) {
+      await BusinessCalendar.updateMany(
+        { _id: { $ne: calendar._id }, departments: { $in: calendar.departments } },
+        { $pull: { departments: { $in: calendar.departments } } }
+      );
+    }
+  }
+
+  // Add the holidays of an iCalendar file. With `replace` they replace the
+  // calendar's holidays, otherwise dates it already has are left alone.
+  async importHolidays(calendarId, ics, { replace = false } = {}, userId) {
+    const calendar = await BusinessCalendar.findById(calendarId);
+    if (!calendar) {
+      throw new AppError('Business calendar not found', 404);
+    }
+
+    if (!/BEGIN:VCALENDAR/i.test(ics)) {
+      throw new AppError('Not an iCalendar file', 400, 'INVALID_ICALENDAR');
+    }
+
+    const { holidays, skipped } = parseHolidays(ics);
+
+    const existing = replace ? [] : calendar.holidays.map(holiday => holiday.toObject());
+    const known = new Set(existing.map(holiday => holiday.date));
+    const added = [];
+    for (const holiday of holidays) {
+      if (known.has(holiday.date)) continue;
+      known.add(holiday.date);
+      added.push(holiday);
+    }
+
+    calendar.holidays = [...existing, ...added].sort((a, b) => a.date.localeCompare(b.date));
+    calendar.updatedBy = userId;
+    await calendar.save();
+
+    logger.info(`Imported ${added.length} holiday(s) into calendar ${calendar.name}`);
+
+    return {
+      calendar,
+      imported: added.length,
+      duplicates: holidays.length - added.length,
+      skipped
+    };
+  }
+}
+
+export default new CalendarService();
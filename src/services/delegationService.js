@@ -0,0 +1,77 @@
+import User from '../models/User.js';
+import ProcessTemplate from '../models/ProcessTemplate.js';
+
+// Delegates followed at most before giving up on a chain of absent users
+const MAX_DELEGATION_HOPS = 5;
+
+class DelegationService {
+  // Check whether a delegation is running at a time
+  isRunning(delegation, now = new Date()) {
+    return delegation.startDate <= now && now <= delegation.endDate;
+  }
+
+  // Check whether a delegation covers a process of a template. Rules limited
+  // to templates or categories cover processes matching any of them.
+  covers(delegation, template) {
+    const templateIds = delegation.templateIds || [];
+    const categories = delegation.categories || [];
+    if (templateIds.length === 0 && categories.length === 0) return true;
+    if (!template) return false;
+
+    return templateIds.some(id => id.toString() === template._id.toString()) ||
+      categories.includes(template.category);
+  }
+
+  // Find a user's delegation running now that covers a template
+  findDelegation(user, template, now = new Date()) {
+    return (user?.delegations || []).find(delegation =>
+      this.isRunning(delegation, now) && this.covers(delegation, template)
+    ) || null;
+  }
+
+  // Load the template a process runs, with the fields delegations match on
+  async getProcessTemplate(processInstance) {
+    const templateId = processInstance.processTemplateId?._id || processInstance.processTemplateId;
+    return templateId ? ProcessTemplate.findById(templateId).select('_id category') : null;
+  }
+
+  // Work out who a task for a user of a process goes to, following the
+  // delegate's own delegation when they are away too. Resolves to
+  // `{ delegateTo, delegatedFrom, delegationId }`, or null when the user is in.
+  async resolveDelegate(userId, processInstance, now = new Date()) {
+    const visited = new Set([userId.toString()]);
+    let template;
+    let current = userId;
+    let first = null;
+
+    for (let hop = 0; hop < MAX_DELEGATION_HOPS; hop++) {
+      const user = await User.findById(current).select('delegations');
+      if (!user?.delegations?.length) break;
+
+      if (template === undefined) {
+        template = await this.getProcessTemplate(processInstance);
+      }
+
+      const delegation = this.findDelegation(user, template, now);
+      if (!delegation || visited.has(delegation.delegateTo.toString())) break;
+
+      // Inactive delegates cannot take the task on
+      const delegate = await User.exists({ _id: delegation.delegateTo, isActive: true });
+      if (!delegate) break;
+
+      first = first || delegation;
+      current = delegation.delegateTo;
+      visited.add(current.toString());
+    }
+
+    if (!first) return null;
+
+    return {
+      delegateTo: current,
+      delegatedFrom: userId,
+      delegationId: first._id
+    };
+  }
+}
+
+export default new DelegationService();
@@ -32,7 +32,7 @@ class EmailService {
       });
 
       // Verify connection
-      this.transporter.verify((error, success) => {
+      this.transporter.verify((error) => {
         if (error) {
           logger.error('Email service initialization failed:', error);
         } else {
@@ -0,0 +1,145 @@
+import StepInstance from '../models/StepInstance.js';
+import EventMessage from '../models/EventMessage.js';
+import workflowEngine from './workflowEngine.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+class EventService {
+  // Deliver a message to the oldest catch step of an active process waiting
+  // for it. A message nobody waits for is buffered for `ttlSeconds` so a
+  // process that reaches its catch step later still gets it.
+  async deliverMessage({ name, correlationKey, payload, ttlSeconds }, userId) {
+    const key = String(correlationKey);
+
+    const delivery = await this.deliverToWaitingStep({ name, correlationKey: key, payload }, userId);
+    if (delivery) {
+      return delivery;
+    }
+
+    const ttl = Math.min(ttlSeconds ?? config.events.messageTtlSeconds, config.events.maxMessageTtlSeconds);
+    if (ttl <= 0) {
+      return { status: 'discarded' };
+    }
+
+    const message = await EventMessage.create({
+      name,
+      correlationKey: key,
+      payload,
+      sentBy: userId,
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    });
+
+    // A catch step reached while the message was being buffered missed it;
+    // hand it over now unless the step claimed it itself
+    const late = await this.deliverToWaitingStep({ name, correlationKey: key, payload, messageId: message._id }, userId);
+    if (late) {
+      return late;
+    }
+
+    logger.info(`Message "${name}" (${key}) buffered until ${message.expiresAt.toISOString()}`);
+
+    return {
+      status: 'buffered',
+      messageId: message._id,
+      expiresAt: message.expiresAt
+    };
+  }
+
+  // Complete the oldest catch step of an active process waiting for the
+  // message. A buffered message is claimed first so only one step gets it,
+  // and put back if that step turns out to have stopped waiting.
+  async deliverToWaitingStep({ name, correlationKey, payload, messageId }, userId) {
+    const waiting = await StepInstance.find({
+      status: 'in_progress',
+      'eventSubscription.kind': 'message',
+      'eventSubscription.name': name,
+      'eventSubscription.correlationKey': correlationKey
+    }).sort({ createdAt: 1 });
+
+    for (const stepInstance of waiting) {
+      if (messageId) {
+        const claimed = await EventMessage.claim({ _id: messageId }, {
+          processInstanceId: stepInstance.processInstanceId,
+          stepInstanceId: stepInstance._id
+        });
+        if (!claimed) {
+          return null;
+        }
+      }
+
+      const processInstance = await workflowEngine.receiveEvent(stepInstance._id, {
+        kind: 'message',
+        name,
+        correlationKey,
+        payload,
+        messageId
+      }, userId);
+
+      if (processInstance) {
+        logger.info(`Message "${name}" (${correlationKey}) delivered to process ${processInstance._id}`);
+        return {
+          status: 'delivered',
+          processInstanceId: processInstance._id,
+          stepInstanceId: stepInstance._id
+        };
+      }
+
+      if (messageId) {
+        await EventMessage.release(messageId);
+      }
+    }
+
+    return null;
+  }
+
+  // Wake every catch step waiting for a signal. Each process moves on in its
+  // own transaction, so one failing process does not hold back the others.
+  async broadcastSignal({ name, payload }, userId) {
+    const waiting = await StepInstance.find({
+      status: 'in_progress',
+      'eventSubscription.kind': 'signal',
+      'eventSubscription.name': name
+    }).sort({ createdAt: 1 });
+
+    const delivered = [];
+    const failed = [];
+    for (const stepInstance of waiting) {
+      try {
+        const processInstance = await workflowEngine.receiveEvent(stepInstance._id, {
+          kind: 'signal',
+          name,
+          payload
+        }, userId);
+
+        if (processInstance) {
+          delivered.push({ processInstanceId: processInstance._id, stepInstanceId: stepInstance._id });
+        }
+      } catch (error) {
+        logger.error(`Failed to deliver signal "${name}" to step ${stepInstance._id}:`, error);
+        failed.push({
+          processInstanceId: stepInstance.processInstanceId,
+          stepInstanceId: stepInstance._id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info(`Signal "${name}" woke ${delivered.length} of ${waiting.length} waiting step(s)`);
+
+    return { status: 'broadcast', delivered, failed };
+  }
+
+  // Buffered messages that have not been consumed or expired
+  async getBufferedMessages({ name, correlationKey } = {}) {
+    const filter = { status: 'buffered', expiresAt: { $gt: new Date() } };
+    if (name) filter.name = name;
+    if (correlationKey !== undefined) filter.correlationKey = String(correlationKey);
+
+    return EventMessage.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .lean();
+  }
+}
+
+export default new EventService();
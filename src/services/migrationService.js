@@ -0,0 +1,317 @@
+import ProcessInstance from '../models/ProcessInstance.js';
+import ProcessTemplate from '../models/ProcessTemplate.js';
+import StepInstance from '../models/StepInstance.js';
+import ProcessHistory from '../models/ProcessHistory.js';
+import Timer from '../models/Timer.js';
+import workflowEngine from './workflowEngine.js';
+import database from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/helpers.js';
+import { getStep, getIncomingStepIds, isJoin } from '../utils/processGraph.js';
+
+// Instances in these states can move to another template version
+const MIGRATABLE_STATUSES = ['active', 'suspended'];
+
+const OPEN_STEP_STATUSES = ['pending', 'in_progress'];
+
+class MigrationService {
+  // Move running instances from one version of a template to another. Steps
+  // keep their stepId unless `stepMapping` maps it to a different one. With
+  // `dryRun` nothing is changed and the report says what would happen.
+  async migrateInstances({ sourceTemplateId, targetTemplateId, instanceIds, stepMapping = {}, dryRun = false, userId }) {
+    const [source, target] = await Promise.all([
+      ProcessTemplate.findById(sourceTemplateId),
+      ProcessTemplate.findById(targetTemplateId)
+    ]);
+
+    if (!target) {
+      throw new AppError('Process template not found', 404);
+    }
+    if (!source) {
+      throw new AppError('Source process template not found', 404);
+    }
+    this.assertMigratable(source, target, stepMapping);
+
+    const query = { processTemplateId: source._id };
+    if (instanceIds?.length) {
+      query._id = { $in: instanceIds };
+    } else {
+      query.status = { $in: MIGRATABLE_STATUSES };
+    }
+    const instances = await ProcessInstance.find(query);
+
+    const results = (instanceIds || [])
+      .filter(id => !instances.some(instance => instance._id.toString() === id.toString()))
+      .map(id => ({
+        instanceId: id,
+        migratable: false,
+        migrated: false,
+        issues: [{ code: 'INSTANCE_NOT_FOUND', message: 'Instance not found on the source template' }]
+      }));
+
+    for (const instance of instances) {
+      let plan = await this.planMigration(instance, source, target, stepMapping);
+
+      if (plan.migratable && !dryRun) {
+        try {
+          plan = await database.runInTransaction(
+            () => this.applyMigration(instance._id, source, target, stepMapping, userId),
+            'process migration'
+          );
+        } catch (error) {
+          logger.error(`Failed to migrate process instance ${instance._id}:`, error);
+          plan.migratable = false;
+          plan.issues.push({ code: error.errorCode || 'MIGRATION_FAILED', message: error.message });
+        }
+      }
+
+      results.push(plan);
+    }
+
+    return {
+      dryRun,
+      sourceTemplate: { _id: source._id, name: source.name, version: source.version },
+      targetTemplate: { _id: target._id, name: target.name, version: target.version },
+      summary: {
+        total: results.length,
+        migratable: results.filter(result => result.migratable).length,
+        blocked: results.filter(result => !result.migratable).length,
+        migrated: results.filter(result => result.migrated).length
+      },
+      instances: results
+    };
+  }
+
+  // Reject migrations that can never work, whatever state the instances are in
+  assertMigratable(source, target, stepMapping) {
+    if (source._id.equals(target._id)) {
+      throw new AppError('Source and target are the same template version', 400, 'INVALID_MIGRATION');
+    }
+    if (source.name !== target.name) {
+      throw new AppError('Instances can only be migrated between versions of the same template', 400, 'INVALID_MIGRATION');
+    }
+    if (!target.isPublished || !target.isActive) {
+      throw new AppError('Target template version must be published and active', 400, 'INVALID_MIGRATION');
+    }
+
+    const unknownSourceSteps = Object.keys(stepMapping).filter(stepId => !getStep(source, stepId));
+    const unknownTargetSteps = Object.values(stepMapping).filter(stepId => !getStep(target, stepId));
+    if (unknownSourceSteps.length > 0 || unknownTargetSteps.length > 0) {
+      throw new AppError('Step mapping refers to unknown steps', 400, 'INVALID_STEP_MAPPING', {
+        unknownSourceSteps,
+        unknownTargetSteps
+      });
+    }
+  }
+
+  // Step in the target version that a source step moves to, or null
+  mapStepId(stepId, target, stepMapping) {
+    const targetStepId = stepMapping[stepId] ?? stepId;
+    return getStep(target, targetStepId) ? targetStepId : null;
+  }
+
+  // Work out how an instance would move and what stops it from moving
+  async planMigration(instance, source, target, stepMapping) {
+    const issues = [];
+    const addIssue = (code, stepId, message) => {
+      if (!issues.some(issue => issue.code === code && issue.stepId === stepId)) {
+        issues.push({ code, stepId, message });
+      }
+    };
+
+    if (!MIGRATABLE_STATUSES.includes(instance.status)) {
+      addIssue('INVALID_STATUS', undefined, `Only active or suspended instances can be migrated, not ${instance.status} ones`);
+    }
+
+    const openSteps = await StepInstance.find({
+      processInstanceId: instance._id,
+      status: { $in: OPEN_STEP_STATUSES }
+    });
+
+    const stepInstances = [];
+    for (const stepInstance of openSteps) {
+      const targetStepId = this.mapStepId(stepInstance.stepId, target, stepMapping);
+      const targetStep = targetStepId && getStep(target, targetStepId);
+      const sourceStep = getStep(source, stepInstance.stepId);
+
+      if (!targetStep) {
+        addIssue('UNMAPPED_STEP', stepInstance.stepId, `Open step "${stepInstance.stepId}" has no counterpart in the target version`);
+      } else if (targetStep.type !== stepInstance.type) {
+        addIssue('INCOMPATIBLE_STEP', stepInstance.stepId,
+          `Open step "${stepInstance.stepId}" is a ${stepInstance.type} but "${targetStepId}" is a ${targetStep.type}`);
+      } else if (Boolean(sourceStep?.multiInstance?.enabled) !== Boolean(targetStep.multiInstance?.enabled)) {
+        addIssue('INCOMPATIBLE_STEP', stepInstance.stepId,
+          `Open step "${stepInstance.stepId}" and "${targetStepId}" differ in being multi-instance`);
+      } else if (targetStepId !== stepInstance.stepId) {
+        stepInstances.push({ stepInstanceId: stepInstance._id, from: stepInstance.stepId, to: targetStepId });
+      }
+    }
+
+    const currentSteps = instance.currentSteps.map(stepId => {
+      const targetStepId = this.mapStepId(stepId, target, stepMapping);
+      if (!targetStepId) {
+        addIssue('UNMAPPED_STEP', stepId, `Step "${stepId}" holds a token but has no counterpart in the target version`);
+      }
+      return targetStepId;
+    });
+
+    // Tokens parked at a join must still be waiting at a join they lead into
+    const joinArrivals = {};
+    for (const [joinStepId, arrivals] of Object.entries(instance.joinArrivals || {})) {
+      const targetJoinId = this.mapStepId(joinStepId, target, stepMapping);
+      const targetJoin = targetJoinId && getStep(target, targetJoinId);
+      if (!targetJoin || !isJoin(target, targetJoin)) {
+        addIssue('INCOMPATIBLE_JOIN', joinStepId, `Tokens wait at join "${joinStepId}", which is not a join in the target version`);
+        continue;
+      }
+
+      const incoming = getIncomingStepIds(target, targetJoinId);
+      joinArrivals[targetJoinId] = arrivals.map(stepId => {
+        const targetStepId = this.mapStepId(stepId, target, stepMapping);
+        if (!incoming.includes(targetStepId)) {
+          addIssue('INCOMPATIBLE_JOIN', joinStepId,
+            `A token from "${stepId}" waits at join "${joinStepId}", but that branch does not lead into "${targetJoinId}" in the target version`);
+        }
+        return targetStepId;
+      });
+    }
+
+    return {
+      instanceId: instance._id,
+      name: instance.name,
+      status: instance.status,
+      migratable: issues.length === 0,
+      migrated: false,
+      issues,
+      changes: {
+        currentSteps: { from: [...instance.currentSteps], to: currentSteps },
+        joinArrivals,
+        stepInstances
+      }
+    };
+  }
+
+  // Move one instance to the target version. Runs in a transaction and
+  // re-plans against fresh data, as the instance may have moved on since.
+  async applyMigration(instanceId, source, target, stepMapping, userId) {
+    const instance = await ProcessInstance.findById(instanceId);
+    const plan = await this.planMigration(instance, source, target, stepMapping);
+    if (!plan.migratable) {
+      throw new AppError('Instance can no longer be migrated', 409, 'MIGRATION_BLOCKED', { issues: plan.issues });
+    }
+
+    const { currentSteps, joinArrivals, stepInstances } = plan.changes;
+
+    // Timers first, while open steps still carry their old stepIds
+    const timerChanges = await this.migrateTimers(instance, source, target, stepMapping);
+
+    for (const change of stepInstances) {
+      const targetStep = getStep(target, change.to);
+      await StepInstance.updateMany(
+        { processInstanceId: instance._id, stepId: change.from, status: { $in: OPEN_STEP_STATUSES } },
+        { $set: { stepId: change.to, name: targetStep.name } }
+      );
+    }
+
+    // Variables the new version declares with a default
+    const addedVariables = (target.variables || [])
+      .filter(variable => variable.defaultValue !== undefined && instance.variables?.[variable.name] === undefined)
+      .map(variable => variable.name);
+    if (addedVariables.length > 0) {
+      const defaults = Object.fromEntries((target.variables || [])
+        .filter(variable => addedVariables.includes(variable.name))
+        .map(variable => [variable.name, variable.defaultValue]));
+      instance.variables = { ...instance.variables, ...defaults };
+      instance.markModified('variables');
+    }
+
+    instance.processTemplateId = target._id;
+    instance.currentSteps = currentSteps.to;
+    instance.joinArrivals = joinArrivals;
+    instance.markModified('joinArrivals');
+    await instance.save();
+
+    await ProcessHistory.create({
+      processInstanceId: instance._id,
+      action: 'process_migrated',
+      performedBy: userId,
+      fromStatus: instance.status,
+      toStatus: instance.status,
+      comments: `Migrated from version ${source.version} to ${target.version}`,
+      metadata: {
+        fromTemplateId: source._id,
+        fromVersion: source.version,
+        toTemplateId: target._id,
+        toVersion: target.version,
+        currentSteps: plan.changes.currentSteps,
+        stepInstances,
+        addedVariables,
+        ...timerChanges
+      }
+    });
+
+    // The new version may let a waiting inclusive join through
+    if (instance.status === 'active') {
+      await workflowEngine.finishTransition(instance, target, userId);
+    }
+
+    logger.info(`Process instance migrated: ${instance.name} (${instance._id}) to v${target.version}`);
+
+    return { ...plan, migrated: true };
+  }
+
+  // Move scheduled timers to their new steps. Boundary timers the new version
+  // dropped are cancelled; ones it added are scheduled from when the step started.
+  async migrateTimers(instance, source, target, stepMapping) {
+    const cancelledTimers = [];
+    const scheduledTimers = [];
+
+    const timers = await Timer.find({ processInstanceId: instance._id, status: 'scheduled' });
+    for (const timer of timers) {
+      // Compensations undo steps the instance completed under the old version
+      if (timer.kind === 'compensation') continue;
+
+      const targetStepId = this.mapStepId(timer.stepId, target, stepMapping);
+      const targetStep = getStep(target, targetStepId);
+      const keep = timer.kind !== 'boundary' ||
+        (targetStep.boundaryTimers || []).some(boundaryTimer => boundaryTimer.timerId === timer.timerId);
+
+      timer.stepId = targetStepId;
+      if (!keep) {
+        timer.status = 'cancelled';
+        cancelledTimers.push(timer.timerId);
+      }
+      await timer.save();
+    }
+
+    const openSteps = await StepInstance.find({
+      processInstanceId: instance._id,
+      status: { $in: OPEN_STEP_STATUSES },
+      multiInstanceParentId: null
+    });
+    for (const stepInstance of openSteps) {
+      const targetStepId = this.mapStepId(stepInstance.stepId, target, stepMapping);
+      const targetStep = getStep(target, targetStepId);
+      const existing = (getStep(source, stepInstance.stepId)?.boundaryTimers || [])
+        .map(boundaryTimer => boundaryTimer.timerId);
+
+      for (const boundaryTimer of targetStep.boundaryTimers || []) {
+        if (existing.includes(boundaryTimer.timerId)) continue;
+
+        await Timer.create({
+          processInstanceId: instance._id,
+          stepInstanceId: stepInstance._id,
+          stepId: targetStepId,
+          timerId: boundaryTimer.timerId,
+          kind: 'boundary',
+          dueAt: workflowEngine.computeTimerDueDate(boundaryTimer, instance, stepInstance.startDate || stepInstance.createdAt)
+        });
+        scheduledTimers.push(boundaryTimer.timerId);
+      }
+    }
+
+    return { cancelledTimers, scheduledTimers };
+  }
+}
+
+export default new MigrationService();
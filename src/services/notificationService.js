@@ -5,6 +5,10 @@ import { AppError } from '../utils/helpers.js';
 import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITY } from '../utils/constants.js';
 import config from '../config/environment.js';
 
+// How long a replica's claim on an outbox email holds, and how often sending is tried
+const DELIVERY_LOCK_MS = 5 * 60 * 1000;
+const DELIVERY_MAX_ATTEMPTS = 5;
+
 class NotificationService {
   // Create a new notification
   async createNotification(notificationData) {
@@ -254,7 +258,7 @@ class NotificationService {
   }
 
   // Send email notification
-  async sendEmailNotification(notification) {
+  async sendEmailNotification(notification, options = {}) {
     try {
       // Populate user and related data
       await notification.populate('userId', 'email username profile notificationPreferences');
@@ -283,9 +287,62 @@ class NotificationService {
     } catch (error) {
       logger.error('Failed to send email notification:', error);
       // Don't throw error to prevent notification creation failure
+      if (options.throwOnError) {
+        throw error;
+      }
     }
   }
 
+  // Send the emails of outbox notifications. Each one is claimed atomically so
+  // it goes out once even with several replicas; claims left by a crashed
+  // replica expire and are picked up by the next sweep.
+  async deliverPending({ ids, limit = 100 } = {}) {
+    let delivered = 0;
+
+    for (let i = 0; i < limit; i++) {
+      const now = new Date();
+      const query = {
+        $or: [
+          { 'delivery.status': 'pending' },
+          { 'delivery.status': 'sending', 'delivery.lockedUntil': { $lt: now } }
+        ]
+      };
+      if (ids) {
+        query._id = { $in: ids };
+      }
+
+      const notification = await Notification.findOneAndUpdate(
+        query,
+        {
+          $set: {
+            'delivery.status': 'sending',
+            'delivery.lockedUntil': new Date(now.getTime() + DELIVERY_LOCK_MS)
+          },
+          $inc: { 'delivery.attempts': 1 }
+        },
+        { new: true, sort: { createdAt: 1 } }
+      );
+      if (!notification) {
+        break;
+      }
+
+      const update = { 'delivery.lockedUntil': null };
+      try {
+        await this.sendEmailNotification(notification, { throwOnError: true });
+        update['delivery.status'] = 'sent';
+        update['delivery.sentAt'] = new Date();
+        delivered++;
+      } catch (error) {
+        update['delivery.status'] = notification.delivery.attempts >= DELIVERY_MAX_ATTEMPTS ? 'failed' : 'pending';
+        update['delivery.lastError'] = error.message;
+      }
+
+      await Notification.updateOne({ _id: notification._id }, { $set: update });
+    }
+
+    return delivered;
+  }
+
   // Get preference key for notification type
   getTypePreferenceKey(type) {
     const typeMapping = {
@@ -5,8 +5,14 @@ import StepInstance from '../models/StepInstance.js';
 import User from '../models/User.js';
 import { PROCESS_STATUS, STEP_STATUS } from '../utils/constants.js';
 import notificationService from './notificationService.js';
+import workflowEngine from './workflowEngine.js';
+import calendarService from './calendarService.js';
 import config from '../config/environment.js';
 
+// Most timers fired per sweep, so one sweep cannot run into the next
+const TIMER_BATCH_SIZE = 100;
+const OUTBOX_BATCH_SIZE = 100;
+
 class SchedulerService {
   constructor() {
     this.jobs = new Map();
@@ -21,8 +27,11 @@ class SchedulerService {
     }
 
     try {
+      this.setupTimerJob();
+      this.setupNotificationOutboxJob();
       this.setupOverdueTasksJob();
       this.setupEscalationJob();
+      this.setupDelegationJob();
       this.setupCleanupJob();
       this.setupNotificationDigestJob();
       this.setupHealthCheckJob();
@@ -38,6 +47,42 @@ class SchedulerService {
     }
   }
 
+  // Fire due process timers every minute
+  setupTimerJob() {
+    const job = cron.schedule('* * * * *', async () => {
+      try {
+        await this.processDueTimers();
+      } catch (error) {
+        logger.error('Error processing due timers:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: config.app.timezone || 'UTC'
+    });
+
+    this.jobs.set('processTimers', job);
+    job.start();
+    logger.info('Process timer job scheduled (every minute)');
+  }
+
+  // Send outbox emails that were not delivered right after their transition committed
+  setupNotificationOutboxJob() {
+    const job = cron.schedule('* * * * *', async () => {
+      try {
+        await this.deliverOutboxNotifications();
+      } catch (error) {
+        logger.error('Error delivering outbox notifications:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: config.app.timezone || 'UTC'
+    });
+
+    this.jobs.set('notificationOutbox', job);
+    job.start();
+    logger.info('Notification outbox job scheduled (every minute)');
+  }
+
   // Check for overdue tasks every 15 minutes
   setupOverdueTasksJob() {
     const job = cron.schedule('*/15 * * * *', async () => {
@@ -74,6 +119,24 @@ class SchedulerService {
     logger.info('Task escalation job scheduled (every 30 minutes)');
   }
 
+  // Forward the open tasks of users whose out-of-office delegation has started, every 5 minutes
+  setupDelegationJob() {
+    const job = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.processStartedDelegations();
+      } catch (error) {
+        logger.error('Error processing started delegations:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: config.app.timezone || 'UTC'
+    });
+
+    this.jobs.set('taskDelegation', job);
+    job.start();
+    logger.info('Task delegation job scheduled (every 5 minutes)');
+  }
+
   // Cleanup old data daily at 2 AM
   setupCleanupJob() {
     const job = cron.schedule('0 2 * * *', async () => {
@@ -133,6 +196,24 @@ class SchedulerService {
     logger.debug('Health check job scheduled (every 5 minutes)');
   }
 
+  // Fire due timers, including service task attempts no replica has run yet
+  async processDueTimers() {
+    const fired = await workflowEngine.processDueTimers(TIMER_BATCH_SIZE);
+
+    if (fired > 0) {
+      logger.info(`Fired ${fired} process timers`);
+    }
+  }
+
+  // Send outbox notification emails
+  async deliverOutboxNotifications() {
+    const delivered = await notificationService.deliverPending({ limit: OUTBOX_BATCH_SIZE });
+
+    if (delivered > 0) {
+      logger.info(`Delivered ${delivered} outbox notifications`);
+    }
+  }
+
   // Check for overdue tasks
   async checkOverdueTasks() {
     logger.debug('Checking for overdue tasks...');
@@ -153,22 +234,27 @@ class SchedulerService {
 
     logger.info(`Found ${overdueTasks.length} overdue tasks`);
 
+    const calendars = await calendarService.getCalendarMap(overdueTasks.map(task => task.businessCalendarId));
+
     for (const task of overdueTasks) {
       try {
         // Mark as escalated to prevent duplicate notifications
         task.escalated = true;
         await task.save();
 
+        const hoursOverdue = calendarService.getHoursOverdue(task, calendars, currentDate);
+
         // Send overdue notification
         if (task.assignedTo) {
           await notificationService.createNotification({
             userId: task.assignedTo._id,
             type: 'task_overdue',
             title: 'Task Overdue',
-            message: `Task "${task.name}" is overdue`,
+            message: `Task "${task.name}" is overdue by ${hoursOverdue.toFixed(1)} working hours`,
             relatedStep: task._id,
             relatedProcess: task.processInstanceId._id,
-            priority: 'high'
+            priority: 'high',
+            data: { hoursOverdue, dueDate: task.dueDate }
           });
         }
 
@@ -179,62 +265,23 @@ class SchedulerService {
     }
   }
 
-  // Process task escalations
+  // Apply the escalation levels of overdue tasks that have come due
   async processTaskEscalations() {
     logger.debug('Processing task escalations...');
 
-    const currentDate = new Date();
-    const escalationThreshold = new Date(currentDate.getTime() - 2 * 60 * 60 * 1000); // 2 hours ago
-
-    // Find tasks that need escalation
-    const tasksToEscalate = await StepInstance.find({
-      status: { $in: [STEP_STATUS.PENDING, STEP_STATUS.IN_PROGRESS] },
-      dueDate: { $lt: escalationThreshold },
-      escalated: true,
-      escalationLevel: { $lt: 3 } // Max 3 escalation levels
-    }).populate('assignedTo processInstanceId');
-
-    if (tasksToEscalate.length === 0) {
+    const escalated = await workflowEngine.escalateOverdueTasks();
+    if (escalated === 0) {
       logger.debug('No tasks need escalation');
-      return;
     }
+  }
 
-    logger.info(`Found ${tasksToEscalate.length} tasks for escalation`);
+  // Forward the tasks already open when out-of-office delegations start
+  async processStartedDelegations() {
+    logger.debug('Processing started delegations...');
 
-    for (const task of tasksToEscalate) {
-      try {
-        const escalationLevel = (task.escalationLevel || 0) + 1;
-        
-        // Update escalation level
-        task.escalationLevel = escalationLevel;
-        await task.save();
-
-        // Find escalation target (manager or admin)
-        const escalationTargets = await User.find({
-          $or: [
-            { role: 'manager' },
-            { role: 'admin' }
-          ],
-          isActive: true
-        });
-
-        // Send escalation notifications
-        for (const target of escalationTargets) {
-          await notificationService.createNotification({
-            userId: target._id,
-            type: 'task_escalated',
-            title: `Task Escalated (Level ${escalationLevel})`,
-            message: `Task "${task.name}" has been escalated due to being overdue`,
-            relatedStep: task._id,
-            relatedProcess: task.processInstanceId._id,
-            priority: 'urgent'
-          });
-        }
-
-        logger.info(`Escalated task ${task._id} to level ${escalationLevel}`);
-      } catch (error) {
-        logger.error(`Failed to escalate task ${task._id}:`, error);
-      }
+    const forwarded = await workflowEngine.applyStartedDelegations();
+    if (forwarded === 0) {
+      logger.debug('No tasks need forwarding');
     }
   }
 
@@ -406,12 +453,21 @@ class SchedulerService {
     
     // Reinitialize the specific job
     switch (jobName) {
+      case 'processTimers':
+        this.setupTimerJob();
+        break;
+      case 'notificationOutbox':
+        this.setupNotificationOutboxJob();
+        break;
       case 'overdueTasksCheck':
         this.setupOverdueTasksJob();
         break;
       case 'taskEscalation':
         this.setupEscalationJob();
         break;
+      case 'taskDelegation':
+        this.setupDelegationJob();
+        break;
       case 'dailyCleanup':
         this.setupCleanupJob();
         break;
@@ -0,0 +1,102 @@
+import ProcessTemplate from '../models/ProcessTemplate.js';
+import StepInstance from '../models/StepInstance.js';
+import User from '../models/User.js';
+import auditService from './auditService.js';
+import { AppError } from '../utils/helpers.js';
+
+// Enforces a template's separation-of-duties rules. A rule keeps whoever
+// completed one of its `notPerformerOf` steps off its step and the other way
+// round, so the order the steps run in does not matter; `notInitiator` keeps
+// the user who started the process off the step.
+class SeparationOfDutiesService {
+  // Rules of a template that involve a step
+  getRules(template, stepId) {
+    return (template?.separationOfDuties || []).filter(rule =>
+      rule.stepId === stepId || (rule.notPerformerOf || []).includes(stepId)
+    );
+  }
+
+  // Users who may not work on a step of a process, keyed by id, with why
+  async getExclusions(processInstance, stepId, template = null) {
+    const exclusions = new Map();
+
+    if (!template) {
+      const templateId = processInstance.processTemplateId?._id || processInstance.processTemplateId;
+      template = await ProcessTemplate.findById(templateId).select('separationOfDuties');
+    }
+
+    const rules = this.getRules(template, stepId);
+    if (rules.length === 0) return exclusions;
+
+    const exclude = (userId, conflict) => {
+      const key = userId.toString();
+      if (!exclusions.has(key)) exclusions.set(key, []);
+      exclusions.get(key).push(conflict);
+    };
+
+    // Steps whose performers the rules keep off this step
+    const otherSteps = new Map();
+    rules.forEach(rule => {
+      const others = rule.stepId === stepId
+        ? (rule.notPerformerOf || []).filter(otherStepId => otherStepId !== stepId)
+        : [rule.stepId];
+      others.forEach(otherStepId => otherSteps.set(otherStepId, rule));
+
+      if (rule.stepId === stepId && rule.notInitiator && processInstance.initiatedBy) {
+        exclude(processInstance.initiatedBy, {
+          rule: rule.description,
+          reason: 'started the process'
+        });
+      }
+    });
+
+    if (otherSteps.size > 0) {
+      const performed = await StepInstance.find({
+        processInstanceId: processInstance._id,
+        stepId: { $in: [...otherSteps.keys()] },
+        status: 'completed',
+        completedBy: { $ne: null }
+      }).select('stepId completedBy').lean();
+
+      performed.forEach(step => {
+        exclude(step.completedBy, {
+          rule: otherSteps.get(step.stepId).description,
+          reason: `completed step "${step.stepId}"`,
+          stepId: step.stepId
+        });
+      });
+    }
+
+    return exclusions;
+  }
+
+  // Throw a 403 when a user may not work on a step. Admins attempting it, or
+  // handing the step to such a user, are logged as security events.
+  async assertAllowed(processInstance, stepInstance, userId, { performedBy = null, action = 'complete' } = {}) {
+    const exclusions = await this.getExclusions(processInstance, stepInstance.stepId);
+    const conflicts = exclusions.get(userId.toString());
+    if (!conflicts) return;
+
+    const actor = performedBy || await User.findById(userId).select('role email');
+    if (actor?.role === 'admin') {
+      await auditService.logSecurityEvent(actor._id, 'separation_of_duties_violation', {
+        action,
+        userId,
+        processInstanceId: processInstance._id,
+        stepInstanceId: stepInstance._id,
+        stepId: stepInstance.stepId,
+        conflicts
+      });
+    }
+
+    const subject = performedBy && !performedBy._id.equals(userId) ? 'The user' : 'You';
+    throw new AppError(
+      `Separation of duties: ${subject} ${conflicts[0].reason} and cannot also work on step "${stepInstance.stepId}"`,
+      403,
+      'SEPARATION_OF_DUTIES_VIOLATION',
+      { stepId: stepInstance.stepId, conflicts }
+    );
+  }
+}
+
+export default new SeparationOfDutiesService();
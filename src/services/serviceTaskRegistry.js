@@ -0,0 +1,59 @@
+import { AppError } from '../utils/helpers.js';
+import httpRequest from './serviceTasks/httpRequest.js';
+import emailSend from './serviceTasks/emailSend.js';
+import variablesSet from './serviceTasks/variablesSet.js';
+import script from './serviceTasks/script.js';
+
+// Handlers a service task step can name. Each handler is an object with a
+// `name`, an optional `validate(config)` returning error messages, and an
+// async `execute(config, { context, processInstance, stepInstance, templateStep, record })`
+// whose result is written to process variables. `record(details)` keeps
+// debugging details on the step instance's `serviceExecution`.
+class ServiceTaskRegistry {
+  constructor() {
+    this.handlers = new Map();
+
+    [httpRequest, emailSend, variablesSet, script].forEach(handler => this.register(handler));
+  }
+
+  // Register a handler, replacing any handler with the same name
+  register(handler) {
+    if (!handler?.name || typeof handler.execute !== 'function') {
+      throw new Error('Service task handlers need a name and an execute function');
+    }
+    this.handlers.set(handler.name, handler);
+  }
+
+  // Check whether a handler is registered
+  has(name) {
+    return this.handlers.has(name);
+  }
+
+  // Get a handler by name
+  get(name) {
+    const handler = this.handlers.get(name);
+    if (!handler) {
+      throw new AppError(`Unknown service task handler "${name}"`, 400, 'UNKNOWN_SERVICE_HANDLER', { handler: name });
+    }
+    return handler;
+  }
+
+  // List registered handlers
+  list() {
+    return [...this.handlers.values()].map(handler => ({
+      name: handler.name,
+      description: handler.description
+    }));
+  }
+
+  // Validate a handler's configuration, returning error messages
+  validateConfig(name, config = {}) {
+    if (!this.has(name)) {
+      return [`Unknown service task handler "${name}"`];
+    }
+    const handler = this.get(name);
+    return handler.validate ? handler.validate(config) : [];
+  }
+}
+
+export default new ServiceTaskRegistry();
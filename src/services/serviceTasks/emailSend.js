@@ -0,0 +1,34 @@
+import emailService from '../emailService.js';
+import { AppError } from '../../utils/helpers.js';
+import { renderValue } from '../../utils/expression.js';
+
+// Send an email; recipients, subject and body may use {{ expression }} placeholders
+export default {
+  name: 'email.send',
+  description: 'Send an email',
+
+  validate(config = {}) {
+    const errors = [];
+    if (!config.to) {
+      errors.push('"to" is required');
+    }
+    if (!config.subject) {
+      errors.push('"subject" is required');
+    }
+    if (!config.text && !config.html) {
+      errors.push('"text" or "html" is required');
+    }
+    return errors;
+  },
+
+  async execute(config, { context }) {
+    if (!emailService.transporter) {
+      throw new AppError('Email service is not configured', 503, 'EMAIL_UNAVAILABLE');
+    }
+
+    const { to, cc, subject, text, html } = renderValue(config, context);
+    const result = await emailService.sendEmail({ to, cc, subject, text, html });
+
+    return { messageId: result?.messageId };
+  }
+};
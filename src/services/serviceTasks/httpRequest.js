@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import config from '../../config/environment.js';
+import { AppError } from '../../utils/helpers.js';
+import { renderValue } from '../../utils/expression.js';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const AUTH_TYPES = ['bearer', 'hmac'];
+const HMAC_ALGORITHMS = ['sha256', 'sha512'];
+
+// Statuses worth another attempt; other error responses fail the step at once
+const DEFAULT_RETRY_ON = [408, 425, 429, 500, 502, 503, 504];
+
+// Headers that carry credentials and are never recorded
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+// Longest request or response body kept in the step's execution summary
+const MAX_SUMMARY_BODY_LENGTH = 4096;
+
+// Read a dotted path such as `body.items.0.id` from the response
+const readPath = (source, path) => {
+  return String(path).split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+  }, source);
+};
+
+// Addresses HTTP service tasks may not reach unless their host is listed by
+// name: loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Host names without the brackets of IPv6 literals
+const getHostName = url => url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+const matchesHost = (host, patterns) => {
+  return patterns.some(pattern => (pattern.startsWith('.') ? host.endsWith(pattern) : host === pattern));
+};
+
+const getSecret = (name, host) => {
+  const secret = config.serviceTasks.secrets[name];
+  if (!secret) {
+    throw new AppError(`Service secret "${name}" is not configured`, 400, 'SERVICE_SECRET_MISSING', { secret: name });
+  }
+
+  // Secrets only go to the hosts they were issued for
+  if (!matchesHost(host, config.serviceTasks.secretHosts[name] || [])) {
+    throw new AppError(
+      `Service secret "${name}" may not be sent to host "${host}"`,
+      400,
+      'SERVICE_SECRET_HOST_NOT_ALLOWED',
+      { secret: name, host }
+    );
+  }
+  return secret;
+};
+
+// Only listed hosts may be called when SERVICE_TASK_ALLOWED_HOSTS is set.
+// Internal addresses are refused either way unless the exact host name is listed.
+// Returns the checked addresses the request has to connect to, or null for
+// exactly listed hosts.
+const assertAllowedHost = async (url) => {
+  const { allowedHosts } = config.serviceTasks;
+  const host = getHostName(url);
+
+  if (allowedHosts.length > 0 && !matchesHost(host, allowedHosts)) {
+    throw new AppError(`Host "${host}" is not allowed for HTTP service tasks`, 400, 'HTTP_HOST_NOT_ALLOWED', { host });
+  }
+  if (allowedHosts.includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new AppError(`HTTP request failed: cannot resolve "${host}"`, 504, 'HTTP_REQUEST_FAILED', { host });
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new AppError(
+      `Host "${host}" resolves to an internal address and is not allowed for HTTP service tasks`,
+      400,
+      'HTTP_HOST_NOT_ALLOWED',
+      { host }
+    );
+  }
+  return addresses;
+};
+
+// Connects to the addresses checked above instead of resolving the host again,
+// so a DNS answer that changes after the check cannot reach internal addresses
+const createPinnedAgent = (addresses) => new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => {
+      if (options.all) {
+        callback(null, addresses);
+        return;
+      }
+      const [{ address, family }] = addresses;
+      callback(null, address, family);
+    }
+  }
+});
+
+// Add bearer or HMAC credentials from server-side secrets
+const applyAuth = (auth, headers, rawBody, host) => {
+  if (!auth) return;
+
+  const secret = getSecret(auth.secret, host);
+
+  if (auth.type === 'bearer') {
+    headers.Authorization = `Bearer ${secret}`;
+    return;
+  }
+
+  // HMAC signs "<timestamp>.<body>" so receivers can reject replayed requests
+  const algorithm = auth.algorithm || 'sha256';
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac(algorithm, secret)
+    .update(`${timestamp}.${rawBody || ''}`)
+    .digest('hex');
+
+  headers[auth.header || 'X-Signature'] = `${algorithm}=${signature}`;
+  headers[auth.timestampHeader || 'X-Signature-Timestamp'] = timestamp;
+};
+
+const redactHeaders = (headers) => {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    return [name, SENSITIVE_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value];
+  }));
+};
+
+const truncate = (text) => {
+  if (typeof text !== 'string' || text.length <= MAX_SUMMARY_BODY_LENGTH) return text;
+  return `${text.slice(0, MAX_SUMMARY_BODY_LENGTH)}... (${text.length - MAX_SUMMARY_BODY_LENGTH} more characters)`;
+};
+
+// Call an HTTP endpoint. Method, URL, headers and JSON body may use
+// {{ expression }} placeholders; `responseMapping` copies response fields into
+// variables; `auth` names a server-side secret used for bearer or HMAC auth,
+// which is only sent to the hosts the secret is bound to.
+export default {
+  name: 'http.request',
+  description: 'Call an HTTP endpoint and map its JSON response into variables',
+
+  validate(handlerConfig = {}) {
+    const errors = [];
+    const { url, method, headers = {}, auth, responseMapping, retryOn, timeoutMs } = handlerConfig;
+
+    if (!url) {
+      errors.push('"url" is required');
+    }
+    if (method && !METHODS.includes(String(method).toUpperCase()) && !String(method).includes('{{')) {
+      errors.push(`"method" must be one of ${METHODS.join(', ')}`);
+    }
+    Object.keys(headers).forEach(name => {
+      if (SENSITIVE_HEADERS.includes(name.toLowerCase())) {
+        errors.push(`Header "${name}" must not be set in the template; use "auth" with a server-side secret`);
+      }
+    });
+    if (auth) {
+      if (!AUTH_TYPES.includes(auth.type)) {
+        errors.push(`"auth.type" must be one of ${AUTH_TYPES.join(', ')}`);
+      }
+      if (!auth.secret) {
+        errors.push('"auth.secret" must name a server-side secret');
+      } else if (!config.serviceTasks.secrets[auth.secret]) {
+        errors.push(`Service secret "${auth.secret}" is not configured on the server`);
+      } else if (!config.serviceTasks.secretHosts[auth.secret]?.length) {
+        errors.push(`Service secret "${auth.secret}" is not bound to any host; set SERVICE_SECRET_${auth.secret}_HOSTS`);
+      }
+      if (auth.type === 'hmac' && auth.algorithm && !HMAC_ALGORITHMS.includes(auth.algorithm)) {
+        errors.push(`"auth.algorithm" must be one of ${HMAC_ALGORITHMS.join(', ')}`);
+      }
+    }
+    if (responseMapping && (typeof responseMapping !== 'object' || Array.isArray(responseMapping))) {
+      errors.push('"responseMapping" must map variable names to response paths such as "body.id"');
+    }
+    if (retryOn && (!Array.isArray(retryOn) || retryOn.some(status => !Number.isInteger(status)))) {
+      errors.push('"retryOn" must be a list of HTTP status codes');
+    }
+    if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+      errors.push('"timeoutMs" must be a positive integer');
+    }
+
+    return errors;
+  },
+
+  async execute(handlerConfig, { context, record = () => {} }) {
+    const rendered = renderValue({
+      method: handlerConfig.method || 'GET',
+      url: handlerConfig.url,
+      headers: handlerConfig.headers || {},
+      body: handlerConfig.body
+    }, context);
+
+    const method = String(rendered.method).toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new AppError(`Unsupported HTTP method "${method}"`, 400, 'HTTP_INVALID_REQUEST');
+    }
+
+    let url;
+    try {
+      url = new URL(rendered.url);
+    } catch (error) {
+      throw new AppError(`Invalid URL "${rendered.url}"`, 400, 'HTTP_INVALID_REQUEST');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new AppError(`Unsupported URL protocol "${url.protocol}"`, 400, 'HTTP_INVALID_REQUEST');
+    }
+    const addresses = await assertAllowedHost(url);
+
+    const hasBody = rendered.body !== undefined && method !== 'GET';
+    const rawBody = hasBody ? JSON.stringify(rendered.body) : undefined;
+    const headers = {
+      Accept: 'application/json',
+      ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
+      ...Object.fromEntries(Object.entries(rendered.headers).map(([name, value]) => [name, String(value ?? '')]))
+    };
+    applyAuth(handlerConfig.auth, headers, rawBody, getHostName(url));
+
+    const timeoutMs = handlerConfig.timeoutMs || config.serviceTasks.httpTimeout;
+    const summary = {
+      request: {
+        method,
+        url: url.toString(),
+        headers: redactHeaders(headers),
+        body: truncate(rawBody),
+        timeoutMs
+      }
+    };
+
+    const dispatcher = addresses ? createPinnedAgent(addresses) : undefined;
+    const startedAt = Date.now();
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: rawBody,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        dispatcher
+      });
+      text = await response.text();
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      summary.durationMs = Date.now() - startedAt;
+      summary.error = timedOut ? `Timed out after ${timeoutMs}ms` : error.message;
+      record({ http: summary });
+
+      throw new AppError(
+        timedOut ? `HTTP request timed out after ${timeoutMs}ms` : `HTTP request failed: ${error.message}`,
+        504,
+        'HTTP_REQUEST_FAILED',
+        { method, url: url.toString() }
+      );
+    } finally {
+      await dispatcher?.destroy();
+    }
+
+    let body = text;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+
+    summary.durationMs = Date.now() - startedAt;
+    summary.response = {
+      status: response.status,
+      headers: redactHeaders(Object.fromEntries(response.headers.entries())),
+      body: truncate(text)
+    };
+    record({ http: summary });
+
+    if (!response.ok) {
+      const retryable = (handlerConfig.retryOn || DEFAULT_RETRY_ON).includes(response.status);
+      // 5xx marks the failure as worth retrying; 4xx fails the step immediately
+      throw new AppError(
+        `HTTP ${response.status} from ${method} ${url}`,
+        retryable ? 502 : 424,
+        'HTTP_REQUEST_FAILED',
+        { method, url: url.toString(), status: response.status }
+      );
+    }
+
+    const result = { status: response.status, headers: summary.response.headers, body };
+
+    if (!handlerConfig.responseMapping) {
+      return { status: result.status, body };
+    }
+
+    return Object.fromEntries(
+      Object.entries(handlerConfig.responseMapping).map(([variable, path]) => [variable, readPath(result, path)])
+    );
+  }
+};
@@ -0,0 +1,37 @@
+import { evaluateExpression, validateExpression } from '../../utils/expression.js';
+
+// Compute variables with sandboxed expressions. Assignments run in order and
+// later expressions see the results of earlier ones.
+export default {
+  name: 'script',
+  description: 'Compute variables with expressions',
+
+  validate(config = {}) {
+    const errors = [];
+    const assignments = config.assignments;
+
+    if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) {
+      errors.push('"assignments" must be an object of variable names to expressions');
+      return errors;
+    }
+
+    Object.entries(assignments).forEach(([name, source]) => {
+      validateExpression(source, { expectedType: null }).errors.forEach(error => {
+        errors.push(`Assignment "${name}": ${error}`);
+      });
+    });
+    return errors;
+  },
+
+  async execute(config, { context }) {
+    const results = {};
+    const variables = { ...context.variables };
+
+    for (const [name, source] of Object.entries(config.assignments || {})) {
+      results[name] = evaluateExpression(source, { ...context, variables });
+      variables[name] = results[name];
+    }
+
+    return results;
+  }
+};
@@ -0,0 +1,19 @@
+import { renderValue } from '../../utils/expression.js';
+
+// Set process variables to fixed values; strings may use {{ expression }} placeholders
+export default {
+  name: 'variables.set',
+  description: 'Set process variables',
+
+  validate(config = {}) {
+    const errors = [];
+    if (!config.values || typeof config.values !== 'object' || Array.isArray(config.values)) {
+      errors.push('"values" must be an object of variable names to values');
+    }
+    return errors;
+  },
+
+  async execute(config, { context }) {
+    return renderValue(config.values || {}, context);
+  }
+};
@@ -0,0 +1,453 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ProcessTemplate from '../models/ProcessTemplate.js';
+import BusinessCalendar from '../models/BusinessCalendar.js';
+import User from '../models/User.js';
+import calendarService from './calendarService.js';
+import database from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { AppError, compareVersions } from '../utils/helpers.js';
+import { USER_ROLES } from '../utils/constants.js';
+
+// A bundle carries every version of a template with what its steps refer to:
+//
+//   {
+//     format: 'process-template-bundle',
+//     formatVersion: 1,
+//     exportedAt, exportedFrom,
+//     templates: [{ name, version, steps, ..., businessCalendarId }],
+//     dependencies: { users, roles, departments, calendars, subProcesses },
+//     checksum: 'sha256:...'
+//   }
+//
+// Ids inside the templates are those of the exporting environment; importing
+// resolves them against the importing one.
+
+const BUNDLE_FORMAT = 'process-template-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Template fields that travel; ids, owners and publication state stay behind
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'version', 'category', 'steps', 'startStep', 'endSteps',
+  'variables', 'separationOfDuties', 'businessCalendarId', 'tags'
+];
+
+// Calendars travel without their default flag and departments, which belong
+// to the environment they are in
+const CALENDAR_FIELDS = ['name', 'description', 'timezone', 'workingDays', 'workingHours', 'holidays'];
+
+const KNOWN_ROLES = Object.values(USER_ROLES);
+
+const ESCALATION_KEYWORDS = ['manager', 'department_head'];
+
+const isObjectId = value => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+// Plain JSON, as the bundle is sent and received, without database ids
+const toJson = value => JSON.parse(JSON.stringify(value, (key, item) => (
+  key === '_id' || key === '__v' ? undefined : item
+)));
+
+// Object keys sorted, so the same content always hashes the same
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+};
+
+// Checksum of everything in a bundle but the checksum itself
+const bundleChecksum = (bundle) => {
+  const { checksum, ...content } = bundle;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(sortKeys(content))).digest('hex');
+  return `sha256:${hash}`;
+};
+
+// Users, roles, departments and sub-process templates a step refers to
+const collectStepReferences = (step, references) => {
+  const assignees = step.assignees || [];
+  if (step.assigneeType === 'user') assignees.forEach(id => references.users.add(String(id)));
+  if (step.assigneeType === 'role') assignees.forEach(role => references.roles.add(role));
+  if (step.assigneeType === 'department') assignees.forEach(department => references.departments.add(department));
+
+  if (!step.escalation?.levels?.length) {
+    (step.escalation?.escalateTo || []).forEach(entry => {
+      if (ESCALATION_KEYWORDS.includes(entry)) return;
+      if (isObjectId(entry)) references.users.add(String(entry));
+      else references.roles.add(entry);
+    });
+  }
+  (step.escalation?.levels || []).forEach(level => {
+    if (level.target === 'user' && level.userId) references.users.add(String(level.userId));
+    if (level.target === 'role' && level.role) references.roles.add(level.role);
+  });
+
+  if (step.subProcess?.templateId) {
+    references.subProcesses.add(String(step.subProcess.templateId));
+  }
+};
+
+// A copy of a step with its references replaced through `resolve`
+const rewriteStep = (step, resolve) => {
+  const rewritten = { ...step };
+
+  if (['user', 'role', 'department'].includes(step.assigneeType)) {
+    rewritten.assignees = (step.assignees || []).map(value => resolve[step.assigneeType](value));
+  }
+
+  if (step.escalation) {
+    rewritten.escalation = {
+      ...step.escalation,
+      escalateTo: (step.escalation.escalateTo || []).map(entry => {
+        if (ESCALATION_KEYWORDS.includes(entry)) return entry;
+        return isObjectId(entry) ? resolve.user(entry) : resolve.role(entry);
+      }),
+      levels: (step.escalation.levels || []).map(level => ({
+        ...level,
+        ...(level.userId && { userId: resolve.user(level.userId) }),
+        ...(level.role && { role: resolve.role(level.role) })
+      }))
+    };
+  }
+
+  if (step.subProcess?.templateId) {
+    rewritten.subProcess = { ...step.subProcess, templateId: resolve.subProcess(step.subProcess.templateId) };
+  }
+
+  return rewritten;
+};
+
+class TemplateBundleService {
+  // Bundle every version of a template with the users, roles, departments,
+  // calendars and sub-process templates its steps refer to
+  async exportBundle(templateId) {
+    const template = await ProcessTemplate.findById(templateId);
+    if (!template) {
+      throw new AppError('Process template not found', 404);
+    }
+
+    const versions = (await ProcessTemplate.find({ name: template.name }).lean())
+      .sort((a, b) => compareVersions(a.version, b.version));
+
+    const references = { users: new Set(), roles: new Set(), departments: new Set(), subProcesses: new Set() };
+    versions.forEach(version => (version.steps || []).forEach(step => collectStepReferences(step, references)));
+    const calendarIds = [...new Set(versions.map(version => version.businessCalendarId).filter(Boolean).map(String))];
+
+    const [users, calendars, subProcesses] = await Promise.all([
+      User.find({ _id: { $in: [...references.users].filter(isObjectId) } })
+        .select('email username profile.firstName profile.lastName')
+        .lean(),
+      BusinessCalendar.find({ _id: { $in: calendarIds } }).lean(),
+      ProcessTemplate.find({ _id: { $in: [...references.subProcesses].filter(isObjectId) } })
+        .select('name version')
+        .lean()
+    ]);
+
+    const bundle = toJson({
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      exportedAt: new Date(),
+      exportedFrom: process.env.API_BASE_URL || null,
+      templates: versions.map(version => Object.fromEntries(
+        TEMPLATE_FIELDS
+          .filter(field => version[field] !== undefined)
+          .map(field => [field, version[field]])
+      )),
+      dependencies: {
+        users: [...references.users].map(id => {
+          const user = users.find(candidate => candidate._id.toString() === id);
+          return {
+            id,
+            email: user?.email || null,
+            username: user?.username || null,
+            name: user ? `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim() : null
+          };
+        }),
+        roles: [...references.roles],
+        departments: [...references.departments],
+        calendars: calendars.map(calendar => ({
+          id: calendar._id,
+          ...Object.fromEntries(CALENDAR_FIELDS.map(field => [field, calendar[field]]))
+        })),
+        subProcesses: [...references.subProcesses].map(id => {
+          const subProcess = subProcesses.find(candidate => candidate._id.toString() === id);
+          return { id, name: subProcess?.name || null, version: subProcess?.version || null };
+        })
+      }
+    });
+    bundle.checksum = bundleChecksum(bundle);
+
+    return bundle;
+  }
+
+  // Import a bundle. Every version and calendar is created in one transaction,
+  // or nothing is. Users are matched by email unless `mappings.users` maps
+  // their exporting-environment id to a user here; `mappings.roles` and
+  // `mappings.departments` rename roles and departments. Versions that
+  // already exist are conflicts, or are left alone with `skipExisting`.
+  // With `dryRun`, or when there are conflicts, nothing is created and the
+  // plan says what would happen.
+  async importBundle({ bundle, mappings = {}, skipExisting = false, dryRun = false, userId }) {
+    this.assertValidBundle(bundle);
+
+    const plan = await this.planImport(bundle, mappings, skipExisting, userId);
+
+    if (dryRun) {
+      return plan;
+    }
+    if (plan.conflicts.length > 0) {
+      throw new AppError('The bundle cannot be imported until its conflicts are resolved', 409, 'IMPORT_CONFLICTS', plan);
+    }
+
+    const created = await database.runInTransaction(
+      () => this.applyImport(bundle, plan, userId),
+      'template bundle import'
+    );
+
+    logger.info(`Template bundle imported: ${created.templates.map(template => `${template.name} v${template.version}`).join(', ') || 'no new versions'}`);
+
+    return { ...plan, dryRun: false, created };
+  }
+
+  // Reject bundles of another format or whose content changed since export
+  assertValidBundle(bundle) {
+    if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.templates) || bundle.templates.length === 0) {
+      throw new AppError('Not a process template bundle', 400, 'INVALID_BUNDLE');
+    }
+    if (bundle.formatVersion !== BUNDLE_FORMAT_VERSION) {
+      throw new AppError(`Unsupported bundle format version: ${bundle.formatVersion}`, 400, 'INVALID_BUNDLE');
+    }
+    if (bundle.checksum !== bundleChecksum(bundle)) {
+      throw new AppError('Bundle checksum does not match its content', 400, 'INVALID_BUNDLE');
+    }
+    if (new Set(bundle.templates.map(template => template.name)).size > 1) {
+      throw new AppError('A bundle holds the versions of a single template', 400, 'INVALID_BUNDLE');
+    }
+  }
+
+  // Resolve the bundle's dependencies against this environment and list the
+  // conflicts that block the import
+  async planImport(bundle, mappings, skipExisting, userId) {
+    const dependencies = bundle.dependencies || {};
+    const conflicts = [];
+    const warnings = [];
+
+    // Template versions
+    const existing = await ProcessTemplate.find({
+      name: bundle.templates[0].name,
+      version: { $in: bundle.templates.map(template => template.version) }
+    }).select('name version').lean();
+
+    const templates = bundle.templates.map(template => {
+      const match = existing.find(candidate => candidate.version === template.version);
+      if (match && !skipExisting) {
+        conflicts.push({
+          code: 'TEMPLATE_VERSION_EXISTS',
+          name: template.name,
+          version: template.version,
+          message: `${template.name} v${template.version} already exists`
+        });
+      }
+
+      const error = new ProcessTemplate({ ...template, createdBy: userId }).validateSync();
+      if (error) {
+        conflicts.push({
+          code: 'INVALID_TEMPLATE',
+          name: template.name,
+          version: template.version,
+          message: `${template.name} v${template.version} is invalid: ${Object.values(error.errors).map(detail => detail.message).join('; ')}`
+        });
+      }
+
+      return {
+        name: template.name,
+        version: template.version,
+        action: match ? 'skip' : 'create',
+        templateId: match?._id || new mongoose.Types.ObjectId()
+      };
+    });
+
+    // Users: mapped, else matched by email
+    const bundleUsers = dependencies.users || [];
+    const mappedIds = Object.values(mappings.users || {}).filter(isObjectId);
+    const emails = bundleUsers.map(user => user.email).filter(Boolean).map(email => email.toLowerCase());
+    const localUsers = await User.find({
+      $or: [{ _id: { $in: mappedIds } }, { email: { $in: emails } }],
+      isActive: true
+    }).select('email').lean();
+
+    const users = bundleUsers.map(user => {
+      const mapped = mappings.users?.[user.id];
+      let resolvedTo = null;
+      let resolvedBy = null;
+
+      if (mapped) {
+        const local = localUsers.find(candidate => candidate._id.toString() === String(mapped));
+        if (local) {
+          resolvedTo = local._id;
+          resolvedBy = 'mapping';
+        }
+      } else if (user.email) {
+        const local = localUsers.find(candidate => candidate.email === user.email.toLowerCase());
+        if (local) {
+          resolvedTo = local._id;
+          resolvedBy = 'email';
+        }
+      }
+
+      if (!resolvedTo) {
+        conflicts.push({
+          code: 'UNKNOWN_USER',
+          userId: user.id,
+          email: user.email,
+          message: mapped
+            ? `User ${mapped} mapped from ${user.email || user.id} does not exist or is inactive`
+            : `No active user with email ${user.email || '(unknown)'}; map user ${user.id} to a user here`
+        });
+      }
+
+      return { ...user, resolvedTo, resolvedBy };
+    });
+
+    // Roles must be ones users can have
+    const roles = (dependencies.roles || []).map(role => {
+      const resolvedTo = mappings.roles?.[role] || role;
+      if (!KNOWN_ROLES.includes(resolvedTo)) {
+        conflicts.push({
+          code: 'UNKNOWN_ROLE',
+          role,
+          message: `Role "${resolvedTo}" does not exist; map it to one of ${KNOWN_ROLES.join(', ')}`
+        });
+      }
+      return { role, resolvedTo };
+    });
+
+    // Departments without users only mean nobody can be assigned yet
+    const localDepartments = await User.distinct('profile.department', { isActive: true });
+    const departments = (dependencies.departments || []).map(department => {
+      const resolvedTo = mappings.departments?.[department] || department;
+      if (!localDepartments.includes(resolvedTo)) {
+        warnings.push({
+          code: 'UNKNOWN_DEPARTMENT',
+          department,
+          message: `No active user is in department "${resolvedTo}"`
+        });
+      }
+      return { department, resolvedTo };
+    });
+
+    // Calendars: reused by name, else created
+    const bundleCalendars = dependencies.calendars || [];
+    const localCalendars = await BusinessCalendar.find({
+      name: { $in: bundleCalendars.map(calendar => calendar.name) },
+      isActive: true
+    }).select('name').lean();
+
+    const calendars = bundleCalendars.map(calendar => {
+      const match = localCalendars.find(candidate => candidate.name === calendar.name);
+      return {
+        id: calendar.id,
+        name: calendar.name,
+        action: match ? 'reuse' : 'create',
+        calendarId: match?._id || new mongoose.Types.ObjectId()
+      };
+    });
+    bundle.templates
+      .filter(template => template.businessCalendarId &&
+        !calendars.some(calendar => calendar.id === String(template.businessCalendarId)))
+      .forEach(template => {
+        warnings.push({
+          code: 'MISSING_CALENDAR',
+          version: template.version,
+          message: `The calendar of v${template.version} is not in the bundle; it will use the default calendar`
+        });
+      });
+
+    // Sub-process templates: versions in the bundle, else the same name and
+    // version here
+    const bundleSubProcesses = dependencies.subProcesses || [];
+    const localSubProcesses = bundleSubProcesses.length > 0
+      ? await ProcessTemplate.find({
+        $or: bundleSubProcesses.map(subProcess => ({ name: subProcess.name, version: subProcess.version }))
+      }).select('name version').lean()
+      : [];
+
+    const subProcesses = bundleSubProcesses.map(subProcess => {
+      const inBundle = templates.find(template =>
+        template.name === subProcess.name && template.version === subProcess.version
+      );
+      const local = localSubProcesses.find(candidate =>
+        candidate.name === subProcess.name && candidate.version === subProcess.version
+      );
+      const resolvedTo = inBundle?.templateId || local?._id || null;
+
+      if (!resolvedTo) {
+        conflicts.push({
+          code: 'UNKNOWN_SUBPROCESS',
+          templateId: subProcess.id,
+          message: `Sub-process template ${subProcess.name || subProcess.id} v${subProcess.version || '?'} does not exist here`
+        });
+      }
+      return { ...subProcess, resolvedTo };
+    });
+
+    return {
+      dryRun: true,
+      checksum: bundle.checksum,
+      templates,
+      calendars,
+      users,
+      roles,
+      departments,
+      subProcesses,
+      conflicts,
+      warnings
+    };
+  }
+
+  // Create the planned calendars and template versions with their references
+  // resolved. Imported versions are unpublished.
+  async applyImport(bundle, plan, userId) {
+    const lookup = (entries, key, fallback = value => value) => value => {
+      const entry = entries.find(candidate => String(candidate[key]) === String(value));
+      return entry?.resolvedTo ?? fallback(value);
+    };
+    const resolve = {
+      user: lookup(plan.users, 'id'),
+      role: lookup(plan.roles, 'role'),
+      department: lookup(plan.departments, 'department'),
+      subProcess: lookup(plan.subProcesses, 'id')
+    };
+
+    const createdCalendars = [];
+    for (const planned of plan.calendars.filter(calendar => calendar.action === 'create')) {
+      const source = bundle.dependencies.calendars.find(calendar => calendar.id === planned.id);
+      const calendar = new BusinessCalendar({
+        ...Object.fromEntries(CALENDAR_FIELDS.map(field => [field, source[field]])),
+        _id: planned.calendarId,
+        createdBy: userId
+      });
+      await calendarService.saveCalendar(calendar);
+      createdCalendars.push({ _id: calendar._id, name: calendar.name });
+    }
+
+    const createdTemplates = [];
+    for (const planned of plan.templates.filter(template => template.action === 'create')) {
+      const source = bundle.templates.find(template => template.version === planned.version);
+      const calendar = plan.calendars.find(candidate => candidate.id === String(source.businessCalendarId));
+
+      const template = new ProcessTemplate({
+        ...source,
+        _id: planned.templateId,
+        steps: (source.steps || []).map(step => rewriteStep(step, resolve)),
+        businessCalendarId: calendar?.calendarId || null,
+        isPublished: false,
+        createdBy: userId
+      });
+      await template.save();
+      createdTemplates.push({ _id: template._id, name: template.name, version: template.version });
+    }
+
+    return { templates: createdTemplates, calendars: createdCalendars };
+  }
+}
+
+export default new TemplateBundleService();
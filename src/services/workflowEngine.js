@@ -1,220 +1,2074 @@
+import os from 'os';
 import ProcessInstance from '../models/ProcessInstance.js';
 import ProcessTemplate from '../models/ProcessTemplate.js';
 import StepInstance from '../models/StepInstance.js';
 import ProcessHistory from '../models/ProcessHistory.js';
 import Notification from '../models/Notification.js';
+import Timer from '../models/Timer.js';
+import EventMessage from '../models/EventMessage.js';
 import User from '../models/User.js';
+import config from '../config/environment.js';
 import logger from '../utils/logger.js';
+import database from '../utils/database.js';
+import notificationService from './notificationService.js';
+import serviceTaskRegistry from './serviceTaskRegistry.js';
+import calendarService from './calendarService.js';
+import assignmentService from './assignmentService.js';
+import delegationService from './delegationService.js';
+import separationOfDutiesService from './separationOfDutiesService.js';
+import { getNextCronDate } from '../utils/cron.js';
 import { AppError } from '../utils/helpers.js';
+import { evaluateExpression, buildExpressionContext } from '../utils/expression.js';
+import { assertValidFormData } from '../utils/formSchema.js';
+import { applyVariableDefaults, assertValidVariables, diffVariables } from '../utils/processVariables.js';
+import {
+  getStep,
+  getOutgoingStepIds,
+  getIncomingStepIds,
+  isEndStep,
+  isJoin,
+  canReach
+} from '../utils/processGraph.js';
+
+// Deepest chain of nested sub-processes, guarding against templates calling each other
+const MAX_SUBPROCESS_DEPTH = 10;
+
+// How long a replica's claim on a timer holds before others may retry it
+const TIMER_LOCK_MS = 5 * 60 * 1000;
+const TIMER_MAX_ATTEMPTS = 5;
+
+// Steps people work on, which escalation policies apply to
+const ESCALATABLE_STEP_TYPES = ['user_task', 'decision'];
+// Hours between escalation levels when neither the level nor the policy says
+const DEFAULT_ESCALATION_DELAY_HOURS = 8;
 
 class WorkflowEngine {
+  constructor() {
+    // Child processes being started inline by a sub-process step; their
+    // parent is resumed by the caller rather than reloaded from the database
+    this.startingSubProcesses = new Set();
+    // Owner recorded on timers this replica claims
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
   // Start a process instance
   async startProcess(processInstanceId, userId) {
     try {
-      const instance = await ProcessInstance.findById(processInstanceId)
-        .populate('processTemplateId');
+      // Starting the process and activating its first steps commit together
+      const instance = await database.runInTransaction(async () => {
+        const instance = await ProcessInstance.findById(processInstanceId)
+          .populate('processTemplateId');
+
+        if (!instance) {
+          throw new AppError('Process instance not found', 404);
+        }
+
+        if (instance.status !== 'draft') {
+          throw new AppError('Process can only be started from draft status', 400);
+        }
+
+        const template = instance.processTemplateId;
+
+        // Update process instance status. Saving straight away means a
+        // concurrent start fails its version check before creating any steps.
+        instance.status = 'active';
+        instance.startDate = new Date();
+        await instance.save();
+      
+        // Find the start step from template
+        const startStep = template.steps.find(step => step.stepId === template.startStep);
+        if (!startStep) {
+          throw new AppError('Start step not found in template', 400);
+        }
+
+        // Log process start
+        await ProcessHistory.create({
+          processInstanceId: instance._id,
+          action: 'process_started',
+          performedBy: userId,
+          fromStatus: 'draft',
+          toStatus: 'active'
+        });
+
+        // Place the initial token on the start step
+        instance.currentSteps = [];
+        instance.joinArrivals = {};
+        await this.activateStep(instance, template, startStep, null, userId);
+        await this.finishTransition(instance, template, userId);
+        return instance;
+      }, 'process start');
+
+      logger.info(`Process started: ${instance.name} (${instance._id})`);
+
+      return instance;
+    } catch (error) {
+      logger.error('Error starting process:', error);
+      throw error;
+    }
+  }
+
+  // Complete a step and move to next steps
+  async completeStep(stepInstanceId, userId, formData = {}, decision = null, variables = {}) {
+    try {
+      // The step update and everything it sets in motion commit together
+      const stepInstance = await database.runInTransaction(async () => {
+        const stepInstance = await StepInstance.findById(stepInstanceId)
+          .populate('processInstanceId');
+
+        if (!stepInstance) {
+          throw new AppError('Step instance not found', 404);
+        }
+
+        const processInstance = stepInstance.processInstanceId;
+        const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+
+        if (!template) {
+          throw new AppError('Process template not found', 404);
+        }
+
+        // A concurrent request may have finished the step first
+        if (!['pending', 'in_progress'].includes(stepInstance.status)) {
+          throw new AppError(`Step has already been ${stepInstance.status}`, 409, 'STEP_NOT_OPEN');
+        }
+
+        // A multi-instance activity finishes through its task instances
+        if (stepInstance.multiInstance) {
+          throw new AppError('Multi-instance activities complete through their task instances', 400, 'MULTI_INSTANCE_ACTIVITY');
+        }
+
+        // Check if step can be completed
+        if (!stepInstance.canComplete(userId)) {
+          throw new AppError('You are not authorized to complete this step', 403);
+        }
+        await separationOfDutiesService.assertAllowed(processInstance, stepInstance, userId);
+
+        // Find template step to get next steps
+        const templateStep = template.steps.find(s => s.stepId === stepInstance.stepId);
+        if (!templateStep) {
+          throw new AppError('Template step not found', 400);
+        }
+
+        // Saved drafts and the submitted data together must satisfy the form
+        const submittedData = assertValidFormData(
+          templateStep.formSchema,
+          { ...stepInstance.formData, ...formData },
+          { variables: processInstance.variables }
+        );
+
+        // Variables the step outputs are checked against their declarations
+        if (variables && Object.keys(variables).length > 0) {
+          await this.setVariables(processInstance, template, variables, userId, {
+            stepInstance,
+            source: 'step_completion'
+          });
+        }
+
+        // Update step instance
+        stepInstance.status = 'completed';
+        stepInstance.endDate = new Date();
+        stepInstance.completedBy = userId;
+        stepInstance.formData = submittedData;
+
+        if (decision) {
+          stepInstance.variables = { ...stepInstance.variables, decision };
+        }
+
+        await stepInstance.save();
+
+        // Log step completion
+        await ProcessHistory.create({
+          processInstanceId: processInstance._id,
+          stepInstanceId: stepInstance._id,
+          action: 'step_completed',
+          performedBy: userId,
+          fromStatus: 'in_progress',
+          toStatus: 'completed',
+          metadata: { formData, decision }
+        });
+
+        // Process step completion and move to next steps
+        await this.processStepCompletion(stepInstance, userId);
+        return stepInstance;
+      }, 'step completion');
+
+      logger.info(`Step completed: ${stepInstance.name} (${stepInstance._id})`);
+
+      return stepInstance;
+    } catch (error) {
+      logger.error('Error completing step:', error);
+      throw error;
+    }
+  }
+
+  // Save form data of an open step without completing it. Drafts are checked
+  // against the step's form schema except for required fields.
+  async saveDraft(stepInstanceId, userId, formData = {}) {
+    const stepInstance = await StepInstance.findById(stepInstanceId)
+      .populate('processInstanceId');
+
+    if (!stepInstance) {
+      throw new AppError('Step instance not found', 404);
+    }
+
+    if (!['pending', 'in_progress'].includes(stepInstance.status)) {
+      throw new AppError(`Step has already been ${stepInstance.status}`, 409, 'STEP_NOT_OPEN');
+    }
+
+    if (stepInstance.assignedTo && !stepInstance.assignedTo.equals(userId)) {
+      throw new AppError('You are not authorized to work on this step', 403);
+    }
+
+    const processInstance = stepInstance.processInstanceId;
+    const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+    const templateStep = template && getStep(template, stepInstance.stepId);
+    if (!templateStep) {
+      throw new AppError('Template step not found', 400);
+    }
+
+    stepInstance.formData = assertValidFormData(
+      templateStep.formSchema,
+      { ...stepInstance.formData, ...formData },
+      { variables: processInstance.variables, draft: true }
+    );
+    stepInstance.markModified('formData');
+    await stepInstance.save();
+
+    logger.info(`Draft saved: ${stepInstance.name} (${stepInstance._id})`);
+
+    return stepInstance;
+  }
+
+  // Process step completion and determine next steps
+  async processStepCompletion(stepInstance, userId) {
+    try {
+      await database.runInTransaction(async () => {
+        const processInstance = stepInstance.populated('processInstanceId')
+          ? stepInstance.processInstanceId
+          : await ProcessInstance.findById(stepInstance.processInstanceId);
+        const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      
+        // Find template step
+        const templateStep = getStep(template, stepInstance.stepId);
+        if (!templateStep) {
+          throw new AppError('Template step not found', 400);
+        }
+
+        // Instances of a multi-instance task report to their activity instead
+        if (stepInstance.multiInstanceParentId) {
+          await this.completeMultiInstanceItem(processInstance, template, templateStep, stepInstance, userId);
+        } else {
+          if (stepInstance.multiInstance) {
+            // A skipped activity takes its open task instances with it
+            await this.cancelMultiInstanceItems(stepInstance, 'activity_skipped', userId);
+          }
+          await this.leaveStep(processInstance, template, templateStep, stepInstance, userId);
+        }
+        await this.finishTransition(processInstance, template, userId);
+      }, 'step completion');
+    } catch (error) {
+      logger.error('Error processing step completion:', error);
+      throw error;
+    }
+  }
+
+  // Consume the token on a finished step and route it to the next steps
+  async leaveStep(processInstance, template, templateStep, stepInstance, userId) {
+    const context = buildExpressionContext({
+      variables: processInstance.variables,
+      formData: stepInstance.formData,
+      decision: stepInstance.variables?.decision
+    });
+
+    await this.cancelTimers({ stepInstanceId: stepInstance._id });
+    await this.routeFrom(processInstance, template, templateStep, context, userId);
+  }
+
+  // Take the token off a step and follow its outgoing transitions. When no
+  // transition applies the token stays put and the process moves to error.
+  // A fired boundary timer follows its own transitions instead, and a
+  // non-interrupting one leaves the token on the step.
+  async routeFrom(processInstance, template, templateStep, context, userId, options = {}) {
+    const { timerId = null, keepToken = false } = options;
+
+    let nextStepIds;
+    try {
+      nextStepIds = this.determineNextSteps(templateStep, context, timerId);
+    } catch (error) {
+      if (error.errorCode !== 'NO_MATCHING_TRANSITION') throw error;
+      await this.markProcessError(processInstance, templateStep, error, userId);
+      return;
+    }
+
+    if (!keepToken) {
+      this.removeToken(processInstance, templateStep.stepId);
+    }
+
+    for (const nextStepId of nextStepIds) {
+      const nextTemplateStep = getStep(template, nextStepId);
+      if (nextTemplateStep) {
+        await this.activateStep(
+          processInstance, template, nextTemplateStep, templateStep.stepId, userId, context
+        );
+      }
+    }
+  }
+
+  // Move a token onto a step: end steps consume it, gateways split, merge or
+  // choose a branch, everything else becomes a live step instance
+  async activateStep(processInstance, template, templateStep, sourceStepId, userId, context = null) {
+    if (processInstance.status !== 'active') {
+      return;
+    }
+
+    if (isEndStep(template, templateStep)) {
+      await this.createStepInstance(processInstance, templateStep, userId, { status: 'completed' });
+      return;
+    }
+
+    const gatewayContext = context || buildExpressionContext({ variables: processInstance.variables });
+
+    switch (templateStep.type) {
+      case 'parallel':
+        await this.activateParallelGateway(processInstance, template, templateStep, sourceStepId, userId);
+        return;
+
+      case 'inclusive':
+        if (isJoin(template, templateStep)) {
+          // Merged later by releaseInclusiveJoins, once no other branch can still arrive
+          this.parkToken(processInstance, templateStep.stepId, sourceStepId);
+          return;
+        }
+        await this.passGateway(processInstance, template, templateStep, gatewayContext, userId);
+        return;
+
+      case 'exclusive':
+        await this.passGateway(processInstance, template, templateStep, gatewayContext, userId);
+        return;
+
+      case 'subprocess':
+        await this.activateSubProcess(processInstance, template, templateStep, userId);
+        return;
+
+      case 'user_task':
+        if (templateStep.multiInstance?.enabled) {
+          await this.activateMultiInstance(processInstance, template, templateStep, gatewayContext, userId);
+          return;
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    const stepInstance = await this.createStepInstance(processInstance, templateStep, userId);
+    processInstance.currentSteps.push(templateStep.stepId);
+
+    // Auto-completed steps hand their token straight on
+    if (stepInstance.status === 'completed') {
+      await this.leaveStep(processInstance, template, templateStep, stepInstance, userId);
+      return;
+    }
+
+    // Catch steps wait for their event, unless a buffered message is already here
+    if (['message_catch', 'signal_catch'].includes(templateStep.type) &&
+        await this.subscribeToEvent(processInstance, template, templateStep, stepInstance, gatewayContext, userId)) {
+      return;
+    }
+
+    await this.scheduleStepTimers(processInstance, templateStep, stepInstance, userId);
+  }
+
+  // Record what a catch step waits for and take a matching buffered message.
+  // Returns true when the step no longer waits: it caught a message, or its
+  // correlation key could not be worked out and the process moved to error.
+  async subscribeToEvent(processInstance, template, templateStep, stepInstance, context, userId) {
+    const kind = templateStep.type === 'message_catch' ? 'message' : 'signal';
+    const { name, correlationKey: expression } = templateStep[kind] || {};
+
+    let correlationKey;
+    try {
+      if (!name) {
+        throw new AppError(`Step "${templateStep.stepId}" has no ${kind} name`, 400, 'INVALID_EVENT_SUBSCRIPTION');
+      }
+      if (kind === 'message') {
+        correlationKey = this.resolveCorrelationKey(expression, context);
+      }
+    } catch (error) {
+      if (!['INVALID_EVENT_SUBSCRIPTION', 'INVALID_EXPRESSION'].includes(error.errorCode)) throw error;
+      await this.markProcessError(processInstance, templateStep, error, userId);
+      return true;
+    }
+
+    stepInstance.eventSubscription = { kind, name, correlationKey };
+    await stepInstance.save();
+
+    if (kind !== 'message') {
+      return false;
+    }
+
+    const message = await EventMessage.claim({ name, correlationKey }, {
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id
+    });
+    if (!message) {
+      return false;
+    }
+
+    await this.catchEvent(processInstance, template, templateStep, stepInstance, {
+      kind,
+      name,
+      correlationKey,
+      payload: message.payload,
+      messageId: message._id
+    }, message.sentBy || userId);
+    return true;
+  }
+
+  // Evaluate a message catch step's correlation key expression to the string
+  // messages are matched on
+  resolveCorrelationKey(expression, context) {
+    if (!expression) {
+      throw new AppError('Message catch steps need a correlation key expression', 400, 'INVALID_EVENT_SUBSCRIPTION');
+    }
+
+    const value = evaluateExpression(expression, context);
+    if (value === null || value === undefined || typeof value === 'object') {
+      throw new AppError(
+        `Correlation key "${expression}" evaluated to ${JSON.stringify(value) ?? 'undefined'}, not a string or number`,
+        400,
+        'INVALID_EVENT_SUBSCRIPTION'
+      );
+    }
+    return String(value);
+  }
+
+  // Complete a waiting catch step with a delivered message or signal and move on
+  async receiveEvent(stepInstanceId, event, userId) {
+    return database.runInTransaction(async () => {
+      const stepInstance = await StepInstance.findById(stepInstanceId);
+      // Another delivery, a boundary timer or a cancel may have got there first
+      if (!stepInstance || stepInstance.status !== 'in_progress') {
+        return null;
+      }
+
+      const processInstance = await ProcessInstance.findById(stepInstance.processInstanceId);
+      if (!processInstance || processInstance.status !== 'active') {
+        return null;
+      }
+
+      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      const templateStep = template && getStep(template, stepInstance.stepId);
+      if (!templateStep) {
+        throw new AppError('Template step not found', 400);
+      }
+
+      await this.catchEvent(processInstance, template, templateStep, stepInstance, event, userId);
+      await this.finishTransition(processInstance, template, userId);
+      return processInstance;
+    }, 'event delivery');
+  }
+
+  // Write an event's payload into process variables and complete the catch step
+  async catchEvent(processInstance, template, templateStep, stepInstance, event, userId) {
+    const { kind, name, correlationKey, payload, messageId } = event;
+    const { outputVariable } = templateStep[kind] || {};
+
+    const updatedVariables = this.getOutputVariables(outputVariable, payload);
+    await this.setVariables(processInstance, template, updatedVariables, userId, { stepInstance, source: kind });
+
+    stepInstance.status = 'completed';
+    stepInstance.endDate = new Date();
+    stepInstance.completedBy = userId;
+    await stepInstance.save();
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: `${kind}_received`,
+      performedBy: userId,
+      fromStatus: 'in_progress',
+      toStatus: 'completed',
+      metadata: { name, correlationKey, messageId, updatedVariables: Object.keys(updatedVariables) }
+    });
+
+    await this.leaveStep(processInstance, template, templateStep, stepInstance, userId);
+  }
+
+  // Schedule a step's timers, moving the process to error when one cannot be worked out
+  async scheduleStepTimers(processInstance, templateStep, stepInstance, userId) {
+    try {
+      await this.scheduleTimers(processInstance, templateStep, stepInstance);
+    } catch (error) {
+      if (error.errorCode !== 'INVALID_TIMER') throw error;
+      await this.markProcessError(processInstance, templateStep, error, userId);
+    }
+  }
+
+  // Start a multi-instance user task: one activity instance holds the token
+  // and the tally, and one task instance is created per item
+  async activateMultiInstance(processInstance, template, templateStep, context, userId) {
+    const activity = await this.createStepInstance(processInstance, templateStep, userId, { assign: false });
+    processInstance.currentSteps.push(templateStep.stepId);
+
+    let items;
+    try {
+      items = await this.resolveMultiInstanceItems(templateStep, context);
+    } catch (error) {
+      if (!['INVALID_MULTI_INSTANCE', 'INVALID_EXPRESSION'].includes(error.errorCode)) throw error;
+      await this.markProcessError(processInstance, templateStep, error, userId);
+      return;
+    }
+
+    const { sequential, completion = {} } = templateStep.multiInstance;
+    activity.status = 'in_progress';
+    activity.startDate = new Date();
+    activity.multiInstance = {
+      items,
+      total: items.length,
+      required: this.getRequiredCompletions(completion, items.length),
+      sequential: Boolean(sequential),
+      created: 0,
+      finished: 0,
+      completed: 0,
+      matched: 0,
+      decisions: {}
+    };
+    await activity.save();
+
+    await this.scheduleStepTimers(processInstance, templateStep, activity, userId);
+
+    if (activity.multiInstance.required === 0) {
+      await this.finishMultiInstance(processInstance, template, templateStep, activity, userId);
+      return;
+    }
+
+    const batch = sequential ? 1 : items.length;
+    for (let i = 0; i < batch; i++) {
+      await this.createMultiInstanceItem(processInstance, templateStep, activity, userId);
+    }
+  }
+
+  // Items a multi-instance task iterates over: a collection variable or the
+  // ids of the users behind the step's assignees
+  async resolveMultiInstanceItems(templateStep, context) {
+    const { source, collection } = templateStep.multiInstance;
+
+    if (source === 'collection') {
+      const items = evaluateExpression(collection, context);
+      if (!Array.isArray(items)) {
+        throw new AppError(
+          `Multi-instance collection of step "${templateStep.stepId}" is not a list`,
+          400,
+          'INVALID_MULTI_INSTANCE',
+          { collection }
+        );
+      }
+      return items;
+    }
+
+    const assignees = templateStep.assignees || [];
+    let users;
+    switch (templateStep.assigneeType) {
+      case 'role':
+        users = await User.find({ role: { $in: assignees }, isActive: true }).select('_id');
+        break;
+      case 'department':
+        users = await User.find({ 'profile.department': { $in: assignees }, isActive: true }).select('_id');
+        break;
+      default:
+        return [...assignees];
+    }
+    return users.map(user => user._id.toString());
+  }
+
+  // Completions needed for a multi-instance task to finish successfully
+  getRequiredCompletions(completion = {}, total) {
+    switch (completion.type) {
+      case 'any':
+        return Math.min(1, total);
+      case 'count':
+        return Math.min(completion.count || 1, total);
+      case 'percentage':
+        return Math.ceil(total * (completion.percentage || 100) / 100);
+      default:
+        return total;
+    }
+  }
+
+  // Create the task instance for the next item of a multi-instance task
+  async createMultiInstanceItem(processInstance, templateStep, activity, userId) {
+    const tally = activity.multiInstance;
+    const index = tally.created;
+    const item = tally.items[index];
+    const { source, assignFromItem } = templateStep.multiInstance;
+
+    let assignedTo = null;
+    if (source === 'assignees') {
+      assignedTo = item;
+    } else if (assignFromItem) {
+      assignedTo = item?.userId || item?._id || item;
+    }
+
+    const stepInstance = await this.createStepInstance(processInstance, templateStep, userId, {
+      assignedTo,
+      loop: { parentId: activity._id, index, item }
+    });
+
+    activity.multiInstance = { ...tally, created: index + 1 };
+    activity.markModified('multiInstance');
+    await activity.save();
+
+    return stepInstance;
+  }
+
+  // Count a finished task instance towards its activity, finishing the activity
+  // once the quorum is met or can no longer be met
+  async completeMultiInstanceItem(processInstance, template, templateStep, stepInstance, userId) {
+    const activity = await StepInstance.findById(stepInstance.multiInstanceParentId);
+    if (!activity || !['pending', 'in_progress'].includes(activity.status)) {
+      return;
+    }
+
+    const tally = { ...activity.multiInstance, finished: activity.multiInstance.finished + 1 };
+    const filter = templateStep.multiInstance?.completion?.decision;
+
+    if (stepInstance.status === 'completed') {
+      const decision = stepInstance.variables?.decision;
+      tally.completed += 1;
+      if (decision) {
+        // Saving drops the empty decisions object, so it may be missing
+        tally.decisions = { ...tally.decisions, [decision]: (tally.decisions?.[decision] || 0) + 1 };
+      }
+      if (!filter || decision === filter) {
+        tally.matched += 1;
+      }
+    }
+
+    activity.multiInstance = tally;
+    activity.markModified('multiInstance');
+
+    const remaining = tally.total - tally.finished;
+    if (tally.matched >= tally.required || tally.matched + remaining < tally.required) {
+      await this.finishMultiInstance(processInstance, template, templateStep, activity, userId);
+      return;
+    }
+
+    await activity.save();
+
+    if (tally.sequential && tally.created < tally.total) {
+      await this.createMultiInstanceItem(processInstance, templateStep, activity, userId);
+    }
+  }
+
+  // Close a multi-instance activity. Its decision is `quorum_met` or
+  // `quorum_failed`, and the tally can be copied to a process variable.
+  async finishMultiInstance(processInstance, template, templateStep, activity, userId) {
+    const tally = activity.multiInstance;
+    const quorumMet = tally.matched >= tally.required;
+
+    await this.cancelMultiInstanceItems(activity, quorumMet ? 'quorum_reached' : 'quorum_unreachable', userId);
+
+    const summary = {
+      total: tally.total,
+      completed: tally.completed,
+      matched: tally.matched,
+      required: tally.required,
+      decisions: tally.decisions || {},
+      quorumMet
+    };
+
+    const { outputVariable } = templateStep.multiInstance;
+    if (outputVariable) {
+      await this.setVariables(processInstance, template, { [outputVariable]: summary }, userId, {
+        stepInstance: activity,
+        source: 'multi_instance'
+      });
+    }
+
+    activity.status = 'completed';
+    activity.endDate = new Date();
+    activity.completedBy = userId;
+    activity.multiInstance = { ...tally, quorumMet };
+    activity.variables = { ...activity.variables, decision: quorumMet ? 'quorum_met' : 'quorum_failed' };
+    activity.markModified('multiInstance');
+    await activity.save();
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: activity._id,
+      action: 'step_completed',
+      performedBy: userId,
+      fromStatus: 'in_progress',
+      toStatus: 'completed',
+      metadata: { multiInstance: summary }
+    });
+
+    await this.leaveStep(processInstance, template, templateStep, activity, userId);
+  }
+
+  // Cancel the task instances of a multi-instance activity that are still open
+  async cancelMultiInstanceItems(activity, reason, userId) {
+    const openItems = await StepInstance.find({
+      multiInstanceParentId: activity._id,
+      status: { $in: ['pending', 'in_progress'] }
+    });
+
+    for (const item of openItems) {
+      const fromStatus = item.status;
+      item.status = 'cancelled';
+      item.endDate = new Date();
+      await item.save();
+
+      await ProcessHistory.create({
+        processInstanceId: item.processInstanceId,
+        stepInstanceId: item._id,
+        action: 'step_skipped',
+        performedBy: userId,
+        fromStatus,
+        toStatus: 'cancelled',
+        metadata: { reason, multiInstanceParentId: activity._id, loopIndex: item.loopIndex }
+      });
+    }
+  }
+
+  // Hold a token on a sub-process step while a child process runs
+  async activateSubProcess(processInstance, template, templateStep, userId) {
+    const stepInstance = await this.createStepInstance(processInstance, templateStep, userId);
+    processInstance.currentSteps.push(templateStep.stepId);
+
+    let child;
+    try {
+      child = await this.startSubProcess(processInstance, templateStep, stepInstance, userId);
+    } catch (error) {
+      if (!['INVALID_SUBPROCESS', 'INVALID_EXPRESSION', 'VALIDATION_ERROR'].includes(error.errorCode)) throw error;
+      await this.markProcessError(processInstance, templateStep, error, userId);
+      return;
+    }
+
+    // A child with no waiting steps finishes straight away
+    if (['completed', 'cancelled'].includes(child.status)) {
+      await this.completeSubProcessStep(processInstance, template, templateStep, stepInstance, child, userId);
+    }
+  }
+
+  // Create and start the child process of a sub-process step
+  async startSubProcess(processInstance, templateStep, stepInstance, userId) {
+    const childTemplate = await ProcessTemplate.findById(templateStep.subProcess?.templateId);
+    if (!childTemplate || !childTemplate.isPublished || !childTemplate.isActive) {
+      throw new AppError(
+        `Sub-process template for step "${templateStep.stepId}" is missing or not published`,
+        400,
+        'INVALID_SUBPROCESS',
+        { templateId: templateStep.subProcess?.templateId }
+      );
+    }
+
+    let depth = 0;
+    for (let ancestor = processInstance; ancestor?.parentProcessInstanceId; depth++) {
+      if (depth >= MAX_SUBPROCESS_DEPTH) {
+        throw new AppError(
+          `Sub-processes are nested more than ${MAX_SUBPROCESS_DEPTH} levels deep`,
+          400,
+          'INVALID_SUBPROCESS'
+        );
+      }
+      ancestor = await ProcessInstance.findById(ancestor.parentProcessInstanceId);
+    }
+
+    // The child's variables must satisfy its own template's declarations
+    const context = buildExpressionContext({ variables: processInstance.variables });
+    const variables = applyVariableDefaults(
+      childTemplate.variables,
+      this.mapVariables(templateStep.subProcess.inputs, context)
+    );
+    assertValidVariables(childTemplate.variables, variables);
+
+    const child = new ProcessInstance({
+      processTemplateId: childTemplate._id,
+      name: `${processInstance.name} / ${templateStep.name}`.slice(0, 100),
+      priority: processInstance.priority,
+      initiatedBy: processInstance.initiatedBy,
+      parentProcessInstanceId: processInstance._id,
+      parentStepInstanceId: stepInstance._id,
+      variables
+    });
+    await child.save();
+
+    await ProcessHistory.create({
+      processInstanceId: child._id,
+      action: 'process_created',
+      performedBy: userId,
+      toStatus: 'draft',
+      metadata: {
+        templateName: childTemplate.name,
+        templateVersion: childTemplate.version,
+        parentProcessInstanceId: processInstance._id,
+        parentStepId: templateStep.stepId
+      }
+    });
+
+    stepInstance.status = 'in_progress';
+    stepInstance.startDate = new Date();
+    stepInstance.childProcessInstanceId = child._id;
+    await stepInstance.save();
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'subprocess_started',
+      performedBy: userId,
+      metadata: {
+        stepId: templateStep.stepId,
+        childProcessInstanceId: child._id,
+        templateName: childTemplate.name,
+        templateVersion: childTemplate.version
+      }
+    });
+
+    this.startingSubProcesses.add(child._id.toString());
+    try {
+      return await this.startProcess(child._id, userId);
+    } finally {
+      this.startingSubProcesses.delete(child._id.toString());
+    }
+  }
+
+  // Evaluate variable mappings into a set of variables
+  mapVariables(mappings = [], context) {
+    const variables = {};
+    for (const mapping of mappings) {
+      variables[mapping.target] = evaluateExpression(mapping.source, context);
+    }
+    return variables;
+  }
+
+  // The variables a step's output sets: all of it under `outputVariable`,
+  // or each property of an object output
+  getOutputVariables(outputVariable, output) {
+    if (outputVariable) {
+      return { [outputVariable]: output };
+    }
+    if (output && typeof output === 'object' && !Array.isArray(output)) {
+      return output;
+    }
+    return {};
+  }
+
+  // Merge variables a step sets into the process after checking them against
+  // the template's declarations, recording each changed value before and after
+  async setVariables(processInstance, template, updates, userId, { stepInstance = null, source = null } = {}) {
+    assertValidVariables(template?.variables, updates, { partial: true });
+
+    const before = { ...processInstance.variables };
+    processInstance.variables = { ...before, ...updates };
+    processInstance.markModified('variables');
+
+    const changes = diffVariables(before, processInstance.variables);
+    if (Object.keys(changes).length === 0) {
+      return changes;
+    }
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance?._id,
+      action: 'variable_updated',
+      performedBy: userId,
+      metadata: {
+        source,
+        stepId: stepInstance?.stepId,
+        updatedVariables: Object.keys(updates),
+        changes
+      }
+    });
+
+    return changes;
+  }
+
+  // Finish a sub-process step once its child has completed or been cancelled.
+  // The child's outcome is exposed to transition conditions as `decision`.
+  async completeSubProcessStep(processInstance, template, templateStep, stepInstance, child, userId) {
+    let outputs = {};
+    if (child.status === 'completed') {
+      try {
+        outputs = this.mapVariables(
+          templateStep.subProcess?.outputs,
+          buildExpressionContext({ variables: child.variables })
+        );
+        await this.setVariables(processInstance, template, outputs, userId, { stepInstance, source: 'subprocess' });
+      } catch (error) {
+        if (!['INVALID_EXPRESSION', 'VALIDATION_ERROR'].includes(error.errorCode)) throw error;
+        await this.markProcessError(processInstance, templateStep, error, userId);
+        return;
+      }
+    }
+
+    stepInstance.status = 'completed';
+    stepInstance.endDate = new Date();
+    stepInstance.completedBy = userId;
+    stepInstance.variables = { ...stepInstance.variables, decision: child.status };
+    await stepInstance.save();
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'subprocess_completed',
+      performedBy: userId,
+      fromStatus: 'in_progress',
+      toStatus: 'completed',
+      metadata: {
+        stepId: templateStep.stepId,
+        childProcessInstanceId: child._id,
+        childStatus: child.status,
+        outputs: Object.keys(outputs)
+      }
+    });
+
+    await this.leaveStep(processInstance, template, templateStep, stepInstance, userId);
+  }
+
+  // Resume the parent of a child process that has completed or been cancelled
+  async resumeParentProcess(child, userId) {
+    if (!child.parentProcessInstanceId || this.startingSubProcesses.has(child._id.toString())) {
+      return;
+    }
+
+    // One query at a time: operations in a transaction must not run in parallel
+    const parent = await ProcessInstance.findById(child.parentProcessInstanceId);
+    const stepInstance = await StepInstance.findById(child.parentStepInstanceId);
+
+    if (!parent || parent.status !== 'active' ||
+        !stepInstance || !['pending', 'in_progress'].includes(stepInstance.status)) {
+      return;
+    }
+
+    const template = await ProcessTemplate.findById(parent.processTemplateId);
+    const templateStep = template && getStep(template, stepInstance.stepId);
+    if (!templateStep) {
+      throw new AppError('Template step not found', 400);
+    }
+
+    await this.completeSubProcessStep(parent, template, templateStep, stepInstance, child, userId);
+    await this.finishTransition(parent, template, userId);
+
+    logger.info(`Parent process resumed: ${parent.name} (${parent._id}) after child ${child._id}`);
+  }
+
+  // Cancel a process with its open steps, timers and running child processes,
+  // then let a waiting parent continue
+  async cancelProcess(processInstance, userId, reason) {
+    const fromStatus = processInstance.status;
+    processInstance.status = 'cancelled';
+    processInstance.endDate = new Date();
+    await processInstance.save();
+
+    await StepInstance.updateMany(
+      {
+        processInstanceId: processInstance._id,
+        status: { $in: ['pending', 'in_progress'] }
+      },
+      {
+        status: 'cancelled',
+        endDate: new Date()
+      }
+    );
 
-      if (!instance) {
+    await this.cancelTimers({ processInstanceId: processInstance._id });
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      action: 'process_cancelled',
+      performedBy: userId,
+      fromStatus,
+      toStatus: 'cancelled',
+      comments: reason,
+      metadata: { reason }
+    });
+
+    // Undo what completed service tasks did in other systems
+    const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+    await this.compensateSteps(processInstance, template, 'process_cancelled');
+
+    const children = await ProcessInstance.find({
+      parentProcessInstanceId: processInstance._id,
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+    for (const child of children) {
+      await this.cancelProcess(child, userId, reason || `Parent process "${processInstance.name}" was cancelled`);
+    }
+
+    await this.resumeParentProcess(processInstance, userId);
+
+    logger.info(`Process cancelled: ${processInstance.name} (${processInstance._id})`);
+  }
+
+  // Move a token back to a step the process has already passed. With
+  // `fromStepId` only the token on that step moves; without it every token is
+  // withdrawn and the process carries on from the target step alone.
+  async rewindProcess(processInstanceId, options, userId) {
+    const { targetStepId, fromStepId, variables, reason } = options;
+
+    return database.runInTransaction(async () => {
+      const processInstance = await ProcessInstance.findById(processInstanceId);
+      if (!processInstance) {
+        throw new AppError('Process instance not found', 404);
+      }
+
+      if (!['active', 'error'].includes(processInstance.status)) {
+        throw new AppError('Only active processes or processes in error can be rewound', 400, 'INVALID_PROCESS_STATUS');
+      }
+
+      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      const targetStep = this.getTokenTarget(template, targetStepId);
+
+      const reached = await StepInstance.exists({
+        processInstanceId: processInstance._id,
+        stepId: targetStepId,
+        status: { $nin: ['pending', 'in_progress'] }
+      });
+      if (!reached) {
+        throw new AppError(`Step "${targetStepId}" has not been passed yet`, 400, 'INVALID_REWIND_TARGET');
+      }
+
+      if (fromStepId) {
+        if (!processInstance.currentSteps.includes(fromStepId)) {
+          throw new AppError(`No token is waiting on step "${fromStepId}"`, 400, 'TOKEN_NOT_FOUND');
+        }
+        if (!canReach(template, targetStepId, fromStepId)) {
+          throw new AppError(`Step "${targetStepId}" does not lead to "${fromStepId}"`, 400, 'INVALID_REWIND_TARGET');
+        }
+      }
+
+      return this.relocateTokens(processInstance, template, {
+        action: 'process_rewound',
+        targetStep,
+        withdrawStep: stepId => !fromStepId || stepId === fromStepId,
+        withdrawArrival: joinStepId => !fromStepId || joinStepId === fromStepId,
+        variables,
+        reason,
+        metadata: { fromStepId }
+      }, userId);
+    }, 'process rewind');
+  }
+
+  // Re-open a completed or failed step: the tokens it produced are withdrawn
+  // and the step is activated again, which also retries a failed service task
+  async reopenStep(stepInstanceId, options, userId) {
+    const { variables, reason } = options;
+
+    return database.runInTransaction(async () => {
+      const stepInstance = await StepInstance.findById(stepInstanceId);
+      if (!stepInstance) {
+        throw new AppError('Step instance not found', 404);
+      }
+
+      if (!['completed', 'failed'].includes(stepInstance.status)) {
+        throw new AppError('Only completed or failed steps can be re-opened', 400, 'STEP_NOT_REOPENABLE');
+      }
+      if (stepInstance.multiInstanceParentId) {
+        throw new AppError('Task instances of a multi-instance step are re-opened through their activity', 400, 'MULTI_INSTANCE_ITEM');
+      }
+
+      const processInstance = await ProcessInstance.findById(stepInstance.processInstanceId);
+      if (!['active', 'error', 'completed'].includes(processInstance.status)) {
+        throw new AppError(`Steps of a ${processInstance.status} process cannot be re-opened`, 400, 'INVALID_PROCESS_STATUS');
+      }
+      // The parent of a finished sub-process has already moved on with its result
+      if (processInstance.status === 'completed' && processInstance.parentProcessInstanceId) {
+        throw new AppError('Steps of a completed sub-process cannot be re-opened', 400, 'INVALID_PROCESS_STATUS');
+      }
+
+      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      const targetStep = this.getTokenTarget(template, stepInstance.stepId);
+      const producedBy = stepId => canReach(template, stepInstance.stepId, stepId);
+
+      return this.relocateTokens(processInstance, template, {
+        action: 'step_reopened',
+        stepInstanceId: stepInstance._id,
+        targetStep,
+        withdrawStep: producedBy,
+        withdrawArrival: (joinStepId, sourceStepId) => producedBy(sourceStepId),
+        variables,
+        reason,
+        metadata: { reopenedStepInstanceId: stepInstance._id, reopenedStatus: stepInstance.status }
+      }, userId);
+    }, 'step reopen');
+  }
+
+  // Bring a cancelled process back to life with a single token on the chosen step
+  async restartProcess(processInstanceId, options, userId) {
+    const { stepId, variables, reason } = options;
+
+    return database.runInTransaction(async () => {
+      const processInstance = await ProcessInstance.findById(processInstanceId);
+      if (!processInstance) {
         throw new AppError('Process instance not found', 404);
       }
 
-      if (instance.status !== 'draft') {
-        throw new AppError('Process can only be started from draft status', 400);
-      }
+      if (processInstance.status !== 'cancelled') {
+        throw new AppError('Only cancelled processes can be restarted', 400, 'INVALID_PROCESS_STATUS');
+      }
+      // A cancelled sub-process has already handed control back to its parent
+      if (processInstance.parentProcessInstanceId) {
+        throw new AppError('Sub-processes cannot be restarted on their own', 400, 'INVALID_PROCESS_STATUS');
+      }
+
+      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      const targetStep = this.getTokenTarget(template, stepId);
+
+      return this.relocateTokens(processInstance, template, {
+        action: 'process_restarted',
+        targetStep,
+        withdrawStep: () => true,
+        withdrawArrival: () => true,
+        variables,
+        reason
+      }, userId);
+    }, 'process restart');
+  }
+
+  // The template step an administrator may place a token on
+  getTokenTarget(template, stepId) {
+    const templateStep = template && getStep(template, stepId);
+    if (!templateStep) {
+      throw new AppError(`Step "${stepId}" does not exist in the process template`, 400, 'INVALID_STEP');
+    }
+    if (isEndStep(template, templateStep) || isJoin(template, templateStep)) {
+      throw new AppError(`A token cannot be placed on end or join step "${stepId}"`, 400, 'INVALID_STEP');
+    }
+    return templateStep;
+  }
+
+  // Withdraw the tokens picked by `withdrawStep` and `withdrawArrival` along
+  // with their open steps, then activate the target step. History records the
+  // tokens and variables before and after, and the assignees of withdrawn
+  // tasks are told their work is no longer needed.
+  async relocateTokens(processInstance, template, options, userId) {
+    const {
+      action,
+      stepInstanceId,
+      targetStep,
+      withdrawStep,
+      withdrawArrival,
+      variables,
+      reason,
+      metadata = {}
+    } = options;
+
+    if (variables) {
+      assertValidVariables(template.variables, variables, { partial: true });
+    }
+
+    const before = {
+      status: processInstance.status,
+      currentSteps: [...processInstance.currentSteps],
+      variables: { ...processInstance.variables }
+    };
+
+    // A cancelled process has no open steps left to withdraw
+    const openSteps = await StepInstance.find({
+      processInstanceId: processInstance._id,
+      status: { $in: ['pending', 'in_progress'] }
+    });
+    const withdrawn = openSteps.filter(stepInstance => withdrawStep(stepInstance.stepId));
+
+    if (withdrawn.length > 0) {
+      const withdrawnIds = withdrawn.map(stepInstance => stepInstance._id);
+      await StepInstance.updateMany(
+        { _id: { $in: withdrawnIds } },
+        { status: 'cancelled', endDate: new Date() }
+      );
+      await this.cancelTimers({ stepInstanceId: { $in: withdrawnIds } });
+    }
+
+    // Tokens parked at joins are withdrawn per arrival, the rest per step
+    const joinStepIds = Object.keys(processInstance.joinArrivals || {});
+    const joinArrivals = {};
+    for (const [joinStepId, arrivals] of Object.entries(processInstance.joinArrivals || {})) {
+      const kept = arrivals.filter(sourceStepId => !withdrawArrival(joinStepId, sourceStepId));
+      if (kept.length > 0) {
+        joinArrivals[joinStepId] = kept;
+      }
+    }
+
+    processInstance.currentSteps = [
+      ...processInstance.currentSteps.filter(stepId => !joinStepIds.includes(stepId) && !withdrawStep(stepId)),
+      ...Object.entries(joinArrivals).flatMap(([joinStepId, arrivals]) => arrivals.map(() => joinStepId))
+    ];
+    processInstance.joinArrivals = joinArrivals;
+    processInstance.markModified('joinArrivals');
+
+    if (variables) {
+      await this.setVariables(processInstance, template, variables, userId, { source: action });
+    }
+
+    processInstance.status = 'active';
+    processInstance.endDate = undefined;
+    await processInstance.save();
+
+    // Sub-processes started by withdrawn steps go too; their parent step is
+    // already cancelled, so they do not resume this process
+    const children = await ProcessInstance.find({
+      parentStepInstanceId: { $in: withdrawn.map(stepInstance => stepInstance._id) },
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+    for (const child of children) {
+      await this.cancelProcess(child, userId, reason || `Parent process "${processInstance.name}" was moved back`);
+    }
+
+    await this.activateStep(processInstance, template, targetStep, null, userId);
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId,
+      action,
+      performedBy: userId,
+      fromStatus: before.status,
+      toStatus: processInstance.status,
+      comments: reason,
+      metadata: {
+        ...metadata,
+        reason,
+        targetStepId: targetStep.stepId,
+        withdrawnSteps: withdrawn.map(stepInstance => ({
+          stepInstanceId: stepInstance._id,
+          stepId: stepInstance.stepId,
+          assignedTo: stepInstance.assignedTo
+        })),
+        before,
+        after: {
+          status: processInstance.status,
+          currentSteps: [...processInstance.currentSteps],
+          variables: { ...processInstance.variables }
+        }
+      }
+    });
+
+    for (const stepInstance of withdrawn) {
+      if (!stepInstance.assignedTo) continue;
+
+      await this.notify({
+        userId: stepInstance.assignedTo,
+        type: 'system_notification',
+        title: 'Task Withdrawn',
+        message: `Your task "${stepInstance.name}" is no longer needed: process "${processInstance.name}" was moved back to step "${targetStep.name}".`,
+        relatedProcess: processInstance._id,
+        relatedStep: stepInstance._id,
+        priority: 'medium'
+      });
+    }
+
+    await this.finishTransition(processInstance, template, userId);
+
+    logger.info(`Tokens moved (${action}): ${processInstance.name} (${processInstance._id}) to step ${targetStep.stepId}`);
+
+    return processInstance;
+  }
+
+  // Persist the timer of a timer step, the boundary timers of a task and the
+  // first attempt of a service task
+  async scheduleTimers(processInstance, templateStep, stepInstance, from = new Date()) {
+    const timers = [];
+
+    if (templateStep.type === 'service_task' && templateStep.service?.handler) {
+      timers.push({ kind: 'service', dueAt: from });
+    }
+
+    if (templateStep.type === 'timer' && templateStep.timer) {
+      timers.push({
+        kind: 'step',
+        dueAt: this.computeTimerDueDate(templateStep.timer, processInstance, from)
+      });
+    }
+
+    for (const boundaryTimer of templateStep.boundaryTimers || []) {
+      timers.push({
+        kind: 'boundary',
+        timerId: boundaryTimer.timerId,
+        dueAt: this.computeTimerDueDate(boundaryTimer, processInstance, from)
+      });
+    }
+
+    if (timers.length === 0) {
+      return [];
+    }
+
+    const created = await Timer.insertMany(timers.map(timer => ({
+      ...timer,
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      stepId: templateStep.stepId
+    })));
+
+    // Service tasks run as soon as the transition is saved
+    created
+      .filter(timer => timer.kind === 'service')
+      .forEach(timer => this.queueTimer(processInstance, timer));
+
+    return created;
+  }
+
+  // Remember a due timer to run once the process instance has been saved
+  queueTimer(processInstance, timer) {
+    processInstance.$locals.queuedTimers = [...(processInstance.$locals.queuedTimers || []), timer._id];
+  }
+
+  // Run queued timers in the background; the scheduler picks up any this
+  // replica does not get to
+  dispatchQueuedTimers(processInstance) {
+    const timerIds = processInstance.$locals.queuedTimers || [];
+    processInstance.$locals.queuedTimers = [];
+
+    // Queued timers only become claimable once the transition has committed
+    for (const timerId of timerIds) {
+      database.afterCommit(() => setImmediate(async () => {
+        try {
+          const timer = await Timer.claimById(timerId, this.instanceId, TIMER_LOCK_MS);
+          if (timer) {
+            await this.runClaimedTimer(timer);
+          }
+        } catch (error) {
+          logger.error(`Failed to run timer ${timerId}:`, error);
+        }
+      }));
+    }
+  }
+
+  // Claim and fire due timers one at a time. The claim is atomic, so with
+  // several replicas sweeping each timer is fired by exactly one of them.
+  async processDueTimers(limit) {
+    let fired = 0;
+
+    for (let i = 0; i < limit; i++) {
+      const timer = await Timer.claimNextDue(this.instanceId, TIMER_LOCK_MS);
+      if (!timer) {
+        break;
+      }
+
+      if (await this.runClaimedTimer(timer)) {
+        fired++;
+      }
+    }
+
+    return fired;
+  }
+
+  // Fire a timer this replica has claimed and record the outcome
+  async runClaimedTimer(timer) {
+    try {
+      // Service tasks call other systems, so they record their own outcome in
+      // a transaction; other timers fire and are marked fired together
+      if (timer.kind === 'service') {
+        await this.fireTimer(timer);
+        await timer.markFired();
+      } else if (timer.kind === 'compensation') {
+        await this.runCompensation(timer);
+        await timer.markFired();
+      } else {
+        await database.runInTransaction(async () => {
+          await this.fireTimer(timer);
+          await timer.markFired();
+        }, 'timer');
+      }
+      return true;
+    } catch (error) {
+      // Back off quadratically before the next attempt
+      const retryAt = new Date(Date.now() + timer.attempts * timer.attempts * 60 * 1000);
+      await timer.markFailed(error, retryAt, TIMER_MAX_ATTEMPTS);
+      logger.error(`Failed to fire timer ${timer._id} (attempt ${timer.attempts}):`, error);
+      return false;
+    }
+  }
+
+  // Work out when a timer definition is due
+  computeTimerDueDate(definition, processInstance, from = new Date()) {
+    switch (definition.type) {
+      case 'duration':
+        return new Date(from.getTime() + (definition.duration || 0) * 60 * 1000);
+
+      case 'date': {
+        const value = processInstance.variables?.[definition.dateVariable];
+        const dueAt = value ? new Date(value) : null;
+        if (!dueAt || isNaN(dueAt.getTime())) {
+          throw new AppError(
+            `Timer variable "${definition.dateVariable}" does not hold a valid date`,
+            400,
+            'INVALID_TIMER',
+            { dateVariable: definition.dateVariable }
+          );
+        }
+        return dueAt;
+      }
+
+      case 'cron':
+        try {
+          return getNextCronDate(definition.cron, from, config.app.timezone || 'UTC');
+        } catch (error) {
+          throw new AppError(error.message, 400, 'INVALID_TIMER', { cron: definition.cron });
+        }
+
+      default:
+        throw new AppError(`Unknown timer type "${definition.type}"`, 400, 'INVALID_TIMER');
+    }
+  }
+
+  // Run one attempt of a service task's handler. Success writes the result to
+  // process variables and moves on; failure is retried with backoff until the
+  // attempts run out, then the step is marked failed.
+  async executeServiceTask(processInstance, template, templateStep, stepInstance) {
+    const { handler: handlerName, config: handlerConfig = {}, outputVariable } = templateStep.service;
+    const attempt = (stepInstance.serviceExecution?.attempts || 0) + 1;
+
+    stepInstance.status = 'in_progress';
+    stepInstance.startDate = stepInstance.startDate || new Date();
+    stepInstance.serviceExecution = {
+      ...stepInstance.serviceExecution,
+      handler: handlerName,
+      attempts: attempt,
+      lastAttemptAt: new Date()
+    };
+
+    let output;
+    let failure = null;
+    try {
+      const handler = serviceTaskRegistry.get(handlerName);
+      output = await handler.execute(handlerConfig, {
+        context: buildExpressionContext({ variables: processInstance.variables }),
+        processInstance,
+        stepInstance,
+        templateStep,
+        // Lets handlers keep debugging details, such as an HTTP exchange, on the step
+        record: (details) => {
+          stepInstance.serviceExecution = { ...stepInstance.serviceExecution, ...details };
+        }
+      });
+      // Output that breaks the variable declarations fails the step
+      assertValidVariables(template.variables, this.getOutputVariables(outputVariable, output), { partial: true });
+    } catch (error) {
+      failure = error;
+    }
+
+    // The handler runs outside any transaction; its outcome and the
+    // transition that follows commit together
+    await database.runInTransaction(async () => {
+      if (failure) {
+        await this.recordServiceFailure(processInstance, templateStep, stepInstance, failure, attempt);
+      } else {
+        await this.recordServiceSuccess(processInstance, template, templateStep, stepInstance, output, attempt);
+      }
+      await this.finishTransition(processInstance, template, null);
+    }, 'service task');
+  }
+
+  // Record a failed service task attempt, scheduling a retry while attempts remain
+  async recordServiceFailure(processInstance, templateStep, stepInstance, error, attempt) {
+    const { handler: handlerName, retry = {} } = templateStep.service;
+    const maxAttempts = retry.maxAttempts || 1;
+    const failure = {
+      message: error.message,
+      errorCode: error.errorCode || null,
+      details: error.details || null
+    };
+    // Configuration errors will fail the same way every time
+    const retryable = !(error instanceof AppError) || error.statusCode >= 500;
+
+    stepInstance.serviceExecution = { ...stepInstance.serviceExecution, lastError: failure };
+    stepInstance.markModified('serviceExecution');
+
+    if (retryable && attempt < maxAttempts) {
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(retry, attempt));
+      await stepInstance.save();
+
+      await Timer.create({
+        processInstanceId: processInstance._id,
+        stepInstanceId: stepInstance._id,
+        stepId: templateStep.stepId,
+        kind: 'service',
+        dueAt: nextAttemptAt
+      });
+
+      await ProcessHistory.create({
+        processInstanceId: processInstance._id,
+        stepInstanceId: stepInstance._id,
+        action: 'step_retried',
+        metadata: { handler: handlerName, attempt, maxAttempts, nextAttemptAt, error: failure }
+      });
+
+      logger.warn(`Service task ${templateStep.stepId} failed, retrying at ${nextAttemptAt.toISOString()}`, {
+        processInstanceId: processInstance._id,
+        attempt,
+        error: error.message
+      });
+      return;
+    }
+
+    stepInstance.status = 'failed';
+    stepInstance.endDate = new Date();
+    await stepInstance.save();
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'step_failed',
+      fromStatus: 'in_progress',
+      toStatus: 'failed',
+      comments: error.message,
+      metadata: { handler: handlerName, attempts: attempt, retryable, error: failure }
+    });
+
+    await this.notify({
+      userId: processInstance.initiatedBy,
+      type: 'system_notification',
+      title: 'Service Task Failed',
+      message: `Step "${templateStep.name}" of process "${processInstance.name}" failed: ${error.message}`,
+      relatedProcess: processInstance._id,
+      relatedStep: stepInstance._id,
+      priority: 'high'
+    });
+
+    // Undo the completed work that led up to this step
+    if (templateStep.service.compensateOnFailure) {
+      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+      await this.compensateSteps(
+        processInstance,
+        template,
+        'step_failed',
+        stepId => canReach(template, stepId, templateStep.stepId)
+      );
+    }
+
+    logger.error(`Service task ${templateStep.stepId} failed after ${attempt} attempt(s):`, error);
+  }
+
+  // Write a service task's output into process variables and move on
+  async recordServiceSuccess(processInstance, template, templateStep, stepInstance, output, attempt) {
+    const { handler: handlerName, outputVariable } = templateStep.service;
+
+    // Write the result into process variables
+    const updatedVariables = this.getOutputVariables(outputVariable, output);
+    await this.setVariables(processInstance, template, updatedVariables, null, { stepInstance, source: 'service_task' });
+
+    stepInstance.status = 'completed';
+    stepInstance.endDate = new Date();
+    stepInstance.serviceExecution = { ...stepInstance.serviceExecution, lastError: null };
+    stepInstance.markModified('serviceExecution');
+    await stepInstance.save();
 
-      const template = instance.processTemplateId;
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'step_completed',
+      fromStatus: 'in_progress',
+      toStatus: 'completed',
+      metadata: { handler: handlerName, attempts: attempt, updatedVariables: Object.keys(updatedVariables) }
+    });
 
-      // Update process instance status
-      instance.status = 'active';
-      instance.startDate = new Date();
-      
-      // Find the start step from template
-      const startStep = template.steps.find(step => step.stepId === template.startStep);
-      if (!startStep) {
-        throw new AppError('Start step not found in template', 400);
-      }
+    await this.leaveStep(processInstance, template, templateStep, stepInstance, null);
+  }
 
-      // Create the initial step instance
-      await this.createStepInstance(instance, startStep, userId);
+  // Mark the completed steps that declare a compensation handler to be
+  // undone, then start undoing them, most recently completed first
+  async compensateSteps(processInstance, template, trigger, include = () => true) {
+    const compensable = (template?.steps || [])
+      .filter(step => step.compensation?.handler && include(step.stepId))
+      .map(step => step.stepId);
+    if (compensable.length === 0) {
+      return;
+    }
 
-      // Update current steps
-      instance.currentSteps = [startStep.stepId];
-      await instance.save();
+    const stepInstances = await StepInstance.find({
+      processInstanceId: processInstance._id,
+      stepId: { $in: compensable },
+      status: 'completed',
+      compensation: null
+    });
+    if (stepInstances.length === 0) {
+      return;
+    }
 
-      // Log process start
-      await ProcessHistory.create({
-        processInstanceId: instance._id,
-        action: 'process_started',
-        performedBy: userId,
-        fromStatus: 'draft',
-        toStatus: 'active'
-      });
+    // A chain that is already running picks the new steps up in turn
+    const running = await StepInstance.exists({
+      processInstanceId: processInstance._id,
+      'compensation.status': 'pending'
+    });
 
-      logger.info(`Process started: ${instance.name} (${instance._id})`);
+    for (const stepInstance of stepInstances) {
+      const { handler, config } = getStep(template, stepInstance.stepId).compensation;
+      stepInstance.compensation = { status: 'pending', trigger, handler, config, attempts: 0 };
+      await stepInstance.save();
+    }
 
-      return instance;
-    } catch (error) {
-      logger.error('Error starting process:', error);
-      throw error;
+    if (!running) {
+      await this.scheduleNextCompensation(processInstance);
+      this.dispatchQueuedTimers(processInstance);
     }
   }
 
-  // Complete a step and move to next steps
-  async completeStep(stepInstanceId, userId, formData = {}, decision = null) {
-    try {
-      const stepInstance = await StepInstance.findById(stepInstanceId)
-        .populate('processInstanceId');
+  // Queue the compensation of the most recently completed step still to be undone
+  async scheduleNextCompensation(processInstance) {
+    const next = await StepInstance.findOne({
+      processInstanceId: processInstance._id,
+      'compensation.status': 'pending'
+    }).sort({ endDate: -1 });
 
-      if (!stepInstance) {
-        throw new AppError('Step instance not found', 404);
-      }
+    if (!next) {
+      return null;
+    }
 
-      const processInstance = stepInstance.processInstanceId;
-      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+    const timer = await Timer.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: next._id,
+      stepId: next.stepId,
+      kind: 'compensation',
+      dueAt: new Date()
+    });
+    this.queueTimer(processInstance, timer);
+    return timer;
+  }
 
-      if (!template) {
-        throw new AppError('Process template not found', 404);
-      }
+  // Run a step's compensation handler outside any transaction, as it calls
+  // other systems, then record the outcome and queue the next step. Failures
+  // that may pass are retried by the timer until its attempts run out.
+  async runCompensation(timer) {
+    const processInstance = await ProcessInstance.findById(timer.processInstanceId);
+    const stepInstance = await StepInstance.findById(timer.stepInstanceId);
 
-      // Check if step can be completed
-      if (!stepInstance.canComplete(userId)) {
-        throw new AppError('You are not authorized to complete this step', 403);
-      }
+    if (!processInstance || stepInstance?.compensation?.status !== 'pending') {
+      return false;
+    }
 
-      // Update step instance
-      stepInstance.status = 'completed';
-      stepInstance.endDate = new Date();
-      stepInstance.completedBy = userId;
-      stepInstance.formData = { ...stepInstance.formData, ...formData };
+    const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+    const templateStep = template && getStep(template, stepInstance.stepId);
+    const { handler: handlerName, config: handlerConfig = {}, trigger } = stepInstance.compensation;
+    const attempt = (stepInstance.compensation.attempts || 0) + 1;
 
-      if (decision) {
-        stepInstance.variables = { ...stepInstance.variables, decision };
-      }
+    let failure = null;
+    let execution = {};
+    try {
+      const handler = serviceTaskRegistry.get(handlerName);
+      await handler.execute(handlerConfig, {
+        context: buildExpressionContext({
+          variables: processInstance.variables,
+          formData: stepInstance.formData
+        }),
+        processInstance,
+        stepInstance,
+        templateStep,
+        record: (details) => {
+          execution = { ...execution, ...details };
+        }
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    const error = failure && {
+      message: failure.message,
+      errorCode: failure.errorCode || null,
+      details: failure.details || null
+    };
+    stepInstance.compensation = {
+      ...stepInstance.compensation,
+      attempts: attempt,
+      lastAttemptAt: new Date(),
+      lastError: error || null,
+      execution
+    };
+    stepInstance.markModified('compensation');
+
+    // Configuration errors will fail the same way every time
+    const retryable = failure && (!(failure instanceof AppError) || failure.statusCode >= 500);
+    if (retryable && timer.attempts < TIMER_MAX_ATTEMPTS) {
+      await stepInstance.save();
+      logger.warn(`Compensation of step ${stepInstance.stepId} failed, will retry`, {
+        processInstanceId: processInstance._id,
+        attempt,
+        error: failure.message
+      });
+      throw failure;
+    }
 
+    await database.runInTransaction(async () => {
+      stepInstance.compensation = {
+        ...stepInstance.compensation,
+        status: failure ? 'failed' : 'completed',
+        ...(failure ? {} : { completedAt: new Date() })
+      };
       await stepInstance.save();
 
-      // Log step completion
       await ProcessHistory.create({
         processInstanceId: processInstance._id,
         stepInstanceId: stepInstance._id,
-        action: 'step_completed',
-        performedBy: userId,
-        fromStatus: 'in_progress',
-        toStatus: 'completed',
-        metadata: { formData, decision }
+        action: failure ? 'step_compensation_failed' : 'step_compensated',
+        comments: failure?.message,
+        metadata: { handler: handlerName, trigger, attempts: attempt, error }
       });
 
-      // Find template step to get next steps
-      const templateStep = template.steps.find(s => s.stepId === stepInstance.stepId);
-      if (!templateStep) {
-        throw new AppError('Template step not found', 400);
+      if (failure) {
+        await this.notify({
+          userId: processInstance.initiatedBy,
+          type: 'system_notification',
+          title: 'Compensation Failed',
+          message: `Undoing step "${stepInstance.name}" of process "${processInstance.name}" failed: ${failure.message}`,
+          relatedProcess: processInstance._id,
+          relatedStep: stepInstance._id,
+          priority: 'high'
+        });
       }
 
-      // Process step completion and move to next steps
-      await this.processStepCompletion(stepInstance, userId);
-
-      logger.info(`Step completed: ${stepInstance.name} (${stepInstance._id})`);
+      await this.scheduleNextCompensation(processInstance);
+      this.dispatchQueuedTimers(processInstance);
+    }, 'compensation');
 
-      return stepInstance;
-    } catch (error) {
-      logger.error('Error completing step:', error);
-      throw error;
+    if (failure) {
+      logger.error(`Compensation of step ${stepInstance.stepId} failed after ${attempt} attempt(s):`, failure);
+    } else {
+      logger.info(`Step compensated: ${stepInstance.name} (${stepInstance._id})`);
     }
+    return true;
   }
 
-  // Process step completion and determine next steps
-  async processStepCompletion(stepInstance, userId) {
-    try {
-      const processInstance = stepInstance.processInstanceId;
-      const template = await ProcessTemplate.findById(processInstance.processTemplateId);
-      
-      // Find template step
-      const templateStep = template.steps.find(s => s.stepId === stepInstance.stepId);
-      
-      // Remove current step from process instance
-      processInstance.currentSteps = processInstance.currentSteps.filter(
-        stepId => stepId !== stepInstance.stepId
-      );
+  // Delay in milliseconds before the next attempt of a service task
+  getRetryDelay(retry = {}, attempt) {
+    const delaySeconds = retry.delaySeconds ?? 30;
+    const maxDelaySeconds = retry.maxDelaySeconds ?? 3600;
+    const seconds = retry.backoff === 'fixed'
+      ? delaySeconds
+      : delaySeconds * Math.pow(2, attempt - 1);
+
+    return Math.min(seconds, maxDelaySeconds) * 1000;
+  }
+
+  // Cancel the scheduled timers matching a filter
+  async cancelTimers(filter) {
+    await Timer.updateMany(
+      { ...filter, status: 'scheduled' },
+      { $set: { status: 'cancelled' } }
+    );
+  }
 
-      // Determine next steps
-      const nextStepIds = this.determineNextSteps(templateStep, stepInstance, stepInstance.variables?.decision);
+  // Fire a claimed timer. Returns false when the step it guards has already
+  // moved on, so a timer that is retried after a crash has no further effect.
+  async fireTimer(timer) {
+    const processInstance = await ProcessInstance.findById(timer.processInstanceId);
+    const stepInstance = await StepInstance.findById(timer.stepInstanceId);
 
-      // Create next step instances
-      for (const nextStepId of nextStepIds) {
-        const nextTemplateStep = template.steps.find(s => s.stepId === nextStepId);
-        if (nextTemplateStep) {
-          await this.createStepInstance(processInstance, nextTemplateStep, userId);
-          processInstance.currentSteps.push(nextStepId);
-        }
+    if (!processInstance || processInstance.status !== 'active' ||
+        !stepInstance || !['pending', 'in_progress'].includes(stepInstance.status)) {
+      return false;
+    }
+
+    const template = await ProcessTemplate.findById(processInstance.processTemplateId);
+    const templateStep = template && getStep(template, timer.stepId);
+    if (!templateStep) {
+      throw new AppError('Template step not found', 400);
+    }
+
+    if (timer.kind === 'service') {
+      await this.executeServiceTask(processInstance, template, templateStep, stepInstance);
+      return true;
+    }
+
+    const boundaryTimer = timer.kind === 'boundary'
+      ? (templateStep.boundaryTimers || []).find(candidate => candidate.timerId === timer.timerId)
+      : null;
+    if (timer.kind === 'boundary' && !boundaryTimer) {
+      throw new AppError(`Boundary timer "${timer.timerId}" not found on step "${timer.stepId}"`, 400);
+    }
+    const interrupting = !boundaryTimer || boundaryTimer.interrupting !== false;
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'timer_fired',
+      fromStatus: stepInstance.status,
+      toStatus: timer.kind === 'step' ? 'completed' : (interrupting ? 'cancelled' : stepInstance.status),
+      metadata: {
+        stepId: timer.stepId,
+        timerId: timer.timerId,
+        kind: timer.kind,
+        interrupting,
+        dueAt: timer.dueAt
       }
+    });
 
-      // Check if process is complete
-      if (nextStepIds.length === 0 || nextStepIds.every(id => template.endSteps.includes(id))) {
-        await this.completeProcess(processInstance, userId);
-      } else {
-        // Update completion percentage
-        await processInstance.updateCompletionPercentage();
-        await processInstance.save();
+    if (timer.kind === 'step') {
+      // Timer step elapsed: continue along its normal transitions
+      stepInstance.status = 'completed';
+      stepInstance.endDate = new Date();
+      await stepInstance.save();
+
+      await this.leaveStep(processInstance, template, templateStep, stepInstance, null);
+    } else if (interrupting) {
+      // Interrupting boundary timer: cancel the task and take the timer path
+      stepInstance.status = 'cancelled';
+      stepInstance.endDate = new Date();
+      await stepInstance.save();
+
+      await this.cancelTimers({ stepInstanceId: stepInstance._id });
+      await this.cancelMultiInstanceItems(stepInstance, 'boundary_timer', null);
+      await this.routeFrom(
+        processInstance,
+        template,
+        templateStep,
+        buildExpressionContext({ variables: processInstance.variables }),
+        null,
+        { timerId: timer.timerId }
+      );
+    } else {
+      // Non-interrupting boundary timer: open the timer path alongside the
+      // task, or remind the assignee when the timer has no path of its own
+      const hasTimerPath = (templateStep.nextSteps || [])
+        .some(transition => transition.timerId === timer.timerId);
+
+      if (hasTimerPath) {
+        await this.routeFrom(
+          processInstance,
+          template,
+          templateStep,
+          buildExpressionContext({ variables: processInstance.variables }),
+          null,
+          { timerId: timer.timerId, keepToken: true }
+        );
+      } else if (stepInstance.assignedTo) {
+        await this.notify({
+          userId: stepInstance.assignedTo,
+          type: 'task_overdue',
+          title: 'Task Reminder',
+          message: `Task "${stepInstance.name}" is still waiting for you`,
+          relatedProcess: processInstance._id,
+          relatedStep: stepInstance._id,
+          priority: 'high'
+        });
       }
 
-    } catch (error) {
-      logger.error('Error processing step completion:', error);
-      throw error;
+      // Cron timers keep firing while the task stays open
+      if (boundaryTimer.type === 'cron') {
+        await Timer.create({
+          processInstanceId: processInstance._id,
+          stepInstanceId: stepInstance._id,
+          stepId: timer.stepId,
+          timerId: timer.timerId,
+          kind: 'boundary',
+          dueAt: this.computeTimerDueDate(boundaryTimer, processInstance)
+        });
+      }
     }
+
+    await this.finishTransition(processInstance, template, null);
+
+    logger.info(`Timer fired: ${timer.stepId}${timer.timerId ? `/${timer.timerId}` : ''} (${processInstance._id})`);
+
+    return true;
+  }
+
+  // Record a pass through a gateway and route on from it
+  async passGateway(processInstance, template, templateStep, context, userId) {
+    await this.createStepInstance(processInstance, templateStep, userId, { status: 'completed' });
+    processInstance.currentSteps.push(templateStep.stepId);
+    await this.routeFrom(processInstance, template, templateStep, context, userId);
   }
 
-  // Determine next steps based on current step and conditions
-  determineNextSteps(templateStep, stepInstance, decision) {
-    const nextSteps = [];
+  // Parallel gateway: wait for every incoming branch, then fan out to all outgoing branches
+  async activateParallelGateway(processInstance, template, templateStep, sourceStepId, userId) {
+    const { stepId } = templateStep;
+
+    if (isJoin(template, templateStep)) {
+      const incoming = getIncomingStepIds(template, stepId);
+      const arrived = new Set([...(processInstance.joinArrivals?.[stepId] || []), sourceStepId]);
+
+      if (!incoming.every(id => arrived.has(id))) {
+        // Park the token at the join until the remaining branches arrive
+        this.parkToken(processInstance, stepId, sourceStepId);
+
+        await ProcessHistory.create({
+          processInstanceId: processInstance._id,
+          action: 'join_waiting',
+          performedBy: userId,
+          metadata: {
+            stepId,
+            arrivedFrom: [...arrived],
+            waitingFor: incoming.filter(id => !arrived.has(id))
+          }
+        });
+        return;
+      }
 
-    if (!templateStep.nextSteps || templateStep.nextSteps.length === 0) {
-      return nextSteps;
+      // All branches arrived: release the parked tokens
+      this.releaseParkedTokens(processInstance, stepId);
     }
 
-    for (const nextStep of templateStep.nextSteps) {
-      if (!nextStep.condition || this.evaluateCondition(nextStep.condition, stepInstance, decision)) {
-        nextSteps.push(nextStep.stepId);
+    await this.createStepInstance(processInstance, templateStep, userId, { status: 'completed' });
+
+    for (const nextStepId of getOutgoingStepIds(templateStep)) {
+      const nextTemplateStep = getStep(template, nextStepId);
+      if (nextTemplateStep) {
+        await this.activateStep(processInstance, template, nextTemplateStep, stepId, userId);
       }
     }
+  }
+
+  // Inclusive joins fire once none of the remaining live tokens can reach them
+  async releaseInclusiveJoins(processInstance, template, userId) {
+    let released = true;
+
+    while (released && processInstance.status === 'active') {
+      released = false;
 
-    // If no conditions match and it's a decision step, use the decision
-    if (nextSteps.length === 0 && templateStep.type === 'decision' && decision) {
-      const decisionStep = templateStep.nextSteps.find(ns => ns.condition === decision);
-      if (decisionStep) {
-        nextSteps.push(decisionStep.stepId);
+      for (const stepId of Object.keys(processInstance.joinArrivals || {})) {
+        const templateStep = getStep(template, stepId);
+        if (!templateStep || templateStep.type !== 'inclusive') continue;
+
+        const otherTokens = processInstance.currentSteps.filter(id => id !== stepId);
+        if (otherTokens.some(id => canReach(template, id, stepId))) continue;
+
+        this.releaseParkedTokens(processInstance, stepId);
+        await this.passGateway(
+          processInstance,
+          template,
+          templateStep,
+          buildExpressionContext({ variables: processInstance.variables }),
+          userId
+        );
+        released = true;
       }
     }
+  }
+
+  // Hold a token at a join and remember which branch it came from
+  parkToken(processInstance, stepId, sourceStepId) {
+    const arrivals = { ...(processInstance.joinArrivals || {}) };
+    arrivals[stepId] = [...(arrivals[stepId] || []), sourceStepId];
+    processInstance.joinArrivals = arrivals;
+    processInstance.markModified('joinArrivals');
+    processInstance.currentSteps.push(stepId);
+  }
+
+  // Drop the tokens parked at a join and forget its arrivals
+  releaseParkedTokens(processInstance, stepId) {
+    const arrivals = { ...(processInstance.joinArrivals || {}) };
+
+    // A parallel join fires on its last arrival, whose token was never parked
+    (arrivals[stepId] || []).forEach(() => this.removeToken(processInstance, stepId));
+
+    delete arrivals[stepId];
+    processInstance.joinArrivals = arrivals;
+    processInstance.markModified('joinArrivals');
+  }
 
-    // If still no next steps, take the first one (default path)
-    if (nextSteps.length === 0 && templateStep.nextSteps.length > 0) {
-      nextSteps.push(templateStep.nextSteps[0].stepId);
+  // Remove a single token for a step from the process instance
+  removeToken(processInstance, stepId) {
+    const index = processInstance.currentSteps.indexOf(stepId);
+    if (index !== -1) {
+      processInstance.currentSteps.splice(index, 1);
     }
+  }
 
-    return nextSteps;
+  // Complete the process once no live tokens remain, otherwise persist progress
+  async finishTransition(processInstance, template, userId) {
+    await this.releaseInclusiveJoins(processInstance, template, userId);
+
+    if (processInstance.status === 'active' && processInstance.currentSteps.length === 0) {
+      await this.completeProcess(processInstance, userId);
+    } else {
+      await processInstance.updateCompletionPercentage();
+    }
+
+    this.dispatchQueuedTimers(processInstance);
   }
 
-  // Evaluate condition (simple implementation)
-  evaluateCondition(condition, stepInstance, decision) {
-    try {
-      // Simple condition evaluation
-      if (condition === 'true' || condition === '') {
-        return true;
-      }
+  // Move the process to error when a token has nowhere to go
+  async markProcessError(processInstance, templateStep, error, userId) {
+    const fromStatus = processInstance.status;
+    processInstance.status = 'error';
 
-      if (decision && condition === decision) {
-        return true;
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      action: 'process_error',
+      performedBy: userId,
+      fromStatus,
+      toStatus: 'error',
+      comments: error.message,
+      metadata: {
+        stepId: templateStep.stepId,
+        stepType: templateStep.type,
+        errorCode: error.errorCode
       }
+    });
 
-      // Add more complex condition evaluation logic here
-      return false;
+    await this.notify({
+      userId: processInstance.initiatedBy,
+      type: 'system_notification',
+      title: 'Process Error',
+      message: `Process "${processInstance.name}" stopped at step "${templateStep.name}": ${error.message}`,
+      relatedProcess: processInstance._id,
+      priority: 'high'
+    });
+
+    logger.warn(`Process moved to error: ${processInstance.name} (${processInstance._id})`, {
+      stepId: templateStep.stepId,
+      reason: error.message
+    });
+  }
+
+  // Determine next steps based on the step type and transition conditions:
+  //   exclusive/decision - first matching transition, else the default
+  //   inclusive/other    - every matching transition, else the default
+  // Throws NO_MATCHING_TRANSITION when transitions exist but none applies.
+  // Only transitions of the given boundary timer are considered when one fires.
+  determineNextSteps(templateStep, context, timerId = null) {
+    const transitions = (templateStep.nextSteps || [])
+      .filter(transition => (transition.timerId || null) === timerId);
+
+    if (transitions.length === 0) {
+      return [];
+    }
+
+    if (templateStep.type === 'parallel') {
+      return [...new Set(transitions.map(transition => transition.stepId))];
+    }
+
+    const defaultTransition = transitions.find(transition => transition.isDefault);
+    const candidates = transitions.filter(transition => !transition.isDefault);
+    const matches = (transition) => {
+      return !transition.condition || this.evaluateCondition(transition.condition, context);
+    };
+
+    let nextSteps;
+    if (['exclusive', 'decision'].includes(templateStep.type)) {
+      const match = candidates.find(matches);
+      nextSteps = match ? [match.stepId] : [];
+    } else {
+      nextSteps = [...new Set(candidates.filter(matches).map(transition => transition.stepId))];
+    }
+
+    if (nextSteps.length === 0 && defaultTransition) {
+      nextSteps = [defaultTransition.stepId];
+    }
+
+    if (nextSteps.length === 0) {
+      throw new AppError(
+        `No transition from step "${templateStep.stepId}" matched and no default is defined`,
+        409,
+        'NO_MATCHING_TRANSITION',
+        { stepId: templateStep.stepId }
+      );
+    }
+
+    return nextSteps;
+  }
+
+  // Evaluate a transition condition against process variables, form data and decision
+  evaluateCondition(condition, context) {
+    try {
+      return evaluateExpression(condition, context) === true;
     } catch (error) {
-      logger.error('Error evaluating condition:', error);
+      logger.error(`Error evaluating condition "${condition}":`, error);
       return false;
     }
   }
 
   // Create a step instance
-  async createStepInstance(processInstance, templateStep, userId) {
+  async createStepInstance(processInstance, templateStep, userId, options = {}) {
     try {
       const stepInstance = new StepInstance({
         processInstanceId: processInstance._id,
@@ -226,29 +2080,103 @@ class WorkflowEngine {
         formData: {}
       });
 
+      // Users the template's separation of duties keeps off the step
+      const isOpenHumanTask = options.assign !== false && options.status !== 'completed' &&
+        ESCALATABLE_STEP_TYPES.includes(templateStep.type);
+      const exclusions = isOpenHumanTask
+        ? await separationOfDutiesService.getExclusions(processInstance, templateStep.stepId)
+        : new Map();
+      const isAllowed = id => !exclusions.has(id.toString());
+
+      // Task instances of a multi-instance step go to the user their item
+      // names, unless separation of duties keeps that user off the step; then
+      // they are assigned the way the step is
+      let excludedAssignee = null;
+      if (options.assignedTo && !isAllowed(options.assignedTo)) {
+        excludedAssignee = options.assignedTo;
+        logger.warn(`Separation of duties keeps user ${excludedAssignee} off step "${templateStep.stepId}"`);
+      }
+      const itemAssignee = excludedAssignee ? null : options.assignedTo;
+
+      // Human steps with an assignment strategy go to the user it picks;
+      // when it finds nobody they are left for the role or department to claim
+      let assignment = null;
+      if (!itemAssignee && isOpenHumanTask && templateStep.assignment?.strategy) {
+        assignment = await assignmentService.assign(processInstance, templateStep, { exclusions });
+      }
+
       // Set assignment based on type
-      if (templateStep.assigneeType === 'user' && templateStep.assignees?.length > 0) {
-        // Assign to first available assignee (can be enhanced with load balancing)
-        stepInstance.assignedTo = templateStep.assignees[0];
+      if (itemAssignee) {
+        stepInstance.assignedTo = itemAssignee;
+      } else if (options.assign === false) {
+        // Multi-instance activities are never worked on directly
+      } else if (assignment?.userId) {
+        stepInstance.assignedTo = assignment.userId;
+      } else if (templateStep.assigneeType === 'user' && templateStep.assignees?.length > 0) {
+        // Assign to the first assignee separation of duties allows
+        stepInstance.assignedTo = templateStep.assignees.find(isAllowed);
+        if (!stepInstance.assignedTo) {
+          logger.warn(`Separation of duties excludes every assignee of step "${templateStep.stepId}"`);
+        }
       } else if (templateStep.assigneeType === 'role') {
         stepInstance.assignedRole = templateStep.assignees?.[0];
       } else if (templateStep.assigneeType === 'department') {
         stepInstance.assignedDepartment = templateStep.assignees?.[0];
       }
 
-      // Set due date if time limit is specified
-      if (templateStep.timeLimit) {
-        const dueDate = new Date();
-        dueDate.setHours(dueDate.getHours() + templateStep.timeLimit);
-        stepInstance.dueDate = dueDate;
+      // Link a multi-instance task instance to its activity
+      if (options.loop) {
+        stepInstance.multiInstanceParentId = options.loop.parentId;
+        stepInstance.loopIndex = options.loop.index;
+        stepInstance.loopItem = options.loop.item;
       }
 
-      // Auto-complete service tasks
-      if (templateStep.type === 'service_task' || templateStep.autoComplete) {
+      // Set due date if time limit is specified, and when the first level of
+      // the escalation policy is due, in working hours when the step has a
+      // business calendar
+      const escalationLevels = options.assign === false ? [] : this.getEscalationLevels(templateStep);
+      if (templateStep.timeLimit || escalationLevels.length > 0) {
+        const calendar = await calendarService.resolveStepCalendar(processInstance, stepInstance);
+        stepInstance.businessCalendarId = calendar?._id;
+
+        if (templateStep.timeLimit) {
+          stepInstance.dueDate = calendarService.addHours(calendar, new Date(), templateStep.timeLimit);
+        }
+        if (escalationLevels.length > 0) {
+          stepInstance.nextEscalationLevel = 1;
+          stepInstance.nextEscalationAt = calendarService.addHours(
+            calendar,
+            stepInstance.dueDate || new Date(),
+            this.getEscalationDelay(templateStep, escalationLevels[0])
+          );
+        }
+      }
+
+      // Auto-complete handler-less service tasks, gateways and end events
+      if (options.status === 'completed' || templateStep.autoComplete ||
+          (templateStep.type === 'service_task' && !templateStep.service?.handler)) {
         stepInstance.status = 'completed';
         stepInstance.startDate = new Date();
         stepInstance.endDate = new Date();
         stepInstance.completedBy = userId;
+      } else if (['timer', 'message_catch', 'signal_catch'].includes(templateStep.type)) {
+        // Timer and catch steps wait for their timer or event rather than a user
+        stepInstance.status = 'in_progress';
+        stepInstance.startDate = new Date();
+      }
+
+      // Forward the task when its assignee is away
+      let delegation = null;
+      if (stepInstance.assignedTo && stepInstance.status !== 'completed' &&
+          ESCALATABLE_STEP_TYPES.includes(templateStep.type)) {
+        delegation = await delegationService.resolveDelegate(stepInstance.assignedTo, processInstance);
+        if (delegation && !isAllowed(delegation.delegateTo)) {
+          delegation = null;
+        }
+        if (delegation) {
+          stepInstance.assignedTo = delegation.delegateTo;
+          stepInstance.delegatedFrom = delegation.delegatedFrom;
+        }
       }
 
       await stepInstance.save();
@@ -262,12 +2190,40 @@ class WorkflowEngine {
         toStatus: stepInstance.status,
         metadata: {
           stepType: templateStep.type,
-          assigneeType: templateStep.assigneeType
+          assigneeType: templateStep.assigneeType,
+          ...(assignment && !assignment.userId && {
+            assignment: { strategy: assignment.strategy, reason: assignment.reason }
+          }),
+          ...(excludedAssignee && { separationOfDuties: { excludedAssignee } })
         }
       });
 
-      // Send notification for user tasks
-      if (templateStep.type === 'user_task' && stepInstance.assignedTo) {
+      // Record who the strategy picked and why
+      if (assignment?.userId) {
+        await ProcessHistory.create({
+          processInstanceId: processInstance._id,
+          stepInstanceId: stepInstance._id,
+          action: 'step_assigned',
+          performedBy: userId,
+          metadata: {
+            oldAssignee: null,
+            newAssignee: stepInstance.assignedTo,
+            strategy: assignment.strategy,
+            reason: assignment.reason,
+            candidates: assignment.candidates,
+            templateId: processInstance.processTemplateId?._id || processInstance.processTemplateId,
+            stepId: templateStep.stepId
+          }
+        });
+      }
+
+      if (delegation) {
+        await this.recordDelegation(processInstance, stepInstance, delegation, userId);
+      }
+
+      // Send notification for open user tasks
+      if (templateStep.type === 'user_task' && stepInstance.assignedTo &&
+          stepInstance.status !== 'completed') {
         await this.sendTaskNotification(stepInstance);
       }
 
@@ -287,6 +2243,7 @@ class WorkflowEngine {
       processInstance.currentSteps = [];
 
       await processInstance.save();
+      await this.cancelTimers({ processInstanceId: processInstance._id });
 
       // Log process completion
       await ProcessHistory.create({
@@ -298,7 +2255,7 @@ class WorkflowEngine {
       });
 
       // Send completion notification
-      await Notification.create({
+      await this.notify({
         userId: processInstance.initiatedBy,
         type: 'process_completed',
         title: 'Process Completed',
@@ -308,16 +2265,34 @@ class WorkflowEngine {
       });
 
       logger.info(`Process completed: ${processInstance.name} (${processInstance._id})`);
+
+      // Hand control back to the parent of a child process
+      await this.resumeParentProcess(processInstance, userId);
     } catch (error) {
       logger.error('Error completing process:', error);
       throw error;
     }
   }
 
+  // Create a notification in the current transition. Its email is queued in
+  // the outbox and sent once the transition commits.
+  async notify(data) {
+    const sendEmail = config.features.enableEmailNotifications;
+    const notification = await Notification.create({
+      ...data,
+      ...(sendEmail ? { delivery: { status: 'pending' } } : {})
+    });
+
+    if (sendEmail) {
+      database.afterCommit(() => notificationService.deliverPending({ ids: [notification._id] }));
+    }
+    return notification;
+  }
+
   // Send task notification
   async sendTaskNotification(stepInstance) {
     try {
-      await Notification.create({
+      await this.notify({
         userId: stepInstance.assignedTo,
         type: 'task_assigned',
         title: 'New Task Assigned',
@@ -331,69 +2306,368 @@ class WorkflowEngine {
     }
   }
 
-  // Escalate overdue tasks
-  async escalateOverdueTasks() {
-    try {
-      const overdueTasks = await StepInstance.find({
-        status: { $in: ['pending', 'in_progress'] },
-        dueDate: { $lt: new Date() },
-        escalated: false
-      }).populate('processInstanceId');
-
-      for (const task of overdueTasks) {
-        // Find escalation target (manager or admin)
-        const escalationTargets = await User.find({
-          role: { $in: ['manager', 'admin'] },
-          isActive: true
-        }).limit(1);
-
-        if (escalationTargets.length > 0) {
-          const escalationTarget = escalationTargets[0];
-
-          // Update task
-          task.escalated = true;
-          task.escalationLevel = 1;
-          task.escalationHistory.push({
-            level: 1,
-            escalatedTo: escalationTarget._id,
-            escalatedAt: new Date(),
-            reason: 'Task overdue - automatic escalation'
-          });
+  // Levels of a step's escalation policy. Without configured levels, each
+  // `escalateTo` entry is a level that notifies: 'manager', 'department_head',
+  // a user id or otherwise a role.
+  getEscalationLevels(templateStep) {
+    const escalation = templateStep.escalation;
+    if (!escalation?.enabled || !ESCALATABLE_STEP_TYPES.includes(templateStep.type)) {
+      return [];
+    }
 
-          await task.save();
-
-          // Log escalation
-          await ProcessHistory.create({
-            processInstanceId: task.processInstanceId._id,
-            stepInstanceId: task._id,
-            action: 'step_escalated',
-            performedBy: null, // System escalation
-            metadata: {
-              escalatedTo: escalationTarget._id,
-              escalationLevel: 1,
-              reason: 'Automatic escalation due to overdue task'
-            }
-          });
+    if (escalation.levels?.length) {
+      return escalation.levels;
+    }
+
+    return (escalation.escalateTo || []).map(entry => {
+      if (['manager', 'department_head'].includes(entry)) {
+        return { target: entry, action: 'notify' };
+      }
+      if (/^[0-9a-fA-F]{24}$/.test(entry)) {
+        return { target: 'user', userId: entry, action: 'notify' };
+      }
+      return { target: 'role', role: entry, action: 'notify' };
+    });
+  }
+
+  // Hours to wait before applying an escalation level
+  getEscalationDelay(templateStep, level) {
+    return level.delay ?? templateStep.escalation?.timeLimit ?? DEFAULT_ESCALATION_DELAY_HOURS;
+  }
+
+  // Apply the escalation levels that have come due. Each task is escalated
+  // in its own transaction; completed tasks are no longer picked up.
+  async escalateOverdueTasks(now = new Date()) {
+    const dueTasks = await StepInstance.find({
+      status: { $in: ['pending', 'in_progress'] },
+      nextEscalationAt: { $lte: now }
+    }).select('_id').sort({ nextEscalationAt: 1 }).lean();
+
+    let escalated = 0;
+    for (const { _id } of dueTasks) {
+      try {
+        const applied = await database.runInTransaction(
+          () => this.escalateTask(_id, now),
+          'task escalation'
+        );
+        if (applied) escalated++;
+      } catch (error) {
+        logger.error(`Failed to escalate task ${_id}:`, error);
+      }
+    }
+
+    if (escalated > 0) {
+      logger.info(`Escalated ${escalated} overdue task(s)`);
+    }
+    return escalated;
+  }
+
+  // Apply the next level of a task's escalation policy. A level without
+  // anyone to escalate to is passed over for the one after it.
+  async escalateTask(stepInstanceId, now = new Date()) {
+    const stepInstance = await StepInstance.findById(stepInstanceId);
+    if (!stepInstance || !['pending', 'in_progress'].includes(stepInstance.status) ||
+        !stepInstance.nextEscalationAt || stepInstance.nextEscalationAt > now) {
+      return false;
+    }
+
+    // Suspended and failed processes pick up where they left off once resumed
+    const processInstance = await ProcessInstance.findById(stepInstance.processInstanceId);
+    if (['suspended', 'error'].includes(processInstance?.status)) {
+      return false;
+    }
+
+    const template = processInstance && await ProcessTemplate.findById(processInstance.processTemplateId);
+    const templateStep = template && getStep(template, stepInstance.stepId);
+    const levels = templateStep ? this.getEscalationLevels(templateStep) : [];
+
+    let levelNumber = stepInstance.nextEscalationLevel || 1;
+    const skippedLevels = [];
+    let applied = null;
+    if (processInstance?.status === 'active') {
+      while (!applied && levelNumber <= levels.length) {
+        const level = levels[levelNumber - 1];
+        const recipient = await this.resolveEscalationTarget(stepInstance, level);
+        if (recipient) {
+          applied = await this.applyEscalationLevel(processInstance, stepInstance, level, levelNumber, recipient);
+        } else {
+          skippedLevels.push({ level: levelNumber, target: level.target });
+          levelNumber++;
+        }
+      }
+    }
 
-          // Send notification
-          await Notification.create({
-            userId: escalationTarget._id,
-            type: 'task_escalated',
-            title: 'Overdue Task Escalated',
-            message: `Task "${task.name}" is overdue and has been escalated to you.`,
-            relatedProcess: task.processInstanceId._id,
-            relatedStep: task._id,
-            priority: 'high'
+    // Schedule the level after the one applied, counted in the same calendar as the due date
+    if (applied && levelNumber < levels.length) {
+      const calendar = await calendarService.getCalendar(stepInstance.businessCalendarId);
+      stepInstance.nextEscalationLevel = levelNumber + 1;
+      stepInstance.nextEscalationAt = calendarService.addHours(
+        calendar,
+        now,
+        this.getEscalationDelay(templateStep, levels[levelNumber])
+      );
+    } else {
+      stepInstance.nextEscalationLevel = undefined;
+      stepInstance.nextEscalationAt = undefined;
+    }
+    await stepInstance.save();
+
+    if (!applied) {
+      if (skippedLevels.length > 0) {
+        logger.warn(`No one to escalate task ${stepInstance._id} to`, { skippedLevels });
+      }
+      return false;
+    }
+
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'step_escalated',
+      performedBy: null, // System escalation
+      metadata: {
+        ...applied,
+        skippedLevels,
+        nextEscalationAt: stepInstance.nextEscalationAt
+      }
+    });
+
+    logger.info(`Task escalated: ${stepInstance.name} (${stepInstance._id}) to level ${levelNumber}`);
+    return true;
+  }
+
+  // Users an escalation level goes to, or null when there is no one. The
+  // task's current assignee is never its own escalation target.
+  async resolveEscalationTarget(stepInstance, level) {
+    const assigneeId = stepInstance.assignedTo?._id || stepInstance.assignedTo;
+    const assignee = assigneeId
+      ? await User.findById(assigneeId).select('profile.manager profile.department')
+      : null;
+
+    let users = [];
+    switch (level.target) {
+      case 'manager':
+        if (assignee?.profile?.manager) {
+          users = await User.find({ _id: assignee.profile.manager, isActive: true });
+        }
+        break;
+
+      case 'department_head': {
+        const department = stepInstance.assignedDepartment || assignee?.profile?.department;
+        if (department) {
+          users = await User.find({
+            'profile.department': department,
+            'profile.isDepartmentHead': true,
+            isActive: true
           });
+        }
+        break;
+      }
+
+      case 'role':
+        users = await User.find({ role: level.role, isActive: true });
+        break;
+
+      case 'user':
+        users = await User.find({ _id: level.userId, isActive: true });
+        break;
+
+      default:
+        break;
+    }
+
+    users = users.filter(user => !assigneeId || !user._id.equals(assigneeId));
+    if (users.length === 0) {
+      return null;
+    }
+
+    return { users, role: level.target === 'role' ? level.role : undefined };
+  }
+
+  // Notify an escalation level's users, or hand the task over to them, and
+  // record the level on the task. Returns the details for the history entry.
+  async applyEscalationLevel(processInstance, stepInstance, level, levelNumber, { users, role }) {
+    const action = level.action || 'notify';
+    const previousAssignee = stepInstance.assignedTo?._id || stepInstance.assignedTo;
+    const reason = `Task overdue - escalation level ${levelNumber}`;
+
+    // A task handed to a role goes back to the pool for anyone with the role to claim
+    const escalatedTo = role && action === 'reassign' ? null : users[0]._id;
+    if (action === 'reassign') {
+      stepInstance.assignedTo = escalatedTo;
+      stepInstance.assignedRole = escalatedTo ? null : role;
+      stepInstance.assignedDepartment = null;
+      stepInstance.delegatedFrom = null;
+      if (stepInstance.status === 'in_progress') {
+        stepInstance.status = 'pending';
+        stepInstance.startDate = null;
+      }
+    }
+
+    stepInstance.escalated = true;
+    stepInstance.escalationLevel = Math.max(stepInstance.escalationLevel || 0, levelNumber);
+    stepInstance.escalationHistory.push({
+      level: levelNumber,
+      escalatedTo: escalatedTo || undefined,
+      escalatedToRole: role,
+      target: level.target,
+      action,
+      escalatedAt: new Date(),
+      reason
+    });
+
+    const recipients = action === 'reassign' && escalatedTo ? [users[0]] : users;
+    for (const user of recipients) {
+      await this.notify({
+        userId: user._id,
+        type: 'task_escalated',
+        title: `Task Escalated (Level ${levelNumber})`,
+        message: action === 'reassign'
+          ? `Overdue task "${stepInstance.name}" has been reassigned to ${escalatedTo ? 'you' : `the ${role} role`}.`
+          : `Task "${stepInstance.name}" is overdue and has been escalated to you.`,
+        relatedProcess: processInstance._id,
+        relatedStep: stepInstance._id,
+        priority: 'urgent'
+      });
+    }
+
+    if (action === 'reassign' && previousAssignee) {
+      await this.notify({
+        userId: previousAssignee,
+        type: 'task_escalated',
+        title: 'Task Reassigned',
+        message: `Overdue task "${stepInstance.name}" has been reassigned as part of its escalation.`,
+        relatedProcess: processInstance._id,
+        relatedStep: stepInstance._id,
+        priority: 'high'
+      });
+    }
+
+    return {
+      escalationLevel: levelNumber,
+      target: level.target,
+      action,
+      escalatedTo: recipients.map(user => user._id),
+      escalatedToRole: role,
+      previousAssignee,
+      reason
+    };
+  }
+
+  // Forward the tasks already open when an out-of-office delegation starts,
+  // once per delegation. Limited to one user's delegations when `userId` is
+  // given. Returns how many tasks were forwarded.
+  async applyStartedDelegations({ userId = null, now = new Date() } = {}) {
+    const users = await User.find({
+      ...(userId && { _id: userId }),
+      delegations: {
+        $elemMatch: { startDate: { $lte: now }, endDate: { $gte: now }, appliedAt: null }
+      }
+    }).select('delegations');
+
+    let forwarded = 0;
+    for (const user of users) {
+      for (const delegation of user.delegations) {
+        if (delegation.appliedAt || !delegationService.isRunning(delegation, now)) continue;
 
-          logger.info(`Task escalated: ${task.name} (${task._id})`);
+        const tasks = await StepInstance.find({
+          assignedTo: user._id,
+          status: { $in: ['pending', 'in_progress'] },
+          type: { $in: ESCALATABLE_STEP_TYPES }
+        }).select('_id').lean();
+
+        for (const { _id } of tasks) {
+          try {
+            const applied = await database.runInTransaction(
+              () => this.delegateTask(_id, user._id, delegation, now),
+              'task delegation'
+            );
+            if (applied) forwarded++;
+          } catch (error) {
+            logger.error(`Failed to delegate task ${_id}:`, error);
+          }
         }
+
+        await User.updateOne(
+          { _id: user._id, 'delegations._id': delegation._id },
+          { $set: { 'delegations.$.appliedAt': now } }
+        );
       }
+    }
 
-      logger.info(`Escalated ${overdueTasks.length} overdue tasks`);
-    } catch (error) {
-      logger.error('Error escalating overdue tasks:', error);
+    if (forwarded > 0) {
+      logger.info(`Forwarded ${forwarded} task(s) of absent users to their delegates`);
     }
+    return forwarded;
+  }
+
+  // Forward an open task of an absent user to their delegate
+  async delegateTask(stepInstanceId, userId, delegation, now = new Date()) {
+    const stepInstance = await StepInstance.findById(stepInstanceId);
+    if (!stepInstance || !['pending', 'in_progress'].includes(stepInstance.status) ||
+        !stepInstance.assignedTo?.equals(userId)) {
+      return false;
+    }
+
+    const processInstance = await ProcessInstance.findById(stepInstance.processInstanceId);
+    if (!processInstance) return false;
+
+    const template = await delegationService.getProcessTemplate(processInstance);
+    if (!delegationService.covers(delegation, template)) return false;
+
+    const resolved = await delegationService.resolveDelegate(userId, processInstance, now);
+    if (!resolved) return false;
+
+    // A delegate separation of duties keeps off the step cannot take it over
+    const exclusions = await separationOfDutiesService.getExclusions(processInstance, stepInstance.stepId);
+    if (exclusions.has(resolved.delegateTo.toString())) return false;
+
+    stepInstance.assignedTo = resolved.delegateTo;
+    stepInstance.delegatedFrom = stepInstance.delegatedFrom || userId;
+    // The delegate starts the task afresh
+    if (stepInstance.status === 'in_progress') {
+      stepInstance.status = 'pending';
+      stepInstance.startDate = null;
+    }
+    await stepInstance.save();
+
+    await this.recordDelegation(processInstance, stepInstance, resolved, null);
+
+    await this.notify({
+      userId: resolved.delegateTo,
+      type: 'task_assigned',
+      title: 'Task Delegated to You',
+      message: `Task "${stepInstance.name}" has been forwarded to you while its assignee is away.`,
+      relatedProcess: processInstance._id,
+      relatedStep: stepInstance._id,
+      priority: 'medium'
+    });
+    await this.notify({
+      userId,
+      type: 'system_notification',
+      title: 'Task Forwarded',
+      message: `Your task "${stepInstance.name}" has been forwarded to your delegate while you are away.`,
+      relatedProcess: processInstance._id,
+      relatedStep: stepInstance._id,
+      priority: 'low'
+    });
+
+    return true;
+  }
+
+  // Record a task forwarded by an out-of-office delegation
+  async recordDelegation(processInstance, stepInstance, delegation, userId) {
+    await ProcessHistory.create({
+      processInstanceId: processInstance._id,
+      stepInstanceId: stepInstance._id,
+      action: 'step_delegated',
+      performedBy: userId,
+      metadata: {
+        oldAssignee: delegation.delegatedFrom,
+        newAssignee: delegation.delegateTo,
+        delegatedFrom: stepInstance.delegatedFrom,
+        delegationId: delegation.delegationId
+      }
+    });
   }
 }
 
@@ -0,0 +1,561 @@
+import { JSDOM } from 'jsdom';
+import { AppError } from './helpers.js';
+import { isValidCron } from './cron.js';
+import { validateExpression } from './expression.js';
+
+// BPMN 2.0 XML import and export for process templates. Import maps start and
+// end events, user and service tasks, gateways, sequence flows with their
+// conditions, timer events and diagram positions; anything else is either
+// approximated or skipped, and listed in the import report either way.
+
+const BPMN_NS = 'http://www.omg.org/spec/BPMN/20100524/MODEL';
+const BPMNDI_NS = 'http://www.omg.org/spec/BPMN/20100524/DI';
+const DC_NS = 'http://www.omg.org/spec/DD/20100524/DC';
+const DI_NS = 'http://www.omg.org/spec/DD/20100524/DI';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// BPMN elements and the step types they become
+const STEP_TYPES = {
+  startEvent: 'start',
+  endEvent: 'end',
+  userTask: 'user_task',
+  serviceTask: 'service_task',
+  exclusiveGateway: 'exclusive',
+  parallelGateway: 'parallel',
+  inclusiveGateway: 'inclusive'
+};
+
+// Flow nodes without an equivalent, kept as the closest step type so the
+// flow stays connected
+const APPROXIMATED_TYPES = {
+  task: 'user_task',
+  manualTask: 'user_task',
+  scriptTask: 'user_task',
+  sendTask: 'user_task',
+  receiveTask: 'user_task',
+  businessRuleTask: 'user_task',
+  callActivity: 'user_task',
+  subProcess: 'user_task',
+  adHocSubProcess: 'user_task',
+  transaction: 'user_task',
+  intermediateCatchEvent: 'user_task',
+  intermediateThrowEvent: 'user_task',
+  complexGateway: 'inclusive',
+  eventBasedGateway: 'exclusive'
+};
+
+// Process content that carries no behaviour and is skipped without comment
+const IGNORED_ELEMENTS = ['documentation', 'textAnnotation', 'association'];
+
+// Elements each step type is exported as
+const EXPORT_ELEMENTS = {
+  start: 'startEvent',
+  end: 'endEvent',
+  user_task: 'userTask',
+  decision: 'userTask',
+  service_task: 'serviceTask',
+  exclusive: 'exclusiveGateway',
+  parallel: 'parallelGateway',
+  inclusive: 'inclusiveGateway',
+  timer: 'intermediateCatchEvent',
+  message_catch: 'intermediateCatchEvent',
+  signal_catch: 'intermediateCatchEvent',
+  subprocess: 'callActivity'
+};
+
+// Diagram shape sizes by element
+const SHAPE_SIZES = {
+  startEvent: { width: 36, height: 36 },
+  endEvent: { width: 36, height: 36 },
+  intermediateCatchEvent: { width: 36, height: 36 },
+  exclusiveGateway: { width: 50, height: 50 },
+  parallelGateway: { width: 50, height: 50 },
+  inclusiveGateway: { width: 50, height: 50 }
+};
+const TASK_SIZE = { width: 100, height: 80 };
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const childElements = (element, localName = null) => [...element.children].filter(child =>
+  child.namespaceURI === BPMN_NS && (!localName || child.localName === localName)
+);
+
+const textOf = (element, localName) => {
+  const child = childElements(element, localName)[0];
+  const text = child?.textContent.trim();
+  return text || null;
+};
+
+// Minutes in an ISO 8601 duration such as PT1H30M or P2D
+const parseIsoDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match || value === 'P' || value === 'PT') return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => Number(part) || 0);
+  return days * 24 * 60 + hours * 60 + minutes + seconds / 60;
+};
+
+// Timer definition of a timerEventDefinition, or the reason it cannot be used
+const parseTimerDefinition = (definition) => {
+  const duration = textOf(definition, 'timeDuration');
+  const cycle = textOf(definition, 'timeCycle');
+  const date = textOf(definition, 'timeDate');
+
+  if (duration) {
+    const minutes = parseIsoDuration(duration);
+    return minutes === null
+      ? { reason: `timer duration "${duration}" is not an ISO 8601 duration` }
+      : { timer: { type: 'duration', duration: minutes } };
+  }
+  if (cycle) {
+    return isValidCron(cycle)
+      ? { timer: { type: 'cron', cron: cycle } }
+      : { reason: `timer cycle "${cycle}" is not a five-field cron expression` };
+  }
+  if (date) {
+    const variable = /^\$\{\s*(?:variables\.)?([A-Za-z_][\w]*)\s*\}$/.exec(date);
+    return variable
+      ? { timer: { type: 'date', dateVariable: variable[1] } }
+      : { reason: `timer date "${date}" does not name a process variable` };
+  }
+  return { reason: 'timer has no duration, cycle or date' };
+};
+
+// Event definitions of an event, by local name
+const eventDefinitions = (element) => childElements(element)
+  .filter(child => child.localName.endsWith('EventDefinition'));
+
+// Transition condition of a sequence flow, unwrapping ${...} expressions.
+// Conditions this engine cannot evaluate are reported and left off.
+const parseCondition = (flow, report) => {
+  const expression = textOf(flow, 'conditionExpression');
+  if (!expression) return null;
+
+  const condition = expression.replace(/^[$#]\{([\s\S]*)\}$/, '$1').trim();
+  const { errors } = validateExpression(condition, { variables: null });
+  if (errors.length > 0) {
+    report('sequenceFlow', flow, `condition "${expression}" cannot be evaluated (${errors[0]}); the transition was imported without it`);
+    return null;
+  }
+  return condition;
+};
+
+// Top-left positions of the diagram shapes, by element id
+const parsePositions = (document) => {
+  const positions = new Map();
+  [...document.getElementsByTagNameNS(BPMNDI_NS, 'BPMNShape')].forEach(shape => {
+    const bounds = shape.getElementsByTagNameNS(DC_NS, 'Bounds')[0];
+    if (!bounds) return;
+    positions.set(shape.getAttribute('bpmnElement'), {
+      x: Math.round(Number(bounds.getAttribute('x')) || 0),
+      y: Math.round(Number(bounds.getAttribute('y')) || 0)
+    });
+  });
+  return positions;
+};
+
+// Build process template data from BPMN 2.0 XML. Returns
+// `{ template, report }`, the report listing the counts imported and every
+// construct that was approximated or skipped.
+export const parseBpmn = (xml) => {
+  let document;
+  try {
+    document = new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  } catch (error) {
+    throw new AppError(`Invalid BPMN XML: ${error.message}`, 400, 'INVALID_BPMN');
+  }
+
+  const definitions = document.documentElement;
+  if (definitions.namespaceURI !== BPMN_NS || definitions.localName !== 'definitions') {
+    throw new AppError('Not a BPMN 2.0 document: the root element must be bpmn:definitions', 400, 'INVALID_BPMN');
+  }
+
+  const unsupported = [];
+  const report = (element, node, message) => {
+    unsupported.push({
+      element,
+      id: node?.getAttribute('id') || null,
+      name: node?.getAttribute('name') || null,
+      message
+    });
+  };
+
+  // Only one process is imported; pools of a collaboration are reported
+  const processes = childElements(definitions, 'process');
+  const bpmnProcess = processes.find(candidate => childElements(candidate).some(child =>
+    STEP_TYPES[child.localName] || APPROXIMATED_TYPES[child.localName]
+  ));
+  if (!bpmnProcess) {
+    throw new AppError('BPMN document contains no process with flow elements', 400, 'INVALID_BPMN');
+  }
+  processes
+    .filter(other => other !== bpmnProcess)
+    .forEach(other => report('process', other, 'only one process can be imported per template; this one was skipped'));
+  childElements(definitions, 'collaboration').forEach(collaboration => {
+    childElements(collaboration, 'messageFlow').forEach(flow => {
+      report('messageFlow', flow, 'message flows between pools are not imported');
+    });
+  });
+
+  const positions = parsePositions(document);
+  const steps = [];
+  const stepsById = new Map();
+  const boundaryEvents = new Map();
+  const flows = [];
+
+  childElements(bpmnProcess).forEach(node => {
+    const element = node.localName;
+    const id = node.getAttribute('id');
+
+    if (element === 'sequenceFlow') {
+      flows.push(node);
+      return;
+    }
+    if (element === 'boundaryEvent') {
+      boundaryEvents.set(id, node);
+      return;
+    }
+    if (element === 'extensionElements') {
+      report(element, bpmnProcess, 'vendor extensions are not imported');
+      return;
+    }
+    if (element === 'laneSet') {
+      report(element, node, 'lanes are not imported; set assignees on the steps instead');
+      return;
+    }
+    if (IGNORED_ELEMENTS.includes(element)) {
+      return;
+    }
+
+    let type = STEP_TYPES[element];
+    let timer = null;
+    let problem = null;
+
+    // Timer catch events wait like timer steps
+    const [definition] = eventDefinitions(node);
+    if (element === 'intermediateCatchEvent' && definition?.localName === 'timerEventDefinition') {
+      const parsed = parseTimerDefinition(definition);
+      if (parsed.timer) {
+        type = 'timer';
+        timer = parsed.timer;
+      } else {
+        problem = parsed.reason;
+      }
+    }
+
+    if (!type) {
+      type = APPROXIMATED_TYPES[element];
+      if (!type) {
+        report(element, node, 'element is not supported and was skipped');
+        return;
+      }
+      const approximation = `imported as ${type === 'user_task' ? 'a user task' : `an ${type} gateway`}`;
+      report(element, node, problem ? `${problem}; ${approximation}` : approximation);
+    }
+
+    if (['startEvent', 'endEvent'].includes(element) && eventDefinitions(node).length > 0) {
+      report(element, node, `${eventDefinitions(node).map(definition => definition.localName).join(', ')} is not supported; imported as a plain ${type} event`);
+    }
+    if (childElements(node).some(child => /LoopCharacteristics$/.test(child.localName))) {
+      report(element, node, 'loop and multi-instance characteristics are not imported');
+    }
+    if (element === 'serviceTask') {
+      report(element, node, 'service handler cannot be derived from BPMN; configure one before publishing');
+    }
+
+    const step = {
+      stepId: id,
+      name: (node.getAttribute('name') || id).slice(0, MAX_NAME_LENGTH),
+      type,
+      nextSteps: [],
+      position: positions.get(id) || { x: 0, y: 0 }
+    };
+    const description = textOf(node, 'documentation');
+    if (description) {
+      step.description = description.slice(0, MAX_DESCRIPTION_LENGTH);
+    }
+    if (timer) {
+      step.timer = timer;
+    }
+
+    steps.push(step);
+    stepsById.set(id, { step, node });
+  });
+
+  // Timer boundary events on tasks become boundary timers; other boundary
+  // events are skipped along with their flows
+  const timers = new Map();
+  boundaryEvents.forEach((node, id) => {
+    const host = stepsById.get(node.getAttribute('attachedToRef'));
+    const [definition] = eventDefinitions(node);
+    if (!host || !['user_task', 'message_catch', 'signal_catch'].includes(host.step.type)) {
+      report('boundaryEvent', node, 'boundary events are only imported as timers on user tasks; skipped');
+      return;
+    }
+    if (definition?.localName !== 'timerEventDefinition') {
+      report('boundaryEvent', node, `${definition?.localName || 'boundary event'} is not supported; skipped`);
+      return;
+    }
+
+    const parsed = parseTimerDefinition(definition);
+    if (!parsed.timer) {
+      report('boundaryEvent', node, `${parsed.reason}; skipped`);
+      return;
+    }
+
+    // Exported boundary events are named after the host step and the timer
+    const hostPrefix = `${host.step.stepId}_`;
+    const timerId = id.startsWith(hostPrefix) && id.length > hostPrefix.length ? id.slice(hostPrefix.length) : id;
+
+    host.step.boundaryTimers = host.step.boundaryTimers || [];
+    host.step.boundaryTimers.push({
+      timerId,
+      ...parsed.timer,
+      interrupting: node.getAttribute('cancelActivity') !== 'false'
+    });
+    timers.set(id, { step: host.step, timerId });
+  });
+
+  let transitions = 0;
+  flows.forEach(flow => {
+    const sourceRef = flow.getAttribute('sourceRef');
+    const targetRef = flow.getAttribute('targetRef');
+    const source = stepsById.get(sourceRef)?.step || timers.get(sourceRef)?.step;
+    const target = stepsById.get(targetRef)?.step;
+
+    if (!source || !target) {
+      report('sequenceFlow', flow, `flow from "${sourceRef}" to "${targetRef}" connects a skipped element and was skipped`);
+      return;
+    }
+
+    const transition = { stepId: target.stepId };
+    if (timers.has(sourceRef)) {
+      transition.timerId = timers.get(sourceRef).timerId;
+    } else {
+      const sourceNode = stepsById.get(sourceRef).node;
+      if (sourceNode.getAttribute('default') === flow.getAttribute('id')) {
+        transition.isDefault = true;
+      } else {
+        const condition = parseCondition(flow, report);
+        if (condition) {
+          transition.condition = condition;
+        }
+      }
+    }
+
+    source.nextSteps.push(transition);
+    transitions++;
+  });
+
+  const startEvents = steps.filter(step => step.type === 'start');
+  if (startEvents.length === 0) {
+    throw new AppError('BPMN process has no start event', 400, 'INVALID_BPMN');
+  }
+  startEvents.slice(1).forEach(step => {
+    report('startEvent', stepsById.get(step.stepId).node, `only one start event is used; "${startEvents[0].stepId}" starts the process`);
+  });
+
+  const processName = bpmnProcess.getAttribute('name') || definitions.getAttribute('name') || bpmnProcess.getAttribute('id');
+  const template = {
+    name: (processName || 'Imported process').slice(0, MAX_NAME_LENGTH),
+    steps,
+    startStep: startEvents[0].stepId,
+    endSteps: steps.filter(step => step.type === 'end').map(step => step.stepId)
+  };
+  const description = textOf(bpmnProcess, 'documentation');
+  if (description) {
+    template.description = description.slice(0, MAX_DESCRIPTION_LENGTH);
+  }
+
+  return {
+    template,
+    report: {
+      steps: steps.length,
+      transitions,
+      unsupported
+    }
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Serialize `[name, attributes, children or text]` trees as indented XML
+const renderElement = ([name, attributes = {}, content = []], depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (typeof content === 'string') {
+    return `${indent}<${name}${attributeText}>${escapeXml(content)}</${name}>`;
+  }
+  const children = content.filter(Boolean);
+  if (children.length === 0) {
+    return `${indent}<${name}${attributeText} />`;
+  }
+  return [
+    `${indent}<${name}${attributeText}>`,
+    ...children.map(child => renderElement(child, depth + 1)),
+    `${indent}</${name}>`
+  ].join('\n');
+};
+
+// Step IDs as XML IDs, which must start with a letter or underscore
+const toXmlId = (value) => {
+  const id = String(value).replace(/[^\w.-]/g, '_');
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+};
+
+const timerDefinitionElement = (timer) => {
+  let definition;
+  if (timer.type === 'duration') {
+    definition = ['bpmn:timeDuration', { 'xsi:type': 'bpmn:tFormalExpression' }, `PT${timer.duration}M`];
+  } else if (timer.type === 'cron') {
+    definition = ['bpmn:timeCycle', { 'xsi:type': 'bpmn:tFormalExpression' }, timer.cron];
+  } else if (timer.type === 'date') {
+    definition = ['bpmn:timeDate', { 'xsi:type': 'bpmn:tFormalExpression' }, `\${${timer.dateVariable}}`];
+  }
+  return ['bpmn:timerEventDefinition', {}, [definition]];
+};
+
+// Render a process template as BPMN 2.0 XML with a diagram built from the
+// steps' positions
+export const toBpmn = (template) => {
+  const steps = template.steps || [];
+  const processId = toXmlId(`Process_${template._id || template.name}`);
+
+  const ids = new Map();
+  steps.forEach(step => {
+    let id = toXmlId(step.stepId);
+    while ([...ids.values()].includes(id)) id = `${id}_`;
+    ids.set(step.stepId, id);
+  });
+
+  const flows = [];
+  const boundaryEvents = [];
+  const elements = steps.map(step => {
+    const element = EXPORT_ELEMENTS[step.type] || 'task';
+    const id = ids.get(step.stepId);
+    let defaultFlow = null;
+
+    (step.nextSteps || [])
+      .filter(transition => ids.has(transition.stepId))
+      .forEach((transition, index) => {
+        const flowId = `Flow_${id}_${index + 1}`;
+        const sourceRef = transition.timerId ? `${id}_${toXmlId(transition.timerId)}` : id;
+        if (transition.isDefault && !transition.timerId) defaultFlow = flowId;
+        flows.push({ id: flowId, sourceRef, targetRef: ids.get(transition.stepId), condition: transition.isDefault ? null : transition.condition });
+      });
+
+    (step.boundaryTimers || []).forEach(timer => {
+      boundaryEvents.push(['bpmn:boundaryEvent', {
+        id: `${id}_${toXmlId(timer.timerId)}`,
+        name: timer.timerId,
+        attachedToRef: id,
+        cancelActivity: timer.interrupting === false ? 'false' : 'true'
+      }, [timerDefinitionElement(timer)]]);
+    });
+
+    const children = [];
+    if (step.description) {
+      children.push(['bpmn:documentation', {}, step.description]);
+    }
+    if (step.type === 'timer' && step.timer) {
+      children.push(timerDefinitionElement(step.timer));
+    }
+    if (step.type === 'message_catch') {
+      children.push(['bpmn:messageEventDefinition', { messageRef: step.message?.name ? toXmlId(`Message_${step.message.name}`) : null }]);
+    }
+    if (step.type === 'signal_catch') {
+      children.push(['bpmn:signalEventDefinition', { signalRef: step.signal?.name ? toXmlId(`Signal_${step.signal.name}`) : null }]);
+    }
+
+    return {
+      id,
+      step,
+      element,
+      xml: [`bpmn:${element}`, {
+        id,
+        name: step.name,
+        default: defaultFlow,
+        calledElement: step.type === 'subprocess' && step.subProcess?.templateId ? String(step.subProcess.templateId) : null
+      }, children]
+    };
+  });
+
+  // Messages and signals referenced by catch events are declared at the top
+  const messages = [...new Set(steps.filter(step => step.type === 'message_catch' && step.message?.name).map(step => step.message.name))]
+    .map(name => ['bpmn:message', { id: toXmlId(`Message_${name}`), name }]);
+  const signals = [...new Set(steps.filter(step => step.type === 'signal_catch' && step.signal?.name).map(step => step.signal.name))]
+    .map(name => ['bpmn:signal', { id: toXmlId(`Signal_${name}`), name }]);
+
+  const flowElements = flows.map(flow => ['bpmn:sequenceFlow', { id: flow.id, sourceRef: flow.sourceRef, targetRef: flow.targetRef },
+    flow.condition ? [['bpmn:conditionExpression', { 'xsi:type': 'bpmn:tFormalExpression' }, flow.condition]] : []]);
+
+  // Diagram: shapes at the steps' positions, edges between shape centres.
+  // Templates that were never laid out have every step at the origin; those
+  // are put in a row so the diagram stays readable.
+  const laidOut = steps.some(step => step.position?.x || step.position?.y);
+  const bounds = new Map();
+  const shapes = elements.map(({ id, step, element }, index) => {
+    const size = SHAPE_SIZES[element] || TASK_SIZE;
+    const position = laidOut
+      ? { x: step.position?.x || 0, y: step.position?.y || 0 }
+      : { x: index * 150, y: 100 };
+    const shapeBounds = { ...position, ...size };
+    bounds.set(id, shapeBounds);
+    return ['bpmndi:BPMNShape', { id: `${id}_di`, bpmnElement: id }, [['dc:Bounds', shapeBounds]]];
+  });
+  boundaryEvents.forEach(([, attributes]) => {
+    const host = bounds.get(attributes.attachedToRef);
+    const shapeBounds = { x: host.x + host.width - 18, y: host.y + host.height - 18, width: 36, height: 36 };
+    bounds.set(attributes.id, shapeBounds);
+    shapes.push(['bpmndi:BPMNShape', { id: `${attributes.id}_di`, bpmnElement: attributes.id }, [['dc:Bounds', shapeBounds]]]);
+  });
+  const centre = id => {
+    const { x, y, width, height } = bounds.get(id);
+    return { x: x + width / 2, y: y + height / 2 };
+  };
+  const edges = flows.map(flow => ['bpmndi:BPMNEdge', { id: `${flow.id}_di`, bpmnElement: flow.id }, [
+    ['di:waypoint', centre(flow.sourceRef)],
+    ['di:waypoint', centre(flow.targetRef)]
+  ]]);
+
+  const processChildren = [
+    template.description ? ['bpmn:documentation', {}, template.description] : null,
+    ...elements.map(element => element.xml),
+    ...boundaryEvents,
+    ...flowElements
+  ];
+
+  const document = ['bpmn:definitions', {
+    'xmlns:bpmn': BPMN_NS,
+    'xmlns:bpmndi': BPMNDI_NS,
+    'xmlns:dc': DC_NS,
+    'xmlns:di': DI_NS,
+    'xmlns:xsi': XSI_NS,
+    id: `Definitions_${processId}`,
+    targetNamespace: 'http://bpmn.io/schema/bpmn',
+    exporter: 'myappstatus'
+  }, [
+    ...messages,
+    ...signals,
+    ['bpmn:process', { id: processId, name: template.name, isExecutable: 'true' }, processChildren],
+    ['bpmndi:BPMNDiagram', { id: `${processId}_diagram` }, [
+      ['bpmndi:BPMNPlane', { id: `${processId}_plane`, bpmnElement: processId }, [...shapes, ...edges]]
+    ]]
+  ]];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderElement(document)}\n`;
+};
+
+export default {
+  parseBpmn,
+  toBpmn
+};
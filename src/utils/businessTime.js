@@ -0,0 +1,185 @@
+// Working-time arithmetic over business calendars: working days, daily
+// working hours and holidays, all in the calendar's time zone. A calendar is
+// any object with `timezone`, `workingDays` (0 = Sunday), `workingHours`
+// ([{ start: 'HH:mm', end: 'HH:mm' }]) and `holidays` ([{ date: 'YYYY-MM-DD', recurring }]).
+
+// Give up looking for working time after this many days
+const SEARCH_LIMIT_DAYS = 5 * 366;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Minutes since midnight of an 'HH:mm' time
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+// Calendar date and minutes since midnight of an instant in a time zone
+const getLocalDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+
+  const fields = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value, 10)]));
+  return {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    minutes: fields.hour * 60 + fields.minute
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getOffset = (date, timeZone) => {
+  const local = getLocalDay(date, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day) + local.minutes * 60 * 1000;
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// Instant at which a wall-clock time occurs on a calendar date in a time zone
+const toInstant = ({ year, month, day }, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+  const first = guess - getOffset(new Date(guess), timeZone);
+  // Correct once more when the guess and the result straddle a DST change
+  return new Date(guess - getOffset(new Date(first), timeZone));
+};
+
+// The calendar date after a given one
+const nextDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const dayOfWeek = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const formatDay = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Whether a calendar date is one of the calendar's holidays
+export const isHoliday = (calendar, localDay) => {
+  const date = formatDay(localDay);
+  return (calendar.holidays || []).some(holiday => holiday.recurring
+    ? holiday.date.slice(5) === date.slice(5)
+    : holiday.date === date);
+};
+
+// Working periods of a calendar date as [start, end] instants
+const getWorkingPeriods = (calendar, localDay) => {
+  if (!(calendar.workingDays || []).includes(dayOfWeek(localDay)) || isHoliday(calendar, localDay)) {
+    return [];
+  }
+
+  return (calendar.workingHours || [])
+    .map(hours => [
+      toInstant(localDay, parseTime(hours.start), calendar.timezone),
+      toInstant(localDay, parseTime(hours.end), calendar.timezone)
+    ])
+    .sort((a, b) => a[0] - b[0]);
+};
+
+// Whether an instant falls within the calendar's working hours
+export const isWorkingTime = (calendar, date) => {
+  const localDay = getLocalDay(date, calendar.timezone);
+  return getWorkingPeriods(calendar, localDay).some(([start, end]) => date >= start && date < end);
+};
+
+// Instant reached after working the given number of hours from `from`
+export const addWorkingHours = (calendar, from, hours) => {
+  let remaining = hours * MS_PER_HOUR;
+  let localDay = getLocalDay(from, calendar.timezone);
+
+  for (let i = 0; i < SEARCH_LIMIT_DAYS; i++) {
+    for (const [start, end] of getWorkingPeriods(calendar, localDay)) {
+      const periodStart = Math.max(start.getTime(), from.getTime());
+      const available = end.getTime() - periodStart;
+      if (available <= 0) continue;
+
+      if (remaining <= available) {
+        return new Date(periodStart + remaining);
+      }
+      remaining -= available;
+    }
+    localDay = nextDay(localDay);
+  }
+
+  throw new Error(`Calendar has no working time within ${SEARCH_LIMIT_DAYS} days`);
+};
+
+// Working hours between two instants; negative when `to` is before `from`
+export const getWorkingHoursBetween = (calendar, from, to) => {
+  if (to < from) {
+    return -getWorkingHoursBetween(calendar, to, from);
+  }
+
+  let worked = 0;
+  let localDay = getLocalDay(from, calendar.timezone);
+
+  for (let i = 0; i < SEARCH_LIMIT_DAYS; i++) {
+    const periods = getWorkingPeriods(calendar, localDay);
+    for (const [start, end] of periods) {
+      const overlap = Math.min(end.getTime(), to.getTime()) - Math.max(start.getTime(), from.getTime());
+      if (overlap > 0) worked += overlap;
+    }
+
+    // Stop once the day has started after `to`
+    if (toInstant(localDay, 0, calendar.timezone) > to) break;
+    localDay = nextDay(localDay);
+  }
+
+  return worked / MS_PER_HOUR;
+};
+
+// Check a calendar definition, returning error messages
+export const validateCalendar = (calendar) => {
+  const errors = [];
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: calendar.timezone });
+  } catch (error) {
+    errors.push(`Unknown time zone "${calendar.timezone}"`);
+  }
+
+  if (!calendar.workingDays?.length) {
+    errors.push('At least one working day is required');
+  }
+
+  const periods = (calendar.workingHours || []).map(({ start, end }) => ({ start, end }));
+  if (periods.length === 0) {
+    errors.push('At least one working hours period is required');
+  }
+
+  periods.forEach(({ start, end }) => {
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      errors.push(`Working hours ${start}-${end} must use HH:mm times`);
+    } else if (parseTime(start) >= parseTime(end)) {
+      errors.push(`Working hours ${start}-${end} must end after they start`);
+    }
+  });
+
+  const sorted = periods
+    .filter(({ start, end }) => TIME_PATTERN.test(start || '') && TIME_PATTERN.test(end || ''))
+    .sort((a, b) => parseTime(a.start) - parseTime(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    if (parseTime(sorted[i].start) < parseTime(sorted[i - 1].end)) {
+      errors.push(`Working hours ${sorted[i - 1].start}-${sorted[i - 1].end} and ${sorted[i].start}-${sorted[i].end} overlap`);
+    }
+  }
+
+  return errors;
+};
+
+export default {
+  isHoliday,
+  isWorkingTime,
+  addWorkingHours,
+  getWorkingHoursBetween,
+  validateCalendar
+};
@@ -123,7 +123,7 @@ export const DATE_FORMATS = {
 // Regular expressions
 export const REGEX = {
   EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-  PHONE: /^[\+]?[1-9][\d]{0,15}$/,
+  PHONE: /^[+]?[1-9][\d]{0,15}$/,
   PASSWORD: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[A-Za-z\d@$!%*?&]{6,}$/,
   USERNAME: /^[a-zA-Z0-9_]{3,30}$/,
   MONGODB_OBJECT_ID: /^[0-9a-fA-F]{24}$/,
@@ -0,0 +1,181 @@
+import { AppError } from './helpers.js';
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// used to compute when timer events fire next. node-cron only runs jobs; it
+// cannot tell us the next occurrence, which timers need to be persisted.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Give up looking for an occurrence after this many years
+const SEARCH_LIMIT_YEARS = 5;
+
+const invalid = (expression, message) => {
+  return new AppError(`Invalid cron expression "${expression}": ${message}`, 400, 'INVALID_CRON', { expression });
+};
+
+// Resolve a numeric or named field value
+const parseValue = (value, field, expression) => {
+  const lower = value.toLowerCase();
+  if (field.name === 'month' && MONTH_NAMES.includes(lower)) {
+    return MONTH_NAMES.indexOf(lower) + 1;
+  }
+  if (field.name === 'dayOfWeek' && DAY_NAMES.includes(lower)) {
+    return DAY_NAMES.indexOf(lower);
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw invalid(expression, `"${value}" is not a valid ${field.name}`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw invalid(expression, `${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+};
+
+// Expand one field (lists, ranges and steps) into the set of allowed values
+const parseField = (source, field, expression) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : parseInt(stepSource, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepSource !== undefined && !/^\d+$/.test(stepSource))) {
+      throw invalid(expression, `"${part}" has an invalid step`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (start > end) {
+        throw invalid(expression, `"${range}" is not an ascending range`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday may be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+};
+
+// Parse a cron expression into allowed values per field
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw invalid(expression, `expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // Standard cron semantics: when both day fields are restricted either may match
+  schedule.restrictedDayOfMonth = parts[2] !== '*';
+  schedule.restrictedDayOfWeek = parts[4] !== '*';
+
+  return schedule;
+};
+
+// Whether an expression is a valid five-field cron expression
+export const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of a date in the given time zone
+const getZonedFields = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const fields = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    minute: parseInt(fields.minute, 10),
+    hour: parseInt(fields.hour, 10),
+    dayOfMonth: parseInt(fields.day, 10),
+    month: parseInt(fields.month, 10),
+    dayOfWeek: DAY_NAMES.indexOf(fields.weekday.toLowerCase())
+  };
+};
+
+const matchesDay = (schedule, fields) => {
+  const dayOfMonth = schedule.dayOfMonth.has(fields.dayOfMonth);
+  const dayOfWeek = schedule.dayOfWeek.has(fields.dayOfWeek);
+
+  if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+// Next time strictly after `from` that the expression matches, in the given time zone
+export const getNextCronDate = (expression, from = new Date(), timeZone = 'UTC') => {
+  const schedule = parseCron(expression);
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  while (candidate <= limit) {
+    const fields = getZonedFields(candidate, timeZone);
+
+    if (!schedule.month.has(fields.month) || !matchesDay(schedule, fields)) {
+      // Skip to the next local midnight
+      candidate.setMinutes(candidate.getMinutes() + (24 * 60 - (fields.hour * 60 + fields.minute)));
+    } else if (!schedule.hour.has(fields.hour)) {
+      candidate.setMinutes(candidate.getMinutes() + (60 - fields.minute));
+    } else if (!schedule.minute.has(fields.minute)) {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+    } else {
+      return candidate;
+    }
+  }
+
+  throw invalid(expression, `no occurrence within ${SEARCH_LIMIT_YEARS} years`);
+};
+
+export default {
+  parseCron,
+  isValidCron,
+  getNextCronDate
+};
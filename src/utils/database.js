@@ -1,7 +1,15 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import mongoose from 'mongoose';
 import logger from './logger.js';
 import config from '../config/environment.js';
 
+// Model operations inside `connection.transaction()` pick up its session
+// without it being passed through every call
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Deployments that support multi-document transactions; a standalone server does not
+const TRANSACTION_TOPOLOGIES = ['ReplicaSetWithPrimary', 'Sharded', 'LoadBalanced'];
+
 class Database {
   constructor() {
     this.connection = null;
@@ -9,6 +17,9 @@ class Database {
     this.connectionAttempts = 0;
     this.maxRetries = 5;
     this.retryDelay = 5000;
+    // Work waiting for the current transaction to commit
+    this.transactionContext = new AsyncLocalStorage();
+    this.warnedNoTransactions = false;
   }
 
   async connect() {
@@ -119,6 +130,68 @@ class Database {
     }
   }
 
+  // Whether the connected deployment can run multi-document transactions
+  supportsTransactions() {
+    if (!config.database.transactions || mongoose.connection.readyState !== 1) {
+      return false;
+    }
+
+    const topologyType = mongoose.connection.getClient().topology?.description?.type;
+    return TRANSACTION_TOPOLOGIES.includes(topologyType);
+  }
+
+  // Run `fn` in a transaction. The driver retries it on transient errors and
+  // unknown commit results, so `fn` must be safe to run again. Nested calls
+  // join the outer transaction. Against a standalone server `fn` runs without one.
+  async runInTransaction(fn, label = 'transaction') {
+    if (this.transactionContext.getStore()) {
+      return fn();
+    }
+
+    const context = { afterCommit: [] };
+    let attempt = 0;
+    const run = () => {
+      attempt++;
+      context.afterCommit = [];
+      if (attempt > 1) {
+        logger.warn(`Retrying ${label} after a transient error`, { attempt });
+      }
+      return fn();
+    };
+
+    let result;
+    if (this.supportsTransactions()) {
+      result = await this.transactionContext.run(context, () => mongoose.connection.transaction(run));
+    } else {
+      if (!this.warnedNoTransactions && mongoose.connection.readyState === 1) {
+        logger.warn('MongoDB deployment does not support transactions; running without them');
+        this.warnedNoTransactions = true;
+      }
+      result = await this.transactionContext.run(context, run);
+    }
+
+    context.afterCommit.forEach(callback => this.runAfterCommit(callback));
+    return result;
+  }
+
+  // Defer work with effects outside the database, such as sending email or
+  // firing timers, until the current transaction commits. Outside a
+  // transaction it runs straight away.
+  afterCommit(callback) {
+    const context = this.transactionContext.getStore();
+    if (context) {
+      context.afterCommit.push(callback);
+    } else {
+      this.runAfterCommit(callback);
+    }
+  }
+
+  runAfterCommit(callback) {
+    Promise.resolve()
+      .then(callback)
+      .catch(error => logger.error('After-commit callback failed:', error));
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,801 @@
+import dayjs from 'dayjs';
+import { AppError } from './helpers.js';
+
+// Sandboxed expression language used for transition conditions.
+//
+// Expressions are tokenized and parsed into a small AST and then interpreted
+// against a plain context object - nothing is ever handed to eval/Function,
+// and member access only reads own properties of plain data.
+//
+//   variables.amount > 1000 && formData.approved == true
+//   decision in ['approved', 'auto-approved']
+//   variables.manager is not null
+//   daysBetween(variables.submittedAt, now()) >= 3
+
+// Identifiers an expression may start from
+export const EXPRESSION_ROOTS = ['variables', 'formData', 'decision'];
+
+const KEYWORDS = ['true', 'false', 'null', 'and', 'or', 'not', 'in', 'is'];
+
+const VARIABLE_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  date: 'date',
+  object: 'object'
+};
+
+// Legacy conditions were bare labels matched against the step decision
+const LEGACY_LABEL = /^[A-Za-z_][\w-]*$/;
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_CACHE_SIZE = 500;
+
+const astCache = new Map();
+
+const expressionError = (message, source, position = null) => {
+  return new AppError(message, 400, 'INVALID_EXPRESSION', { expression: source, position });
+};
+
+// Tokenizer
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw expressionError('Unterminated string literal', source, i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      const word = match[0];
+      tokens.push({
+        type: KEYWORDS.includes(word) ? 'keyword' : 'identifier',
+        value: word,
+        position: i
+      });
+      i += word.length;
+      continue;
+    }
+
+    const twoChars = source.slice(i, i + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(twoChars)) {
+      tokens.push({ type: 'operator', value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if ('<>!+-*/%'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if ('()[],.'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${char}'`, source, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+};
+
+// Recursive descent parser
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  match(type, value) {
+    const token = this.peek();
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.match(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw expressionError(
+        `Expected '${value || type}' but found '${found.value ?? 'end of expression'}'`,
+        this.source,
+        found.position
+      );
+    }
+    return token;
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      throw expressionError(`Unexpected token '${token.value}'`, this.source, token.position);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.match('operator', '||') || this.match('keyword', 'or')) {
+      left = { type: 'logical', operator: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.match('operator', '&&') || this.match('keyword', 'and')) {
+      left = { type: 'logical', operator: '&&', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.match('operator', '!') || this.match('keyword', 'not')) {
+      return { type: 'unary', operator: '!', argument: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { type: 'binary', operator: token.value, left, right: this.parseAdditive() };
+    }
+
+    if (this.match('keyword', 'in')) {
+      return { type: 'binary', operator: 'in', left, right: this.parseAdditive() };
+    }
+
+    if (token.type === 'keyword' && token.value === 'not' &&
+        this.tokens[this.index + 1]?.value === 'in') {
+      this.index += 2;
+      return {
+        type: 'unary',
+        operator: '!',
+        argument: { type: 'binary', operator: 'in', left, right: this.parseAdditive() }
+      };
+    }
+
+    if (this.match('keyword', 'is')) {
+      const negated = !!this.match('keyword', 'not');
+      this.expect('keyword', 'null');
+      return {
+        type: 'binary',
+        operator: negated ? '!=' : '==',
+        left,
+        right: { type: 'literal', value: null }
+      };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    let token = this.peek();
+    while (token.type === 'operator' && ['+', '-'].includes(token.value)) {
+      this.next();
+      left = { type: 'binary', operator: token.value, left, right: this.parseMultiplicative() };
+      token = this.peek();
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    let token = this.peek();
+    while (token.type === 'operator' && ['*', '/', '%'].includes(token.value)) {
+      this.next();
+      left = { type: 'binary', operator: token.value, left, right: this.parseUnary() };
+      token = this.peek();
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.match('operator', '-')) {
+      return { type: 'unary', operator: '-', argument: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.match('punctuation', '.')) {
+        const property = this.expect('identifier');
+        node = { type: 'member', object: node, property: property.value };
+      } else if (this.match('punctuation', '[')) {
+        const property = this.parseOr();
+        this.expect('punctuation', ']');
+        node = { type: 'member', object: node, property, computed: true };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        break;
+
+      case 'identifier':
+        if (this.match('punctuation', '(')) {
+          const args = [];
+          if (!this.match('punctuation', ')')) {
+            do {
+              args.push(this.parseOr());
+            } while (this.match('punctuation', ','));
+            this.expect('punctuation', ')');
+          }
+          return { type: 'call', name: token.value, args, position: token.position };
+        }
+        return { type: 'identifier', name: token.value, position: token.position };
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const expression = this.parseOr();
+          this.expect('punctuation', ')');
+          return expression;
+        }
+        if (token.value === '[') {
+          const elements = [];
+          if (!this.match('punctuation', ']')) {
+            do {
+              elements.push(this.parseOr());
+            } while (this.match('punctuation', ','));
+            this.expect('punctuation', ']');
+          }
+          return { type: 'array', elements };
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    throw expressionError(
+      `Unexpected ${token.type === 'eof' ? 'end of expression' : `token '${token.value}'`}`,
+      this.source,
+      token.position
+    );
+  }
+}
+
+// Value helpers
+const isDateLike = (value) => {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && dayjs(value).isValid();
+};
+
+const toDate = (value, source) => {
+  if (value instanceof Date) return value;
+  if (isDateLike(value) || typeof value === 'number') return dayjs(value).toDate();
+  throw expressionError(`Cannot convert '${value}' to a date`, source);
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date);
+};
+
+const typeOfValue = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const looseEquals = (left, right) => {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left ?? null) === (right ?? null);
+  }
+  if (left instanceof Date || right instanceof Date) {
+    return isDateLike(left) && isDateLike(right) &&
+      dayjs(left).valueOf() === dayjs(right).valueOf();
+  }
+  if (typeof left === 'object' && typeof right !== 'object') {
+    return String(left) === String(right); // ObjectIds and similar wrappers
+  }
+  return left === right;
+};
+
+const compare = (operator, left, right, source) => {
+  let a = left;
+  let b = right;
+
+  if (left instanceof Date || right instanceof Date) {
+    a = toDate(left, source).getTime();
+    b = toDate(right, source).getTime();
+  } else if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) {
+    throw expressionError(
+      `Cannot compare ${typeOfValue(left)} with ${typeOfValue(right)} using '${operator}'`,
+      source
+    );
+  }
+
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+};
+
+const readProperty = (object, property) => {
+  if (object === null || object === undefined) return undefined;
+  if (Array.isArray(object) && typeof property === 'number') return object[property];
+  if (Array.isArray(object) && property === 'length') return object.length;
+  if (typeof object === 'string' && property === 'length') return object.length;
+
+  if (typeof object.toObject === 'function') {
+    object = object.toObject();
+  }
+  if (!isPlainObject(object)) return undefined;
+
+  return Object.prototype.hasOwnProperty.call(object, property) ? object[property] : undefined;
+};
+
+// Built-in functions: name -> { args: [types], returns, fn }
+const FUNCTIONS = {
+  now: { args: [], returns: 'date', fn: () => new Date() },
+  today: { args: [], returns: 'date', fn: () => dayjs().startOf('day').toDate() },
+  date: { args: ['any'], returns: 'date', fn: (value, source) => toDate(value, source) },
+  addMinutes: {
+    args: ['date', 'number'],
+    returns: 'date',
+    fn: (value, amount, source) => dayjs(toDate(value, source)).add(amount, 'minute').toDate()
+  },
+  addHours: {
+    args: ['date', 'number'],
+    returns: 'date',
+    fn: (value, amount, source) => dayjs(toDate(value, source)).add(amount, 'hour').toDate()
+  },
+  addDays: {
+    args: ['date', 'number'],
+    returns: 'date',
+    fn: (value, amount, source) => dayjs(toDate(value, source)).add(amount, 'day').toDate()
+  },
+  hoursBetween: {
+    args: ['date', 'date'],
+    returns: 'number',
+    fn: (from, to, source) => dayjs(toDate(to, source)).diff(toDate(from, source), 'hour', true)
+  },
+  daysBetween: {
+    args: ['date', 'date'],
+    returns: 'number',
+    fn: (from, to, source) => dayjs(toDate(to, source)).diff(toDate(from, source), 'day', true)
+  },
+  len: {
+    args: ['any'],
+    returns: 'number',
+    fn: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0)
+  },
+  lower: { args: ['string'], returns: 'string', fn: (value) => String(value ?? '').toLowerCase() },
+  upper: { args: ['string'], returns: 'string', fn: (value) => String(value ?? '').toUpperCase() },
+  contains: {
+    args: ['any', 'any'],
+    returns: 'boolean',
+    fn: (haystack, needle) => {
+      if (Array.isArray(haystack)) return haystack.some(item => looseEquals(item, needle));
+      if (typeof haystack === 'string') return haystack.includes(String(needle));
+      return false;
+    }
+  },
+  isEmpty: {
+    args: ['any'],
+    returns: 'boolean',
+    fn: (value) => {
+      if (value === null || value === undefined || value === '') return true;
+      if (Array.isArray(value)) return value.length === 0;
+      if (isPlainObject(value)) return Object.keys(value).length === 0;
+      return false;
+    }
+  },
+  number: { args: ['any'], returns: 'number', fn: (value) => Number(value) },
+  string: { args: ['any'], returns: 'string', fn: (value) => (value === null || value === undefined ? '' : String(value)) }
+};
+
+// Own entries only, so names like 'constructor' are unknown functions
+const getFunction = name => (Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null);
+
+// Interpreter
+const evaluateNode = (node, context, source) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'array':
+      return node.elements.map(element => evaluateNode(element, context, source));
+
+    case 'identifier':
+      return readProperty(context, node.name);
+
+    case 'member': {
+      const object = evaluateNode(node.object, context, source);
+      const property = node.computed ? evaluateNode(node.property, context, source) : node.property;
+      return readProperty(object, property);
+    }
+
+    case 'call': {
+      const definition = getFunction(node.name);
+      if (!definition) {
+        throw expressionError(`Unknown function '${node.name}'`, source, node.position);
+      }
+      const args = node.args.map(arg => evaluateNode(arg, context, source));
+      return definition.fn(...args, source);
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, context, source);
+      if (node.operator === '!') return !value;
+      if (typeof value !== 'number') {
+        throw expressionError(`Cannot negate ${typeOfValue(value)}`, source);
+      }
+      return -value;
+    }
+
+    case 'logical': {
+      const left = evaluateNode(node.left, context, source);
+      if (node.operator === '&&') return left ? !!evaluateNode(node.right, context, source) : false;
+      return left ? true : !!evaluateNode(node.right, context, source);
+    }
+
+    case 'binary': {
+      const left = evaluateNode(node.left, context, source);
+      const right = evaluateNode(node.right, context, source);
+
+      switch (node.operator) {
+        case '==': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          return compare(node.operator, left, right, source);
+        case 'in':
+          if (Array.isArray(right)) return right.some(item => looseEquals(item, left));
+          if (typeof right === 'string') return typeof left === 'string' && right.includes(left);
+          if (right === null || right === undefined) return false;
+          throw expressionError(`Right side of 'in' must be a list or string`, source);
+        case '+':
+          if (typeof left === 'string' || typeof right === 'string') {
+            return `${left ?? ''}${right ?? ''}`;
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw expressionError(
+          `Operator '${node.operator}' requires numbers, got ${typeOfValue(left)} and ${typeOfValue(right)}`,
+          source
+        );
+      }
+
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        default: return left % right;
+      }
+    }
+
+    default:
+      throw expressionError(`Unsupported expression node '${node.type}'`, source);
+  }
+};
+
+// Static type checker - infers a coarse type for every node and collects errors
+const inferType = (node, scope, errors) => {
+  switch (node.type) {
+    case 'literal':
+      return typeOfValue(node.value);
+
+    case 'array':
+      node.elements.forEach(element => inferType(element, scope, errors));
+      return 'array';
+
+    case 'identifier':
+      if (!EXPRESSION_ROOTS.includes(node.name)) {
+        errors.push(`Unknown identifier '${node.name}' (expected one of: ${EXPRESSION_ROOTS.join(', ')})`);
+        return 'any';
+      }
+      if (node.name === 'decision') return 'string';
+      return 'object';
+
+    case 'member': {
+      const objectType = inferType(node.object, scope, errors);
+      if (node.computed) inferType(node.property, scope, errors);
+
+      if (['number', 'boolean', 'date', 'null'].includes(objectType)) {
+        errors.push(`Cannot read property of ${objectType}`);
+        return 'any';
+      }
+
+      if (!node.computed && node.property === 'length' && ['array', 'string'].includes(objectType)) {
+        return 'number';
+      }
+
+      // Declared process variables carry a type; everything else is dynamic
+      if (node.object.type === 'identifier' && node.object.name === 'variables' &&
+          !node.computed && scope.variables?.length > 0) {
+        const declaration = scope.variables.find(variable => variable.name === node.property);
+        if (!declaration) {
+          errors.push(`Unknown process variable '${node.property}'`);
+          return 'any';
+        }
+        return VARIABLE_TYPES[declaration.type] || 'any';
+      }
+      return 'any';
+    }
+
+    case 'call': {
+      const definition = getFunction(node.name);
+      if (!definition) {
+        errors.push(`Unknown function '${node.name}'`);
+        node.args.forEach(arg => inferType(arg, scope, errors));
+        return 'any';
+      }
+      if (node.args.length !== definition.args.length) {
+        errors.push(
+          `Function '${node.name}' expects ${definition.args.length} argument(s), got ${node.args.length}`
+        );
+      }
+      node.args.forEach((arg, index) => {
+        const expected = definition.args[index];
+        const actual = inferType(arg, scope, errors);
+        if (expected && !isAssignable(actual, expected)) {
+          errors.push(`Argument ${index + 1} of '${node.name}' must be ${expected}, got ${actual}`);
+        }
+      });
+      return definition.returns;
+    }
+
+    case 'unary': {
+      const argumentType = inferType(node.argument, scope, errors);
+      if (node.operator === '!') return 'boolean';
+      if (!isAssignable(argumentType, 'number')) {
+        errors.push(`Cannot negate ${argumentType}`);
+      }
+      return 'number';
+    }
+
+    case 'logical':
+      inferType(node.left, scope, errors);
+      inferType(node.right, scope, errors);
+      return 'boolean';
+
+    case 'binary': {
+      const left = inferType(node.left, scope, errors);
+      const right = inferType(node.right, scope, errors);
+
+      switch (node.operator) {
+        case '==':
+        case '!=':
+          if (!isComparable(left, right)) {
+            errors.push(`Cannot compare ${left} with ${right}`);
+          }
+          return 'boolean';
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          if (!isComparable(left, right) || [left, right].some(type => ['boolean', 'null', 'array', 'object'].includes(type))) {
+            errors.push(`Operator '${node.operator}' cannot compare ${left} with ${right}`);
+          }
+          return 'boolean';
+        case 'in':
+          if (!['array', 'string', 'any'].includes(right)) {
+            errors.push(`Right side of 'in' must be a list or string, got ${right}`);
+          }
+          return 'boolean';
+        case '+':
+          if (left === 'string' || right === 'string') return 'string';
+          break;
+        default:
+          break;
+      }
+
+      if (!isAssignable(left, 'number') || !isAssignable(right, 'number')) {
+        errors.push(`Operator '${node.operator}' requires numbers, got ${left} and ${right}`);
+      }
+      return 'number';
+    }
+
+    default:
+      return 'any';
+  }
+};
+
+const isAssignable = (actual, expected) => {
+  if (actual === 'any' || expected === 'any') return true;
+  if (expected === 'date') return ['date', 'string'].includes(actual);
+  return actual === expected;
+};
+
+const isComparable = (left, right) => {
+  if (left === 'any' || right === 'any' || left === 'null' || right === 'null') return true;
+  if (left === 'date' || right === 'date') {
+    return ['date', 'string'].includes(left) && ['date', 'string'].includes(right);
+  }
+  return left === right;
+};
+
+// Legacy bare-label conditions ("approved") are shorthand for decision == 'approved'
+const normalizeSource = (source) => {
+  const trimmed = String(source ?? '').trim();
+  if (trimmed === '') return 'true';
+  if (LEGACY_LABEL.test(trimmed) && !KEYWORDS.includes(trimmed) &&
+      !EXPRESSION_ROOTS.includes(trimmed) && !/^\d/.test(trimmed)) {
+    return `decision == '${trimmed}'`;
+  }
+  return trimmed;
+};
+
+// Parse an expression into an AST (cached)
+export const parseExpression = (source) => {
+  const normalized = normalizeSource(source);
+
+  if (normalized.length > MAX_EXPRESSION_LENGTH) {
+    throw expressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`, normalized);
+  }
+
+  if (astCache.has(normalized)) {
+    return astCache.get(normalized);
+  }
+
+  const ast = new Parser(normalized).parse();
+
+  if (astCache.size >= MAX_CACHE_SIZE) {
+    astCache.delete(astCache.keys().next().value);
+  }
+  astCache.set(normalized, ast);
+
+  return ast;
+};
+
+// Evaluate an expression against a context ({ variables, formData, decision })
+export const evaluateExpression = (source, context = {}) => {
+  const ast = parseExpression(source);
+  return evaluateNode(ast, context, normalizeSource(source));
+};
+
+// Parse and type-check an expression without evaluating it.
+// `variables` is the template's variable declarations; when provided, unknown
+// variable names are reported as errors.
+export const validateExpression = (source, { variables = null, expectedType = 'boolean' } = {}) => {
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (error) {
+    return { isValid: false, errors: [error.message], type: null };
+  }
+
+  const errors = [];
+  const type = inferType(ast, { variables }, errors);
+
+  if (expectedType && !isAssignable(type, expectedType) && type !== 'null') {
+    errors.push(`Expression must evaluate to ${expectedType}, got ${type}`);
+  }
+
+  return { isValid: errors.length === 0, errors, type };
+};
+
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\s\S]+?)\s*\}\}$/;
+
+// Render `{{ expression }}` placeholders in a string. A string that is a single
+// placeholder yields the raw value, so numbers and objects keep their type.
+export const renderTemplate = (template, context = {}) => {
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const single = template.match(SINGLE_PLACEHOLDER);
+  if (single) {
+    return evaluateExpression(single[1], context);
+  }
+
+  return template.replace(TEMPLATE_PLACEHOLDER, (match, source) => {
+    const value = evaluateExpression(source, context);
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+};
+
+// Render placeholders in every string of a value, recursing into arrays and objects
+export const renderValue = (value, context = {}) => {
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, context));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, context)])
+    );
+  }
+  return renderTemplate(value, context);
+};
+
+// Build the evaluation context for a transition condition
+export const buildExpressionContext = ({ variables = {}, formData = {}, decision = null } = {}) => {
+  return {
+    variables: variables || {},
+    formData: formData || {},
+    decision: decision ?? null
+  };
+};
+
+export default {
+  EXPRESSION_ROOTS,
+  parseExpression,
+  evaluateExpression,
+  validateExpression,
+  renderTemplate,
+  renderValue,
+  buildExpressionContext
+};
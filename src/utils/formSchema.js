@@ -0,0 +1,216 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { AppError } from './helpers.js';
+import { evaluateExpression, validateExpression, buildExpressionContext } from './expression.js';
+
+// Step forms are described with JSON Schema (draft-07) plus three extensions:
+//
+//   label        display name of a field, used in error messages
+//   options      allowed values, either plain values or { value, label } pairs
+//   visibleWhen  expression over formData and variables; a top-level field is
+//                only shown, required and kept while it holds
+//
+//   {
+//     type: 'object',
+//     required: ['amount', 'reason'],
+//     properties: {
+//       amount: { type: 'number', minimum: 0, label: 'Amount' },
+//       currency: { type: 'string', options: [{ value: 'EUR', label: 'Euro' }, 'USD'] },
+//       reason: { type: 'string', visibleWhen: 'formData.amount > 1000' }
+//     }
+//   }
+
+const MAX_CACHE_SIZE = 200;
+
+const optionValueSchema = { type: ['string', 'number', 'boolean'] };
+
+// Not strict: form schemas may carry keywords for the UI that validation ignores
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+ajv.addKeyword({
+  keyword: 'label',
+  schemaType: 'string'
+});
+
+ajv.addKeyword({
+  keyword: 'visibleWhen',
+  schemaType: 'string'
+});
+
+// Options validate like an enum of their values
+ajv.addKeyword({
+  keyword: 'options',
+  metaSchema: {
+    type: 'array',
+    items: {
+      anyOf: [
+        optionValueSchema,
+        {
+          type: 'object',
+          required: ['value'],
+          properties: { value: optionValueSchema, label: { type: 'string' } }
+        }
+      ]
+    }
+  },
+  macro: options => ({
+    enum: options.map(option => (option && typeof option === 'object' ? option.value : option))
+  })
+});
+
+const validatorCache = new Map();
+
+// Compile a schema once per distinct definition
+const getValidator = (schema) => {
+  const key = JSON.stringify(schema);
+  if (validatorCache.has(key)) {
+    return validatorCache.get(key);
+  }
+
+  const validator = ajv.compile(schema);
+
+  if (validatorCache.size >= MAX_CACHE_SIZE) {
+    validatorCache.delete(validatorCache.keys().next().value);
+  }
+  validatorCache.set(key, validator);
+
+  return validator;
+};
+
+// A copy of a schema without required fields, for drafts
+const withoutRequired = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(withoutRequired);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key, value]) => !(key === 'required' && Array.isArray(value)))
+      .map(([key, value]) => [key, withoutRequired(value)])
+  );
+};
+
+const isEmptySchema = schema => !schema || Object.keys(schema).length === 0;
+
+// '/items/0' -> 'items.0'
+const toFieldPath = (instancePath, property = null) => {
+  const segments = instancePath.split('/').filter(Boolean)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  return [...segments, ...(property ? [property] : [])].join('.');
+};
+
+// Convert Ajv errors to the { field, message, type } details the validate middleware returns
+const toDetails = (errors, schema, prefix = '') => {
+  return errors
+    // Options report through the enum they expand to
+    .filter(error => error.keyword !== 'options')
+    .map(error => {
+      const field = toFieldPath(error.instancePath, error.params?.missingProperty);
+      const topLevel = schema.properties?.[field];
+      const name = topLevel?.label || topLevel?.title || field || 'form';
+      const message = error.keyword === 'required'
+        ? 'is required'
+        : error.message;
+      return {
+        field: [prefix, field].filter(Boolean).join('.'),
+        message: `"${name}" ${message}`,
+        type: `form.${error.keyword}`
+      };
+    });
+};
+
+// Check a form schema is valid JSON Schema with valid extensions, returning
+// { field, message, type } details. `variables` are the template's variable
+// declarations, used to check visibleWhen expressions.
+export const validateFormSchema = (schema, { variables = null, prefix = 'formSchema' } = {}) => {
+  if (isEmptySchema(schema)) return [];
+
+  if (!ajv.validateSchema(schema)) {
+    return ajv.errors.map(error => ({
+      field: [prefix, toFieldPath(error.instancePath)].filter(Boolean).join('.'),
+      message: `Invalid form schema: ${error.message}`,
+      type: 'formSchema.invalid'
+    }));
+  }
+
+  try {
+    getValidator(schema);
+  } catch (error) {
+    return [{ field: prefix, message: `Invalid form schema: ${error.message}`, type: 'formSchema.invalid' }];
+  }
+
+  const details = [];
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (!property?.visibleWhen) return;
+    validateExpression(property.visibleWhen, { variables, expectedType: 'boolean' }).errors.forEach(message => {
+      details.push({
+        field: `${prefix}.properties.${name}.visibleWhen`,
+        message: `Invalid visibility condition: ${message}`,
+        type: 'formSchema.visibleWhen'
+      });
+    });
+  });
+  return details;
+};
+
+// Validate form data against a step's form schema. Fields hidden by their
+// visibleWhen condition are neither required nor kept, and fields whose
+// condition cannot be evaluated are not required. Drafts skip required
+// fields. Returns { value, errors } with errors as { field, message, type }.
+export const validateFormData = (schema, formData = {}, { variables = {}, draft = false } = {}) => {
+  if (isEmptySchema(schema)) {
+    return { value: formData, errors: [] };
+  }
+
+  const context = buildExpressionContext({ variables, formData });
+  const hidden = [];
+  const optional = [];
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (!property?.visibleWhen) return;
+    try {
+      if (evaluateExpression(property.visibleWhen, context) !== true) hidden.push(name);
+    } catch (error) {
+      // Conditions over missing or mistyped fields cannot tell yet; those
+      // fields' own errors are reported, and this one is kept but optional
+      optional.push(name);
+    }
+  });
+
+  const value = Object.fromEntries(
+    Object.entries(formData || {}).filter(([name]) => !hidden.includes(name))
+  );
+
+  let effectiveSchema = schema;
+  const notRequired = [...hidden, ...optional];
+  if (notRequired.length > 0 && Array.isArray(schema.required)) {
+    effectiveSchema = { ...schema, required: schema.required.filter(name => !notRequired.includes(name)) };
+  }
+  if (draft) {
+    effectiveSchema = withoutRequired(effectiveSchema);
+  }
+
+  const validator = getValidator(effectiveSchema);
+  if (validator(value)) {
+    return { value, errors: [] };
+  }
+  return { value, errors: toDetails(validator.errors, schema, 'formData') };
+};
+
+// Throw the validate middleware's VALIDATION_ERROR for invalid form data,
+// returning the data without hidden fields otherwise
+export const assertValidFormData = (schema, formData, options = {}) => {
+  const { value, errors } = validateFormData(schema, formData, options);
+  if (errors.length > 0) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', { details: errors });
+  }
+  return value;
+};
+
+export default {
+  validateFormSchema,
+  validateFormData,
+  assertValidFormData
+};
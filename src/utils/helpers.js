@@ -6,7 +6,7 @@ import relativeTime from 'dayjs/plugin/relativeTime.js';
 import duration from 'dayjs/plugin/duration.js';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
-import { TIME_DURATIONS, DATE_FORMATS, REGEX } from './constants.js';
+import { DATE_FORMATS, REGEX } from './constants.js';
 
 // Configure dayjs plugins
 dayjs.extend(relativeTime);
@@ -90,6 +90,16 @@ export const catchAsync = (fn) => {
   };
 };
 
+// Bind class methods to their instance so they can be passed as route handlers
+export const bindMethods = (instance) => {
+  Object.getOwnPropertyNames(Object.getPrototypeOf(instance))
+    .filter(name => name !== 'constructor' && typeof instance[name] === 'function')
+    .forEach(name => {
+      instance[name] = instance[name].bind(instance);
+    });
+  return instance;
+};
+
 // Secure random string generation
 export const generateRandomString = (length = 32, characters = null) => {
   const defaultChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -226,6 +236,11 @@ export const paginateArray = (array, page = 1, limit = 20) => {
   };
 };
 
+// Compare x.y.z version strings numerically, for sorting
+export const compareVersions = (a, b) => {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
 // Deep clone object
 export const deepClone = (obj) => {
   if (obj === null || typeof obj !== 'object') return obj;
@@ -326,7 +341,7 @@ export const validatePasswordStrength = (password) => {
     result.feedback.push('Password should contain numbers');
   }
 
-  if (/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
+  if (/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(password)) {
     result.score += 1;
     result.checks.symbols = true;
   } else {
@@ -426,6 +441,7 @@ export const retry = async (fn, options = {}) => {
 export default {
   AppError,
   catchAsync,
+  bindMethods,
   generateRandomString,
   generateUUID,
   generateUniqueFilename,
@@ -442,6 +458,7 @@ export default {
   isOverdue,
   calculatePercentage,
   paginateArray,
+  compareVersions,
   deepClone,
   removeUndefined,
   pick,
@@ -0,0 +1,124 @@
+// Minimal iCalendar (RFC 5545) reader for holiday files: each VEVENT becomes
+// one holiday per day it covers. Recurrence other than a plain yearly rule,
+// and events without a start date, are reported rather than guessed at.
+
+// Longest event expanded into individual holidays
+const MAX_EVENT_DAYS = 366;
+
+// Join folded continuation lines and split into content lines
+const unfold = (text) => text
+  .replace(/\r\n|\r/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim() !== '');
+
+// Split "NAME;PARAM=x:value" into its parts
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, value = ''] = param.split('=');
+      return [key.toUpperCase(), value];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// Calendar date of a DATE or DATE-TIME value as YYYY-MM-DD
+const parseDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Holidays described by the events of an iCalendar file
+export const parseHolidays = (text) => {
+  const holidays = [];
+  const skipped = [];
+  let event = null;
+
+  for (const line of unfold(text)) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (event) {
+        const result = toHolidays(event);
+        if (result.reason) {
+          skipped.push({ summary: event.summary, reason: result.reason });
+        } else {
+          holidays.push(...result.holidays);
+        }
+      }
+      event = null;
+    } else if (event) {
+      if (property.name === 'DTSTART') event.start = property;
+      if (property.name === 'DTEND') event.end = property;
+      if (property.name === 'SUMMARY') event.summary = unescapeText(property.value);
+      if (property.name === 'RRULE') event.rrule = property.value.toUpperCase();
+      if (property.name === 'STATUS') event.status = property.value.toUpperCase();
+    }
+  }
+
+  return { holidays, skipped };
+};
+
+// Holidays for one parsed event, or the reason it cannot be imported
+const toHolidays = (event) => {
+  if (event.status === 'CANCELLED') {
+    return { reason: 'Event is cancelled' };
+  }
+
+  const start = parseDate(event.start?.value);
+  if (!start) {
+    return { reason: 'Event has no start date' };
+  }
+
+  let recurring = false;
+  if (event.rrule) {
+    const rule = Object.fromEntries(event.rrule.split(';').map(part => part.split('=')));
+    const extra = Object.keys(rule).filter(key => !['FREQ', 'INTERVAL', 'BYMONTH', 'BYMONTHDAY'].includes(key));
+    if (rule.FREQ !== 'YEARLY' || (rule.INTERVAL && rule.INTERVAL !== '1') || extra.length > 0) {
+      return { reason: `Unsupported recurrence rule ${event.rrule}` };
+    }
+    recurring = true;
+  }
+
+  // An all-day event ends on the day after its last day
+  let days = 1;
+  const end = parseDate(event.end?.value);
+  if (end && end > start) {
+    const allDay = event.start.params.VALUE === 'DATE' || !event.start.value.includes('T');
+    days = Math.round((Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000)) + (allDay ? 0 : 1);
+  }
+  if (days > MAX_EVENT_DAYS) {
+    return { reason: `Event spans more than ${MAX_EVENT_DAYS} days` };
+  }
+
+  return {
+    holidays: Array.from({ length: days }, (_, i) => ({
+      date: addDays(start, i),
+      name: event.summary,
+      recurring
+    }))
+  };
+};
+
+export default {
+  parseHolidays
+};
@@ -0,0 +1,294 @@
+// Graph helpers over a process template's steps and nextSteps transitions
+
+// Find a template step by its stepId
+export const getStep = (template, stepId) => {
+  return (template.steps || []).find(step => step.stepId === stepId) || null;
+};
+
+// Step IDs a step can transition to
+export const getOutgoingStepIds = (step) => {
+  return [...new Set((step?.nextSteps || []).map(nextStep => nextStep.stepId))];
+};
+
+// Step IDs of every step with a transition into the given step
+export const getIncomingStepIds = (template, stepId) => {
+  return (template.steps || [])
+    .filter(step => getOutgoingStepIds(step).includes(stepId))
+    .map(step => step.stepId);
+};
+
+// Whether a token on one step can eventually arrive at another
+export const canReach = (template, fromStepId, targetStepId) => {
+  const visited = new Set();
+  const queue = [fromStepId];
+
+  while (queue.length > 0) {
+    const stepId = queue.shift();
+    if (stepId === targetStepId) return true;
+    if (visited.has(stepId)) continue;
+    visited.add(stepId);
+
+    getOutgoingStepIds(getStep(template, stepId)).forEach(nextStepId => queue.push(nextStepId));
+  }
+
+  return false;
+};
+
+// Whether a step terminates its token (end events and declared end steps)
+export const isEndStep = (template, step) => {
+  return step.type === 'end' || (template.endSteps || []).includes(step.stepId);
+};
+
+// Whether a parallel or inclusive gateway merges several incoming branches
+export const isJoin = (template, step) => {
+  return ['parallel', 'inclusive'].includes(step.type) &&
+    getIncomingStepIds(template, step.stepId).length > 1;
+};
+
+// Graph analysis rules by code, with the severity of their findings. Errors
+// keep a template from being saved or published; warnings are reported.
+export const GRAPH_RULES = {
+  DUPLICATE_STEP_ID: 'error',
+  MISSING_START_STEP: 'error',
+  MISSING_END_STEP: 'error',
+  NO_END_STEP: 'error',
+  MISSING_STEP_REFERENCE: 'error',
+  UNREACHABLE_STEP: 'warning',
+  DEAD_END: 'error',
+  NO_PATH_TO_END: 'error',
+  UNBOUNDED_LOOP: 'error',
+  SINGLE_BRANCH_GATEWAY: 'warning',
+  JOIN_DEADLOCK: 'error'
+};
+
+const GATEWAY_TYPES = ['parallel', 'exclusive', 'inclusive'];
+
+// Step IDs reachable from some steps without passing through `avoid`
+const reachableFrom = (template, fromStepIds, avoid = new Set()) => {
+  const reached = new Set();
+  const queue = fromStepIds.filter(stepId => !avoid.has(stepId));
+
+  while (queue.length > 0) {
+    const stepId = queue.shift();
+    if (reached.has(stepId)) continue;
+    reached.add(stepId);
+
+    getOutgoingStepIds(getStep(template, stepId))
+      .filter(nextStepId => !avoid.has(nextStepId))
+      .forEach(nextStepId => queue.push(nextStepId));
+  }
+
+  return reached;
+};
+
+// Strongly connected components of the transition graph (Tarjan)
+const findComponents = (template, stepIds) => {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (stepId) => {
+    index.set(stepId, counter);
+    lowLink.set(stepId, counter);
+    counter++;
+    stack.push(stepId);
+    onStack.add(stepId);
+
+    getOutgoingStepIds(getStep(template, stepId))
+      .filter(nextStepId => stepIds.includes(nextStepId))
+      .forEach(nextStepId => {
+        if (!index.has(nextStepId)) {
+          visit(nextStepId);
+          lowLink.set(stepId, Math.min(lowLink.get(stepId), lowLink.get(nextStepId)));
+        } else if (onStack.has(nextStepId)) {
+          lowLink.set(stepId, Math.min(lowLink.get(stepId), index.get(nextStepId)));
+        }
+      });
+
+    if (lowLink.get(stepId) === index.get(stepId)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== stepId);
+      components.push(component);
+    }
+  };
+
+  stepIds.forEach(stepId => {
+    if (!index.has(stepId)) visit(stepId);
+  });
+
+  return components;
+};
+
+// Whether a transition is only sometimes taken: conditional, default or
+// fired by a boundary timer. Parallel gateways take every transition.
+const isOptionalTransition = (step, transition) => {
+  return step.type !== 'parallel' &&
+    Boolean(transition.condition || transition.isDefault || transition.timerId);
+};
+
+// Analyse a template's transition graph. Returns findings as
+// `{ rule, severity, stepIds, message }`, with rules from GRAPH_RULES.
+export const analyzeGraph = (template) => {
+  const findings = [];
+  const report = (rule, stepIds, message) => {
+    findings.push({ rule, severity: GRAPH_RULES[rule], stepIds, message });
+  };
+
+  const steps = template.steps || [];
+  const stepIds = [...new Set(steps.map(step => step.stepId))];
+
+  steps
+    .map(step => step.stepId)
+    .filter((stepId, index, all) => all.indexOf(stepId) !== index)
+    .forEach(stepId => report('DUPLICATE_STEP_ID', [stepId], `Step ID "${stepId}" is used more than once`));
+
+  const hasStart = stepIds.includes(template.startStep);
+  if (!hasStart) {
+    report('MISSING_START_STEP', [], `Start step "${template.startStep}" does not exist`);
+  }
+  (template.endSteps || [])
+    .filter(stepId => !stepIds.includes(stepId))
+    .forEach(stepId => report('MISSING_END_STEP', [stepId], `End step "${stepId}" does not exist`));
+
+  steps.forEach(step => {
+    getOutgoingStepIds(step)
+      .filter(nextStepId => !stepIds.includes(nextStepId))
+      .forEach(nextStepId => {
+        report('MISSING_STEP_REFERENCE', [step.stepId], `Step "${step.stepId}" transitions to missing step "${nextStepId}"`);
+      });
+  });
+
+  const endStepIds = steps.filter(step => isEndStep(template, step)).map(step => step.stepId);
+  if (steps.length > 0 && endStepIds.length === 0) {
+    report('NO_END_STEP', [], 'Template has no end step');
+  }
+
+  // Steps a token can get to from the start
+  const reachable = hasStart ? reachableFrom(template, [template.startStep]) : new Set(stepIds);
+  stepIds
+    .filter(stepId => !reachable.has(stepId))
+    .forEach(stepId => report('UNREACHABLE_STEP', [stepId], `Step "${stepId}" cannot be reached from the start step`));
+
+  // Steps a token stops on without ending
+  const deadEnds = steps
+    .filter(step => !isEndStep(template, step) && getOutgoingStepIds(step).length === 0)
+    .map(step => step.stepId);
+  deadEnds.forEach(stepId => report('DEAD_END', [stepId], `Step "${stepId}" has no outgoing transitions and is not an end step`));
+
+  // Loops a token cannot leave, or repeats with nothing to stop it
+  const trapped = new Set();
+  findComponents(template, stepIds)
+    .filter(component => component.length > 1 ||
+      getOutgoingStepIds(getStep(template, component[0])).includes(component[0]))
+    .forEach(component => {
+      const members = new Set(component);
+      const loopSteps = component.map(stepId => getStep(template, stepId));
+      const hasExit = loopSteps.some(step =>
+        getOutgoingStepIds(step).some(nextStepId => !members.has(nextStepId))
+      );
+      const ordered = stepIds.filter(stepId => members.has(stepId));
+
+      if (!hasExit) {
+        ordered.forEach(stepId => trapped.add(stepId));
+        report('UNBOUNDED_LOOP', ordered, `Steps ${ordered.map(id => `"${id}"`).join(', ')} loop with no way out`);
+        return;
+      }
+
+      const canStop = loopSteps.some(step =>
+        (step.nextSteps || []).some(transition =>
+          members.has(transition.stepId) && isOptionalTransition(step, transition)
+        )
+      );
+      if (!canStop) {
+        report('UNBOUNDED_LOOP', ordered, `Steps ${ordered.map(id => `"${id}"`).join(', ')} loop without an exit condition`);
+      }
+    });
+
+  // Steps from which no end step can be reached
+  if (endStepIds.length > 0) {
+    const canEnd = new Set();
+    let grew = true;
+    endStepIds.forEach(stepId => canEnd.add(stepId));
+    while (grew) {
+      grew = false;
+      steps.forEach(step => {
+        if (!canEnd.has(step.stepId) && getOutgoingStepIds(step).some(nextStepId => canEnd.has(nextStepId))) {
+          canEnd.add(step.stepId);
+          grew = true;
+        }
+      });
+    }
+
+    stepIds
+      .filter(stepId => !canEnd.has(stepId) && !deadEnds.includes(stepId) && !trapped.has(stepId))
+      .forEach(stepId => report('NO_PATH_TO_END', [stepId], `No end step can be reached from step "${stepId}"`));
+  }
+
+  // Gateways that neither branch nor merge
+  steps
+    .filter(step => GATEWAY_TYPES.includes(step.type) &&
+      getOutgoingStepIds(step).length === 1 &&
+      getIncomingStepIds(template, step.stepId).length <= 1)
+    .forEach(step => {
+      report('SINGLE_BRANCH_GATEWAY', [step.stepId], `Gateway "${step.stepId}" has a single outgoing branch`);
+    });
+
+  // Parallel joins waiting for a branch that cannot arrive
+  steps
+    .filter(step => step.type === 'parallel' && isJoin(template, step) && reachable.has(step.stepId))
+    .forEach(join => {
+      const incoming = getIncomingStepIds(template, join.stepId);
+      const avoidJoin = new Set([join.stepId]);
+      const beforeJoin = hasStart ? reachableFrom(template, [template.startStep], avoidJoin) : reachable;
+
+      incoming
+        .filter(stepId => !beforeJoin.has(stepId))
+        .forEach(stepId => {
+          report('JOIN_DEADLOCK', [join.stepId, stepId], `Join "${join.stepId}" waits for step "${stepId}", which cannot run before the join`);
+        });
+
+      // A choice sending its branches to different incoming steps leaves
+      // the join waiting for the branch not taken
+      steps
+        .filter(step => ['exclusive', 'decision'].includes(step.type) &&
+          step.stepId !== join.stepId &&
+          beforeJoin.has(step.stepId) &&
+          getOutgoingStepIds(step).length > 1)
+        .forEach(choice => {
+          const avoid = new Set([join.stepId, choice.stepId]);
+          const branches = getOutgoingStepIds(choice).map(nextStepId => {
+            const reached = reachableFrom(template, [nextStepId], avoid);
+            return incoming.filter(stepId => reached.has(stepId));
+          });
+
+          const exclusive = branches.some((branch, index) =>
+            branches.some((other, otherIndex) => otherIndex !== index &&
+              branch.some(stepId => !other.includes(stepId)) &&
+              other.some(stepId => !branch.includes(stepId)))
+          );
+          if (exclusive) {
+            report('JOIN_DEADLOCK', [join.stepId, choice.stepId], `Join "${join.stepId}" waits for branches that "${choice.stepId}" chooses between`);
+          }
+        });
+    });
+
+  return findings;
+};
+
+export default {
+  getStep,
+  getOutgoingStepIds,
+  getIncomingStepIds,
+  canReach,
+  isEndStep,
+  isJoin,
+  analyzeGraph
+};
@@ -0,0 +1,206 @@
+import { AppError } from './helpers.js';
+
+// Process variables are checked against the template's declarations:
+//
+//   { name: 'amount', type: 'number', required: true, min: 0, max: 10000 }
+//   { name: 'currency', type: 'string', enum: ['EUR', 'USD'], defaultValue: 'EUR' }
+//   { name: 'costCenter', type: 'string', pattern: '^CC-[0-9]{4}$' }
+//
+// `min` and `max` bound numbers and the length of strings. Variables without a
+// declaration are not checked.
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'date', 'object'];
+
+const isValidDate = value => {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: isValidDate,
+  object: value => typeof value === 'object' && !(value instanceof Date)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'a boolean',
+  date: 'a date',
+  object: 'an object'
+};
+
+const isEmpty = value => value === undefined || value === null;
+
+// Enum values compare by value, so dates and objects match their copies
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Check a value against one declaration, returning `{ message, type }` errors
+const checkValue = (declaration, value) => {
+  const { type = 'string', min, max, pattern } = declaration;
+  const check = TYPE_CHECKS[type];
+
+  if (check && !check(value)) {
+    return [{ message: `must be ${TYPE_NAMES[type]}`, type: 'variable.type' }];
+  }
+
+  const errors = [];
+
+  if (declaration.enum?.length > 0 && !declaration.enum.some(allowed => sameValue(allowed, value))) {
+    errors.push({
+      message: `must be one of ${declaration.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`,
+      type: 'variable.enum'
+    });
+  }
+
+  if (type === 'number') {
+    if (!isEmpty(min) && value < min) {
+      errors.push({ message: `must be at least ${min}`, type: 'variable.min' });
+    }
+    if (!isEmpty(max) && value > max) {
+      errors.push({ message: `must be at most ${max}`, type: 'variable.max' });
+    }
+  }
+
+  if (type === 'string') {
+    if (!isEmpty(min) && value.length < min) {
+      errors.push({ message: `must be at least ${min} characters long`, type: 'variable.min' });
+    }
+    if (!isEmpty(max) && value.length > max) {
+      errors.push({ message: `must be at most ${max} characters long`, type: 'variable.max' });
+    }
+    if (pattern && !new RegExp(pattern).test(value)) {
+      errors.push({ message: `must match the pattern ${pattern}`, type: 'variable.pattern' });
+    }
+  }
+
+  return errors;
+};
+
+// Fill in the declared defaults of variables that have no value
+export const applyVariableDefaults = (declarations = [], values = {}) => {
+  const result = { ...values };
+  declarations.forEach(declaration => {
+    if (result[declaration.name] === undefined && declaration.defaultValue !== undefined) {
+      result[declaration.name] = structuredClone(declaration.defaultValue);
+    }
+  });
+  return result;
+};
+
+// Check variables against their declarations, returning `{ field, message, type }`
+// details like the validate middleware. A partial check only looks at the
+// variables given, as when they are merged into existing ones.
+export const validateVariables = (declarations = [], values = {}, { partial = false } = {}) => {
+  const details = [];
+
+  declarations.forEach(declaration => {
+    const { name } = declaration;
+    if (partial && !Object.prototype.hasOwnProperty.call(values, name)) return;
+
+    const value = values[name];
+    const field = `variables.${name}`;
+
+    if (isEmpty(value)) {
+      if (declaration.required) {
+        details.push({ field, message: `"${name}" is required`, type: 'variable.required' });
+      }
+      return;
+    }
+
+    checkValue(declaration, value).forEach(error => {
+      details.push({ field, message: `"${name}" ${error.message}`, type: error.type });
+    });
+  });
+
+  return details;
+};
+
+// Throw the validate middleware's VALIDATION_ERROR for invalid variables
+export const assertValidVariables = (declarations, values, options = {}) => {
+  const details = validateVariables(declarations, values, options);
+  if (details.length > 0) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', { details });
+  }
+};
+
+// Check a template's variable declarations are consistent, returning
+// `{ field, message, type }` details
+export const validateVariableDeclarations = (declarations = []) => {
+  const details = [];
+  const names = new Set();
+
+  declarations.forEach((declaration, index) => {
+    const prefix = `variables.${index}`;
+    const { name, type = 'string', min, max, pattern } = declaration;
+    const invalid = (field, message) => details.push({
+      field: `${prefix}.${field}`,
+      message: `Variable "${name}": ${message}`,
+      type: 'variableDeclaration.invalid'
+    });
+
+    if (names.has(name)) {
+      invalid('name', 'is declared more than once');
+    }
+    names.add(name);
+
+    if (!VARIABLE_TYPES.includes(type)) {
+      invalid('type', `unknown type "${type}"`);
+      return;
+    }
+
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        invalid('pattern', `invalid pattern: ${error.message}`);
+        return;
+      }
+    }
+
+    if (!isEmpty(min) && !isEmpty(max) && min > max) {
+      invalid('min', 'min is greater than max');
+    }
+
+    (declaration.enum || []).forEach((allowed, enumIndex) => {
+      if (!TYPE_CHECKS[type](allowed)) {
+        invalid(`enum.${enumIndex}`, `allowed value ${JSON.stringify(allowed)} is not ${TYPE_NAMES[type]}`);
+      }
+    });
+
+    if (!isEmpty(declaration.defaultValue)) {
+      checkValue(declaration, declaration.defaultValue).forEach(error => {
+        invalid('defaultValue', `default value ${error.message}`);
+      });
+    }
+  });
+
+  return details;
+};
+
+// Per-variable changes between two sets of variables, as
+// `{ name: { before, after } }`; missing values show as null
+export const diffVariables = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(name => {
+    const oldValue = before?.[name];
+    const newValue = after?.[name];
+    if (!sameValue(oldValue, newValue)) {
+      changes[name] = {
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      };
+    }
+  });
+  return changes;
+};
+
+export default {
+  applyVariableDefaults,
+  validateVariables,
+  assertValidVariables,
+  validateVariableDeclarations,
+  diffVariables
+};
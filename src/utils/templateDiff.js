@@ -0,0 +1,236 @@
+// Structured differences between two versions of a process template, with a
+// human-readable summary line per change
+
+// Template fields compared outside steps and variables
+const TEMPLATE_FIELDS = ['description', 'category', 'startStep', 'endSteps', 'separationOfDuties', 'businessCalendarId', 'tags'];
+
+// Step fields compared on their own, or not at all (layout)
+const ASSIGNMENT_FIELDS = ['assigneeType', 'assignees', 'assignment'];
+const SEPARATE_STEP_FIELDS = ['stepId', 'nextSteps', 'formSchema', 'position', ...ASSIGNMENT_FIELDS];
+
+const TRANSITION_FIELDS = ['condition', 'isDefault'];
+
+// Plain JSON without database ids, so copied versions compare equal
+const toPlain = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value, (key, item) => (
+    key === '_id' || key === '__v' ? undefined : item
+  ))) ?? null;
+};
+
+const isEqual = (a, b) => JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+
+const isEmptyValue = value => value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && value !== null && Object.keys(value).length === 0);
+
+const format = (value) => {
+  const plain = toPlain(value);
+  if (isEmptyValue(plain)) return 'none';
+  return typeof plain === 'string' ? `"${plain}"` : JSON.stringify(plain);
+};
+
+// `{ field, before, after }` for every listed field that differs; fields
+// missing on one side count as empty
+const compareFields = (before = {}, after = {}, fields) => {
+  return fields
+    .filter(field => !isEqual(before?.[field], after?.[field]) &&
+      !(isEmptyValue(toPlain(before?.[field])) && isEmptyValue(toPlain(after?.[field]))))
+    .map(field => ({ field, before: toPlain(before?.[field]), after: toPlain(after?.[field]) }));
+};
+
+const fieldsOf = (...objects) => [...new Set(objects.flatMap(object => Object.keys(toPlain(object) || {})))];
+
+const stepLabel = step => (step.name && step.name !== step.stepId ? `"${step.name}" (${step.stepId})` : `"${step.stepId}"`);
+
+const transitionKey = (from, transition) => `${from}->${transition.stepId}${transition.timerId ? `@${transition.timerId}` : ''}`;
+
+const transitionLabel = transition => `${transition.from} → ${transition.to}${transition.timerId ? ` on timer ${transition.timerId}` : ''}`;
+
+const describeChanges = changes => changes
+  .map(change => `${change.field} changed from ${format(change.before)} to ${format(change.after)}`)
+  .join('; ');
+
+// Transitions of all steps, by from/to/timer
+const collectTransitions = (template) => {
+  const transitions = new Map();
+  (template.steps || []).forEach(step => {
+    (step.nextSteps || []).forEach(transition => {
+      transitions.set(transitionKey(step.stepId, transition), {
+        from: step.stepId,
+        to: transition.stepId,
+        timerId: transition.timerId || null,
+        condition: transition.condition || null,
+        isDefault: Boolean(transition.isDefault)
+      });
+    });
+  });
+  return transitions;
+};
+
+// Added, removed and modified fields of a step's form schema. A field that
+// became required or optional is modified.
+const diffFormSchema = (before = {}, after = {}) => {
+  const oldProperties = toPlain(before?.properties) || {};
+  const newProperties = toPlain(after?.properties) || {};
+  const oldRequired = before?.required || [];
+  const newRequired = after?.required || [];
+
+  const added = Object.keys(newProperties).filter(name => !(name in oldProperties));
+  const removed = Object.keys(oldProperties).filter(name => !(name in newProperties));
+  const modified = Object.keys(newProperties)
+    .filter(name => name in oldProperties)
+    .map(name => {
+      const changes = compareFields(oldProperties[name], newProperties[name], fieldsOf(oldProperties[name], newProperties[name]));
+      if (oldRequired.includes(name) !== newRequired.includes(name)) {
+        changes.push({ field: 'required', before: oldRequired.includes(name), after: newRequired.includes(name) });
+      }
+      return { field: name, changes };
+    })
+    .filter(field => field.changes.length > 0);
+
+  const otherChanges = compareFields(
+    before,
+    after,
+    fieldsOf(before, after).filter(field => !['properties', 'required'].includes(field))
+  );
+
+  return { added, removed, modified, changes: otherChanges };
+};
+
+// Compare two template versions, given as plain objects. Steps are matched by
+// stepId, transitions by their source, target and timer, and variables by name.
+export const diffTemplates = (from, to) => {
+  const summary = [];
+
+  // Template settings
+  const template = compareFields(from, to, TEMPLATE_FIELDS);
+  template.forEach(change => summary.push(`Template: ${describeChanges([change])}`));
+
+  // Steps
+  const oldSteps = new Map((from.steps || []).map(step => [step.stepId, step]));
+  const newSteps = new Map((to.steps || []).map(step => [step.stepId, step]));
+
+  const steps = {
+    added: [...newSteps.values()]
+      .filter(step => !oldSteps.has(step.stepId))
+      .map(step => ({ stepId: step.stepId, name: step.name, type: step.type })),
+    removed: [...oldSteps.values()]
+      .filter(step => !newSteps.has(step.stepId))
+      .map(step => ({ stepId: step.stepId, name: step.name, type: step.type })),
+    modified: []
+  };
+  steps.added.forEach(step => summary.push(`Step ${stepLabel(step)} added as ${step.type}`));
+  steps.removed.forEach(step => summary.push(`Step ${stepLabel(step)} removed`));
+
+  const assignments = [];
+  const formFields = [];
+
+  [...newSteps.values()].filter(step => oldSteps.has(step.stepId)).forEach(newStep => {
+    const oldStep = oldSteps.get(newStep.stepId);
+    const label = stepLabel(newStep);
+
+    const fields = fieldsOf(oldStep, newStep).filter(field => !SEPARATE_STEP_FIELDS.includes(field));
+    const changes = compareFields(oldStep, newStep, fields);
+    if (changes.length > 0) {
+      steps.modified.push({ stepId: newStep.stepId, name: newStep.name, changes });
+      summary.push(`Step ${label}: ${describeChanges(changes)}`);
+    }
+
+    const assignmentChanges = compareFields(oldStep, newStep, ASSIGNMENT_FIELDS);
+    if (assignmentChanges.length > 0) {
+      assignments.push({ stepId: newStep.stepId, name: newStep.name, changes: assignmentChanges });
+      summary.push(`Assignment of step ${label}: ${describeChanges(assignmentChanges)}`);
+    }
+
+    const form = diffFormSchema(oldStep.formSchema, newStep.formSchema);
+    if (form.added.length || form.removed.length || form.modified.length || form.changes.length) {
+      formFields.push({ stepId: newStep.stepId, name: newStep.name, ...form });
+      form.added.forEach(field => summary.push(`Form of step ${label}: field "${field}" added`));
+      form.removed.forEach(field => summary.push(`Form of step ${label}: field "${field}" removed`));
+      form.modified.forEach(field => {
+        summary.push(`Form of step ${label}: field "${field.field}" ${describeChanges(field.changes)}`);
+      });
+      if (form.changes.length > 0) {
+        summary.push(`Form of step ${label}: ${describeChanges(form.changes)}`);
+      }
+    }
+  });
+
+  // Transitions
+  const oldTransitions = collectTransitions(from);
+  const newTransitions = collectTransitions(to);
+  const transitions = {
+    added: [...newTransitions.entries()].filter(([key]) => !oldTransitions.has(key)).map(([, transition]) => transition),
+    removed: [...oldTransitions.entries()].filter(([key]) => !newTransitions.has(key)).map(([, transition]) => transition),
+    modified: [...newTransitions.entries()]
+      .filter(([key]) => oldTransitions.has(key))
+      .map(([key, transition]) => ({
+        from: transition.from,
+        to: transition.to,
+        timerId: transition.timerId,
+        changes: compareFields(oldTransitions.get(key), transition, TRANSITION_FIELDS)
+      }))
+      .filter(transition => transition.changes.length > 0)
+  };
+  const describeTransition = transition => {
+    if (transition.isDefault) return ' as the default';
+    return transition.condition ? ` when ${transition.condition}` : '';
+  };
+  transitions.added.forEach(transition => {
+    summary.push(`Transition ${transitionLabel(transition)} added${describeTransition(transition)}`);
+  });
+  transitions.removed.forEach(transition => {
+    summary.push(`Transition ${transitionLabel(transition)} removed`);
+  });
+  transitions.modified.forEach(transition => {
+    summary.push(`Transition ${transitionLabel(transition)}: ${describeChanges(transition.changes)}`);
+  });
+
+  // Variable declarations
+  const oldVariables = new Map((from.variables || []).map(variable => [variable.name, variable]));
+  const newVariables = new Map((to.variables || []).map(variable => [variable.name, variable]));
+  const variables = {
+    added: [...newVariables.values()].filter(variable => !oldVariables.has(variable.name)).map(toPlain),
+    removed: [...oldVariables.values()].filter(variable => !newVariables.has(variable.name)).map(toPlain),
+    modified: [...newVariables.values()]
+      .filter(variable => oldVariables.has(variable.name))
+      .map(variable => {
+        const oldVariable = oldVariables.get(variable.name);
+        return { name: variable.name, changes: compareFields(oldVariable, variable, fieldsOf(oldVariable, variable)) };
+      })
+      .filter(variable => variable.changes.length > 0)
+  };
+  variables.added.forEach(variable => {
+    summary.push(`Variable "${variable.name}" added (${variable.type || 'string'}${variable.required ? ', required' : ''})`);
+  });
+  variables.removed.forEach(variable => summary.push(`Variable "${variable.name}" removed`));
+  variables.modified.forEach(variable => {
+    summary.push(`Variable "${variable.name}": ${describeChanges(variable.changes)}`);
+  });
+
+  return {
+    hasChanges: summary.length > 0,
+    counts: {
+      template: template.length,
+      stepsAdded: steps.added.length,
+      stepsRemoved: steps.removed.length,
+      stepsModified: steps.modified.length,
+      transitionsChanged: transitions.added.length + transitions.removed.length + transitions.modified.length,
+      assignmentsChanged: assignments.length,
+      variablesChanged: variables.added.length + variables.removed.length + variables.modified.length,
+      formsChanged: formFields.length
+    },
+    template,
+    steps,
+    transitions,
+    assignments,
+    variables,
+    formFields,
+    summary
+  };
+};
+
+export default {
+  diffTemplates
+};
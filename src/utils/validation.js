@@ -29,7 +29,7 @@ export const userSchemas = {
       lastName: z.string().min(1, 'Last name is required').max(50),
       department: z.string().max(100).optional(),
       position: z.string().max(100).optional(),
-      phone: z.string().regex(/^[\+]?[1-9][\d]{0,15}$/).optional()
+      phone: z.string().regex(/^[+]?[1-9][\d]{0,15}$/).optional()
     })
   }),
 
@@ -44,7 +44,7 @@ export const userSchemas = {
       lastName: z.string().min(1).max(50).optional(),
       department: z.string().max(100).optional(),
       position: z.string().max(100).optional(),
-      phone: z.string().regex(/^[\+]?[1-9][\d]{0,15}$/).optional()
+      phone: z.string().regex(/^[+]?[1-9][\d]{0,15}$/).optional()
     }).optional(),
     notificationPreferences: z.object({
       emailNotifications: z.boolean().optional(),
@@ -37,7 +37,7 @@ const profileSchema = Joi.object({
   
   phone: Joi.string()
     .trim()
-    .pattern(/^[\+]?[1-9][\d]{0,15}$/)
+    .pattern(/^[+]?[1-9][\d]{0,15}$/)
     .optional()
     .allow('')
     .messages({
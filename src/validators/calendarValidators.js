@@ -0,0 +1,128 @@
+import Joi from 'joi';
+
+const timeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Times must be in HH:mm format'
+  });
+
+const workingHoursSchema = Joi.object({
+  start: timeSchema,
+  end: timeSchema
+});
+
+const holidaySchema = Joi.object({
+  date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Holiday date must be in YYYY-MM-DD format',
+      'any.required': 'Holiday date is required'
+    }),
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow(''),
+  recurring: Joi.boolean()
+    .optional()
+    .default(false)
+});
+
+const calendarFields = {
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow(''),
+
+  timezone: Joi.string()
+    .trim()
+    .max(64),
+
+  workingDays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'At least one working day is required'
+    }),
+
+  workingHours: Joi.array()
+    .items(workingHoursSchema)
+    .min(1)
+    .messages({
+      'array.min': 'At least one working hours period is required'
+    }),
+
+  holidays: Joi.array()
+    .items(holidaySchema)
+    .unique('date'),
+
+  departments: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .unique(),
+
+  isDefault: Joi.boolean(),
+
+  isActive: Joi.boolean()
+};
+
+const createCalendarSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .trim()
+    .min(1)
+    .max(100)
+    .messages({
+      'any.required': 'Calendar name is required'
+    }),
+  ...calendarFields
+});
+
+const updateCalendarSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100),
+  ...calendarFields
+}).min(1);
+
+const getCalendarsQuerySchema = Joi.object({
+  department: Joi.string()
+    .trim()
+    .optional(),
+
+  isActive: Joi.boolean()
+    .optional()
+});
+
+const importHolidaysQuerySchema = Joi.object({
+  // Replace the calendar's holidays instead of adding to them
+  replace: Joi.boolean()
+    .optional()
+    .default(false)
+});
+
+const dueDateQuerySchema = Joi.object({
+  hours: Joi.number()
+    .min(0)
+    .max(10000)
+    .required()
+    .messages({
+      'any.required': 'Hours are required'
+    }),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+});
+
+export {
+  createCalendarSchema,
+  updateCalendarSchema,
+  getCalendarsQuerySchema,
+  importHolidaysQuerySchema,
+  dueDateQuerySchema
+};
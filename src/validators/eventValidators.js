@@ -0,0 +1,54 @@
+import Joi from 'joi';
+
+const eventNameSchema = Joi.string()
+  .required()
+  .trim()
+  .min(1)
+  .max(100)
+  .messages({
+    'any.required': 'Event name is required',
+    'string.empty': 'Event name cannot be empty'
+  });
+
+const sendMessageSchema = Joi.object({
+  name: eventNameSchema,
+
+  correlationKey: Joi.alternatives()
+    .try(Joi.string().trim().min(1).max(200), Joi.number())
+    .required()
+    .messages({
+      'any.required': 'Correlation key is required'
+    }),
+
+  payload: Joi.any()
+    .optional(),
+
+  // Seconds to keep the message when no process is waiting for it; 0 drops it
+  ttlSeconds: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+});
+
+const broadcastSignalSchema = Joi.object({
+  name: eventNameSchema,
+
+  payload: Joi.any()
+    .optional()
+});
+
+const getBufferedMessagesQuerySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .optional(),
+
+  correlationKey: Joi.string()
+    .trim()
+    .optional()
+});
+
+export {
+  sendMessageSchema,
+  broadcastSignalSchema,
+  getBufferedMessagesQuerySchema
+};
@@ -94,7 +94,7 @@ const getProcessInstancesQuerySchema = Joi.object({
     .optional(),
   
   status: Joi.string()
-    .valid('draft', 'active', 'completed', 'cancelled', 'suspended')
+    .valid('draft', 'active', 'completed', 'cancelled', 'suspended', 'error')
     .optional(),
   
   priority: Joi.string()
@@ -144,6 +144,54 @@ const processActionSchema = Joi.object({
     .allow('')
 });
 
+const rewindProcessSchema = Joi.object({
+  targetStepId: Joi.string()
+    .required()
+    .trim()
+    .messages({
+      'any.required': 'Target step ID is required'
+    }),
+
+  fromStepId: Joi.string()
+    .trim()
+    .optional(),
+
+  variables: Joi.object()
+    .optional(),
+
+  reason: Joi.string()
+    .required()
+    .trim()
+    .min(1)
+    .max(500)
+    .messages({
+      'any.required': 'Reason for rewinding is required',
+      'string.min': 'Reason cannot be empty'
+    })
+});
+
+const restartProcessSchema = Joi.object({
+  stepId: Joi.string()
+    .required()
+    .trim()
+    .messages({
+      'any.required': 'Step ID to restart from is required'
+    }),
+
+  variables: Joi.object()
+    .optional(),
+
+  reason: Joi.string()
+    .required()
+    .trim()
+    .min(1)
+    .max(500)
+    .messages({
+      'any.required': 'Reason for restarting is required',
+      'string.min': 'Reason cannot be empty'
+    })
+});
+
 const addCommentSchema = Joi.object({
   comment: Joi.string()
     .required()
@@ -166,5 +214,7 @@ export {
   getProcessInstancesQuerySchema,
   updateVariablesSchema,
   processActionSchema,
+  rewindProcessSchema,
+  restartProcessSchema,
   addCommentSchema
 };
\ No newline at end of file
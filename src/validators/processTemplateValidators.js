@@ -1,4 +1,101 @@
 import Joi from 'joi';
+import { isValidCron } from '../utils/cron.js';
+
+const timerDefinitionKeys = {
+  type: Joi.string()
+    .valid('duration', 'date', 'cron')
+    .required()
+    .messages({
+      'any.only': 'Timer type must be duration, date or cron'
+    }),
+
+  duration: Joi.number()
+    .min(0)
+    .when('type', { is: 'duration', then: Joi.required() })
+    .messages({
+      'any.required': 'Duration (in minutes) is required for duration timers'
+    }),
+
+  dateVariable: Joi.string()
+    .trim()
+    .when('type', { is: 'date', then: Joi.required() })
+    .messages({
+      'any.required': 'Date variable is required for date timers'
+    }),
+
+  cron: Joi.string()
+    .trim()
+    .when('type', { is: 'cron', then: Joi.required() })
+    .custom((value, helpers) => {
+      return isValidCron(value) ? value : helpers.error('string.cron');
+    })
+    .messages({
+      'any.required': 'Cron expression is required for cron timers',
+      'string.cron': 'Cron expression must have five valid fields'
+    })
+};
+
+export const timerDefinitionSchema = Joi.object(timerDefinitionKeys);
+
+export const boundaryTimerSchema = Joi.object({
+  timerId: Joi.string()
+    .required()
+    .trim()
+    .messages({
+      'any.required': 'Boundary timer ID is required'
+    }),
+  ...timerDefinitionKeys,
+  interrupting: Joi.boolean().default(true)
+});
+
+export const escalationLevelSchema = Joi.object({
+  target: Joi.string()
+    .valid('manager', 'department_head', 'role', 'user')
+    .required()
+    .messages({
+      'any.required': 'Escalation target is required'
+    }),
+
+  role: Joi.string()
+    .trim()
+    .when('target', { is: 'role', then: Joi.required() })
+    .messages({
+      'any.required': 'Role escalation levels need a role'
+    }),
+
+  userId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .when('target', { is: 'user', then: Joi.required() })
+    .messages({
+      'any.required': 'User escalation levels need a user ID',
+      'string.pattern.base': 'Invalid escalation user ID format'
+    }),
+
+  delay: Joi.number()
+    .min(0)
+    .optional(),
+
+  action: Joi.string()
+    .valid('notify', 'reassign')
+    .default('notify')
+});
+
+export const variableMappingSchema = Joi.object({
+  source: Joi.string()
+    .required()
+    .trim()
+    .messages({
+      'any.required': 'Mapping source expression is required'
+    }),
+
+  target: Joi.string()
+    .required()
+    .trim()
+    .max(50)
+    .messages({
+      'any.required': 'Mapping target variable is required'
+    })
+});
 
 export const stepSchema = Joi.object({
   stepId: Joi.string()
@@ -24,7 +121,7 @@ export const stepSchema = Joi.object({
     .allow(''),
   
   type: Joi.string()
-    .valid('user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'start', 'end')
+    .valid('user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'inclusive', 'timer', 'subprocess', 'message_catch', 'signal_catch', 'start', 'end')
     .required()
     .messages({
       'any.required': 'Step type is required',
@@ -40,6 +137,17 @@ export const stepSchema = Joi.object({
     .optional()
     .default([]),
   
+  assignment: Joi.object({
+    strategy: Joi.string()
+      .valid('round_robin', 'least_loaded', 'skill_match', 'previous_performer', 'initiator', 'expression')
+      .required()
+      .messages({
+        'any.required': 'Assignment strategy is required',
+        'any.only': 'Invalid assignment strategy'
+      }),
+    config: Joi.object().optional().default({})
+  }).optional(),
+  
   formSchema: Joi.object()
     .optional()
     .default({}),
@@ -54,13 +162,137 @@ export const stepSchema = Joi.object({
   escalation: Joi.object({
     enabled: Joi.boolean().default(false),
     timeLimit: Joi.number().min(0).optional(),
-    escalateTo: Joi.array().items(Joi.string().trim()).optional().default([])
+    escalateTo: Joi.array().items(Joi.string().trim()).optional().default([]),
+    levels: Joi.array().items(escalationLevelSchema).optional().default([])
   }).optional().default({}),
   
+  timer: timerDefinitionSchema
+    .when('type', { is: 'timer', then: Joi.required() })
+    .messages({
+      'any.required': 'Timer steps require a timer definition'
+    }),
+  
+  boundaryTimers: Joi.array()
+    .items(boundaryTimerSchema)
+    .unique('timerId')
+    .optional()
+    .default([])
+    .messages({
+      'array.unique': 'Boundary timer IDs must be unique within a step'
+    }),
+  
+  service: Joi.object({
+    handler: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Service handler name is required'
+      }),
+    config: Joi.object().optional().default({}),
+    outputVariable: Joi.string().trim().max(50).optional(),
+    retry: Joi.object({
+      maxAttempts: Joi.number().integer().min(1).max(20).default(1),
+      backoff: Joi.string().valid('fixed', 'exponential').default('exponential'),
+      delaySeconds: Joi.number().min(0).default(30),
+      maxDelaySeconds: Joi.number().min(0).default(3600)
+    }).optional().default({}),
+    compensateOnFailure: Joi.boolean().default(false)
+  }).optional(),
+  
+  compensation: Joi.object({
+    handler: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Compensation handler name is required'
+      }),
+    config: Joi.object().optional().default({})
+  }).optional(),
+  
+  subProcess: Joi.object({
+    templateId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'any.required': 'Sub-process template ID is required',
+        'string.pattern.base': 'Invalid sub-process template ID format'
+      }),
+    inputs: Joi.array().items(variableMappingSchema).optional().default([]),
+    outputs: Joi.array().items(variableMappingSchema).optional().default([])
+  })
+    .when('type', { is: 'subprocess', then: Joi.required() })
+    .messages({
+      'any.required': 'Sub-process steps require a sub-process definition'
+    }),
+  
+  message: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Message name is required'
+      }),
+    correlationKey: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Message correlation key expression is required'
+      }),
+    outputVariable: Joi.string().trim().max(50).optional()
+  })
+    .when('type', { is: 'message_catch', then: Joi.required() })
+    .messages({
+      'any.required': 'Message catch steps require a message definition'
+    }),
+  
+  signal: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Signal name is required'
+      }),
+    outputVariable: Joi.string().trim().max(50).optional()
+  })
+    .when('type', { is: 'signal_catch', then: Joi.required() })
+    .messages({
+      'any.required': 'Signal catch steps require a signal definition'
+    }),
+  
+  multiInstance: Joi.object({
+    enabled: Joi.boolean().default(false),
+    source: Joi.string().valid('collection', 'assignees').default('assignees'),
+    collection: Joi.string()
+      .trim()
+      .when('source', { is: 'collection', then: Joi.required() })
+      .messages({
+        'any.required': 'Multi-instance collection expression is required'
+      }),
+    assignFromItem: Joi.boolean().default(false),
+    sequential: Joi.boolean().default(false),
+    completion: Joi.object({
+      type: Joi.string().valid('all', 'any', 'count', 'percentage').default('all'),
+      count: Joi.number()
+        .integer()
+        .min(1)
+        .when('type', { is: 'count', then: Joi.required() }),
+      percentage: Joi.number()
+        .min(1)
+        .max(100)
+        .when('type', { is: 'percentage', then: Joi.required() }),
+      decision: Joi.string().trim().max(50).optional()
+    }).optional().default({}),
+    outputVariable: Joi.string().trim().max(50).optional()
+  }).optional(),
+  
   nextSteps: Joi.array()
     .items(Joi.object({
       condition: Joi.string().trim().optional().allow(''),
-      stepId: Joi.string().required().trim()
+      stepId: Joi.string().required().trim(),
+      isDefault: Joi.boolean().default(false),
+      timerId: Joi.string().trim().optional()
     }))
     .optional()
     .default([]),
@@ -85,12 +317,48 @@ export const variableSchema = Joi.object({
   
   required: Joi.boolean().default(false),
   
+  enum: Joi.array()
+    .items(Joi.any())
+    .min(1)
+    .optional(),
+  
+  min: Joi.number().optional(),
+  
+  max: Joi.number().optional(),
+  
+  pattern: Joi.string()
+    .max(500)
+    .optional(),
+  
   description: Joi.string()
     .trim()
     .max(200)
     .optional()
 });
 
+export const separationOfDutiesRuleSchema = Joi.object({
+  stepId: Joi.string()
+    .trim()
+    .required()
+    .messages({
+      'any.required': 'Separation-of-duties rules need a step ID'
+    }),
+  
+  notPerformerOf: Joi.array()
+    .items(Joi.string().trim())
+    .optional()
+    .default([]),
+  
+  notInitiator: Joi.boolean()
+    .default(false),
+  
+  description: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .allow('')
+});
+
 export const createProcessTemplateSchema = Joi.object({
   name: Joi.string()
     .required()
@@ -155,6 +423,18 @@ export const createProcessTemplateSchema = Joi.object({
     .optional()
     .default([]),
   
+  separationOfDuties: Joi.array()
+    .items(separationOfDutiesRuleSchema)
+    .optional(),
+  
+  businessCalendarId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid business calendar ID format'
+    }),
+  
   tags: Joi.array()
     .items(Joi.string().trim().max(50))
     .optional()
@@ -197,6 +477,18 @@ export const updateProcessTemplateSchema = Joi.object({
     .items(variableSchema)
     .optional(),
   
+  separationOfDuties: Joi.array()
+    .items(separationOfDutiesRuleSchema)
+    .optional(),
+  
+  businessCalendarId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid business calendar ID format'
+    }),
+  
   tags: Joi.array()
     .items(Joi.string().trim().max(50))
     .optional()
@@ -279,5 +571,107 @@ export const createVersionSchema = Joi.object({
     .allow('')
 });
 
+export const templateDiffQuerySchema = Joi.object({
+  from: Joi.alternatives()
+    .try(
+      Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+      Joi.string().trim().pattern(/^\d+\.\d+\.\d+$/)
+    )
+    .optional()
+    .messages({
+      'alternatives.match': 'From must be a template ID or a version in format x.y.z'
+    }),
+  
+  format: Joi.string()
+    .valid('json', 'text')
+    .default('json')
+});
+
+export const importBpmnQuerySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional(),
+  
+  category: Joi.string()
+    .trim()
+    .max(50)
+    .default('imported'),
+  
+  version: Joi.string()
+    .trim()
+    .pattern(/^\d+\.\d+\.\d+$/)
+    .default('1.0.0')
+    .messages({
+      'string.pattern.base': 'Version must be in format x.y.z'
+    }),
+  
+  dryRun: Joi.boolean()
+    .default(false)
+});
+
+export const importTemplateBundleSchema = Joi.object({
+  bundle: Joi.object({
+    format: Joi.string().required(),
+    formatVersion: Joi.number().integer().required(),
+    checksum: Joi.string().required(),
+    templates: Joi.array().min(1).required()
+  })
+    .unknown(true)
+    .required()
+    .messages({
+      'any.required': 'Bundle is required'
+    }),
+  
+  mappings: Joi.object({
+    users: Joi.object()
+      .pattern(Joi.string(), Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .default({})
+      .messages({
+        'string.pattern.base': 'Users must be mapped to user IDs'
+      }),
+    roles: Joi.object()
+      .pattern(Joi.string(), Joi.string().trim())
+      .default({}),
+    departments: Joi.object()
+      .pattern(Joi.string(), Joi.string().trim())
+      .default({})
+  }).default({}),
+  
+  skipExisting: Joi.boolean()
+    .default(false),
+  
+  dryRun: Joi.boolean()
+    .default(false)
+});
+
+export const migrateInstancesSchema = Joi.object({
+  sourceTemplateId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'any.required': 'Source template ID is required',
+      'string.pattern.base': 'Invalid source template ID format'
+    }),
+  
+  instanceIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .max(500)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid process instance ID format'
+    }),
+  
+  stepMapping: Joi.object()
+    .pattern(Joi.string(), Joi.string().trim())
+    .optional()
+    .default({}),
+  
+  dryRun: Joi.boolean()
+    .default(false)
+});
+
 
 
@@ -39,7 +39,7 @@ const getStepInstancesQuerySchema = Joi.object({
     .optional(),
   
   type: Joi.string()
-    .valid('user_task', 'service_task', 'decision', 'parallel', 'exclusive')
+    .valid('user_task', 'service_task', 'decision', 'parallel', 'exclusive', 'inclusive', 'timer', 'subprocess', 'message_catch', 'signal_catch')
     .optional(),
   
   sortBy: Joi.string()
@@ -76,6 +76,11 @@ const completeStepSchema = Joi.object({
     .default({})
 });
 
+const saveDraftSchema = Joi.object({
+  formData: Joi.object()
+    .required()
+});
+
 const assignStepSchema = Joi.object({
   assignedTo: Joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
@@ -174,12 +179,29 @@ const skipStepSchema = Joi.object({
     })
 });
 
+const reopenStepSchema = Joi.object({
+  variables: Joi.object()
+    .optional(),
+
+  reason: Joi.string()
+    .required()
+    .trim()
+    .min(1)
+    .max(500)
+    .messages({
+      'any.required': 'Reason for re-opening is required',
+      'string.min': 'Reason cannot be empty'
+    })
+});
+
 export {
   getStepInstancesQuerySchema,
   completeStepSchema,
+  saveDraftSchema,
   assignStepSchema,
   reassignStepSchema,
   escalateStepSchema,
   addCommentSchema,
-  skipStepSchema
+  skipStepSchema,
+  reopenStepSchema
 };
\ No newline at end of file
@@ -35,9 +35,25 @@ const profileSchema = Joi.object({
     .optional()
     .allow(''),
   
+  manager: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid manager ID format'
+    }),
+  
+  isDepartmentHead: Joi.boolean()
+    .optional(),
+  
+  skills: Joi.array()
+    .items(Joi.string().trim().max(50))
+    .max(50)
+    .optional(),
+  
   phone: Joi.string()
     .trim()
-    .pattern(/^[\+]?[1-9][\d]{0,15}$/)
+    .pattern(/^[+]?[1-9][\d]{0,15}$/)
     .optional()
     .allow('')
     .messages({
@@ -137,9 +153,25 @@ export const updateUserSchema = Joi.object({
       .optional()
       .allow(''),
     
+    manager: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .allow(null)
+      .messages({
+        'string.pattern.base': 'Invalid manager ID format'
+      }),
+    
+    isDepartmentHead: Joi.boolean()
+      .optional(),
+    
+    skills: Joi.array()
+      .items(Joi.string().trim().max(50))
+      .max(50)
+      .optional(),
+    
     phone: Joi.string()
       .trim()
-      .pattern(/^[\+]?[1-9][\d]{0,15}$/)
+      .pattern(/^[+]?[1-9][\d]{0,15}$/)
       .optional()
       .allow('')
       .messages({
@@ -175,7 +207,7 @@ export const updateProfileSchema = Joi.object({
   
   phone: Joi.string()
     .trim()
-    .pattern(/^[\+]?[1-9][\d]{0,15}$/)
+    .pattern(/^[+]?[1-9][\d]{0,15}$/)
     .optional()
     .allow('')
     .messages({
@@ -197,6 +229,53 @@ export const changeUserStatusSchema = Joi.object({
     .allow('')
 });
 
+export const createDelegationSchema = Joi.object({
+  delegateTo: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'any.required': 'Delegate is required',
+      'string.pattern.base': 'Invalid delegate ID format'
+    }),
+  
+  startDate: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'any.required': 'Start date is required'
+    }),
+  
+  endDate: Joi.date()
+    .iso()
+    .greater(Joi.ref('startDate'))
+    .greater('now')
+    .required()
+    .messages({
+      'any.required': 'End date is required',
+      'date.greater': 'End date must be after the start date and in the future'
+    }),
+  
+  templateIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Invalid template ID format'
+    }))
+    .unique()
+    .optional()
+    .default([]),
+  
+  categories: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .unique()
+    .optional()
+    .default([]),
+  
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+});
+
 export const getUsersQuerySchema = Joi.object({
   page: Joi.number()
     .integer()
@@ -0,0 +1,11 @@
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// One single-node replica set for the whole run, so transactions behave as in
+// production. Set MONGODB_TEST_URI to run against an existing replica set.
+export default async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  globalThis.mongoReplSet = replSet;
+  process.env.MONGODB_TEST_URI = replSet.getUri();
+};
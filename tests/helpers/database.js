@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Each jest worker gets its own database on the replica set started in
+// tests/globalSetup.js; the test files of one worker run one after another
+export const connectTestDatabase = async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, {
+    dbName: `myappstatus-test-${process.env.JEST_WORKER_ID || 1}`
+  });
+  // Collections and unique indexes have to exist before transactions write to them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// Drop all stored documents, keeping collections and indexes
+export const clearTestDatabase = async () => {
+  await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+};
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
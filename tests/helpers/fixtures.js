@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import ProcessTemplate from '../../src/models/ProcessTemplate.js';
+import ProcessInstance from '../../src/models/ProcessInstance.js';
+import StepInstance from '../../src/models/StepInstance.js';
+import Timer from '../../src/models/Timer.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+
+let sequence = 0;
+
+export const createUser = (overrides = {}) => {
+  sequence++;
+  const { profile = {}, ...rest } = overrides;
+  return User.create({
+    username: `user${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: 'Password123',
+    role: 'user',
+    ...rest,
+    profile: { firstName: 'Test', lastName: `User ${sequence}`, ...profile }
+  });
+};
+
+// Steps default to user tasks named after their id
+export const step = (stepId, fields = {}) => ({
+  stepId,
+  name: stepId,
+  type: 'user_task',
+  ...fields
+});
+
+export const to = (...stepIds) => stepIds.map(stepId => ({ stepId }));
+
+export const createTemplate = (steps, overrides = {}) => {
+  sequence++;
+  return ProcessTemplate.create({
+    name: `Template ${sequence}`,
+    category: 'general',
+    startStep: steps[0].stepId,
+    endSteps: steps.filter(item => item.type === 'end').map(item => item.stepId),
+    isPublished: true,
+    createdBy: new mongoose.Types.ObjectId(),
+    steps,
+    ...overrides
+  });
+};
+
+export const startProcess = async (template, initiator, variables = {}) => {
+  const instance = await ProcessInstance.create({
+    processTemplateId: template._id,
+    name: `${template.name} instance`,
+    initiatedBy: initiator._id,
+    variables
+  });
+  await workflowEngine.startProcess(instance._id, initiator._id);
+  return ProcessInstance.findById(instance._id);
+};
+
+// Open step instances of a process, by step id
+export const openSteps = async (processInstanceId) => {
+  const steps = await StepInstance.find({
+    processInstanceId,
+    status: { $in: ['pending', 'in_progress'] }
+  });
+  return Object.fromEntries(steps.map(item => [item.stepId, item]));
+};
+
+export const findStep = (processInstanceId, stepId, filter = {}) => StepInstance.findOne({
+  processInstanceId,
+  stepId,
+  ...filter
+});
+
+export const reload = processInstance => ProcessInstance.findById(processInstance._id);
+
+// Start a pending task the way the API does, then complete it
+export const completeTask = async (stepInstance, user, { formData = {}, decision = null, variables = {} } = {}) => {
+  const task = await StepInstance.findById(stepInstance._id);
+  if (task.status === 'pending') {
+    task.status = 'in_progress';
+    task.startDate = new Date();
+    task.assignedTo = task.assignedTo || user._id;
+    await task.save();
+  }
+  return workflowEngine.completeStep(task._id, user._id, formData, decision, variables);
+};
+
+// Wait for timers the engine runs in the background once a transition
+// commits, such as service tasks, to finish
+export const settle = async (timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const running = await Timer.countDocuments({
+      $or: [{ status: 'scheduled', dueAt: { $lte: new Date() } }, { status: 'firing' }]
+    });
+    if (running === 0) return;
+    if (Date.now() > deadline) throw new Error('Background timers did not settle');
+  }
+};
@@ -0,0 +1,90 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { idempotency } from '../../src/middleware/idempotency.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import IdempotencyKey from '../../src/models/IdempotencyKey.js';
+import { AppError } from '../../src/utils/helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+let calls;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: userId };
+  next();
+});
+app.post('/steps/:outcome', idempotency, (req, res, next) => {
+  calls++;
+  if (req.params.outcome === 'conflict') {
+    return next(new AppError('Step was modified by another request', 409, 'VERSION_CONFLICT'));
+  }
+  if (req.params.outcome === 'invalid') {
+    return next(new AppError('Form data is invalid', 400, 'VALIDATION_ERROR'));
+  }
+  res.status(201).json({ success: true, call: calls });
+});
+app.use(errorHandler);
+
+// The key is settled once the response has finished
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const send = (outcome, key = 'key-1', body = { amount: 10 }) => request(app)
+  .post(`/steps/${outcome}`)
+  .set('Idempotency-Key', key)
+  .send(body);
+
+describe('idempotency middleware', () => {
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    calls = 0;
+  });
+
+  it('replays a successful response for a retried request', async () => {
+    const first = await send('ok');
+    await settled();
+    const retry = await send('ok');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('releases the key after a version conflict so the request can be retried', async () => {
+    const conflict = await send('conflict');
+    await settled();
+
+    expect(conflict.status).toBe(409);
+    expect(await IdempotencyKey.countDocuments({ userId })).toBe(0);
+
+    const retry = await send('conflict');
+    expect(retry.status).toBe(409);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  it('does not replay client errors', async () => {
+    await send('invalid');
+    await settled();
+
+    expect(await IdempotencyKey.countDocuments({ userId })).toBe(0);
+    await send('invalid');
+    expect(calls).toBe(2);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await send('ok');
+    await settled();
+    const reused = await send('ok', 'key-1', { amount: 20 });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.errorCode).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
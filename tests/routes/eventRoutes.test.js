@@ -0,0 +1,54 @@
+import express from 'express';
+import request from 'supertest';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser } from '../helpers/fixtures.js';
+import eventRoutes from '../../src/routes/eventRoutes.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import authController from '../../src/controllers/authController.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/events', eventRoutes);
+app.use(errorHandler);
+
+describe('event routes', () => {
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+  beforeEach(() => clearTestDatabase());
+
+  // Tokens carry whole seconds, so the password must predate the token's second
+  const tokenFor = async role => {
+    const user = await createUser({ role, passwordChangedAt: new Date(Date.now() - 60 * 1000) });
+    return authController.generateTokens(user._id).accessToken;
+  };
+
+  it.each([
+    ['/api/events/messages', { name: 'payment', correlationKey: 'order-1', ttlSeconds: 0 }],
+    ['/api/events/signals', { name: 'shutdown' }]
+  ])('forbids plain users to post to %s', async (path, body) => {
+    const response = await request(app)
+      .post(path)
+      .set('Authorization', `Bearer ${await tokenFor('user')}`)
+      .send(body);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('lets managers send messages and signals', async () => {
+    const token = await tokenFor('manager');
+
+    const message = await request(app)
+      .post('/api/events/messages')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'payment', correlationKey: 'order-1', ttlSeconds: 0 });
+    expect(message.status).toBe(200);
+    expect(message.body.data.status).toBe('discarded');
+
+    const signal = await request(app)
+      .post('/api/events/signals')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'shutdown' });
+    expect(signal.status).toBe(200);
+    expect(signal.body.data.delivered).toEqual([]);
+  });
+});
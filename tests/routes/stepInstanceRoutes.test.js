@@ -0,0 +1,58 @@
+import express from 'express';
+import request from 'supertest';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, step, to } from '../helpers/fixtures.js';
+import stepInstanceRoutes from '../../src/routes/stepInstanceRoutes.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import authController from '../../src/controllers/authController.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/step-instances', stepInstanceRoutes);
+app.use(errorHandler);
+
+describe('step instance routes', () => {
+  let user;
+  let token;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    // Tokens carry whole seconds, so the password must predate the token's second
+    user = await createUser({ role: 'manager', passwordChangedAt: new Date(Date.now() - 60 * 1000) });
+    token = authController.generateTokens(user._id).accessToken;
+
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('split') }),
+      step('split', { type: 'parallel', nextSteps: to('mine', 'pool') }),
+      step('mine', { assignees: [user._id.toString()], nextSteps: to('end') }),
+      step('pool', { assigneeType: 'role', assignees: ['manager'], nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+    await startProcess(template, user);
+  });
+
+  const get = path => request(app).get(`/api/step-instances${path}`).set('Authorization', `Bearer ${token}`);
+
+  it('lists the tasks assigned to the current user', async () => {
+    const response = await get('/my-tasks');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tasks.map(task => task.stepId)).toEqual(['mine']);
+  });
+
+  it('lists the tasks the current user can claim', async () => {
+    const response = await get('/available');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tasks.map(task => task.stepId)).toEqual(['pool']);
+  });
+
+  it('still validates ids of single step instances', async () => {
+    const response = await get('/not-an-id');
+
+    expect(response.status).toBe(400);
+  });
+});
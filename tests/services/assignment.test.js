@@ -0,0 +1,113 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, step, to } from '../helpers/fixtures.js';
+import assignmentService from '../../src/services/assignmentService.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+import User from '../../src/models/User.js';
+
+describe('assignmentService', () => {
+  it('validates strategy configuration', () => {
+    expect(assignmentService.validateConfig('missing')).toEqual(['Unknown assignment strategy "missing"']);
+    expect(assignmentService.validateConfig('skill_match', {})).toEqual(['Give at least one skill or attribute to match']);
+    expect(assignmentService.validateConfig('previous_performer', {}))
+      .toEqual(['"stepId" must name the step whose performer gets the task']);
+    expect(assignmentService.validateConfig('round_robin', {})).toEqual([]);
+  });
+
+  it('rejects strategies without a select function', () => {
+    expect(() => assignmentService.register({ name: 'broken' })).toThrow('Assignment strategies need a name and a select function');
+  });
+});
+
+describe('assignment strategies in running processes', () => {
+  let initiator;
+  let clerks;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    initiator = await createUser();
+    clerks = [
+      await createUser({ role: 'manager', profile: { skills: ['SAP', 'German'], position: 'Accountant' } }),
+      await createUser({ role: 'manager', profile: { skills: ['sap'], position: 'Senior Accountant' } }),
+      await createUser({ role: 'manager', profile: { skills: ['German'] } })
+    ].sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+  });
+
+  const assignedTemplate = (assignment, stepFields = {}) => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('handle') }),
+    step('handle', { assigneeType: 'role', assignees: ['manager'], assignment, nextSteps: to('end'), ...stepFields }),
+    step('end', { type: 'end' })
+  ]);
+
+  const assigneeOf = async (template, variables) => {
+    const instance = await startProcess(template, initiator, variables);
+    const { handle } = await openSteps(instance._id);
+    return handle.assignedTo?.toString() ?? null;
+  };
+
+  it('round robin rotates through the candidates', async () => {
+    const template = await assignedTemplate({ strategy: 'round_robin' });
+
+    const assignees = [];
+    for (let i = 0; i < 4; i++) {
+      assignees.push(await assigneeOf(template));
+    }
+
+    const ids = clerks.map(clerk => clerk._id.toString());
+    expect(assignees).toEqual([...ids, ids[0]]);
+
+    const history = await ProcessHistory.findOne({ action: 'step_assigned' });
+    expect(history.metadata).toMatchObject({ strategy: 'round_robin', stepId: 'handle', candidates: 3 });
+  });
+
+  it('least loaded picks the candidate with the fewest open tasks', async () => {
+    const busy = await assignedTemplate(undefined, { assigneeType: 'user', assignees: [clerks[0]._id.toString()] });
+    await startProcess(busy, initiator);
+    const template = await assignedTemplate({ strategy: 'least_loaded' });
+
+    expect(await assigneeOf(template)).toBe(clerks[1]._id.toString());
+  });
+
+  it('skill match compares skills and attributes without regard to case', async () => {
+    const template = await assignedTemplate({
+      strategy: 'skill_match',
+      config: { skills: ['sap'], attributes: { position: 'senior accountant' } }
+    });
+
+    const senior = clerks.find(clerk => clerk.profile.position === 'Senior Accountant');
+    expect(await assigneeOf(template)).toBe(senior._id.toString());
+  });
+
+  it('previous performer hands the step to who completed an earlier one', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('draft') }),
+      step('draft', { assigneeType: 'role', assignees: ['manager'], nextSteps: to('revise') }),
+      step('revise', { assignment: { strategy: 'previous_performer', config: { stepId: 'draft' } }, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+    const instance = await startProcess(template, initiator);
+    await completeTask((await openSteps(instance._id)).draft, clerks[2]);
+
+    const { revise } = await openSteps(instance._id);
+    expect(revise.assignedTo).toEqual(clerks[2]._id);
+  });
+
+  it('initiator and expression strategies pick users from the process', async () => {
+    expect(await assigneeOf(await assignedTemplate({ strategy: 'initiator' }))).toBe(initiator._id.toString());
+
+    const template = await assignedTemplate({ strategy: 'expression', config: { expression: 'variables.approver' } });
+    expect(await assigneeOf(template, { approver: clerks[1]._id.toString() })).toBe(clerks[1]._id.toString());
+  });
+
+  it('leaves the step to claim when the strategy finds no active user', async () => {
+    await User.updateOne({ _id: clerks[1]._id }, { $set: { isActive: false } });
+    const template = await assignedTemplate({ strategy: 'expression', config: { expression: 'variables.approver' } });
+
+    expect(await assigneeOf(template, { approver: clerks[1]._id.toString() })).toBeNull();
+
+    const created = await ProcessHistory.findOne({ action: 'step_created', 'metadata.assignment.strategy': 'expression' });
+    expect(created.metadata.assignment.reason).toMatch(/is not active$/);
+  });
+});
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, openSteps, step, to } from '../helpers/fixtures.js';
+import calendarService from '../../src/services/calendarService.js';
+import BusinessCalendar from '../../src/models/BusinessCalendar.js';
+import { addWorkingHours } from '../../src/utils/businessTime.js';
+
+describe('calendarService', () => {
+  let user;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser({ profile: { department: 'Finance' } });
+  });
+
+  const createCalendar = (name, fields = {}) => BusinessCalendar.create({
+    name,
+    timezone: 'Europe/Berlin',
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  it('prefers the department calendar, then the template one, then the default', async () => {
+    const fallback = await createCalendar('Default', { isDefault: true });
+    const templateCalendar = await createCalendar('Template');
+    const finance = await createCalendar('Finance', { departments: ['Finance'] });
+    const template = await createTemplate([step('start', { type: 'end' })], { businessCalendarId: templateCalendar._id });
+
+    const resolve = async query => (await calendarService.resolveCalendar(query))?.name;
+    expect(await resolve({ processTemplateId: template._id, department: 'Finance' })).toBe(finance.name);
+    expect(await resolve({ processTemplateId: template._id, department: 'Sales' })).toBe(templateCalendar.name);
+    expect(await resolve({ department: 'Sales' })).toBe(fallback.name);
+
+    await BusinessCalendar.updateOne({ _id: fallback._id }, { $set: { isActive: false } });
+    expect(await calendarService.resolveCalendar({})).toBeNull();
+  });
+
+  it('counts a step time limit in the assignee department working hours', async () => {
+    const calendar = await createCalendar('Finance', {
+      departments: ['Finance'],
+      workingHours: [{ start: '09:00', end: '12:00' }]
+    });
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', { assignees: [user._id.toString()], timeLimit: 4, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    const { review } = await openSteps(instance._id);
+
+    expect(review.businessCalendarId).toEqual(calendar._id);
+    const expected = addWorkingHours(calendar, review.createdAt, 4);
+    expect(Math.abs(review.dueDate.getTime() - expected.getTime())).toBeLessThan(1000);
+  });
+
+  it('falls back to wall-clock hours without a calendar', () => {
+    const from = new Date('2024-03-02T10:00:00Z');
+
+    expect(calendarService.addHours(null, from, 5).toISOString()).toBe('2024-03-02T15:00:00.000Z');
+    expect(calendarService.hoursBetween(null, from, new Date('2024-03-02T07:00:00Z'))).toBe(-3);
+    expect(calendarService.getHoursOverdue({ dueDate: from }, new Map(), new Date('2024-03-02T12:00:00Z'))).toBe(2);
+  });
+
+  it('keeps a single default calendar and one calendar per department', async () => {
+    const first = await calendarService.saveCalendar(new BusinessCalendar({
+      name: 'First', isDefault: true, departments: ['Finance', 'Legal'], createdBy: user._id
+    }));
+    await calendarService.saveCalendar(new BusinessCalendar({
+      name: 'Second', isDefault: true, departments: ['Legal'], createdBy: user._id
+    }));
+
+    const reloaded = await BusinessCalendar.findById(first._id);
+    expect(reloaded.isDefault).toBe(false);
+    expect([...reloaded.departments]).toEqual(['Finance']);
+  });
+
+  it('rejects calendars without working time', async () => {
+    let error;
+    try {
+      await calendarService.saveCalendar(new BusinessCalendar({ name: 'Closed', workingDays: [], createdBy: user._id }));
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'INVALID_CALENDAR' });
+  });
+
+  it('imports iCalendar holidays without duplicating known dates', async () => {
+    const calendar = await createCalendar('Holidays', { holidays: [{ date: '2024-12-25', name: 'Christmas' }] });
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20241225', 'DTEND;VALUE=DATE:20241227', 'SUMMARY:Christmas', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const result = await calendarService.importHolidays(calendar._id, ics, {}, user._id);
+
+    expect(result).toMatchObject({ imported: 1, duplicates: 1, skipped: [] });
+    expect(result.calendar.holidays.map(holiday => holiday.date)).toEqual(['2024-12-25', '2024-12-26']);
+  });
+});
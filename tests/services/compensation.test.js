@@ -0,0 +1,123 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, openSteps, findStep, reload, settle, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import serviceTaskRegistry from '../../src/services/serviceTaskRegistry.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+import Notification from '../../src/models/Notification.js';
+import { AppError } from '../../src/utils/helpers.js';
+
+describe('compensation of completed service tasks', () => {
+  let user;
+  const undone = [];
+  let refundError = null;
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+    serviceTaskRegistry.register({
+      name: 'test.book',
+      async execute(config) {
+        return { [`${config.resource}Booked`]: true };
+      }
+    });
+    serviceTaskRegistry.register({
+      name: 'test.undo',
+      async execute(config, { stepInstance, record }) {
+        if (config.resource === 'payment' && refundError) {
+          throw refundError;
+        }
+        undone.push(stepInstance.stepId);
+        record({ undone: config.resource });
+      }
+    });
+    serviceTaskRegistry.register({
+      name: 'test.reject',
+      async execute() {
+        throw new AppError('Card declined', 400, 'CARD_DECLINED');
+      }
+    });
+  });
+  afterAll(async () => {
+    ['test.book', 'test.undo', 'test.reject'].forEach(name => serviceTaskRegistry.handlers.delete(name));
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    undone.length = 0;
+    refundError = null;
+    user = await createUser();
+  });
+
+  const bookingStep = (stepId, resource, nextStepId) => step(stepId, {
+    type: 'service_task',
+    service: { handler: 'test.book', config: { resource } },
+    compensation: { handler: 'test.undo', config: { resource } },
+    nextSteps: to(nextStepId)
+  });
+
+  const bookingTemplate = () => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('reserve') }),
+    bookingStep('reserve', 'room', 'charge'),
+    bookingStep('charge', 'payment', 'confirm'),
+    step('confirm', { nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ]);
+
+  const startAndCancel = async () => {
+    const instance = await startProcess(await bookingTemplate(), user);
+    await settle();
+    expect(Object.keys(await openSteps(instance._id))).toEqual(['confirm']);
+
+    await workflowEngine.cancelProcess(await reload(instance), user._id, 'Customer withdrew');
+    await settle();
+    return instance;
+  };
+
+  it('undoes completed steps in reverse order when the process is cancelled', async () => {
+    const instance = await startAndCancel();
+
+    expect(undone).toEqual(['charge', 'reserve']);
+
+    const charge = await findStep(instance._id, 'charge');
+    expect(charge.compensation).toMatchObject({
+      status: 'completed',
+      trigger: 'process_cancelled',
+      attempts: 1,
+      execution: { undone: 'payment' }
+    });
+    expect((await findStep(instance._id, 'confirm')).compensation).toBeUndefined();
+    expect(await ProcessHistory.countDocuments({ processInstanceId: instance._id, action: 'step_compensated' })).toBe(2);
+  });
+
+  it('reports a compensation that cannot succeed and carries on with the rest', async () => {
+    refundError = new AppError('Refund not allowed', 400, 'REFUND_REJECTED');
+    const instance = await startAndCancel();
+
+    expect(undone).toEqual(['reserve']);
+    const charge = await findStep(instance._id, 'charge');
+    expect(charge.compensation.status).toBe('failed');
+    expect(charge.compensation.lastError.errorCode).toBe('REFUND_REJECTED');
+    expect(await ProcessHistory.countDocuments({ action: 'step_compensation_failed', stepInstanceId: charge._id })).toBe(1);
+    expect(await Notification.countDocuments({ userId: user._id, title: 'Compensation Failed' })).toBe(1);
+  });
+
+  it('undoes the steps leading to a service task that failed for good', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('reserve') }),
+      bookingStep('reserve', 'room', 'charge'),
+      step('charge', {
+        type: 'service_task',
+        service: { handler: 'test.reject', compensateOnFailure: true },
+        nextSteps: to('end')
+      }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    await settle();
+
+    expect((await findStep(instance._id, 'charge')).status).toBe('failed');
+    expect(undone).toEqual(['reserve']);
+    expect((await findStep(instance._id, 'reserve')).compensation.trigger).toBe('step_failed');
+  });
+});
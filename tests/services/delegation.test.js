@@ -0,0 +1,101 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, openSteps, findStep, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import delegationService from '../../src/services/delegationService.js';
+import Notification from '../../src/models/Notification.js';
+import User from '../../src/models/User.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const away = (delegateTo, fields = {}) => ({
+  delegateTo: delegateTo._id,
+  startDate: new Date(Date.now() - DAY),
+  endDate: new Date(Date.now() + DAY),
+  ...fields
+});
+
+describe('delegationService.covers', () => {
+  const template = { _id: '507f1f77bcf86cd799439011', category: 'finance' };
+
+  it('covers every template unless limited to templates or categories', () => {
+    expect(delegationService.covers({}, template)).toBe(true);
+    expect(delegationService.covers({ categories: ['finance'] }, template)).toBe(true);
+    expect(delegationService.covers({ templateIds: [template._id] }, template)).toBe(true);
+    expect(delegationService.covers({ categories: ['hr'] }, template)).toBe(false);
+    expect(delegationService.covers({ categories: ['hr'] }, null)).toBe(false);
+  });
+});
+
+describe('out-of-office delegation', () => {
+  let initiator;
+  let absent;
+  let deputy;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    initiator = await createUser();
+    absent = await createUser();
+    deputy = await createUser();
+  });
+
+  const reviewTemplate = (overrides = {}) => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+    step('review', { assignees: [absent._id.toString()], nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ], overrides);
+
+  const setDelegations = (user, delegations) => User.updateOne({ _id: user._id }, { $set: { delegations } });
+
+  it('forwards new tasks of an absent user to their delegate', async () => {
+    await setDelegations(absent, [away(deputy)]);
+    const instance = await startProcess(await reviewTemplate(), initiator);
+
+    const { review } = await openSteps(instance._id);
+    expect(review.assignedTo).toEqual(deputy._id);
+    expect(review.delegatedFrom).toEqual(absent._id);
+  });
+
+  it('follows a chain of absent delegates but not a loop', async () => {
+    const backup = await createUser();
+    await setDelegations(absent, [away(deputy)]);
+    await setDelegations(deputy, [away(backup)]);
+    await setDelegations(backup, [away(absent)]);
+
+    const resolved = await delegationService.resolveDelegate(absent._id, {});
+    expect(resolved.delegateTo).toEqual(backup._id);
+    expect(resolved.delegatedFrom).toEqual(absent._id);
+  });
+
+  it('ignores delegations that are not running, do not cover the process or name inactive users', async () => {
+    const template = await reviewTemplate({ category: 'finance' });
+    const inactive = await createUser({ isActive: false });
+    await setDelegations(absent, [
+      away(deputy, { startDate: new Date(Date.now() + DAY), endDate: new Date(Date.now() + 2 * DAY) }),
+      away(deputy, { categories: ['hr'] }),
+      away(inactive)
+    ]);
+
+    const instance = await startProcess(template, initiator);
+    expect((await findStep(instance._id, 'review')).assignedTo).toEqual(absent._id);
+  });
+
+  it('forwards tasks already open when a delegation starts, once', async () => {
+    const instance = await startProcess(await reviewTemplate(), initiator);
+    await setDelegations(absent, [away(deputy)]);
+
+    expect(await workflowEngine.applyStartedDelegations()).toBe(1);
+    expect(await workflowEngine.applyStartedDelegations()).toBe(0);
+
+    const review = await findStep(instance._id, 'review');
+    expect(review.assignedTo).toEqual(deputy._id);
+    expect(review.delegatedFrom).toEqual(absent._id);
+    expect(await Notification.countDocuments({ userId: deputy._id, title: 'Task Delegated to You' })).toBe(1);
+    expect(await Notification.countDocuments({ userId: absent._id, title: 'Task Forwarded' })).toBe(1);
+
+    const user = await User.findById(absent._id);
+    expect(user.delegations[0].appliedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,117 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+import Notification from '../../src/models/Notification.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('getEscalationLevels', () => {
+  it('expands the escalateTo shorthand', () => {
+    const userId = '507f1f77bcf86cd799439011';
+    const levels = workflowEngine.getEscalationLevels({
+      type: 'user_task',
+      escalation: { enabled: true, escalateTo: ['manager', 'department_head', userId, 'auditor'] }
+    });
+
+    expect(levels).toEqual([
+      { target: 'manager', action: 'notify' },
+      { target: 'department_head', action: 'notify' },
+      { target: 'user', userId, action: 'notify' },
+      { target: 'role', role: 'auditor', action: 'notify' }
+    ]);
+  });
+
+  it('applies only to enabled policies on tasks people work on', () => {
+    const escalation = { enabled: true, escalateTo: ['manager'] };
+    expect(workflowEngine.getEscalationLevels({ type: 'service_task', escalation })).toEqual([]);
+    expect(workflowEngine.getEscalationLevels({ type: 'user_task', escalation: { ...escalation, enabled: false } })).toEqual([]);
+  });
+});
+
+describe('escalation of overdue tasks', () => {
+  let manager;
+  let head;
+  let assignee;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    manager = await createUser({ role: 'manager' });
+    head = await createUser({ profile: { department: 'Finance', isDepartmentHead: true } });
+    assignee = await createUser({ profile: { department: 'Finance', manager: manager._id } });
+  });
+
+  const escalatingTemplate = levels => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+    step('review', {
+      assignees: [assignee._id.toString()],
+      timeLimit: 4,
+      escalation: { enabled: true, levels },
+      nextSteps: to('end')
+    }),
+    step('end', { type: 'end' })
+  ]);
+
+  it('applies the levels one after the other as they come due', async () => {
+    const template = await escalatingTemplate([
+      { target: 'manager', delay: 0 },
+      { target: 'role', role: 'manager', delay: 2, action: 'reassign' }
+    ]);
+    const instance = await startProcess(template, assignee);
+    let review = await findStep(instance._id, 'review');
+    expect(review.nextEscalationAt).toEqual(review.dueDate);
+
+    const firstDue = new Date(review.dueDate.getTime() + 60 * 1000);
+    expect(await workflowEngine.escalateOverdueTasks(new Date(review.dueDate.getTime() - 60 * 1000))).toBe(0);
+    expect(await workflowEngine.escalateOverdueTasks(firstDue)).toBe(1);
+
+    review = await findStep(instance._id, 'review');
+    expect(review.escalationLevel).toBe(1);
+    expect(review.assignedTo).toEqual(assignee._id);
+    expect(review.nextEscalationLevel).toBe(2);
+    expect(review.nextEscalationAt).toEqual(new Date(firstDue.getTime() + 2 * HOUR));
+    expect(await Notification.countDocuments({ userId: manager._id, type: 'task_escalated' })).toBe(1);
+
+    expect(await workflowEngine.escalateOverdueTasks(firstDue)).toBe(0);
+    expect(await workflowEngine.escalateOverdueTasks(new Date(firstDue.getTime() + 3 * HOUR))).toBe(1);
+
+    review = await findStep(instance._id, 'review');
+    expect(review.escalationLevel).toBe(2);
+    expect(review.assignedTo).toBeNull();
+    expect(review.assignedRole).toBe('manager');
+    expect(review.nextEscalationAt).toBeUndefined();
+    expect(review.escalationHistory.map(entry => [entry.level, entry.target, entry.action]))
+      .toEqual([[1, 'manager', 'notify'], [2, 'role', 'reassign']]);
+    expect(await Notification.countDocuments({ userId: assignee._id, title: 'Task Reassigned' })).toBe(1);
+    expect(await ProcessHistory.countDocuments({ action: 'step_escalated' })).toBe(2);
+  });
+
+  it('passes over levels with no one to escalate to', async () => {
+    await assignee.updateOne({ $unset: { 'profile.manager': 1 } });
+    const template = await escalatingTemplate([
+      { target: 'manager', delay: 1 },
+      { target: 'department_head', delay: 1, action: 'reassign' }
+    ]);
+    const instance = await startProcess(template, assignee);
+    const { review } = await openSteps(instance._id);
+
+    await workflowEngine.escalateOverdueTasks(new Date(review.nextEscalationAt.getTime() + 1000));
+
+    const escalated = await findStep(instance._id, 'review');
+    expect(escalated.assignedTo).toEqual(head._id);
+    const history = await ProcessHistory.findOne({ action: 'step_escalated' });
+    expect(history.metadata).toMatchObject({ escalationLevel: 2, skippedLevels: [{ level: 1, target: 'manager' }] });
+  });
+
+  it('stops escalating completed tasks', async () => {
+    const template = await escalatingTemplate([{ target: 'manager' }]);
+    const instance = await startProcess(template, assignee);
+    const { review } = await openSteps(instance._id);
+    await completeTask(review, assignee);
+
+    expect(await workflowEngine.escalateOverdueTasks(new Date(Date.now() + 100 * HOUR))).toBe(0);
+  });
+});
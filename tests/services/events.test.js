@@ -0,0 +1,88 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, openSteps, reload, step, to } from '../helpers/fixtures.js';
+import eventService from '../../src/services/eventService.js';
+import EventMessage from '../../src/models/EventMessage.js';
+
+describe('message and signal events', () => {
+  let user;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+  });
+
+  const messageTemplate = () => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('wait') }),
+    step('wait', {
+      type: 'message_catch',
+      message: { name: 'payment', correlationKey: 'variables.orderId', outputVariable: 'payment' },
+      nextSteps: to('end')
+    }),
+    step('end', { type: 'end' })
+  ]);
+
+  const signalTemplate = () => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('wait') }),
+    step('wait', { type: 'signal_catch', signal: { name: 'quarter-closed' }, nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ]);
+
+  it('delivers a message to the process with the matching correlation key', async () => {
+    const template = await messageTemplate();
+    const first = await startProcess(template, user, { orderId: 'A-1' });
+    const second = await startProcess(template, user, { orderId: 'A-2' });
+
+    const result = await eventService.deliverMessage({ name: 'payment', correlationKey: 'A-2', payload: { amount: 40 } }, user._id);
+
+    expect(result).toMatchObject({ status: 'delivered', processInstanceId: second._id });
+    const delivered = await reload(second);
+    expect(delivered.status).toBe('completed');
+    expect(delivered.variables.payment).toEqual({ amount: 40 });
+    expect(Object.keys(await openSteps(first._id))).toEqual(['wait']);
+  });
+
+  it('buffers a message until a process reaches its catch step', async () => {
+    const result = await eventService.deliverMessage({ name: 'payment', correlationKey: 'B-1', payload: { amount: 5 }, ttlSeconds: 60 }, user._id);
+    expect(result.status).toBe('buffered');
+    expect(await eventService.getBufferedMessages({ correlationKey: 'B-1' })).toHaveLength(1);
+
+    const instance = await startProcess(await messageTemplate(), user, { orderId: 'B-1' });
+
+    expect(instance.status).toBe('completed');
+    expect(instance.variables.payment).toEqual({ amount: 5 });
+    expect(await eventService.getBufferedMessages()).toEqual([]);
+  });
+
+  it('discards a message nobody waits for when it may not be buffered', async () => {
+    const result = await eventService.deliverMessage({ name: 'payment', correlationKey: 'C-1', ttlSeconds: 0 }, user._id);
+
+    expect(result).toEqual({ status: 'discarded' });
+    expect(await EventMessage.countDocuments({})).toBe(0);
+  });
+
+  it('wakes every process waiting for a signal', async () => {
+    const template = await signalTemplate();
+    const instances = [await startProcess(template, user), await startProcess(template, user)];
+
+    const result = await eventService.broadcastSignal({ name: 'quarter-closed', payload: { quarter: 'Q1' } }, user._id);
+
+    expect(result.delivered).toHaveLength(2);
+    expect(result.failed).toEqual([]);
+    for (const instance of instances) {
+      const current = await reload(instance);
+      expect(current.status).toBe('completed');
+      expect(current.variables.quarter).toBe('Q1');
+    }
+  });
+
+  it('does not buffer signals', async () => {
+    const result = await eventService.broadcastSignal({ name: 'quarter-closed' }, user._id);
+    const instance = await startProcess(await signalTemplate(), user);
+
+    expect(result.delivered).toEqual([]);
+    expect(Object.keys(await openSteps(instance._id))).toEqual(['wait']);
+  });
+});
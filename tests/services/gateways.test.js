@@ -0,0 +1,97 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+
+const context = variables => ({ variables, formData: {}, decision: null });
+
+describe('determineNextSteps', () => {
+  const exclusive = {
+    stepId: 'route',
+    type: 'exclusive',
+    nextSteps: [
+      { stepId: 'large', condition: 'variables.amount > 1000' },
+      { stepId: 'medium', condition: 'variables.amount > 100' },
+      { stepId: 'small', isDefault: true }
+    ]
+  };
+
+  it('takes the first matching transition of an exclusive gateway', () => {
+    expect(workflowEngine.determineNextSteps(exclusive, context({ amount: 5000 }))).toEqual(['large']);
+    expect(workflowEngine.determineNextSteps(exclusive, context({ amount: 500 }))).toEqual(['medium']);
+  });
+
+  it('falls back to the default flow when nothing matches', () => {
+    expect(workflowEngine.determineNextSteps(exclusive, context({ amount: 5 }))).toEqual(['small']);
+  });
+
+  it('takes every matching transition of an inclusive gateway', () => {
+    const inclusive = { ...exclusive, type: 'inclusive' };
+    expect(workflowEngine.determineNextSteps(inclusive, context({ amount: 5000 }))).toEqual(['large', 'medium']);
+  });
+
+  it('fails with NO_MATCHING_TRANSITION without a default', () => {
+    const strict = { ...exclusive, nextSteps: exclusive.nextSteps.filter(transition => !transition.isDefault) };
+    expect(() => workflowEngine.determineNextSteps(strict, context({ amount: 5 })))
+      .toThrow('No transition from step "route" matched and no default is defined');
+  });
+});
+
+describe('gateways in running processes', () => {
+  let user;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+  });
+
+  const task = (stepId, nextSteps) => step(stepId, { assignees: [user._id.toString()], nextSteps });
+
+  it('moves the process to error when no transition applies', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('route') }),
+      step('route', { type: 'exclusive', nextSteps: [{ stepId: 'end', condition: 'variables.amount > 10' }] }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user, { amount: 1 });
+
+    expect(instance.status).toBe('error');
+    expect(await ProcessHistory.findOne({ processInstanceId: instance._id, action: 'process_error' })).not.toBeNull();
+  });
+
+  it('joins only the branches an inclusive split activated', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('split') }),
+      step('split', {
+        type: 'inclusive',
+        nextSteps: [
+          { stepId: 'legal', condition: 'variables.contract == true' },
+          { stepId: 'finance', condition: 'variables.amount > 1000' },
+          { stepId: 'it', condition: 'variables.hardware == true' }
+        ]
+      }),
+      task('legal', to('join')),
+      task('finance', to('join')),
+      task('it', to('join')),
+      step('join', { type: 'inclusive', nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user, { contract: true, amount: 5000, hardware: false });
+    const steps = await openSteps(instance._id);
+    expect(Object.keys(steps).sort()).toEqual(['finance', 'legal']);
+
+    await completeTask(steps.legal, user);
+    let current = await reload(instance);
+    expect(current.status).toBe('active');
+    expect([...current.currentSteps].sort()).toEqual(['finance', 'join']);
+
+    await completeTask(steps.finance, user);
+    current = await reload(instance);
+    expect(current.status).toBe('completed');
+  });
+});
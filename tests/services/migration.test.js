@@ -0,0 +1,145 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, reload, step, to } from '../helpers/fixtures.js';
+import migrationService from '../../src/services/migrationService.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+import Timer from '../../src/models/Timer.js';
+
+describe('migrationService', () => {
+  let user;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+  });
+
+  const createVersions = async (sourceSteps, targetSteps, targetOverrides = {}) => {
+    const source = await createTemplate(sourceSteps, { name: 'Purchase', version: '1.0.0' });
+    const target = await createTemplate(targetSteps, { name: 'Purchase', version: '2.0.0', ...targetOverrides });
+    return { source, target };
+  };
+
+  const v1Steps = [
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+    step('review', {
+      nextSteps: to('end'),
+      boundaryTimers: [{ timerId: 'reminder', type: 'duration', duration: 60, interrupting: false }]
+    }),
+    step('end', { type: 'end' })
+  ];
+
+  const v2Steps = [
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('approve') }),
+    step('approve', {
+      nextSteps: to('archive'),
+      boundaryTimers: [{ timerId: 'deadline', type: 'duration', duration: 120 }]
+    }),
+    step('archive', { nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ];
+
+  const migrate = (source, target, options = {}) => migrationService.migrateInstances({
+    sourceTemplateId: source._id,
+    targetTemplateId: target._id,
+    userId: user._id,
+    ...options
+  });
+
+  it('reports the changes of a dry run without applying them', async () => {
+    const { source, target } = await createVersions(v1Steps, v2Steps);
+    const instance = await startProcess(source, user);
+
+    const report = await migrate(source, target, { stepMapping: { review: 'approve' }, dryRun: true });
+
+    expect(report.summary).toEqual({ total: 1, migratable: 1, blocked: 0, migrated: 0 });
+    expect(report.instances[0].changes.currentSteps).toEqual({ from: ['review'], to: ['approve'] });
+    expect((await reload(instance)).processTemplateId).toEqual(source._id);
+    expect(await findStep(instance._id, 'review')).not.toBeNull();
+  });
+
+  it('moves open steps, timers and variables to the target version', async () => {
+    const { source, target } = await createVersions(v1Steps, v2Steps, {
+      variables: [{ name: 'costCenter', type: 'string', defaultValue: 'CC-1' }]
+    });
+    const instance = await startProcess(source, user);
+
+    const report = await migrate(source, target, { stepMapping: { review: 'approve' } });
+    expect(report.instances[0].issues).toEqual([]);
+    expect(report.summary.migrated).toBe(1);
+
+    const migrated = await reload(instance);
+    expect(migrated.processTemplateId).toEqual(target._id);
+    expect(migrated.currentSteps).toEqual(['approve']);
+    expect(migrated.variables.costCenter).toBe('CC-1');
+
+    const { approve } = await openSteps(instance._id);
+    expect(approve.name).toBe('approve');
+
+    const timers = await Timer.find({ processInstanceId: instance._id, kind: 'boundary' });
+    expect(Object.fromEntries(timers.map(timer => [timer.timerId, timer.status])))
+      .toEqual({ reminder: 'cancelled', deadline: 'scheduled' });
+
+    const history = await ProcessHistory.findOne({ processInstanceId: instance._id, action: 'process_migrated' });
+    expect(history.metadata).toMatchObject({ fromVersion: '1.0.0', toVersion: '2.0.0', addedVariables: ['costCenter'] });
+
+    await completeTask(approve, user);
+    expect(Object.keys(await openSteps(instance._id))).toEqual(['archive']);
+  });
+
+  it('blocks instances whose open steps have no counterpart', async () => {
+    const { source, target } = await createVersions(v1Steps, v2Steps);
+    const instance = await startProcess(source, user);
+
+    const report = await migrate(source, target);
+
+    expect(report.summary).toEqual({ total: 1, migratable: 0, blocked: 1, migrated: 0 });
+    expect(report.instances[0].issues.map(issue => issue.code)).toContain('UNMAPPED_STEP');
+    expect((await reload(instance)).processTemplateId).toEqual(source._id);
+  });
+
+  it('blocks open steps that change type', async () => {
+    const { source, target } = await createVersions(v1Steps, [
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', { type: 'decision', nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+    await startProcess(source, user);
+
+    const report = await migrate(source, target, { dryRun: true });
+    expect(report.instances[0].issues).toEqual([
+      expect.objectContaining({ code: 'INCOMPATIBLE_STEP', stepId: 'review' })
+    ]);
+  });
+
+  it('reports requested instances that are not on the source template', async () => {
+    const { source, target } = await createVersions(v1Steps, v1Steps);
+    const other = await createTemplate(v1Steps);
+    const elsewhere = await startProcess(other, user);
+
+    const report = await migrate(source, target, { instanceIds: [elsewhere._id.toString()] });
+    expect(report.instances[0].issues[0].code).toBe('INSTANCE_NOT_FOUND');
+  });
+
+  it('rejects invalid migrations up front', async () => {
+    const { source, target } = await createVersions(v1Steps, v2Steps);
+    const unrelated = await createTemplate(v2Steps);
+
+    const errorOf = async promise => {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(await errorOf(migrate(source, target, { stepMapping: { review: 'missing' } })))
+      .toMatchObject({ statusCode: 400, errorCode: 'INVALID_STEP_MAPPING' });
+    expect(await errorOf(migrate(source, unrelated)))
+      .toMatchObject({ statusCode: 400, errorCode: 'INVALID_MIGRATION' });
+    expect(await errorOf(migrate(source, source)))
+      .toMatchObject({ statusCode: 400, errorCode: 'INVALID_MIGRATION' });
+  });
+});
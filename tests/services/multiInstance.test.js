@@ -0,0 +1,109 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, findStep, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import StepInstance from '../../src/models/StepInstance.js';
+
+describe('getRequiredCompletions', () => {
+  it('derives the quorum from the completion rule', () => {
+    expect(workflowEngine.getRequiredCompletions({}, 4)).toBe(4);
+    expect(workflowEngine.getRequiredCompletions({ type: 'any' }, 4)).toBe(1);
+    expect(workflowEngine.getRequiredCompletions({ type: 'any' }, 0)).toBe(0);
+    expect(workflowEngine.getRequiredCompletions({ type: 'count', count: 3 }, 2)).toBe(2);
+    expect(workflowEngine.getRequiredCompletions({ type: 'percentage', percentage: 50 }, 5)).toBe(3);
+  });
+});
+
+describe('multi-instance user tasks', () => {
+  let users;
+  let initiator;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    initiator = await createUser();
+    users = [await createUser(), await createUser(), await createUser()];
+  });
+
+  const reviewTemplate = multiInstance => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+    step('review', {
+      assignees: users.map(user => user._id.toString()),
+      multiInstance: { enabled: true, outputVariable: 'votes', ...multiInstance },
+      nextSteps: [
+        { stepId: 'accepted', condition: 'decision == \'quorum_met\'' },
+        { stepId: 'rejected', isDefault: true }
+      ]
+    }),
+    step('accepted', { type: 'end' }),
+    step('rejected', { type: 'end' })
+  ]);
+
+  const items = processInstanceId => StepInstance.find({ processInstanceId, multiInstanceParentId: { $ne: null } }).sort({ loopIndex: 1 });
+
+  it('creates one task per assignee in parallel', async () => {
+    const instance = await startProcess(await reviewTemplate({}), initiator);
+
+    const tasks = await items(instance._id);
+    expect(tasks.map(task => task.assignedTo.toString())).toEqual(users.map(user => user._id.toString()));
+    expect((await findStep(instance._id, 'review', { multiInstanceParentId: null })).multiInstance.required).toBe(3);
+  });
+
+  it('finishes once the quorum of matching decisions is reached and cancels the rest', async () => {
+    const instance = await startProcess(await reviewTemplate({ completion: { type: 'count', count: 2, decision: 'approve' } }), initiator);
+    const tasks = await items(instance._id);
+
+    await completeTask(tasks[0], users[0], { decision: 'approve' });
+    await completeTask(tasks[1], users[1], { decision: 'approve' });
+
+    const current = await reload(instance);
+    expect(current.status).toBe('completed');
+    expect(current.variables.votes).toMatchObject({ total: 3, completed: 2, matched: 2, required: 2, quorumMet: true });
+    expect((await StepInstance.findById(tasks[2]._id)).status).toBe('cancelled');
+    expect(await findStep(instance._id, 'accepted')).not.toBeNull();
+  });
+
+  it('fails the quorum as soon as it can no longer be met', async () => {
+    const instance = await startProcess(await reviewTemplate({ completion: { type: 'all', decision: 'approve' } }), initiator);
+    const tasks = await items(instance._id);
+
+    await completeTask(tasks[0], users[0], { decision: 'reject' });
+
+    const current = await reload(instance);
+    expect(current.variables.votes).toMatchObject({ matched: 0, required: 3, quorumMet: false, decisions: { reject: 1 } });
+    expect(await findStep(instance._id, 'rejected')).not.toBeNull();
+  });
+
+  it('creates the next task only after the previous one in sequential mode', async () => {
+    const instance = await startProcess(await reviewTemplate({ sequential: true }), initiator);
+
+    let tasks = await items(instance._id);
+    expect(tasks).toHaveLength(1);
+
+    await completeTask(tasks[0], users[0]);
+    tasks = await items(instance._id);
+    expect(tasks.map(task => task.status)).toEqual(['completed', 'pending']);
+    expect(tasks[1].assignedTo).toEqual(users[1]._id);
+  });
+
+  it('iterates over a collection variable, assigning from each item', async () => {
+    const instance = await startProcess(await reviewTemplate({
+      source: 'collection',
+      collection: 'variables.reviewers',
+      assignFromItem: true
+    }), initiator, { reviewers: [{ userId: users[2]._id.toString() }, { userId: users[0]._id.toString() }] });
+
+    const tasks = await items(instance._id);
+    expect(tasks.map(task => task.assignedTo.toString())).toEqual([users[2]._id.toString(), users[0]._id.toString()]);
+    expect(tasks[0].loopItem).toEqual({ userId: users[2]._id.toString() });
+  });
+
+  it('refuses to complete the activity itself', async () => {
+    const instance = await startProcess(await reviewTemplate({}), initiator);
+    const activity = await findStep(instance._id, 'review', { multiInstanceParentId: null });
+
+    await expect(workflowEngine.completeStep(activity._id, initiator._id))
+      .rejects.toMatchObject({ errorCode: 'MULTI_INSTANCE_ACTIVITY' });
+  });
+});
@@ -0,0 +1,47 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, reload, step, to } from '../helpers/fixtures.js';
+
+describe('parallel gateways', () => {
+  let user;
+  let template;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+    template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('split') }),
+      step('split', { type: 'parallel', nextSteps: to('legal', 'finance') }),
+      step('legal', { assignees: [user._id.toString()], nextSteps: to('join') }),
+      step('finance', { assignees: [user._id.toString()], nextSteps: to('join') }),
+      step('join', { type: 'parallel', nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+  });
+
+  it('places a token on every outgoing branch of a split', async () => {
+    const instance = await startProcess(template, user);
+
+    expect(instance.status).toBe('active');
+    expect([...instance.currentSteps].sort()).toEqual(['finance', 'legal']);
+    expect(Object.keys(await openSteps(instance._id)).sort()).toEqual(['finance', 'legal']);
+  });
+
+  it('waits at the join until every branch has arrived', async () => {
+    const instance = await startProcess(template, user);
+    const steps = await openSteps(instance._id);
+
+    await completeTask(steps.legal, user);
+    let current = await reload(instance);
+    expect(current.status).toBe('active');
+    expect([...current.currentSteps].sort()).toEqual(['finance', 'join']);
+    expect(current.joinArrivals.join).toEqual(['legal']);
+
+    await completeTask(steps.finance, user);
+    current = await reload(instance);
+    expect(current.status).toBe('completed');
+    expect(current.currentSteps).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+import Notification from '../../src/models/Notification.js';
+
+const errorOf = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('moving tokens of a process instance', () => {
+  let user;
+  let reviewer;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+    reviewer = await createUser();
+  });
+
+  const sequentialTemplate = () => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('draft') }),
+    step('draft', { assignees: [user._id.toString()], nextSteps: to('review') }),
+    step('review', { assignees: [reviewer._id.toString()], nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ]);
+
+  describe('rewindProcess', () => {
+    it('withdraws open steps and reactivates the target step', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+      await completeTask((await openSteps(instance._id)).draft, user);
+      const { review } = await openSteps(instance._id);
+
+      await workflowEngine.rewindProcess(instance._id, {
+        targetStepId: 'draft',
+        variables: { note: 'needs rework' },
+        reason: 'Missing figures'
+      }, user._id);
+
+      const current = await reload(instance);
+      expect(current.currentSteps).toEqual(['draft']);
+      expect(current.variables.note).toBe('needs rework');
+      expect((await findStep(instance._id, 'review')).status).toBe('cancelled');
+      expect(Object.keys(await openSteps(instance._id))).toEqual(['draft']);
+
+      const history = await ProcessHistory.findOne({ processInstanceId: instance._id, action: 'process_rewound' });
+      expect(history.comments).toBe('Missing figures');
+      expect(history.metadata.before.currentSteps).toEqual(['review']);
+      expect(history.metadata.after.currentSteps).toEqual(['draft']);
+      expect(history.metadata.withdrawnSteps.map(withdrawn => withdrawn.stepId)).toEqual(['review']);
+
+      expect(await Notification.countDocuments({ relatedStep: review._id, title: 'Task Withdrawn' })).toBe(1);
+    });
+
+    it('moves only the token of the given branch', async () => {
+      const template = await createTemplate([
+        step('start', { type: 'start', autoComplete: true, nextSteps: to('prepare') }),
+        step('prepare', { nextSteps: to('split') }),
+        step('split', { type: 'parallel', nextSteps: to('legal', 'finance') }),
+        step('legal', { nextSteps: to('join') }),
+        step('finance', { nextSteps: to('join') }),
+        step('join', { type: 'parallel', nextSteps: to('end') }),
+        step('end', { type: 'end' })
+      ]);
+      const instance = await startProcess(template, user);
+      await completeTask((await openSteps(instance._id)).prepare, user);
+      await completeTask((await openSteps(instance._id)).legal, user);
+
+      await workflowEngine.rewindProcess(instance._id, { targetStepId: 'legal', fromStepId: 'join' }, user._id);
+
+      const current = await reload(instance);
+      expect([...current.currentSteps].sort()).toEqual(['finance', 'legal']);
+      expect(current.joinArrivals).toEqual({});
+      expect(Object.keys(await openSteps(instance._id)).sort()).toEqual(['finance', 'legal']);
+    });
+
+    it('rejects targets the process has not passed or cannot hold a token', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+
+      expect(await errorOf(workflowEngine.rewindProcess(instance._id, { targetStepId: 'review' }, user._id)))
+        .toMatchObject({ statusCode: 400, errorCode: 'INVALID_REWIND_TARGET' });
+      expect(await errorOf(workflowEngine.rewindProcess(instance._id, { targetStepId: 'end' }, user._id)))
+        .toMatchObject({ statusCode: 400, errorCode: 'INVALID_STEP' });
+      expect(await errorOf(workflowEngine.rewindProcess(instance._id, { targetStepId: 'start', fromStepId: 'review' }, user._id)))
+        .toMatchObject({ statusCode: 400, errorCode: 'TOKEN_NOT_FOUND' });
+    });
+  });
+
+  describe('reopenStep', () => {
+    it('re-opens a completed step of a finished process', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+      const { draft } = await openSteps(instance._id);
+      await completeTask(draft, user);
+      await completeTask((await openSteps(instance._id)).review, reviewer);
+      expect((await reload(instance)).status).toBe('completed');
+
+      await workflowEngine.reopenStep(draft._id, { reason: 'Reopened by admin' }, user._id);
+
+      const current = await reload(instance);
+      expect(current.status).toBe('active');
+      expect(current.endDate).toBeUndefined();
+      expect(current.currentSteps).toEqual(['draft']);
+
+      const history = await ProcessHistory.findOne({ processInstanceId: instance._id, action: 'step_reopened' });
+      expect(history.stepInstanceId).toEqual(draft._id);
+      expect(history.metadata.reopenedStatus).toBe('completed');
+    });
+
+    it('withdraws the tokens the step produced', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+      const { draft } = await openSteps(instance._id);
+      await completeTask(draft, user);
+
+      await workflowEngine.reopenStep(draft._id, {}, user._id);
+
+      expect((await reload(instance)).currentSteps).toEqual(['draft']);
+      expect((await findStep(instance._id, 'review')).status).toBe('cancelled');
+    });
+
+    it('only re-opens completed or failed steps', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+      const { draft } = await openSteps(instance._id);
+
+      expect(await errorOf(workflowEngine.reopenStep(draft._id, {}, user._id)))
+        .toMatchObject({ statusCode: 400, errorCode: 'STEP_NOT_REOPENABLE' });
+    });
+  });
+
+  describe('restartProcess', () => {
+    it('restarts a cancelled process from the chosen step', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+      await workflowEngine.cancelProcess(await reload(instance), user._id, 'Withdrawn');
+      expect(await openSteps(instance._id)).toEqual({});
+
+      await workflowEngine.restartProcess(instance._id, { stepId: 'review', variables: { retry: true } }, user._id);
+
+      const current = await reload(instance);
+      expect(current.status).toBe('active');
+      expect(current.currentSteps).toEqual(['review']);
+      expect(current.variables.retry).toBe(true);
+      expect(Object.keys(await openSteps(instance._id))).toEqual(['review']);
+    });
+
+    it('only restarts cancelled processes', async () => {
+      const instance = await startProcess(await sequentialTemplate(), user);
+
+      expect(await errorOf(workflowEngine.restartProcess(instance._id, { stepId: 'draft' }, user._id)))
+        .toMatchObject({ statusCode: 400, errorCode: 'INVALID_PROCESS_STATUS' });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, step, to } from '../helpers/fixtures.js';
+import separationOfDutiesService from '../../src/services/separationOfDutiesService.js';
+import auditService from '../../src/services/auditService.js';
+import StepInstance from '../../src/models/StepInstance.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+
+const errorOf = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('separation of duties', () => {
+  let initiator;
+  let author;
+  let reviewer;
+  let template;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    initiator = await createUser();
+    author = await createUser();
+    reviewer = await createUser();
+
+    const assignees = [author, reviewer].map(user => user._id.toString());
+    template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('draft') }),
+      step('draft', { assignees, nextSteps: to('review') }),
+      step('review', { assignees, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ], {
+      separationOfDuties: [
+        { stepId: 'review', notPerformerOf: ['draft'], notInitiator: true, description: 'Four eyes' }
+      ]
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the initiator and earlier performers off the step, in either direction', async () => {
+    const instance = await startProcess(template, initiator);
+    await completeTask((await openSteps(instance._id)).draft, author);
+
+    const exclusions = await separationOfDutiesService.getExclusions(instance, 'review');
+    expect([...exclusions.keys()].sort()).toEqual([initiator._id.toString(), author._id.toString()].sort());
+    expect(exclusions.get(author._id.toString())).toEqual([
+      { rule: 'Four eyes', reason: 'completed step "draft"', stepId: 'draft' }
+    ]);
+
+    // The rule also keeps the reviewer off the draft step
+    const review = (await openSteps(instance._id)).review;
+    await completeTask(review, reviewer);
+    expect((await separationOfDutiesService.getExclusions(instance, 'draft')).has(reviewer._id.toString())).toBe(true);
+  });
+
+  it('assigns the step to the first assignee the rules allow', async () => {
+    const instance = await startProcess(template, initiator);
+    await completeTask((await openSteps(instance._id)).draft, author);
+
+    const { review } = await openSteps(instance._id);
+    expect(review.assignedTo).toEqual(reviewer._id);
+  });
+
+  it('keeps excluded users off the task instances of a multi-instance step', async () => {
+    const assignees = [initiator, author].map(user => user._id.toString());
+    const votingTemplate = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('vote') }),
+      step('vote', { assignees, multiInstance: { enabled: true }, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ], {
+      separationOfDuties: [{ stepId: 'vote', notInitiator: true, description: 'No self-approval' }]
+    });
+
+    const instance = await startProcess(votingTemplate, initiator);
+
+    const items = await StepInstance.find({ processInstanceId: instance._id, multiInstanceParentId: { $ne: null } })
+      .sort({ loopIndex: 1 });
+    expect(items.map(item => item.assignedTo.toString())).toEqual([author._id.toString(), author._id.toString()]);
+
+    const created = await ProcessHistory.findOne({ stepInstanceId: items[0]._id, action: 'step_created' });
+    expect(created.metadata.separationOfDuties.excludedAssignee.toString()).toBe(initiator._id.toString());
+  });
+
+  it('refuses completion by an excluded user', async () => {
+    const instance = await startProcess(template, initiator);
+    await completeTask((await openSteps(instance._id)).draft, author);
+    const { review } = await openSteps(instance._id);
+    await StepInstance.updateOne({ _id: review._id }, { $set: { assignedTo: author._id } });
+
+    const error = await errorOf(completeTask(review, author));
+    expect(error).toMatchObject({ statusCode: 403, errorCode: 'SEPARATION_OF_DUTIES_VIOLATION' });
+    expect(error.message).toBe('Separation of duties: You completed step "draft" and cannot also work on step "review"');
+    expect((await StepInstance.findById(review._id)).status).toBe('in_progress');
+  });
+
+  it('logs admins attempting to break a rule as a security event', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const instance = await startProcess(template, admin);
+    const { draft } = await openSteps(instance._id);
+    const logged = jest.spyOn(auditService, 'logSecurityEvent');
+
+    const error = await errorOf(separationOfDutiesService.assertAllowed(instance, { ...draft.toObject(), stepId: 'review' }, admin._id));
+
+    expect(error.errorCode).toBe('SEPARATION_OF_DUTIES_VIOLATION');
+    expect(logged).toHaveBeenCalledWith(admin._id, 'separation_of_duties_violation', expect.objectContaining({
+      action: 'complete',
+      stepId: 'review'
+    }));
+  });
+});
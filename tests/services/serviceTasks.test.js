@@ -0,0 +1,133 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, findStep, reload, settle, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import serviceTaskRegistry from '../../src/services/serviceTaskRegistry.js';
+import Timer from '../../src/models/Timer.js';
+import { AppError } from '../../src/utils/helpers.js';
+
+describe('serviceTaskRegistry', () => {
+  it('ships the built-in handlers', () => {
+    expect(serviceTaskRegistry.list().map(handler => handler.name))
+      .toEqual(expect.arrayContaining(['http.request', 'email.send', 'variables.set', 'script']));
+  });
+
+  it('rejects handlers without a name or execute function', () => {
+    expect(() => serviceTaskRegistry.register({ name: 'broken' })).toThrow('Service task handlers need a name and an execute function');
+  });
+
+  it('reports unknown handlers and invalid configuration', () => {
+    expect(() => serviceTaskRegistry.get('missing')).toThrow('Unknown service task handler "missing"');
+    expect(serviceTaskRegistry.validateConfig('missing')).toEqual(['Unknown service task handler "missing"']);
+    expect(serviceTaskRegistry.validateConfig('variables.set', { values: [] }))
+      .toEqual(['"values" must be an object of variable names to values']);
+    expect(serviceTaskRegistry.validateConfig('script', { assignments: { total: 'variables.a +' } })[0])
+      .toMatch(/^Assignment "total":/);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('backs off exponentially up to the maximum', () => {
+    const retry = { delaySeconds: 10, maxDelaySeconds: 60 };
+    expect([1, 2, 3, 4].map(attempt => workflowEngine.getRetryDelay(retry, attempt))).toEqual([10000, 20000, 40000, 60000]);
+    expect(workflowEngine.getRetryDelay({ backoff: 'fixed', delaySeconds: 5 }, 3)).toBe(5000);
+  });
+});
+
+describe('service tasks in running processes', () => {
+  let user;
+  const calls = [];
+  let failures = 0;
+
+  beforeAll(async () => {
+    await connectTestDatabase();
+    serviceTaskRegistry.register({
+      name: 'test.quote',
+      async execute(config, { context }) {
+        calls.push(context.variables);
+        if (failures > 0) {
+          failures--;
+          throw new Error('upstream unavailable');
+        }
+        return { price: context.variables.quantity * config.unitPrice };
+      }
+    });
+    serviceTaskRegistry.register({
+      name: 'test.reject',
+      async execute() {
+        throw new AppError('Bad configuration', 400, 'BAD_CONFIG');
+      }
+    });
+  });
+  afterAll(async () => {
+    serviceTaskRegistry.handlers.delete('test.quote');
+    serviceTaskRegistry.handlers.delete('test.reject');
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    calls.length = 0;
+    failures = 0;
+    user = await createUser();
+  });
+
+  const serviceTemplate = service => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('quote') }),
+    step('quote', { type: 'service_task', service, nextSteps: to('end') }),
+    step('end', { type: 'end' })
+  ]);
+
+  it('runs the handler and merges its output into the variables', async () => {
+    const template = await serviceTemplate({ handler: 'test.quote', config: { unitPrice: 5 } });
+
+    const instance = await startProcess(template, user, { quantity: 3 });
+    await settle();
+
+    const current = await reload(instance);
+    expect(calls).toEqual([{ quantity: 3 }]);
+    expect(current.status).toBe('completed');
+    expect(current.variables).toEqual({ quantity: 3, price: 15 });
+  });
+
+  it('writes the output to one variable when outputVariable is set', async () => {
+    const template = await serviceTemplate({ handler: 'test.quote', config: { unitPrice: 2 }, outputVariable: 'quote' });
+
+    const instance = await startProcess(template, user, { quantity: 4 });
+    await settle();
+
+    expect((await reload(instance)).variables.quote).toEqual({ price: 8 });
+  });
+
+  it('schedules a retry after a failed attempt', async () => {
+    failures = 1;
+    const template = await serviceTemplate({ handler: 'test.quote', config: { unitPrice: 1 }, retry: { maxAttempts: 3, delaySeconds: 60 } });
+
+    const instance = await startProcess(template, user, { quantity: 1 });
+    await settle();
+
+    const task = await findStep(instance._id, 'quote');
+    expect(task.status).toBe('in_progress');
+    expect(task.serviceExecution.lastError.message).toBe('upstream unavailable');
+
+    const retry = await Timer.findOne({ kind: 'service', status: 'scheduled' });
+    expect(retry.dueAt.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+
+    await Timer.updateOne({ _id: retry._id }, { $set: { dueAt: new Date() } });
+    await workflowEngine.processDueTimers(10);
+
+    expect((await reload(instance)).status).toBe('completed');
+    expect((await findStep(instance._id, 'quote')).serviceExecution.attempts).toBe(2);
+  });
+
+  it('fails the step straight away on a configuration error', async () => {
+    const template = await serviceTemplate({ handler: 'test.reject', retry: { maxAttempts: 3 } });
+
+    const instance = await startProcess(template, user);
+    await settle();
+
+    const task = await findStep(instance._id, 'quote');
+    expect(task.status).toBe('failed');
+    expect(task.serviceExecution.lastError.errorCode).toBe('BAD_CONFIG');
+    expect(await Timer.countDocuments({ kind: 'service', status: 'scheduled' })).toBe(0);
+  });
+});
@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import crypto from 'crypto';
+import dns from 'dns';
+import config from '../../../src/config/environment.js';
+import httpRequest from '../../../src/services/serviceTasks/httpRequest.js';
+
+// Local stub endpoint: answers with the status and JSON body the test sets,
+// remembering what it received
+const received = [];
+let reply = { status: 200, body: {} };
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (reply.delayMs) {
+      setTimeout(() => res.writeHead(reply.status).end(JSON.stringify(reply.body)), reply.delayMs);
+      return;
+    }
+    res.writeHead(reply.status, { 'Content-Type': 'application/json', 'Set-Cookie': 'session=abc' });
+    res.end(JSON.stringify(reply.body));
+  });
+});
+
+const context = { variables: { orderId: 42, amount: 99.5 }, formData: {}, decision: null };
+
+const execute = async (handlerConfig) => {
+  const records = {};
+  try {
+    const result = await httpRequest.execute(handlerConfig, { context, record: details => Object.assign(records, details) });
+    return { result, records };
+  } catch (error) {
+    return { error, records };
+  }
+};
+
+describe('http.request service task', () => {
+  let baseUrl;
+  const original = { ...config.serviceTasks };
+
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received.length = 0;
+    reply = { status: 200, body: {} };
+    Object.assign(config.serviceTasks, {
+      allowedHosts: ['127.0.0.1'],
+      secrets: { CRM_TOKEN: 'crm-secret', HOOK_KEY: 'hook-secret' },
+      secretHosts: { CRM_TOKEN: ['127.0.0.1'], HOOK_KEY: ['hooks.example.com'] }
+    });
+  });
+
+  afterEach(() => Object.assign(config.serviceTasks, original));
+
+  describe('requests', () => {
+    it('renders the request and maps the JSON response into variables', async () => {
+      reply = { status: 201, body: { invoice: { id: 'INV-7', lines: [{ total: 99.5 }] } } };
+
+      const { result } = await execute({
+        method: 'POST',
+        url: `${baseUrl}/orders/{{ variables.orderId }}/invoice`,
+        headers: { 'X-Order': '{{ variables.orderId }}' },
+        body: { amount: '{{ variables.amount }}' },
+        responseMapping: { invoiceId: 'body.invoice.id', firstTotal: 'body.invoice.lines.0.total', status: 'status' }
+      });
+
+      expect(result).toEqual({ invoiceId: 'INV-7', firstTotal: 99.5, status: 201 });
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ method: 'POST', url: '/orders/42/invoice', headers: { 'x-order': '42' } });
+      expect(JSON.parse(received[0].body)).toEqual({ amount: 99.5 });
+    });
+
+    it('returns status and body without a response mapping', async () => {
+      reply = { status: 200, body: { ok: true } };
+      expect((await execute({ url: `${baseUrl}/ping` })).result).toEqual({ status: 200, body: { ok: true } });
+    });
+
+    it('marks 5xx responses retryable and fails 4xx responses at once', async () => {
+      reply = { status: 503, body: {} };
+      const unavailable = await execute({ url: `${baseUrl}/busy` });
+      expect(unavailable.error).toMatchObject({ statusCode: 502, errorCode: 'HTTP_REQUEST_FAILED' });
+
+      reply = { status: 404, body: {} };
+      const missing = await execute({ url: `${baseUrl}/missing` });
+      expect(missing.error).toMatchObject({ statusCode: 424, details: expect.objectContaining({ status: 404 }) });
+    });
+
+    it('times out slow endpoints', async () => {
+      reply = { status: 200, body: {}, delayMs: 500 };
+      const { error, records } = await execute({ url: `${baseUrl}/slow`, timeoutMs: 50 });
+      expect(error).toMatchObject({ statusCode: 504, message: 'HTTP request timed out after 50ms' });
+      expect(records.http.error).toBe('Timed out after 50ms');
+    });
+  });
+
+  describe('credentials', () => {
+    it('sends a bearer secret to its bound host and redacts it from the record', async () => {
+      const { records } = await execute({ url: `${baseUrl}/crm`, auth: { type: 'bearer', secret: 'CRM_TOKEN' } });
+
+      expect(received[0].headers.authorization).toBe('Bearer crm-secret');
+      expect(records.http.request.headers.Authorization).toBe('[REDACTED]');
+      expect(records.http.response.headers['set-cookie']).toBe('[REDACTED]');
+    });
+
+    it('signs the body with an HMAC secret', async () => {
+      await execute({
+        method: 'POST',
+        url: `${baseUrl}/hook`,
+        body: { id: 1 },
+        auth: { type: 'hmac', secret: 'CRM_TOKEN' }
+      });
+
+      const { headers, body } = received[0];
+      const expected = crypto.createHmac('sha256', 'crm-secret')
+        .update(`${headers['x-signature-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-signature']).toBe(`sha256=${expected}`);
+    });
+
+    it('refuses to send a secret to a host it is not bound to', async () => {
+      const { error } = await execute({ url: `${baseUrl}/steal`, auth: { type: 'bearer', secret: 'HOOK_KEY' } });
+
+      expect(error).toMatchObject({ statusCode: 400, errorCode: 'SERVICE_SECRET_HOST_NOT_ALLOWED' });
+      expect(received).toHaveLength(0);
+    });
+
+    it('refuses secrets without a host binding', async () => {
+      config.serviceTasks.secretHosts = {};
+      const { error } = await execute({ url: `${baseUrl}/crm`, auth: { type: 'bearer', secret: 'CRM_TOKEN' } });
+
+      expect(error.errorCode).toBe('SERVICE_SECRET_HOST_NOT_ALLOWED');
+      expect(httpRequest.validate({ url: 'https://api.example.com', auth: { type: 'bearer', secret: 'CRM_TOKEN' } }))
+        .toEqual(['Service secret "CRM_TOKEN" is not bound to any host; set SERVICE_SECRET_CRM_TOKEN_HOSTS']);
+    });
+  });
+
+  describe('host restrictions', () => {
+    it('refuses internal addresses when no allowlist is set', async () => {
+      config.serviceTasks.allowedHosts = [];
+
+      for (const url of [
+        `${baseUrl}/local`,
+        `http://localhost:${server.address().port}/local`,
+        'http://169.254.169.254/latest/meta-data/',
+        'http://10.0.0.5/',
+        'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://0.0.0.0/'
+      ]) {
+        const { error } = await execute({ url });
+        expect(error).toMatchObject({ statusCode: 400, errorCode: 'HTTP_HOST_NOT_ALLOWED' });
+      }
+      expect(received).toHaveLength(0);
+    });
+
+    it('refuses hosts missing from the allowlist', async () => {
+      config.serviceTasks.allowedHosts = ['.example.com'];
+
+      const { error } = await execute({ url: `${baseUrl}/local` });
+      expect(error).toMatchObject({ errorCode: 'HTTP_HOST_NOT_ALLOWED', message: 'Host "127.0.0.1" is not allowed for HTTP service tasks' });
+    });
+
+    it('refuses internal addresses behind an allowed subdomain pattern', async () => {
+      // Matches 127.0.0.1 as a pattern only, not by exact name
+      config.serviceTasks.allowedHosts = ['.0.0.1'];
+
+      const { error } = await execute({ url: `${baseUrl}/local` });
+      expect(error.errorCode).toBe('HTTP_HOST_NOT_ALLOWED');
+      expect(received).toHaveLength(0);
+    });
+
+    it('connects to the address it checked, not to what the host resolves to later', async () => {
+      config.serviceTasks.allowedHosts = ['.example.test'];
+      // The check sees a public address; any later lookup would rebind the
+      // host to the local endpoint
+      const checked = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '192.0.2.10', family: 4 }]);
+      const rebound = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+        else callback(null, '127.0.0.1', 4);
+      });
+
+      try {
+        const { error, records } = await execute({ url: `http://api.example.test:${server.address().port}/rebind`, timeoutMs: 200 });
+
+        expect(error.errorCode).toBe('HTTP_REQUEST_FAILED');
+        expect(records.http.response).toBeUndefined();
+        expect(checked).toHaveBeenCalledTimes(1);
+        expect(rebound).not.toHaveBeenCalled();
+        expect(received).toHaveLength(0);
+      } finally {
+        checked.mockRestore();
+        rebound.mockRestore();
+      }
+    });
+
+    it('rejects other protocols', async () => {
+      const { error } = await execute({ url: 'file:///etc/passwd' });
+      expect(error).toMatchObject({ errorCode: 'HTTP_INVALID_REQUEST', message: 'Unsupported URL protocol "file:"' });
+    });
+  });
+});
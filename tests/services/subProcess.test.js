@@ -0,0 +1,76 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import ProcessInstance from '../../src/models/ProcessInstance.js';
+
+describe('sub-process steps', () => {
+  let user;
+  let childTemplate;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+    childTemplate = await createTemplate([
+      step('check', { assignees: [user._id.toString()], nextSteps: to('done') }),
+      step('done', { type: 'end' })
+    ], {
+      variables: [{ name: 'requested', type: 'number', required: true }, { name: 'approved', type: 'number' }]
+    });
+  });
+
+  const parentTemplate = (subProcess = {}) => createTemplate([
+    step('start', { type: 'start', autoComplete: true, nextSteps: to('call') }),
+    step('call', {
+      type: 'subprocess',
+      subProcess: {
+        templateId: childTemplate._id,
+        inputs: [{ source: 'variables.amount', target: 'requested' }],
+        outputs: [{ source: 'variables.requested * 2', target: 'granted' }],
+        ...subProcess
+      },
+      nextSteps: to('end')
+    }),
+    step('end', { type: 'end' })
+  ]);
+
+  it('starts a child process with mapped inputs and waits for it', async () => {
+    const parent = await startProcess(await parentTemplate(), user, { amount: 250 });
+    const child = await ProcessInstance.findOne({ parentProcessInstanceId: parent._id });
+
+    expect(child.status).toBe('active');
+    expect(child.variables).toEqual({ requested: 250 });
+    expect((await findStep(parent._id, 'call')).childProcessInstanceId).toEqual(child._id);
+    expect(parent.currentSteps).toEqual(['call']);
+  });
+
+  it('resumes the parent with mapped outputs once the child completes', async () => {
+    const parent = await startProcess(await parentTemplate(), user, { amount: 250 });
+    const child = await ProcessInstance.findOne({ parentProcessInstanceId: parent._id });
+
+    await completeTask((await openSteps(child._id)).check, user);
+
+    const resumed = await reload(parent);
+    expect(resumed.status).toBe('completed');
+    expect(resumed.variables).toEqual({ amount: 250, granted: 500 });
+    expect((await findStep(parent._id, 'call')).variables.decision).toBe('completed');
+  });
+
+  it('moves the parent to error when the child inputs are invalid', async () => {
+    const parent = await startProcess(await parentTemplate({ inputs: [] }), user, { amount: 250 });
+
+    expect(parent.status).toBe('error');
+    expect(await ProcessInstance.countDocuments({ parentProcessInstanceId: parent._id })).toBe(0);
+  });
+
+  it('cancels running children with their parent', async () => {
+    const parent = await startProcess(await parentTemplate(), user, { amount: 250 });
+
+    await workflowEngine.cancelProcess(await reload(parent), user._id, 'no longer needed');
+
+    const child = await ProcessInstance.findOne({ parentProcessInstanceId: parent._id });
+    expect(child.status).toBe('cancelled');
+  });
+});
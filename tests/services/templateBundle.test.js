@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, step, to } from '../helpers/fixtures.js';
+import templateBundleService from '../../src/services/templateBundleService.js';
+import ProcessTemplate from '../../src/models/ProcessTemplate.js';
+import BusinessCalendar from '../../src/models/BusinessCalendar.js';
+
+const errorOf = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('template bundles', () => {
+  let importer;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  // Export from one environment, then clear it to import into another
+  const exportFromSource = async () => {
+    const reviewer = await createUser({ email: 'reviewer@example.com', profile: { department: 'Finance' } });
+    const calendar = await BusinessCalendar.create({ name: 'Berlin office', timezone: 'Europe/Berlin', createdBy: reviewer._id });
+    const child = await createTemplate([step('start', { type: 'end' })], { name: 'Child', version: '1.0.0' });
+
+    const steps = [
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', { assignees: [reviewer._id.toString()], nextSteps: to('approve') }),
+      step('approve', { assigneeType: 'role', assignees: ['manager'], nextSteps: to('book') }),
+      step('book', { assigneeType: 'department', assignees: ['Finance'], nextSteps: to('child') }),
+      step('child', { type: 'subprocess', subProcess: { templateId: child._id }, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ];
+    const first = await createTemplate(steps, { name: 'Expenses', version: '1.10.0', businessCalendarId: calendar._id });
+    await createTemplate(steps, { name: 'Expenses', version: '1.2.0', businessCalendarId: calendar._id });
+
+    const bundle = await templateBundleService.exportBundle(first._id);
+    await clearTestDatabase();
+    return { bundle, reviewer };
+  };
+
+  beforeEach(() => clearTestDatabase());
+
+  const setUpTarget = async () => {
+    importer = await createUser({ role: 'admin' });
+    await createTemplate([step('start', { type: 'end' })], { name: 'Child', version: '1.0.0' });
+    return createUser({ email: 'reviewer@example.com', profile: { department: 'Finance' } });
+  };
+
+  it('exports every version with what its steps refer to', async () => {
+    const { bundle, reviewer } = await exportFromSource();
+
+    expect(bundle).toMatchObject({ format: 'process-template-bundle', formatVersion: 1 });
+    expect(bundle.checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(bundle.templates.map(template => template.version)).toEqual(['1.2.0', '1.10.0']);
+    expect(bundle.templates[0]).not.toHaveProperty('_id');
+    expect(bundle.templates[0]).not.toHaveProperty('isPublished');
+    expect(bundle.dependencies).toMatchObject({
+      users: [{ id: reviewer._id.toString(), email: 'reviewer@example.com', username: reviewer.username }],
+      roles: ['manager'],
+      departments: ['Finance'],
+      calendars: [{ name: 'Berlin office', timezone: 'Europe/Berlin' }],
+      subProcesses: [{ name: 'Child', version: '1.0.0' }]
+    });
+  });
+
+  it('imports the versions unpublished, with references resolved in the new environment', async () => {
+    const { bundle } = await exportFromSource();
+    const reviewer = await setUpTarget();
+
+    const result = await templateBundleService.importBundle({ bundle, userId: importer._id });
+
+    expect(result.dryRun).toBe(false);
+    expect(result.conflicts).toEqual([]);
+    expect(result.users[0]).toMatchObject({ resolvedTo: reviewer._id, resolvedBy: 'email' });
+    expect(result.calendars[0].action).toBe('create');
+
+    const imported = await ProcessTemplate.find({ name: 'Expenses' });
+    expect(imported.map(template => template.version).sort()).toEqual(['1.10.0', '1.2.0']);
+    expect(imported.every(template => template.isPublished === false)).toBe(true);
+
+    const [template] = imported;
+    const child = await ProcessTemplate.findOne({ name: 'Child' });
+    const calendar = await BusinessCalendar.findOne({ name: 'Berlin office' });
+    expect(template.steps.find(item => item.stepId === 'review').assignees).toEqual([reviewer._id.toString()]);
+    expect(template.steps.find(item => item.stepId === 'child').subProcess.templateId).toEqual(child._id);
+    expect(template.businessCalendarId).toEqual(calendar._id);
+    expect(template.createdBy).toEqual(importer._id);
+  });
+
+  it('lists conflicts and creates nothing until they are resolved', async () => {
+    const { bundle, reviewer } = await exportFromSource();
+    importer = await createUser({ role: 'admin' });
+
+    const plan = await templateBundleService.importBundle({ bundle, dryRun: true, userId: importer._id });
+    expect(plan.conflicts.map(conflict => conflict.code)).toEqual(['UNKNOWN_USER', 'UNKNOWN_SUBPROCESS']);
+    expect(plan.warnings.map(warning => warning.code)).toEqual(['UNKNOWN_DEPARTMENT']);
+
+    const error = await errorOf(templateBundleService.importBundle({ bundle, userId: importer._id }));
+    expect(error).toMatchObject({ statusCode: 409, errorCode: 'IMPORT_CONFLICTS' });
+    expect(await ProcessTemplate.countDocuments({ name: 'Expenses' })).toBe(0);
+    expect(await BusinessCalendar.countDocuments()).toBe(0);
+
+    // Mapping the user and role to ones here resolves them
+    const deputy = await createUser();
+    await createTemplate([step('start', { type: 'end' })], { name: 'Child', version: '1.0.0' });
+    const mapped = await templateBundleService.importBundle({
+      bundle,
+      dryRun: true,
+      mappings: { users: { [reviewer._id.toString()]: deputy._id.toString() }, roles: { manager: 'unknown' } },
+      userId: importer._id
+    });
+    expect(mapped.users[0]).toMatchObject({ resolvedTo: deputy._id, resolvedBy: 'mapping' });
+    expect(mapped.conflicts.map(conflict => conflict.code)).toEqual(['UNKNOWN_ROLE']);
+  });
+
+  it('treats versions that exist as conflicts unless told to skip them', async () => {
+    const { bundle } = await exportFromSource();
+    await setUpTarget();
+    await createTemplate([step('start', { type: 'end' })], { name: 'Expenses', version: '1.2.0' });
+
+    const plan = await templateBundleService.importBundle({ bundle, dryRun: true, userId: importer._id });
+    expect(plan.conflicts).toEqual([expect.objectContaining({ code: 'TEMPLATE_VERSION_EXISTS', version: '1.2.0' })]);
+
+    const result = await templateBundleService.importBundle({ bundle, skipExisting: true, userId: importer._id });
+    expect(result.templates.map(template => [template.version, template.action])).toEqual([['1.2.0', 'skip'], ['1.10.0', 'create']]);
+    expect(result.created.templates.map(template => template.version)).toEqual(['1.10.0']);
+  });
+
+  it('rejects bundles that are not bundles or were changed after export', async () => {
+    const { bundle } = await exportFromSource();
+    const userId = new mongoose.Types.ObjectId();
+
+    expect(await errorOf(templateBundleService.importBundle({ bundle: { format: 'other' }, userId })))
+      .toMatchObject({ statusCode: 400, errorCode: 'INVALID_BUNDLE', message: 'Not a process template bundle' });
+
+    const tampered = { ...bundle, templates: [{ ...bundle.templates[0], category: 'changed' }, bundle.templates[1]] };
+    expect((await errorOf(templateBundleService.importBundle({ bundle: tampered, userId }))).message)
+      .toBe('Bundle checksum does not match its content');
+
+    const newer = { ...bundle, formatVersion: 2 };
+    expect((await errorOf(templateBundleService.importBundle({ bundle: newer, userId }))).message)
+      .toBe('Unsupported bundle format version: 2');
+  });
+});
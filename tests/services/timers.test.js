@@ -0,0 +1,118 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import Timer from '../../src/models/Timer.js';
+
+// Make every scheduled timer due now
+const elapse = () => Timer.updateMany({ status: 'scheduled' }, { $set: { dueAt: new Date(Date.now() - 1000) } });
+
+describe('computeTimerDueDate', () => {
+  const from = new Date('2024-05-06T10:00:00Z');
+
+  it('adds a duration in minutes', () => {
+    expect(workflowEngine.computeTimerDueDate({ type: 'duration', duration: 90 }, {}, from))
+      .toEqual(new Date('2024-05-06T11:30:00Z'));
+  });
+
+  it('reads a date from a process variable', () => {
+    const instance = { variables: { deadline: '2024-06-01T09:00:00Z' } };
+    expect(workflowEngine.computeTimerDueDate({ type: 'date', dateVariable: 'deadline' }, instance, from))
+      .toEqual(new Date('2024-06-01T09:00:00Z'));
+    expect(() => workflowEngine.computeTimerDueDate({ type: 'date', dateVariable: 'missing' }, instance, from))
+      .toThrow('Timer variable "missing" does not hold a valid date');
+  });
+
+  it('finds the next cron occurrence', () => {
+    expect(workflowEngine.computeTimerDueDate({ type: 'cron', cron: '0 9 * * *' }, {}, from))
+      .toEqual(new Date('2024-05-07T09:00:00Z'));
+  });
+});
+
+describe('timers in running processes', () => {
+  let user;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+  });
+
+  it('continues past a timer step once it fires', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('wait') }),
+      step('wait', { type: 'timer', timer: { type: 'duration', duration: 60 }, nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    expect(instance.currentSteps).toEqual(['wait']);
+    expect(await workflowEngine.processDueTimers(10)).toBe(0);
+
+    await elapse();
+    expect(await workflowEngine.processDueTimers(10)).toBe(1);
+
+    expect((await reload(instance)).status).toBe('completed');
+    expect(await Timer.countDocuments({ status: 'fired' })).toBe(1);
+  });
+
+  it('cancels the task and takes the timer path when an interrupting boundary timer fires', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', {
+        assignees: [user._id.toString()],
+        boundaryTimers: [{ timerId: 'deadline', type: 'duration', duration: 30 }],
+        nextSteps: [{ stepId: 'end' }, { stepId: 'chase', timerId: 'deadline' }]
+      }),
+      step('chase', { assignees: [user._id.toString()], nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    await elapse();
+    await workflowEngine.processDueTimers(10);
+
+    expect((await findStep(instance._id, 'review')).status).toBe('cancelled');
+    expect(Object.keys(await openSteps(instance._id))).toEqual(['chase']);
+    expect((await reload(instance)).currentSteps).toEqual(['chase']);
+  });
+
+  it('keeps the task open when a non-interrupting boundary timer fires', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', {
+        assignees: [user._id.toString()],
+        boundaryTimers: [{ timerId: 'remind', type: 'duration', duration: 30, interrupting: false }],
+        nextSteps: [{ stepId: 'end' }, { stepId: 'notice', timerId: 'remind' }]
+      }),
+      step('notice', { assignees: [user._id.toString()], nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    await elapse();
+    await workflowEngine.processDueTimers(10);
+
+    expect(Object.keys(await openSteps(instance._id)).sort()).toEqual(['notice', 'review']);
+  });
+
+  it('cancels the timers of a task completed in time', async () => {
+    const template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', {
+        assignees: [user._id.toString()],
+        boundaryTimers: [{ timerId: 'deadline', type: 'duration', duration: 30 }],
+        nextSteps: [{ stepId: 'end' }, { stepId: 'end', timerId: 'deadline' }]
+      }),
+      step('end', { type: 'end' })
+    ]);
+
+    const instance = await startProcess(template, user);
+    await completeTask((await openSteps(instance._id)).review, user);
+
+    expect(await Timer.countDocuments({ status: 'cancelled' })).toBe(1);
+    await elapse();
+    expect(await workflowEngine.processDueTimers(10)).toBe(0);
+  });
+});
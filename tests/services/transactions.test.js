@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, findStep, step, to } from '../helpers/fixtures.js';
+import database from '../../src/utils/database.js';
+import config from '../../src/config/environment.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import notificationService from '../../src/services/notificationService.js';
+import Notification from '../../src/models/Notification.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+
+describe('transactional step completion (replica set)', () => {
+  let user;
+  let template;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+    template = await createTemplate([
+      step('draft', { assignees: [user._id.toString()], nextSteps: to('review') }),
+      step('review', { assignees: [user._id.toString()], nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.features.enableEmailNotifications = false;
+  });
+
+  it('runs against a deployment that supports transactions', () => {
+    expect(database.supportsTransactions()).toBe(true);
+  });
+
+  it('rolls back the step update when routing fails', async () => {
+    const instance = await startProcess(template, user);
+    const { draft } = await openSteps(instance._id);
+    jest.spyOn(workflowEngine, 'processStepCompletion').mockRejectedValue(new Error('routing failed'));
+
+    await expect(completeTask(draft, user)).rejects.toThrow('routing failed');
+
+    expect((await findStep(instance._id, 'draft')).status).toBe('in_progress');
+    expect(await findStep(instance._id, 'review')).toBeNull();
+    expect(await ProcessHistory.countDocuments({ action: 'step_completed' })).toBe(0);
+  });
+
+  it('sends queued notification emails only after the transition commits', async () => {
+    config.features.enableEmailNotifications = true;
+    const deliver = jest.spyOn(notificationService, 'deliverPending').mockResolvedValue(0);
+
+    const instance = await startProcess(template, user);
+    deliver.mockClear();
+    const { draft } = await openSteps(instance._id);
+
+    let deliveredBeforeCommit = null;
+    const complete = workflowEngine.leaveStep.bind(workflowEngine);
+    jest.spyOn(workflowEngine, 'leaveStep').mockImplementation(async (...args) => {
+      await complete(...args);
+      deliveredBeforeCommit = deliver.mock.calls.length;
+    });
+
+    await completeTask(draft, user);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const review = await findStep(instance._id, 'review');
+    const queued = await Notification.findOne({ relatedStep: review._id, 'delivery.status': 'pending' });
+    expect(queued).not.toBeNull();
+    expect(deliveredBeforeCommit).toBe(0);
+    expect(deliver).toHaveBeenCalledWith({ ids: [queued._id] });
+  });
+
+  it('leaves no queued notification behind when the transition rolls back', async () => {
+    config.features.enableEmailNotifications = true;
+    const deliver = jest.spyOn(notificationService, 'deliverPending').mockResolvedValue(0);
+
+    const instance = await startProcess(template, user);
+    deliver.mockClear();
+    const notificationsBefore = await Notification.countDocuments({});
+    const { draft } = await openSteps(instance._id);
+
+    const finish = workflowEngine.finishTransition.bind(workflowEngine);
+    jest.spyOn(workflowEngine, 'finishTransition').mockImplementation(async (...args) => {
+      await finish(...args);
+      throw new Error('commit refused');
+    });
+
+    await expect(completeTask(draft, user)).rejects.toThrow('commit refused');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await Notification.countDocuments({})).toBe(notificationsBefore);
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two concurrent completions of a step through', async () => {
+    const instance = await startProcess(template, user);
+    const { draft } = await openSteps(instance._id);
+    draft.status = 'in_progress';
+    await draft.save();
+
+    const results = await Promise.allSettled([
+      workflowEngine.completeStep(draft._id, user._id),
+      workflowEngine.completeStep(draft._id, user._id)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await ProcessHistory.countDocuments({ processInstanceId: instance._id, action: 'step_completed' })).toBe(1);
+    expect(Object.keys(await openSteps(instance._id))).toEqual(['review']);
+  });
+});
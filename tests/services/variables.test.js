@@ -0,0 +1,84 @@
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from '../helpers/database.js';
+import { createUser, createTemplate, startProcess, completeTask, openSteps, reload, step, to } from '../helpers/fixtures.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import ProcessHistory from '../../src/models/ProcessHistory.js';
+
+const errorOf = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('process variables in running processes', () => {
+  let user;
+  let template;
+
+  beforeAll(() => connectTestDatabase());
+  afterAll(() => disconnectTestDatabase());
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    user = await createUser();
+    template = await createTemplate([
+      step('start', { type: 'start', autoComplete: true, nextSteps: to('review') }),
+      step('review', { assignees: [user._id.toString()], nextSteps: to('end') }),
+      step('end', { type: 'end' })
+    ], {
+      variables: [
+        { name: 'amount', type: 'number', required: true, min: 0 },
+        { name: 'approved', type: 'boolean' }
+      ]
+    });
+  });
+
+  it('refuses to complete a step with invalid variables', async () => {
+    const instance = await startProcess(template, user, { amount: 100 });
+    const { review } = await openSteps(instance._id);
+
+    const error = await errorOf(completeTask(review, user, { variables: { amount: -5, approved: 'yes' } }));
+
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+    expect(error.details.details.map(detail => detail.type)).toEqual(['variable.min', 'variable.type']);
+    expect((await reload(instance)).variables).toEqual({ amount: 100 });
+    expect((await openSteps(instance._id)).review).toBeDefined();
+  });
+
+  it('merges the variables a step sets and records each change', async () => {
+    const instance = await startProcess(template, user, { amount: 100 });
+    const { review } = await openSteps(instance._id);
+
+    await completeTask(review, user, { variables: { approved: true } });
+
+    expect((await reload(instance)).variables).toEqual({ amount: 100, approved: true });
+    const history = await ProcessHistory.findOne({ action: 'variable_updated' });
+    expect(history.metadata).toMatchObject({
+      source: 'step_completion',
+      stepId: 'review',
+      updatedVariables: ['approved'],
+      changes: { approved: { before: null, after: true } }
+    });
+  });
+
+  it('checks and records the variables set when moving tokens', async () => {
+    const instance = await startProcess(template, user, { amount: 100 });
+
+    const error = await errorOf(workflowEngine.rewindProcess(instance._id, {
+      targetStepId: 'start',
+      variables: { amount: 'lots' }
+    }, user._id));
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+
+    await workflowEngine.rewindProcess(instance._id, { targetStepId: 'start', variables: { amount: 50 } }, user._id);
+
+    expect((await reload(instance)).variables).toEqual({ amount: 50 });
+    const history = await ProcessHistory.findOne({ action: 'variable_updated' });
+    expect(history.metadata).toMatchObject({
+      source: 'process_rewound',
+      updatedVariables: ['amount'],
+      changes: { amount: { before: 100, after: 50 } }
+    });
+  });
+});
@@ -0,0 +1,9 @@
+// Quiet, file-free logging for the test run; set LOG_LEVEL to see the logs
+const showLogs = Boolean(process.env.LOG_LEVEL);
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+process.env.ENABLE_CACHING = 'false';
+
+const { default: logger } = await import('../src/utils/logger.js');
+logger.silent = !showLogs;
@@ -0,0 +1,121 @@
+import { parseBpmn, toBpmn } from '../../src/utils/bpmn.js';
+
+const definitions = processContent => `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"
+  xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI"
+  xmlns:dc="http://www.omg.org/spec/DD/20100524/DC"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" id="Definitions_1">
+  ${processContent}
+</bpmn:definitions>`;
+
+const errorOf = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+const template = {
+  name: 'Expense approval',
+  description: 'Approve & pay <expenses>',
+  startStep: 'start',
+  endSteps: ['end'],
+  steps: [
+    { stepId: 'start', name: 'Start', type: 'start', position: { x: 10, y: 20 }, nextSteps: [{ stepId: 'check' }] },
+    { stepId: 'check', name: 'Check', type: 'exclusive', position: { x: 100, y: 20 }, nextSteps: [
+      { stepId: 'review', condition: 'variables.amount > 1000' },
+      { stepId: 'pay', isDefault: true }
+    ] },
+    {
+      stepId: 'review',
+      name: 'Review',
+      type: 'user_task',
+      description: 'Look at the receipts',
+      position: { x: 200, y: 20 },
+      boundaryTimers: [{ timerId: 'late', type: 'duration', duration: 90, interrupting: false }],
+      nextSteps: [{ stepId: 'wait' }, { stepId: 'end', timerId: 'late' }]
+    },
+    { stepId: 'wait', name: 'Wait', type: 'timer', timer: { type: 'duration', duration: 1440 }, position: { x: 300, y: 20 }, nextSteps: [{ stepId: 'pay' }] },
+    { stepId: 'pay', name: 'Pay', type: 'user_task', position: { x: 400, y: 20 }, nextSteps: [{ stepId: 'end' }] },
+    { stepId: 'end', name: 'End', type: 'end', position: { x: 500, y: 20 }, nextSteps: [] }
+  ]
+};
+
+describe('BPMN export and import', () => {
+  it('round-trips steps, transitions, timers and positions', () => {
+    const { template: imported, report } = parseBpmn(toBpmn(template));
+
+    expect(report).toEqual({ steps: 6, transitions: 7, unsupported: [] });
+    expect(imported).toMatchObject({
+      name: template.name,
+      description: template.description,
+      startStep: 'start',
+      endSteps: ['end']
+    });
+    expect(imported.steps).toEqual(template.steps.map(step => expect.objectContaining({
+      stepId: step.stepId,
+      name: step.name,
+      type: step.type,
+      position: step.position,
+      nextSteps: step.nextSteps
+    })));
+
+    const review = imported.steps.find(step => step.stepId === 'review');
+    expect(review.description).toBe('Look at the receipts');
+    expect(review.boundaryTimers).toEqual([{ timerId: 'late', type: 'duration', duration: 90, interrupting: false }]);
+    expect(imported.steps.find(step => step.stepId === 'wait').timer).toEqual({ type: 'duration', duration: 1440 });
+  });
+
+  it('lays out templates that have no positions', () => {
+    const xml = toBpmn({ ...template, steps: template.steps.map(({ position, ...step }) => step) });
+    const positions = parseBpmn(xml).template.steps.map(step => step.position);
+
+    expect(positions[0]).toEqual({ x: 0, y: 100 });
+    expect(positions[1]).toEqual({ x: 150, y: 100 });
+  });
+});
+
+describe('parseBpmn', () => {
+  it('rejects documents that are not BPMN processes', () => {
+    expect(errorOf(() => parseBpmn('<bpmn:definitions'))).toMatchObject({ statusCode: 400, errorCode: 'INVALID_BPMN' });
+    expect(errorOf(() => parseBpmn('<definitions />')).message).toMatch(/^Not a BPMN 2.0 document/);
+    expect(errorOf(() => parseBpmn(definitions('<bpmn:process id="Empty" />'))).message)
+      .toBe('BPMN document contains no process with flow elements');
+    expect(errorOf(() => parseBpmn(definitions('<bpmn:process id="P"><bpmn:userTask id="t" /></bpmn:process>'))).message)
+      .toBe('BPMN process has no start event');
+  });
+
+  it('reports constructs it approximates or skips', () => {
+    const { template: imported, report } = parseBpmn(definitions(`
+      <bpmn:process id="P" name="Order">
+        <bpmn:laneSet id="lanes" />
+        <bpmn:startEvent id="start" />
+        <bpmn:scriptTask id="script" name="Script" />
+        <bpmn:serviceTask id="call" />
+        <bpmn:dataObject id="data" />
+        <bpmn:endEvent id="end" />
+        <bpmn:sequenceFlow id="f1" sourceRef="start" targetRef="script" />
+        <bpmn:sequenceFlow id="f2" sourceRef="script" targetRef="call">
+          <bpmn:conditionExpression xsi:type="bpmn:tFormalExpression">\${order.total &gt;}</bpmn:conditionExpression>
+        </bpmn:sequenceFlow>
+        <bpmn:sequenceFlow id="f3" sourceRef="call" targetRef="data" />
+        <bpmn:sequenceFlow id="f4" sourceRef="call" targetRef="end" />
+      </bpmn:process>`));
+
+    expect(imported.steps.map(step => [step.stepId, step.type])).toEqual([
+      ['start', 'start'], ['script', 'user_task'], ['call', 'service_task'], ['end', 'end']
+    ]);
+    expect(imported.steps[1].nextSteps).toEqual([{ stepId: 'call' }]);
+    expect(report.transitions).toBe(3);
+    expect(report.unsupported.map(item => [item.element, item.id])).toEqual([
+      ['laneSet', 'lanes'],
+      ['scriptTask', 'script'],
+      ['serviceTask', 'call'],
+      ['dataObject', 'data'],
+      ['sequenceFlow', 'f2'],
+      ['sequenceFlow', 'f3']
+    ]);
+  });
+});
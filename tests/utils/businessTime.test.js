@@ -0,0 +1,91 @@
+import {
+  isHoliday,
+  isWorkingTime,
+  addWorkingHours,
+  getWorkingHoursBetween,
+  validateCalendar
+} from '../../src/utils/businessTime.js';
+
+// Berlin office hours with a lunch break; 2024-03-01 is a Friday
+const calendar = {
+  timezone: 'Europe/Berlin',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }],
+  holidays: [
+    { date: '2024-03-04' },
+    { date: '2020-12-25', recurring: true }
+  ]
+};
+
+describe('isWorkingTime', () => {
+  it('follows working hours in the calendar time zone', () => {
+    expect(isWorkingTime(calendar, new Date('2024-03-01T09:00:00Z'))).toBe(true);
+    expect(isWorkingTime(calendar, new Date('2024-03-01T11:30:00Z'))).toBe(false);
+    expect(isWorkingTime(calendar, new Date('2024-03-01T16:00:00Z'))).toBe(false);
+    expect(isWorkingTime(calendar, new Date('2024-03-02T09:00:00Z'))).toBe(false);
+  });
+
+  it('skips one-off and recurring holidays', () => {
+    expect(isHoliday(calendar, { year: 2024, month: 3, day: 4 })).toBe(true);
+    expect(isHoliday(calendar, { year: 2024, month: 12, day: 25 })).toBe(true);
+    expect(isHoliday(calendar, { year: 2024, month: 3, day: 5 })).toBe(false);
+    expect(isWorkingTime(calendar, new Date('2024-03-04T09:00:00Z'))).toBe(false);
+  });
+});
+
+describe('addWorkingHours', () => {
+  it('carries over breaks, weekends and holidays', () => {
+    // Friday 16:00 local: one hour that day, then Tuesday after the holiday
+    expect(addWorkingHours(calendar, new Date('2024-03-01T15:00:00Z'), 3).toISOString())
+      .toBe('2024-03-05T10:00:00.000Z');
+    // Friday 11:00 local: one hour before lunch, one after
+    expect(addWorkingHours(calendar, new Date('2024-03-01T10:00:00Z'), 2).toISOString())
+      .toBe('2024-03-01T13:00:00.000Z');
+  });
+
+  it('starts at the next working period outside working hours', () => {
+    expect(addWorkingHours(calendar, new Date('2024-03-02T12:00:00Z'), 1).toISOString())
+      .toBe('2024-03-05T09:00:00.000Z');
+  });
+
+  it('keeps wall-clock working hours across a DST change', () => {
+    // Clocks go forward on Sunday 2024-03-31; Monday opens at 07:00 UTC
+    expect(addWorkingHours(calendar, new Date('2024-03-29T15:00:00Z'), 2).toISOString())
+      .toBe('2024-04-01T08:00:00.000Z');
+  });
+
+  it('gives up on a calendar without working time', () => {
+    expect(() => addWorkingHours({ ...calendar, workingDays: [] }, new Date('2024-03-01T00:00:00Z'), 1))
+      .toThrow(/no working time/);
+  });
+});
+
+describe('getWorkingHoursBetween', () => {
+  it('counts only working time and is signed', () => {
+    const from = new Date('2024-03-01T15:00:00Z');
+    const to = new Date('2024-03-05T10:00:00Z');
+
+    expect(getWorkingHoursBetween(calendar, from, to)).toBe(3);
+    expect(getWorkingHoursBetween(calendar, to, from)).toBe(-3);
+  });
+});
+
+describe('validateCalendar', () => {
+  it('accepts a valid calendar', () => {
+    expect(validateCalendar(calendar)).toEqual([]);
+  });
+
+  it('reports bad time zones, hours and overlaps', () => {
+    expect(validateCalendar({
+      timezone: 'Mars/Olympus',
+      workingDays: [],
+      workingHours: [{ start: '09:00', end: '13:00' }, { start: '12:00', end: '11:00' }, { start: '9', end: '10:00' }]
+    })).toEqual([
+      'Unknown time zone "Mars/Olympus"',
+      'At least one working day is required',
+      'Working hours 12:00-11:00 must end after they start',
+      'Working hours 9-10:00 must use HH:mm times',
+      'Working hours 09:00-13:00 and 12:00-11:00 overlap'
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+import { parseCron, isValidCron, getNextCronDate } from '../../src/utils/cron.js';
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const schedule = parseCron('*/15 9-11 1,15 jan-mar mon-fri');
+    expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hour]).toEqual([9, 10, 11]);
+    expect([...schedule.dayOfMonth]).toEqual([1, 15]);
+    expect([...schedule.month]).toEqual([1, 2, 3]);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('expected 5 fields, got 4');
+    expect(() => parseCron('60 * * * *')).toThrow('minute must be between 0 and 59');
+    expect(isValidCron('5-1 * * * *')).toBe(false);
+    expect(isValidCron('0 9 * * 1')).toBe(true);
+  });
+});
+
+describe('getNextCronDate', () => {
+  it('returns the next occurrence strictly after the given time', () => {
+    const from = new Date('2024-05-06T09:00:00Z'); // a Monday
+    expect(getNextCronDate('0 9 * * *', from)).toEqual(new Date('2024-05-07T09:00:00Z'));
+    expect(getNextCronDate('30 9 * * *', from)).toEqual(new Date('2024-05-06T09:30:00Z'));
+  });
+
+  it('skips to the next matching weekday and month', () => {
+    expect(getNextCronDate('0 8 * * sat', new Date('2024-05-06T09:00:00Z'))).toEqual(new Date('2024-05-11T08:00:00Z'));
+    expect(getNextCronDate('0 0 1 jan *', new Date('2024-05-06T09:00:00Z'))).toEqual(new Date('2025-01-01T00:00:00Z'));
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // the 10th, or any Friday
+    expect(getNextCronDate('0 12 10 * fri', new Date('2024-05-06T00:00:00Z'))).toEqual(new Date('2024-05-10T12:00:00Z'));
+    expect(getNextCronDate('0 12 10 * fri', new Date('2024-05-10T13:00:00Z'))).toEqual(new Date('2024-05-17T12:00:00Z'));
+  });
+
+  it('follows the wall clock of a time zone', () => {
+    expect(getNextCronDate('0 9 * * *', new Date('2024-07-01T00:00:00Z'), 'Europe/Berlin'))
+      .toEqual(new Date('2024-07-01T07:00:00Z'));
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  evaluateExpression,
+  validateExpression,
+  renderTemplate,
+  renderValue,
+  buildExpressionContext
+} from '../../src/utils/expression.js';
+
+const context = buildExpressionContext({
+  variables: { amount: 1500, manager: null, tags: ['urgent', 'finance'], submittedAt: '2024-03-01T00:00:00Z' },
+  formData: { approved: true, comment: 'Looks good' },
+  decision: 'approved'
+});
+
+describe('evaluateExpression', () => {
+  it('compares numbers and combines with logical operators', () => {
+    expect(evaluateExpression('variables.amount > 1000 && formData.approved == true', context)).toBe(true);
+    expect(evaluateExpression('variables.amount > 1000 and not formData.approved', context)).toBe(false);
+    expect(evaluateExpression('variables.amount < 1000 || decision == \'approved\'', context)).toBe(true);
+  });
+
+  it('supports in, is null and arithmetic', () => {
+    expect(evaluateExpression('decision in [\'approved\', \'auto-approved\']', context)).toBe(true);
+    expect(evaluateExpression('\'urgent\' in variables.tags', context)).toBe(true);
+    expect(evaluateExpression('variables.manager is null', context)).toBe(true);
+    expect(evaluateExpression('variables.manager is not null', context)).toBe(false);
+    expect(evaluateExpression('variables.amount * 2 - 1000', context)).toBe(2000);
+  });
+
+  it('calls built-in functions', () => {
+    expect(evaluateExpression('daysBetween(variables.submittedAt, date(\'2024-03-04T00:00:00Z\'))', context)).toBe(3);
+    expect(evaluateExpression('len(variables.tags)', context)).toBe(2);
+    expect(evaluateExpression('contains(lower(formData.comment), \'good\')', context)).toBe(true);
+    expect(evaluateExpression('isEmpty(variables.manager)', context)).toBe(true);
+  });
+
+  it('treats a bare label as a legacy decision match', () => {
+    expect(evaluateExpression('approved', context)).toBe(true);
+    expect(evaluateExpression('rejected', context)).toBe(false);
+  });
+
+  it('reads only own properties of plain data', () => {
+    expect(evaluateExpression('variables.constructor', context)).toBeUndefined();
+    expect(evaluateExpression('variables[\'__proto__\']', context)).toBeUndefined();
+    expect(evaluateExpression('variables.missing.deeper', context)).toBeUndefined();
+  });
+
+  it('raises 400 INVALID_EXPRESSION errors', () => {
+    let error;
+    try {
+      evaluateExpression('variables.amount ==', context);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'INVALID_EXPRESSION' });
+  });
+
+  it('rejects malformed expressions and type errors', () => {
+    expect(() => evaluateExpression('variables.amount >', context)).toThrow('Unexpected end of expression');
+    expect(() => evaluateExpression('\'open', context)).toThrow('Unterminated string literal');
+    expect(() => evaluateExpression('formData.comment - 1', context)).toThrow(/requires numbers/);
+    expect(() => evaluateExpression('system(\'rm\')', context)).toThrow(/Unknown function/);
+  });
+});
+
+describe('validateExpression', () => {
+  const variables = [
+    { name: 'amount', type: 'number' },
+    { name: 'region', type: 'string' }
+  ];
+
+  it('accepts a well-typed boolean condition', () => {
+    expect(validateExpression('variables.amount >= 10 and variables.region == \'EU\'', { variables }))
+      .toEqual({ isValid: true, errors: [], type: 'boolean' });
+  });
+
+  it('reports unknown variables and non-boolean results', () => {
+    const unknown = validateExpression('variables.total > 10', { variables });
+    expect(unknown.isValid).toBe(false);
+    expect(unknown.errors.join(' ')).toMatch(/total/);
+
+    const numeric = validateExpression('variables.amount + 1', { variables });
+    expect(numeric.isValid).toBe(false);
+    expect(numeric.errors).toContain('Expression must evaluate to boolean, got number');
+  });
+
+  it('reports syntax errors instead of throwing', () => {
+    expect(validateExpression('(variables.amount > 1').isValid).toBe(false);
+  });
+
+  it('treats names from the object prototype as unknown functions', () => {
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__'].forEach(name => {
+      expect(validateExpression(`${name}() == 1`).errors).toContain(`Unknown function '${name}'`);
+      expect(() => evaluateExpression(`${name}()`, context)).toThrow(`Unknown function '${name}'`);
+    });
+  });
+});
+
+describe('renderTemplate', () => {
+  it('keeps the type of a single placeholder', () => {
+    expect(renderTemplate('{{ variables.amount }}', context)).toBe(1500);
+    expect(renderTemplate('{{ variables.tags }}', context)).toEqual(['urgent', 'finance']);
+  });
+
+  it('interpolates placeholders inside text', () => {
+    expect(renderTemplate('Amount {{ variables.amount }} ({{ variables.manager }})', context)).toBe('Amount 1500 ()');
+  });
+
+  it('renders nested values', () => {
+    expect(renderValue({ body: { total: '{{ variables.amount }}' }, list: ['{{ decision }}'] }, context))
+      .toEqual({ body: { total: 1500 }, list: ['approved'] });
+  });
+});
@@ -0,0 +1,104 @@
+import { validateFormSchema, validateFormData, assertValidFormData } from '../../src/utils/formSchema.js';
+
+const schema = {
+  type: 'object',
+  required: ['amount', 'reason'],
+  properties: {
+    amount: { type: 'number', minimum: 0, label: 'Amount' },
+    currency: { type: 'string', options: [{ value: 'EUR', label: 'Euro' }, 'USD'] },
+    email: { type: 'string', format: 'email' },
+    reason: { type: 'string', visibleWhen: 'formData.amount > 1000' },
+    items: { type: 'array', items: { type: 'object', required: ['sku'], properties: { sku: { type: 'string' } } } }
+  }
+};
+
+describe('validateFormData', () => {
+  it('accepts valid data and drops hidden fields', () => {
+    const { value, errors } = validateFormData(schema, { amount: 10, currency: 'EUR', reason: 'ignored' });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ amount: 10, currency: 'EUR' });
+  });
+
+  it('requires fields once their visibility condition holds', () => {
+    expect(validateFormData(schema, { amount: 5000 }).errors).toEqual([
+      { field: 'formData.reason', message: '"reason" is required', type: 'form.required' }
+    ]);
+  });
+
+  it('reports errors by field path and label', () => {
+    const { errors } = validateFormData(schema, {
+      amount: -1,
+      currency: 'GBP',
+      email: 'not-an-email',
+      items: [{ sku: 'A' }, {}]
+    });
+
+    expect(errors).toEqual([
+      { field: 'formData.amount', message: '"Amount" must be >= 0', type: 'form.minimum' },
+      { field: 'formData.currency', message: '"currency" must be equal to one of the allowed values', type: 'form.enum' },
+      { field: 'formData.email', message: '"email" must match format "email"', type: 'form.format' },
+      { field: 'formData.items.1.sku', message: '"items.1.sku" is required', type: 'form.required' }
+    ]);
+  });
+
+  it('skips required fields for drafts', () => {
+    expect(validateFormData(schema, {}, { draft: true }).errors).toEqual([]);
+    expect(validateFormData(schema, { items: [{}] }, { draft: true }).errors).toEqual([]);
+  });
+
+  it('evaluates conditions against process variables', () => {
+    const conditional = {
+      type: 'object',
+      required: ['justification'],
+      properties: { justification: { type: 'string', visibleWhen: 'variables.region == \'EU\'' } }
+    };
+
+    expect(validateFormData(conditional, {}, { variables: { region: 'US' } }).errors).toEqual([]);
+    expect(validateFormData(conditional, {}, { variables: { region: 'EU' } }).errors).toHaveLength(1);
+  });
+
+  it('throws the validation error of the validate middleware', () => {
+    let error;
+    try {
+      assertValidFormData(schema, { amount: 'lots' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+    // The reason's condition cannot be evaluated over a text amount, so it is not required
+    expect(error.details.details.map(detail => detail.field)).toEqual(['formData.amount']);
+  });
+});
+
+describe('validateFormSchema', () => {
+  it('accepts schemas using the extensions', () => {
+    expect(validateFormSchema(schema)).toEqual([]);
+    expect(validateFormSchema({})).toEqual([]);
+  });
+
+  it('ignores keywords meant for the UI', () => {
+    const withWidget = { type: 'object', properties: { note: { type: 'string', 'ui:widget': 'textarea' } } };
+
+    expect(validateFormSchema(withWidget)).toEqual([]);
+    expect(validateFormData(withWidget, { note: 'Fine' }).errors).toEqual([]);
+  });
+
+  it('reports invalid JSON Schema and extension values', () => {
+    expect(validateFormSchema({ type: 'object', properties: { amount: { type: 'money' } } })[0])
+      .toMatchObject({ field: 'formSchema.properties.amount.type', type: 'formSchema.invalid' });
+    expect(validateFormSchema({ type: 'object', properties: { amount: { type: 'number', label: 5 } } })[0].type)
+      .toBe('formSchema.invalid');
+    expect(validateFormSchema({ type: 'string', options: [{ label: 'No value' }] })[0].type).toBe('formSchema.invalid');
+  });
+
+  it('checks visibility conditions against the declared variables', () => {
+    const conditional = { type: 'object', properties: { note: { type: 'string', visibleWhen: 'variables.total >' } } };
+
+    expect(validateFormSchema(conditional, { variables: [] })[0]).toMatchObject({
+      field: 'formSchema.properties.note.visibleWhen',
+      type: 'formSchema.visibleWhen'
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { parseHolidays } from '../../src/utils/icalendar.js';
+
+const ics = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseHolidays', () => {
+  it('turns all-day events into holidays, one per day', () => {
+    const { holidays, skipped } = parseHolidays(ics(
+      ['DTSTART;VALUE=DATE:20241224', 'DTEND;VALUE=DATE:20241227', 'SUMMARY:Christmas\\, office closed']
+    ));
+
+    expect(skipped).toEqual([]);
+    expect(holidays).toEqual([
+      { date: '2024-12-24', name: 'Christmas, office closed', recurring: false },
+      { date: '2024-12-25', name: 'Christmas, office closed', recurring: false },
+      { date: '2024-12-26', name: 'Christmas, office closed', recurring: false }
+    ]);
+  });
+
+  it('marks yearly events as recurring and unfolds long lines', () => {
+    const { holidays } = parseHolidays(ics(
+      ['DTSTART;VALUE=DATE:20240501', 'RRULE:FREQ=YEARLY', 'SUMMARY:Labour', ' Day']
+    ));
+
+    expect(holidays).toEqual([{ date: '2024-05-01', name: 'LabourDay', recurring: true }]);
+  });
+
+  it('reports events it cannot import', () => {
+    const { holidays, skipped } = parseHolidays(ics(
+      ['DTSTART;VALUE=DATE:20240101', 'RRULE:FREQ=WEEKLY;BYDAY=MO', 'SUMMARY:Standup'],
+      ['DTSTART;VALUE=DATE:20240102', 'STATUS:CANCELLED', 'SUMMARY:Cancelled'],
+      ['SUMMARY:Undated']
+    ));
+
+    expect(holidays).toEqual([]);
+    expect(skipped).toEqual([
+      { summary: 'Standup', reason: 'Unsupported recurrence rule FREQ=WEEKLY;BYDAY=MO' },
+      { summary: 'Cancelled', reason: 'Event is cancelled' },
+      { summary: 'Undated', reason: 'Event has no start date' }
+    ]);
+  });
+});
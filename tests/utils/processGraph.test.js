@@ -0,0 +1,136 @@
+import { analyzeGraph, canReach, getIncomingStepIds, isJoin } from '../../src/utils/processGraph.js';
+
+const step = (stepId, type, ...nextStepIds) => ({
+  stepId,
+  type,
+  nextSteps: nextStepIds.map(nextStepId => (typeof nextStepId === 'string' ? { stepId: nextStepId } : nextStepId))
+});
+
+const template = (...steps) => ({ startStep: steps[0].stepId, steps });
+
+const rulesOf = graph => analyzeGraph(graph).map(finding => [finding.rule, finding.stepIds]);
+
+describe('graph helpers', () => {
+  const graph = template(
+    step('start', 'start', 'split'),
+    step('split', 'parallel', 'a', 'b'),
+    step('a', 'user_task', 'join'),
+    step('b', 'user_task', 'join'),
+    step('join', 'parallel', 'end'),
+    step('end', 'end')
+  );
+
+  it('follows transitions in both directions', () => {
+    expect(getIncomingStepIds(graph, 'join')).toEqual(['a', 'b']);
+    expect(canReach(graph, 'a', 'end')).toBe(true);
+    expect(canReach(graph, 'end', 'start')).toBe(false);
+  });
+
+  it('tells joins from splits', () => {
+    expect(isJoin(graph, graph.steps[4])).toBe(true);
+    expect(isJoin(graph, graph.steps[1])).toBe(false);
+  });
+
+  it('finds nothing wrong with a well-formed template', () => {
+    expect(analyzeGraph(graph)).toEqual([]);
+  });
+});
+
+describe('analyzeGraph', () => {
+  it('reports broken references', () => {
+    const graph = {
+      startStep: 'begin',
+      endSteps: ['finish'],
+      steps: [step('start', 'start', 'task'), step('task', 'user_task', 'gone'), step('task', 'user_task', 'end'), step('end', 'end')]
+    };
+
+    expect(rulesOf(graph)).toEqual(expect.arrayContaining([
+      ['DUPLICATE_STEP_ID', ['task']],
+      ['MISSING_START_STEP', []],
+      ['MISSING_END_STEP', ['finish']],
+      ['MISSING_STEP_REFERENCE', ['task']]
+    ]));
+  });
+
+  it('reports unreachable steps, dead ends and steps that cannot end', () => {
+    const graph = template(
+      step('start', 'start', 'review', 'stuck'),
+      step('review', 'user_task', 'end'),
+      step('stuck', 'user_task'),
+      step('orphan', 'user_task', 'end'),
+      step('end', 'end')
+    );
+
+    const findings = analyzeGraph(graph);
+    expect(rulesOf(graph)).toEqual([
+      ['UNREACHABLE_STEP', ['orphan']],
+      ['DEAD_END', ['stuck']]
+    ]);
+    expect(findings.map(finding => finding.severity)).toEqual(['warning', 'error']);
+
+    expect(rulesOf(template(step('start', 'start', 'task'), step('task', 'user_task')))).toEqual([
+      ['NO_END_STEP', []],
+      ['DEAD_END', ['task']]
+    ]);
+  });
+
+  it('reports loops with no way out or no exit condition', () => {
+    const trapped = template(
+      step('start', 'start', 'a', 'end'),
+      step('a', 'user_task', 'b'),
+      step('b', 'user_task', 'a'),
+      step('end', 'end')
+    );
+    expect(rulesOf(trapped)).toEqual([['UNBOUNDED_LOOP', ['a', 'b']]]);
+
+    const endless = template(
+      step('start', 'start', 'fix'),
+      step('fix', 'user_task', 'check'),
+      step('check', 'parallel', 'fix', 'end'),
+      step('end', 'end')
+    );
+    expect(analyzeGraph(endless)[0]).toMatchObject({
+      rule: 'UNBOUNDED_LOOP',
+      message: 'Steps "fix", "check" loop without an exit condition'
+    });
+
+    const bounded = template(
+      step('start', 'start', 'fix'),
+      step('fix', 'user_task', 'check'),
+      step('check', 'exclusive', { stepId: 'fix', condition: 'variables.retry' }, { stepId: 'end', isDefault: true }),
+      step('end', 'end')
+    );
+    expect(analyzeGraph(bounded)).toEqual([]);
+  });
+
+  it('warns about gateways with a single branch', () => {
+    const graph = template(
+      step('start', 'start', 'gateway'),
+      step('gateway', 'exclusive', 'end'),
+      step('end', 'end')
+    );
+
+    expect(analyzeGraph(graph)).toEqual([expect.objectContaining({ rule: 'SINGLE_BRANCH_GATEWAY', severity: 'warning' })]);
+  });
+
+  it('reports parallel joins waiting for a branch that cannot arrive', () => {
+    const choice = template(
+      step('start', 'start', 'choose'),
+      step('choose', 'exclusive', { stepId: 'a', condition: 'variables.a' }, { stepId: 'b', isDefault: true }),
+      step('a', 'user_task', 'join'),
+      step('b', 'user_task', 'join'),
+      step('join', 'parallel', 'end'),
+      step('end', 'end')
+    );
+    expect(rulesOf(choice)).toEqual([['JOIN_DEADLOCK', ['join', 'choose']]]);
+
+    const after = template(
+      step('start', 'start', 'a'),
+      step('a', 'user_task', 'join'),
+      step('join', 'parallel', 'b', 'end'),
+      step('b', 'user_task', 'join'),
+      step('end', 'end')
+    );
+    expect(rulesOf(after)).toContainEqual(['JOIN_DEADLOCK', ['join', 'b']]);
+  });
+});
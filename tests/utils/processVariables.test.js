@@ -0,0 +1,115 @@
+import {
+  applyVariableDefaults,
+  validateVariables,
+  assertValidVariables,
+  validateVariableDeclarations,
+  diffVariables
+} from '../../src/utils/processVariables.js';
+
+const declarations = [
+  { name: 'amount', type: 'number', required: true, min: 0, max: 10000 },
+  { name: 'currency', type: 'string', enum: ['EUR', 'USD'], defaultValue: 'EUR' },
+  { name: 'costCenter', type: 'string', pattern: '^CC-[0-9]{4}$', min: 7 },
+  { name: 'dueOn', type: 'date' },
+  { name: 'lines', type: 'object', defaultValue: [] }
+];
+
+describe('applyVariableDefaults', () => {
+  it('fills in defaults without overriding given values or sharing them', () => {
+    const first = applyVariableDefaults(declarations, { amount: 5 });
+    const second = applyVariableDefaults(declarations, { currency: 'USD' });
+
+    expect(first).toEqual({ amount: 5, currency: 'EUR', lines: [] });
+    expect(second.currency).toBe('USD');
+    expect(first.lines).not.toBe(second.lines);
+  });
+});
+
+describe('validateVariables', () => {
+  it('accepts valid values and ignores undeclared ones', () => {
+    expect(validateVariables(declarations, {
+      amount: 250,
+      currency: 'USD',
+      costCenter: 'CC-1234',
+      dueOn: '2026-03-01',
+      lines: [{ sku: 'A' }],
+      note: 42
+    })).toEqual([]);
+  });
+
+  it('reports missing, mistyped and out-of-range values by field', () => {
+    expect(validateVariables(declarations, { currency: 'GBP', costCenter: 'CC-12', dueOn: 'someday' })).toEqual([
+      { field: 'variables.amount', message: '"amount" is required', type: 'variable.required' },
+      { field: 'variables.currency', message: '"currency" must be one of "EUR", "USD"', type: 'variable.enum' },
+      { field: 'variables.costCenter', message: '"costCenter" must be at least 7 characters long', type: 'variable.min' },
+      { field: 'variables.costCenter', message: '"costCenter" must match the pattern ^CC-[0-9]{4}$', type: 'variable.pattern' },
+      { field: 'variables.dueOn', message: '"dueOn" must be a date', type: 'variable.type' }
+    ]);
+
+    expect(validateVariables(declarations, { amount: '12' })[0]).toMatchObject({ type: 'variable.type', message: '"amount" must be a number' });
+    expect(validateVariables(declarations, { amount: 20000 })[0]).toMatchObject({ type: 'variable.max', message: '"amount" must be at most 10000' });
+    expect(validateVariables(declarations, { amount: -1 })[0]).toMatchObject({ type: 'variable.min', message: '"amount" must be at least 0' });
+  });
+
+  it('only checks the given variables when partial', () => {
+    expect(validateVariables(declarations, { currency: 'USD' }, { partial: true })).toEqual([]);
+    expect(validateVariables(declarations, { amount: null }, { partial: true })[0].type).toBe('variable.required');
+  });
+
+  it('throws the validation error of the validate middleware', () => {
+    let error;
+    try {
+      assertValidVariables(declarations, { amount: 'lots' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ statusCode: 400, errorCode: 'VALIDATION_ERROR' });
+    expect(error.details.details.map(detail => detail.field)).toEqual(['variables.amount']);
+    expect(() => assertValidVariables(declarations, { amount: 1 })).not.toThrow();
+  });
+});
+
+describe('validateVariableDeclarations', () => {
+  it('accepts consistent declarations', () => {
+    expect(validateVariableDeclarations(declarations)).toEqual([]);
+    expect(validateVariableDeclarations()).toEqual([]);
+  });
+
+  it('reports inconsistent declarations', () => {
+    const details = validateVariableDeclarations([
+      { name: 'amount', type: 'number' },
+      { name: 'amount', type: 'money' },
+      { name: 'code', pattern: '[' },
+      { name: 'limit', type: 'number', min: 10, max: 5 },
+      { name: 'level', type: 'number', enum: [1, 'high'] },
+      { name: 'country', enum: ['DE', 'FR'], defaultValue: 'IT' }
+    ]);
+
+    expect(details.map(detail => detail.field)).toEqual([
+      'variables.1.name',
+      'variables.1.type',
+      'variables.2.pattern',
+      'variables.3.min',
+      'variables.4.enum.1',
+      'variables.5.defaultValue'
+    ]);
+    expect(details.every(detail => detail.type === 'variableDeclaration.invalid')).toBe(true);
+    expect(details[1].message).toBe('Variable "amount": unknown type "money"');
+    expect(details[5].message).toBe('Variable "country": default value must be one of "DE", "FR"');
+  });
+});
+
+describe('diffVariables', () => {
+  it('lists changed, added and removed variables', () => {
+    expect(diffVariables(
+      { amount: 5, lines: [{ sku: 'A' }], note: 'x' },
+      { amount: 6, lines: [{ sku: 'A' }], approved: true }
+    )).toEqual({
+      amount: { before: 5, after: 6 },
+      note: { before: 'x', after: null },
+      approved: { before: null, after: true }
+    });
+    expect(diffVariables(undefined, null)).toEqual({});
+  });
+});
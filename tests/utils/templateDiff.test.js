@@ -0,0 +1,121 @@
+import { diffTemplates } from '../../src/utils/templateDiff.js';
+
+const before = {
+  category: 'finance',
+  startStep: 'start',
+  steps: [
+    { _id: 'a1', stepId: 'start', name: 'start', type: 'start', nextSteps: [{ stepId: 'review' }] },
+    {
+      _id: 'a2',
+      stepId: 'review',
+      name: 'Review',
+      type: 'user_task',
+      timeLimit: 24,
+      assigneeType: 'role',
+      assignees: ['manager'],
+      position: { x: 0, y: 0 },
+      formSchema: {
+        type: 'object',
+        required: ['amount'],
+        properties: { amount: { type: 'number' }, note: { type: 'string' }, iban: { type: 'string' } }
+      },
+      nextSteps: [{ stepId: 'pay', condition: 'variables.amount < 100' }, { stepId: 'end', isDefault: true }]
+    },
+    { _id: 'a3', stepId: 'pay', name: 'pay', type: 'user_task', nextSteps: [{ stepId: 'end' }] },
+    { _id: 'a4', stepId: 'end', name: 'end', type: 'end', nextSteps: [] }
+  ],
+  variables: [
+    { name: 'amount', type: 'number', required: true },
+    { name: 'legacy', type: 'string' }
+  ]
+};
+
+// The same version as copied into a new document
+const copy = template => ({
+  ...JSON.parse(JSON.stringify(template)),
+  steps: template.steps.map(step => ({ ...step, _id: `${step._id}-copy` }))
+});
+
+describe('diffTemplates', () => {
+  it('finds nothing between copies of a version, or in layout and empty values', () => {
+    const moved = copy(before);
+    moved.steps[1].position = { x: 400, y: 120 };
+    moved.tags = [];
+
+    const diff = diffTemplates(before, moved);
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.summary).toEqual([]);
+    expect(Object.values(diff.counts).every(count => count === 0)).toBe(true);
+  });
+
+  it('reports changed steps, assignments, transitions, forms and variables', () => {
+    const after = copy(before);
+    after.category = 'purchasing';
+    after.steps[1] = {
+      ...after.steps[1],
+      timeLimit: 48,
+      assignees: ['admin'],
+      formSchema: {
+        type: 'object',
+        required: ['amount', 'note'],
+        properties: { amount: { type: 'integer' }, note: { type: 'string' }, costCenter: { type: 'string' } }
+      },
+      nextSteps: [{ stepId: 'pay', condition: 'variables.amount < 500' }, { stepId: 'approve' }]
+    };
+    after.steps.splice(2, 0, { stepId: 'approve', name: 'Approve', type: 'user_task', nextSteps: [{ stepId: 'pay' }] });
+    after.steps = after.steps.filter(step => step.stepId !== 'end');
+    after.steps.push({ stepId: 'done', name: 'done', type: 'end', nextSteps: [] });
+    after.steps.find(step => step.stepId === 'pay').nextSteps = [{ stepId: 'done' }];
+    after.variables = [{ name: 'amount', type: 'number' }, { name: 'region', type: 'string', required: true }];
+
+    const diff = diffTemplates(before, after);
+
+    expect(diff.counts).toEqual({
+      template: 1,
+      stepsAdded: 2,
+      stepsRemoved: 1,
+      stepsModified: 1,
+      transitionsChanged: 6,
+      assignmentsChanged: 1,
+      variablesChanged: 3,
+      formsChanged: 1
+    });
+    expect(diff.steps.added.map(step => step.stepId)).toEqual(['approve', 'done']);
+    expect(diff.steps.modified).toEqual([
+      { stepId: 'review', name: 'Review', changes: [{ field: 'timeLimit', before: 24, after: 48 }] }
+    ]);
+    expect(diff.transitions.modified).toEqual([{
+      from: 'review',
+      to: 'pay',
+      timerId: null,
+      changes: [{ field: 'condition', before: 'variables.amount < 100', after: 'variables.amount < 500' }]
+    }]);
+    expect(diff.formFields[0]).toMatchObject({ added: ['costCenter'], removed: ['iban'] });
+    expect(diff.formFields[0].modified.map(field => field.field)).toEqual(['amount', 'note']);
+
+    expect(diff.summary).toEqual(expect.arrayContaining([
+      'Template: category changed from "finance" to "purchasing"',
+      'Step "Approve" (approve) added as user_task',
+      'Step "end" removed',
+      'Step "Review" (review): timeLimit changed from 24 to 48',
+      'Assignment of step "Review" (review): assignees changed from ["manager"] to ["admin"]',
+      'Form of step "Review" (review): field "costCenter" added',
+      'Form of step "Review" (review): field "note" required changed from false to true',
+      'Transition review → approve added',
+      'Transition review → end removed',
+      'Transition review → pay: condition changed from "variables.amount < 100" to "variables.amount < 500"',
+      'Variable "region" added (string, required)',
+      'Variable "legacy" removed',
+      'Variable "amount": required changed from true to none'
+    ]));
+  });
+
+  it('keeps transitions fired by different timers apart', () => {
+    const withTimer = copy(before);
+    withTimer.steps[1].nextSteps = [...withTimer.steps[1].nextSteps, { stepId: 'end', timerId: 'late' }];
+
+    const diff = diffTemplates(before, withTimer);
+    expect(diff.transitions.added).toEqual([{ from: 'review', to: 'end', timerId: 'late', condition: null, isDefault: false }]);
+    expect(diff.summary).toEqual(['Transition review → end on timer late added']);
+  });
+});